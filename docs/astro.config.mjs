@@ -24,7 +24,28 @@ export default defineConfig({
    				items: [
    					{ label: 'Getting Started', slug: 'guides/quickstart' },
    					{ label: 'Authentication', slug: 'guides/authentication' },
+   					{ label: 'Token Lifecycle', slug: 'guides/tokens' },
+   					{ label: 'Token Storage', slug: 'guides/token-storage' },
+   					{ label: 'Backend Auth Routes', slug: 'guides/auth-routes' },
+   					{ label: 'Browser-Only Login', slug: 'guides/browser-auth' },
+   					{ label: 'CLI Login', slug: 'guides/cli-login' },
+   					{ label: 'Acting for Many Users', slug: 'guides/multi-user' },
+   					{ label: 'Scopes & Permissions', slug: 'guides/scopes' },
    					{ label: 'Rate Limits', slug: 'guides/rate-limiting' },
+   					{ label: 'Pagination', slug: 'guides/pagination' },
+   					{ label: 'Retries', slug: 'guides/retries' },
+   					{ label: 'Middleware', slug: 'guides/middleware' },
+   					{ label: 'Caching', slug: 'guides/caching' },
+   					{ label: 'Batching Lookups', slug: 'guides/batching' },
+   					{ label: 'Timeouts & Cancellation', slug: 'guides/cancellation' },
+   					{ label: 'Observability', slug: 'guides/observability' },
+   					{ label: 'Testing with a Fake Server', slug: 'guides/testing' },
+   					{ label: 'Recording & Replay', slug: 'guides/fixtures' },
+   					{ label: 'Node Transport', slug: 'guides/transport' },
+   					{ label: 'Response Validation', slug: 'guides/strict-responses' },
+   					{ label: 'Local Images in Markdown', slug: 'guides/local-images' },
+   					{ label: 'Flagging Posts', slug: 'guides/flagging' },
+   					{ label: 'Diagnosing Connectivity', slug: 'guides/diagnostics' },
    				],
    			},
 			{
@@ -42,6 +63,7 @@ export default defineConfig({
 					{ label: 'removeDownvote', slug: 'answers/removedownvote' },
 					{ label: 'accept', slug: 'answers/accept' },
 					{ label: 'unaccept', slug: 'answers/unaccept' },
+					{ label: 'Flagging', slug: 'answers/flagmethods' },
    				]
    			},
 			{
@@ -93,6 +115,14 @@ export default defineConfig({
 					{ label: 'Transfers', slug: 'communities/transfermethods'},
 				]
 			},
+			{
+				label: 'Images',
+				collapsed: true,
+				items: [
+					{ label: 'get', slug: 'images/get' },
+					{ label: 'upload', slug: 'images/upload' },
+				]
+			},
    			{
    				label: 'Questions',
 				collapsed: true,
@@ -102,9 +132,11 @@ export default defineConfig({
 					{ label: 'getAll', slug: 'questions/getall' },
 					{ label: 'getLinked', slug: 'questions/getlinked' },
 					{ label: 'getRelated', slug: 'questions/getrelated' },
+					{ label: 'getThread', slug: 'questions/getthread' },
 					{ label: 'update', slug: 'questions/update' },
 					{ label: 'Voting', slug: 'questions/votingmethods' },
 					{ label: 'Bookmarks', slug: 'questions/bookmarkmethods' },
+					{ label: 'Flagging', slug: 'questions/flagmethods' },
    				]
    			},
 			{
@@ -134,6 +166,7 @@ export default defineConfig({
 				items: [
 					{ label: 'get', slug: 'users/get' },
 					{ label: 'getall', slug: 'users/getall' },
+					{ label: 'getAnalytics', slug: 'users/getanalytics' },
 					{ label: 'getByEmail', slug: 'users/getbyemail' },
 					{ label: 'getByExternalId', slug: 'users/getbyexternalid' },
 					{ label: 'getCurrentUser', slug: 'users/getcurrentuser' },
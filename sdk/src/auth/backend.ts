@@ -1,6 +1,17 @@
 import { AuthConfig, TokenResponse, PKCETokens } from './types.js';
+import { AccessToken, toAccessToken } from './tokens.js';
+import { isTokenExpired, StoredToken, TokenStore } from './tokenStore.js';
+import { registerBackendAuthClient } from './backendFactory.js';
 import crypto from 'crypto';
 
+/**
+ * A stored token together with the user or session it belongs to
+ */
+export interface StoredTokenEntry {
+  userId: string;
+  token: StoredToken;
+}
+
 /**
  * Backend authentication client for Stack Overflow Enterprise using PKCE flow
  * Designed for server-side Node.js environments with access to crypto module
@@ -139,7 +150,7 @@ export class BackendAuthClient {
 
   /**
    * Validate the state parameter for CSRF protection
-   * Compares the state parameter received in the callback with the expected value
+   * Compares the state parameter received in the callback with the expected value in constant time
    * 
    * @param receivedState - The state parameter received in the OAuth callback
    * @param expectedState - The state parameter that was originally generated
@@ -153,6 +164,112 @@ export class BackendAuthClient {
    * ```
    */
   validateState(receivedState: string, expectedState: string): boolean {
-    return receivedState === expectedState;
+    // Compare digests so the comparison takes the same time whatever the input, its length included
+    const received = crypto.createHash('sha256').update(receivedState).digest();
+    const expected = crypto.createHash('sha256').update(expectedState).digest();
+    return crypto.timingSafeEqual(received, expected) && expectedState.length > 0;
   }
-}
\ No newline at end of file
+
+  /**
+   * Save a user's token in the configured token store, replacing any previous one
+   * 
+   * @param userId - User or session id the token belongs to
+   * @param tokens - Response of `exchangeCodeForToken()`, an `AccessToken` or a bare token
+   * @returns The stored token, with `expiresAt` computed from the response's `expires`
+   * @throws {Error} When no `tokenStore` is configured
+   * @example
+   * ```typescript
+   * const tokens = await authClient.exchangeCodeForToken(code, codeVerifier);
+   * await authClient.saveToken(session.userId, tokens);
+   * ```
+   */
+  async saveToken(userId: string, tokens: TokenResponse | AccessToken | string): Promise<StoredToken> {
+    const store = this.requireTokenStore();
+    const token = typeof tokens === 'string'
+      ? { accessToken: tokens }
+      : 'access_token' in tokens ? toAccessToken(tokens) : tokens;
+    const stored: StoredToken = {
+      accessToken: token.accessToken,
+      expiresAt: token.expiresAt instanceof Date ? token.expiresAt.getTime() : token.expiresAt,
+      storedAt: Date.now(),
+      scope: token.scope ?? this.config.scope,
+    };
+    await store.set(userId, stored);
+    return stored;
+  }
+
+  /**
+   * Load a user's token from the configured token store
+   * 
+   * @param userId - User or session id the token was saved for
+   * @returns The stored token, or undefined when there is none or it has expired
+   * @throws {Error} When no `tokenStore` is configured
+   */
+  async loadToken(userId: string): Promise<StoredToken | undefined> {
+    const token = await this.requireTokenStore().get(userId);
+    return token && !isTokenExpired(token) ? token : undefined;
+  }
+
+  /**
+   * List every token in the configured token store, expired ones included
+   * 
+   * @throws {Error} When no `tokenStore` is configured
+   */
+  async listTokens(): Promise<StoredTokenEntry[]> {
+    const store = this.requireTokenStore();
+    const entries: StoredTokenEntry[] = [];
+    for (const userId of await store.keys()) {
+      const token = await store.get(userId);
+      if (token) {
+        entries.push({ userId, token });
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Remove a user's token from the configured token store, e.g. on logout
+   * The token itself stays valid on Stack Overflow until it expires; only the stored copy is deleted.
+   * 
+   * @returns True when a token was stored for the user
+   * @throws {Error} When no `tokenStore` is configured
+   */
+  async revokeToken(userId: string): Promise<boolean> {
+    const store = this.requireTokenStore();
+    const existing = await store.get(userId);
+    await store.delete(userId);
+    return existing !== undefined;
+  }
+
+  /**
+   * Remove every expired token from the configured token store
+   * 
+   * @returns The number of tokens removed
+   * @throws {Error} When no `tokenStore` is configured
+   * @example
+   * ```typescript
+   * setInterval(() => authClient.purgeExpiredTokens(), 60 * 60 * 1000);
+   * ```
+   */
+  async purgeExpiredTokens(): Promise<number> {
+    const store = this.requireTokenStore();
+    const now = Date.now();
+    let purged = 0;
+    for (const { userId, token } of await this.listTokens()) {
+      if (isTokenExpired(token, now)) {
+        await store.delete(userId);
+        purged++;
+      }
+    }
+    return purged;
+  }
+
+  private requireTokenStore(): TokenStore {
+    if (!this.config.tokenStore) {
+      throw new Error('tokenStore is required in the auth configuration to save and load tokens');
+    }
+    return this.config.tokenStore;
+  }
+}
+
+registerBackendAuthClient(config => new BackendAuthClient(config));
@@ -0,0 +1,24 @@
+import type { BackendAuthClient } from './backend.js';
+import type { AuthConfig } from './types.js';
+
+let factory: ((config: AuthConfig) => BackendAuthClient) | undefined;
+
+/**
+ * Make `sdk.auth.backend` available
+ * Called by `./backend.js` when it loads, so the SDK core never imports it and browser bundles stay free of Node's `crypto`.
+ */
+export function registerBackendAuthClient(create: (config: AuthConfig) => BackendAuthClient): void {
+  factory = create;
+}
+
+/**
+ * Create the backend auth client of `sdk.auth`
+ *
+ * @throws Error when the Node.js entry point was not loaded, e.g. in the browser build
+ */
+export function createBackendAuthClient(config: AuthConfig): BackendAuthClient {
+  if (!factory) {
+    throw new Error('BackendAuthClient needs Node.js and is not part of the browser build: use sdk.auth.frontend or BrowserAuthClient in browsers');
+  }
+  return factory(config);
+}
@@ -0,0 +1,302 @@
+import { AuthConfig, PKCETokens, TokenResponse } from './types.js';
+import { toAccessToken } from './tokens.js';
+import { OAuthFlowError } from '../client/shared/errors.js';
+import { StackOverflowSDK } from '../client/index.js';
+import type { SDKConfig } from '../client/index.js';
+
+/**
+ * Options for the browser authentication client
+ */
+export interface BrowserAuthOptions {
+  /** Settings for the SDK returned by `handleCallback()`, e.g. `cache` or `logger`; `baseUrl` defaults to the auth `baseUrl` */
+  sdk?: Partial<SDKConfig>;
+  /** Where the verifier and state wait for the callback (defaults to `window.sessionStorage`) */
+  storage?: Storage;
+  /** Storage key (defaults to 'so-teams-sdk:pkce') */
+  storageKey?: string;
+}
+
+interface PendingLogin {
+  state: string;
+  codeVerifier: string;
+  createdAt: number;
+}
+
+function base64Url(bytes: Uint8Array): string {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]!);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function hex(bytes: Uint8Array): string {
+  let result = '';
+  for (let i = 0; i < bytes.length; i++) {
+    result += (bytes[i]! < 16 ? '0' : '') + bytes[i]!.toString(16);
+  }
+  return result;
+}
+
+/**
+ * Compare two strings without stopping at the first difference
+ */
+function constantTimeEquals(a: string, b: string): boolean {
+  if (a.length !== b.length || a.length === 0) {
+    return false;
+  }
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) {
+    difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return difference === 0;
+}
+
+/**
+ * Browser authentication client for Stack Overflow Enterprise that needs no backend
+ * Generates the PKCE tokens with WebCrypto, keeps the verifier in `sessionStorage` across the redirect
+ * and exchanges the code with the instance directly. The instance must accept cross-origin token requests from your site.
+ *
+ * @example
+ * ```typescript
+ * const authClient = new BrowserAuthClient({
+ *   clientId: 'your-client-id',
+ *   redirectUri: window.location.origin + '/',
+ *   baseUrl: 'https://[your-site].stackenterprise.co'
+ * });
+ *
+ * if (authClient.isCallback()) {
+ *   const sdk = await authClient.handleCallback();
+ *   const me = await sdk.users.getCurrentUser();
+ * } else {
+ *   await authClient.login();
+ * }
+ * ```
+ */
+export class BrowserAuthClient {
+  private config: AuthConfig;
+  private options: BrowserAuthOptions;
+
+  /**
+   * Creates a new browser authentication client
+   * @param config - Authentication configuration for Stack Overflow Enterprise
+   * @param options - SDK settings and storage for the pending login
+   */
+  constructor(config: AuthConfig, options: BrowserAuthOptions = {}) {
+    this.config = config;
+    this.options = options;
+  }
+
+  /**
+   * Generate PKCE tokens using WebCrypto
+   *
+   * @returns Promise resolving to the code verifier, its S256 challenge and a state
+   * @throws {OAuthFlowError} With reason `unsupported_environment` when WebCrypto is unavailable, e.g. outside HTTPS
+   */
+  async generatePKCETokens(): Promise<PKCETokens> {
+    const webCrypto = this.webCrypto('auth.generatePKCETokens');
+    const codeVerifier = base64Url(webCrypto.getRandomValues(new Uint8Array(32)));
+    const digest = await webCrypto.subtle.digest('SHA-256', new TextEncoder().encode(codeVerifier));
+    const codeChallenge = base64Url(new Uint8Array(digest));
+    const state = hex(webCrypto.getRandomValues(new Uint8Array(16)));
+
+    return {
+      codeVerifier,
+      codeChallenge,
+      state,
+    };
+  }
+
+  /**
+   * Generate the authorization URL and remember the verifier and state for the callback
+   *
+   * @returns Promise resolving to the URL to send the user to
+   * @throws {Error} When clientId or redirectUri are missing from configuration
+   * @throws {OAuthFlowError} With reason `unsupported_environment` when WebCrypto or storage is unavailable
+   */
+  async getAuthUrl(): Promise<string> {
+    if (!this.config.clientId || !this.config.redirectUri) {
+      throw new Error('clientId and redirectUri are required for authentication');
+    }
+
+    const { codeVerifier, codeChallenge, state } = await this.generatePKCETokens();
+    const pending: PendingLogin = { state, codeVerifier, createdAt: Date.now() };
+    this.storage('auth.getAuthUrl').setItem(this.storageKey(), JSON.stringify(pending));
+
+    const params = new URLSearchParams({
+      client_id: String(this.config.clientId),
+      redirect_uri: this.config.redirectUri,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256',
+      state,
+      scope: this.config.scope || '',
+    });
+    return `${this.instanceUrl()}/oauth?${params.toString()}`;
+  }
+
+  /**
+   * Send the user to Stack Overflow Enterprise to log in
+   * The page navigates away; the flow continues with `handleCallback()` on the redirect URI.
+   */
+  async login(): Promise<void> {
+    window.location.assign(await this.getAuthUrl());
+  }
+
+  /**
+   * Whether a URL is an OAuth callback, i.e. carries a code or an error together with a state
+   *
+   * @param url - URL to check (defaults to the current page)
+   */
+  isCallback(url: string = window.location.href): boolean {
+    const params = new URL(url).searchParams;
+    return (params.has('code') || params.has('error')) && params.has('state');
+  }
+
+  /**
+   * Complete the login on the redirect URI and return an SDK acting as the user
+   * The pending login is used once; when the current page is handled, `code` and `state` are removed from the address bar.
+   *
+   * @param url - Callback URL (defaults to the current page)
+   * @returns Promise resolving to an SDK with the new access token and its expiry
+   * @throws {OAuthFlowError} When the login was denied, was not started in this tab, fails the state check or the code exchange
+   * @example
+   * ```typescript
+   * try {
+   *   const sdk = await authClient.handleCallback();
+   * } catch (error) {
+   *   if (error instanceof OAuthFlowError && error.reason === 'exchange_blocked') {
+   *     // Ask an administrator to allow this origin, or use a backend with AuthRoutes
+   *   }
+   * }
+   * ```
+   */
+  async handleCallback(url?: string): Promise<StackOverflowSDK> {
+    const operation = 'auth.handleCallback';
+    const params = new URL(url || window.location.href).searchParams;
+    const code = params.get('code');
+    const state = params.get('state');
+    const error = params.get('error');
+
+    const storage = this.storage(operation);
+    const stored = storage.getItem(this.storageKey());
+    storage.removeItem(this.storageKey());
+    if (!url && typeof window.history?.replaceState === 'function') {
+      const current = new URL(window.location.href);
+      ['code', 'state', 'error', 'error_description'].forEach(name => current.searchParams.delete(name));
+      window.history.replaceState(window.history.state, '', current.toString());
+    }
+
+    if (error) {
+      const description = params.get('error_description');
+      throw new OAuthFlowError(`OAuth error: ${error}${description ? ` (${description})` : ''}`, operation, 'oauth_error');
+    }
+    if (!code || !state) {
+      throw new OAuthFlowError('Authorization code or state not found in callback URL', operation, 'invalid_callback');
+    }
+
+    let pending: PendingLogin | undefined;
+    try {
+      pending = stored ? JSON.parse(stored) as PendingLogin : undefined;
+    } catch {
+      pending = undefined;
+    }
+    if (!pending) {
+      throw new OAuthFlowError('No login in progress: start it with login() in the same browser tab, as sessionStorage is not shared between tabs', operation, 'missing_verifier');
+    }
+    if (!constantTimeEquals(state, pending.state)) {
+      throw new OAuthFlowError('OAuth state does not match the login in progress', operation, 'state_mismatch');
+    }
+
+    const tokens = await this.exchangeCodeForToken(code, pending.codeVerifier);
+    const { accessToken, expiresAt } = toAccessToken(tokens);
+    return new StackOverflowSDK({
+      ...this.options.sdk,
+      baseUrl: this.options.sdk?.baseUrl || this.config.baseUrl,
+      accessToken,
+      accessTokenExpiresAt: expiresAt,
+    });
+  }
+
+  /**
+   * Exchange an authorization code for an access token directly with the instance
+   *
+   * @param code - The authorization code received in the callback
+   * @param codeVerifier - The code verifier the authorization URL was generated with
+   * @returns Promise resolving to token response with access token and expiration
+   * @throws {OAuthFlowError} With reason `exchange_blocked` when the request is blocked, or `exchange_failed` when the code is refused
+   */
+  async exchangeCodeForToken(code: string, codeVerifier: string): Promise<TokenResponse> {
+    const operation = 'auth.exchangeCodeForToken';
+    if (!this.config.clientId || !this.config.redirectUri) {
+      throw new Error('clientId and redirectUri are required for authentication');
+    }
+
+    const tokenUrl = `${this.instanceUrl()}/oauth/access_token/json`;
+    const queryParams = new URLSearchParams({
+      client_id: String(this.config.clientId),
+      code,
+      redirect_uri: this.config.redirectUri,
+      code_verifier: codeVerifier,
+    });
+
+    let response: Response;
+    try {
+      response = await fetch(`${tokenUrl}?${queryParams.toString()}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Accept': 'application/json',
+        },
+      });
+    } catch (error) {
+      // Browsers report a CORS rejection as a network error without details
+      const origin = typeof window !== 'undefined' ? window.location.origin : 'this page';
+      throw new OAuthFlowError(
+        `Could not reach ${tokenUrl} from ${origin}. The instance must allow cross-origin requests from this origin for the browser flow; otherwise exchange the code on a backend`,
+        operation,
+        'exchange_blocked',
+        error
+      );
+    }
+
+    const body = await response.text();
+    let data: any;
+    try {
+      data = JSON.parse(body);
+    } catch {
+      data = undefined;
+    }
+    if (!response.ok || !data?.access_token) {
+      const detail = data?.error_description || data?.error_message || data?.error || body || `HTTP ${response.status}`;
+      throw new OAuthFlowError(`Failed to exchange code for access token: ${detail}`, operation, 'exchange_failed', undefined, response.status, body);
+    }
+
+    return {
+      access_token: data.access_token,
+      expires: data.expires,
+    };
+  }
+
+  private instanceUrl(): string {
+    return this.config.baseUrl.replace(/\/+$/, '');
+  }
+
+  private storageKey(): string {
+    return this.options.storageKey || 'so-teams-sdk:pkce';
+  }
+
+  private webCrypto(operation: string): Crypto {
+    if (typeof crypto === 'undefined' || !crypto.subtle || typeof crypto.getRandomValues !== 'function') {
+      throw new OAuthFlowError('WebCrypto is not available; the browser flow needs a secure context (HTTPS or localhost)', operation, 'unsupported_environment');
+    }
+    return crypto;
+  }
+
+  private storage(operation: string): Storage {
+    const storage = this.options.storage || (typeof window !== 'undefined' ? window.sessionStorage : undefined);
+    if (!storage) {
+      throw new OAuthFlowError('sessionStorage is not available; pass a Storage in the storage option', operation, 'unsupported_environment');
+    }
+    return storage;
+  }
+}
@@ -0,0 +1,149 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import type { StoredToken, TokenStore } from './tokenStore.js';
+
+/**
+ * Options for the file token store
+ */
+export interface FileTokenStoreOptions {
+  /** File the tokens are kept in; created with owner-only permissions */
+  path: string;
+  /** Secret the file is encrypted with (AES-256-GCM); a passphrase or random bytes, stretched with scrypt */
+  encryptionKey: string | Buffer;
+}
+
+interface EncryptedTokenFile {
+  version: 1;
+  salt: string;
+  iv: string;
+  tag: string;
+  data: string;
+}
+
+/**
+ * Token store keeping tokens in a single file, encrypted at rest
+ * Writes go through a temporary file and a rename, so a crash never leaves a half-written store.
+ *
+ * @example
+ * ```typescript
+ * const tokenStore = new FileTokenStore({
+ *   path: '/var/lib/my-app/tokens.enc',
+ *   encryptionKey: process.env.TOKEN_STORE_KEY
+ * });
+ * ```
+ */
+export class FileTokenStore implements TokenStore {
+  private readonly filePath: string;
+  private readonly secret: string | Buffer;
+  private salt?: Buffer;
+  private derivedKey?: Buffer;
+  private queue: Promise<unknown> = Promise.resolve();
+
+  constructor(options: FileTokenStoreOptions) {
+    if (!options.encryptionKey || options.encryptionKey.length === 0) {
+      throw new Error('FileTokenStore requires an encryptionKey');
+    }
+    this.filePath = options.path;
+    this.secret = options.encryptionKey;
+  }
+
+  get(key: string): Promise<StoredToken | undefined> {
+    return this.exclusive(async () => (await this.read()).get(key));
+  }
+
+  set(key: string, token: StoredToken): Promise<void> {
+    return this.exclusive(async () => {
+      const tokens = await this.read();
+      tokens.set(key, token);
+      await this.write(tokens);
+    });
+  }
+
+  delete(key: string): Promise<void> {
+    return this.exclusive(async () => {
+      const tokens = await this.read();
+      if (tokens.delete(key)) {
+        await this.write(tokens);
+      }
+    });
+  }
+
+  keys(): Promise<string[]> {
+    return this.exclusive(async () => {
+      const keys: string[] = [];
+      (await this.read()).forEach((_token, key) => keys.push(key));
+      return keys;
+    });
+  }
+
+  /**
+   * Run file operations one at a time so concurrent updates do not overwrite each other
+   */
+  private exclusive<T>(operation: () => Promise<T>): Promise<T> {
+    const result = this.queue.then(operation, operation);
+    this.queue = result.catch(() => undefined);
+    return result;
+  }
+
+  private keyFor(salt: Buffer): Buffer {
+    if (!this.derivedKey || !this.salt || !this.salt.equals(salt)) {
+      this.salt = salt;
+      this.derivedKey = crypto.scryptSync(this.secret, salt, 32);
+    }
+    return this.derivedKey;
+  }
+
+  /**
+   * Tokens in the file, in a `Map` so keys such as '__proto__' or 'constructor' are plain keys, as in `MemoryTokenStore`
+   */
+  private async read(): Promise<Map<string, StoredToken>> {
+    let contents: string;
+    try {
+      contents = await fs.promises.readFile(this.filePath, 'utf8');
+    } catch (error: any) {
+      if (error.code === 'ENOENT') {
+        return new Map();
+      }
+      throw error;
+    }
+
+    try {
+      const file = JSON.parse(contents) as EncryptedTokenFile;
+      const salt = Buffer.from(file.salt, 'base64');
+      const decipher = crypto.createDecipheriv('aes-256-gcm', this.keyFor(salt), Buffer.from(file.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(file.tag, 'base64'));
+      const plain = Buffer.concat([decipher.update(Buffer.from(file.data, 'base64')), decipher.final()]);
+      const parsed: Record<string, StoredToken> = JSON.parse(plain.toString('utf8'));
+      const tokens = new Map<string, StoredToken>();
+      Object.keys(parsed).forEach(key => tokens.set(key, parsed[key]!));
+      return tokens;
+    } catch {
+      throw new Error(`Could not decrypt token store ${this.filePath}: wrong encryption key or corrupted file`);
+    }
+  }
+
+  private async write(tokens: Map<string, StoredToken>): Promise<void> {
+    // Without a prototype, '__proto__' is an ordinary property that JSON.stringify writes out
+    const serialized: Record<string, StoredToken> = Object.create(null);
+    tokens.forEach((token, key) => {
+      serialized[key] = token;
+    });
+    const salt = this.salt || crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.keyFor(salt), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(serialized), 'utf8'), cipher.final()]);
+    const file: EncryptedTokenFile = {
+      version: 1,
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64'),
+    };
+
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    const temporary = `${this.filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temporary, JSON.stringify(file), { mode: 0o600 });
+    await fs.promises.rename(temporary, this.filePath);
+  }
+}
@@ -1,3 +1,18 @@
 export { BackendAuthClient } from './backend.js';
+export type { StoredTokenEntry } from './backend.js';
 export { FrontendAuthClient } from './frontend.js';
-export type { AuthConfig, TokenResponse, PKCETokens } from './types.js';
\ No newline at end of file
+export { BrowserAuthClient } from './browser.js';
+export type { BrowserAuthOptions } from './browser.js';
+export { LoopbackAuthClient } from './loopback.js';
+export type { LoopbackAuthConfig, LoopbackLoginOptions } from './loopback.js';
+export type { AuthConfig, TokenResponse, PKCETokens } from './types.js';
+export { TokenManager, toAccessToken } from './tokens.js';
+export type { AccessToken, AccessTokenProvider, TokenExpiredContext, TokenRenewalReason, TokenManagerOptions } from './tokens.js';
+export { MemoryTokenStore, KeyValueTokenStore, isTokenExpired } from './tokenStore.js';
+export type { TokenStore, StoredToken, KeyValueAdapter, KeyValueTokenStoreOptions } from './tokenStore.js';
+export { FileTokenStore } from './fileTokenStore.js';
+export type { FileTokenStoreOptions } from './fileTokenStore.js';
+export { MemorySessionStore } from './sessionStore.js';
+export type { SessionStore, PendingAuthSession } from './sessionStore.js';
+export { AuthRoutes } from './routes.js';
+export type { AuthRoutesOptions, AuthCookieOptions, AuthRouteRequest, AuthRouteResponse, RequestWithHeaders, FastifyInstanceLike, FastifyRequestLike, FastifyReplyLike } from './routes.js';
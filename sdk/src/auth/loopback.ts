@@ -0,0 +1,323 @@
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import type { AddressInfo } from 'net';
+import { BackendAuthClient } from './backend.js';
+import { TokenResponse } from './types.js';
+import { StoredToken } from './tokenStore.js';
+import { OAuthFlowError, RequestAbortedError, TimeoutError } from '../client/shared/errors.js';
+
+/**
+ * Configuration for the loopback login of command-line and desktop tools
+ */
+export interface LoopbackAuthConfig {
+  /** The OAuth client ID from your Stack Overflow Enterprise application */
+  clientId: string;
+  /** The base URL of your Stack Overflow Enterprise instance (e.g., 'https://acme.stackenterprise.co') */
+  baseUrl: string;
+  /** OAuth scope to request (defaults to read-only access if not specified) */
+  scope?: string;
+  /** Credentials file tokens are persisted in (defaults to `LoopbackAuthClient.defaultConfigPath()`) */
+  configPath?: string;
+}
+
+/**
+ * Options for a single loopback login
+ */
+export interface LoopbackLoginOptions {
+  /** Port of the temporary callback server (defaults to 0, any free port) */
+  port?: number;
+  /** Interface the callback server listens on (defaults to '127.0.0.1') */
+  host?: string;
+  /** Path of the redirect URI (defaults to '/callback') */
+  callbackPath?: string;
+  /** Open the authorization URL in the default browser (defaults to true) */
+  openBrowser?: boolean;
+  /** Called with the authorization URL, e.g. to print it (defaults to writing it to stderr) */
+  onAuthUrl?: (url: string) => void;
+  /** Give up when the user has not logged in within this many milliseconds (defaults to 5 minutes) */
+  timeoutMs?: number;
+  /** Cancel the login */
+  signal?: AbortSignal;
+  /** Save the token to the credentials file and reuse a saved, unexpired token instead of logging in again (defaults to false) */
+  persist?: boolean;
+  /** Log in even when a saved token is still valid (defaults to false) */
+  force?: boolean;
+}
+
+const DEFAULT_TIMEOUT_MS = 5 * 60 * 1000;
+
+function page(title: string, message: string): string {
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${title}</title></head>`
+    + `<body style="font-family:sans-serif;text-align:center;margin-top:4em"><h1>${title}</h1><p>${message}</p></body></html>`;
+}
+
+function escapeHtml(text: string): string {
+  return text.replace(/[&<>"']/g, character => `&#${character.charCodeAt(0)};`);
+}
+
+/**
+ * Open a URL in the default browser; failures are ignored since the URL is printed as well
+ */
+function openInBrowser(url: string): void {
+  const [command, args] = process.platform === 'darwin'
+    ? ['open', [url]]
+    : process.platform === 'win32'
+      ? ['rundll32', ['url.dll,FileProtocolHandler', url]]
+      : ['xdg-open', [url]];
+  try {
+    const child = spawn(command, args, { stdio: 'ignore', detached: true });
+    child.on('error', () => undefined);
+    child.unref();
+  } catch {
+    // No browser available, e.g. over SSH
+  }
+}
+
+/**
+ * OAuth login for command-line and desktop tools using a loopback redirect
+ * Starts a temporary HTTP server on localhost, sends the user to Stack Overflow Enterprise with that server as
+ * redirect URI, captures the code, checks the state and exchanges the code with PKCE.
+ *
+ * @example
+ * ```typescript
+ * const loopback = new LoopbackAuthClient({
+ *   clientId: 'your-client-id',
+ *   baseUrl: 'https://[your-site].stackenterprise.co',
+ *   scope: 'write_access'
+ * });
+ *
+ * const tokens = await loopback.login({ persist: true });
+ * const sdk = new StackOverflowSDK({ baseUrl: 'https://[your-site].stackenterprise.co', ...toAccessToken(tokens) });
+ * ```
+ */
+export class LoopbackAuthClient {
+  private config: LoopbackAuthConfig;
+
+  /**
+   * Creates a new loopback authentication client
+   * @param config - Authentication configuration for Stack Overflow Enterprise
+   */
+  constructor(config: LoopbackAuthConfig) {
+    this.config = config;
+  }
+
+  /**
+   * Per-user credentials file: `$XDG_CONFIG_HOME/so-teams-sdk/credentials.json`, `~/.config/so-teams-sdk/credentials.json`
+   * or `%APPDATA%\so-teams-sdk\credentials.json` on Windows
+   */
+  static defaultConfigPath(): string {
+    const configHome = process.platform === 'win32'
+      ? process.env['APPDATA'] || path.join(os.homedir(), 'AppData', 'Roaming')
+      : process.env['XDG_CONFIG_HOME'] || path.join(os.homedir(), '.config');
+    return path.join(configHome, 'so-teams-sdk', 'credentials.json');
+  }
+
+  /**
+   * Log the user in through the browser
+   *
+   * @param options - Callback server, browser and persistence settings
+   * @returns Promise resolving to the token response; `expires` counts the seconds left for a reused token
+   * @throws {OAuthFlowError} When the login is denied, the state does not match or the code exchange fails
+   * @throws {TimeoutError} When the user does not complete the login in time
+   * @throws {RequestAbortedError} When `signal` aborts the login
+   * @example
+   * ```typescript
+   * const tokens = await loopback.login({
+   *   persist: true,
+   *   onAuthUrl: url => console.log(`Log in at ${url}`)
+   * });
+   * ```
+   */
+  async login(options: LoopbackLoginOptions = {}): Promise<TokenResponse> {
+    if (options.persist && !options.force) {
+      const saved = await this.loadToken();
+      if (saved) {
+        return saved;
+      }
+    }
+
+    const tokens = await this.authorize(options);
+    if (options.persist) {
+      await this.saveToken(tokens);
+    }
+    return tokens;
+  }
+
+  /**
+   * Token saved by an earlier `login({ persist: true })`
+   *
+   * @returns The token with the seconds it has left in `expires`, or undefined when none is saved or it has expired
+   */
+  async loadToken(): Promise<TokenResponse | undefined> {
+    const token = (await this.readCredentials())[this.credentialsKey()];
+    if (!token || (token.expiresAt !== undefined && token.expiresAt <= Date.now())) {
+      return undefined;
+    }
+    return {
+      access_token: token.accessToken,
+      expires: token.expiresAt !== undefined ? Math.floor((token.expiresAt - Date.now()) / 1000) : undefined,
+    };
+  }
+
+  /**
+   * Remove the saved token from the credentials file
+   *
+   * @returns True when a token was saved
+   */
+  async logout(): Promise<boolean> {
+    const credentials = await this.readCredentials();
+    const key = this.credentialsKey();
+    if (!(key in credentials)) {
+      return false;
+    }
+    delete credentials[key];
+    await this.writeCredentials(credentials);
+    return true;
+  }
+
+  private async authorize(options: LoopbackLoginOptions): Promise<TokenResponse> {
+    const operation = 'auth.loopbackLogin';
+    const host = options.host || '127.0.0.1';
+    const callbackPath = options.callbackPath || '/callback';
+    const timeoutMs = options.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+
+    if (options.signal?.aborted) {
+      throw new RequestAbortedError(`${operation} was aborted`, operation);
+    }
+
+    const server = http.createServer();
+    await new Promise<void>((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(options.port ?? 0, host, () => resolve());
+    });
+    const { port } = server.address() as AddressInfo;
+    const urlHost = host.indexOf(':') >= 0 ? `[${host}]` : host;
+    const backend = new BackendAuthClient({
+      clientId: this.config.clientId,
+      redirectUri: `http://${urlHost}:${port}${callbackPath}`,
+      baseUrl: this.config.baseUrl.replace(/\/+$/, ''),
+      scope: this.config.scope,
+    });
+
+    let timer: ReturnType<typeof setTimeout> | undefined;
+    let onAbort: (() => void) | undefined;
+    try {
+      const { url, codeVerifier, state } = await backend.getAuthUrl();
+
+      const callback = new Promise<string>((resolve, reject) => {
+        server.on('request', (req: http.IncomingMessage, res: http.ServerResponse) => {
+          const requestUrl = new URL(req.url || '/', `http://${urlHost}:${port}`);
+          const reply = (status: number, title: string, message: string) => {
+            res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8', 'Connection': 'close' });
+            res.end(page(title, message));
+          };
+          if (requestUrl.pathname !== callbackPath) {
+            reply(404, 'Not found', 'This server only handles the login callback.');
+            return;
+          }
+
+          const params = requestUrl.searchParams;
+          const error = params.get('error');
+          const code = params.get('code');
+          // Only the redirect from Stack Overflow carries the state; other requests, e.g. a browser prefetch
+          // or a web page probing the port, are refused and the login keeps waiting for the real callback
+          if (!backend.validateState(params.get('state') || '', state)) {
+            reply(400, 'Login not verified', 'This request does not belong to the login in progress.');
+            return;
+          }
+          if (!error && !code) {
+            reply(400, 'Login incomplete', 'The callback has no authorization code.');
+            return;
+          }
+          if (error) {
+            const description = params.get('error_description');
+            reply(400, 'Login failed', escapeHtml(description || error));
+            reject(new OAuthFlowError(`OAuth error: ${error}${description ? ` (${description})` : ''}`, operation, 'oauth_error'));
+            return;
+          }
+          reply(200, 'Login complete', 'You can close this window and return to your terminal.');
+          resolve(code!);
+        });
+      });
+
+      const stop = new Promise<never>((_resolve, reject) => {
+        timer = setTimeout(() => {
+          reject(new TimeoutError(`Login was not completed within ${timeoutMs}ms`, operation, timeoutMs));
+        }, timeoutMs);
+        if (options.signal) {
+          onAbort = () => reject(new RequestAbortedError(`${operation} was aborted`, operation, options.signal!.reason));
+          options.signal.addEventListener('abort', onAbort);
+        }
+      });
+
+      (options.onAuthUrl || (authUrl => process.stderr.write(`Open this URL in your browser to log in:\n${authUrl}\n`)))(url);
+      if (options.openBrowser !== false) {
+        openInBrowser(url);
+      }
+
+      const code = await Promise.race([callback, stop]);
+      try {
+        return await backend.exchangeCodeForToken(code, codeVerifier);
+      } catch (error) {
+        throw new OAuthFlowError(error instanceof Error ? error.message : String(error), operation, 'exchange_failed', error);
+      }
+    } finally {
+      if (timer) {
+        clearTimeout(timer);
+      }
+      if (onAbort) {
+        options.signal!.removeEventListener('abort', onAbort);
+      }
+      server.close();
+      server.closeAllConnections?.();
+    }
+  }
+
+  private credentialsKey(): string {
+    return `${this.config.clientId}@${this.config.baseUrl.replace(/\/+$/, '')}`;
+  }
+
+  private configPath(): string {
+    return this.config.configPath || LoopbackAuthClient.defaultConfigPath();
+  }
+
+  private async saveToken(tokens: TokenResponse): Promise<void> {
+    const credentials = await this.readCredentials();
+    const now = Date.now();
+    credentials[this.credentialsKey()] = {
+      accessToken: tokens.access_token,
+      expiresAt: tokens.expires ? now + tokens.expires * 1000 : undefined,
+      storedAt: now,
+      scope: this.config.scope,
+    };
+    await this.writeCredentials(credentials);
+  }
+
+  private async readCredentials(): Promise<Record<string, StoredToken>> {
+    let contents: string;
+    try {
+      contents = await fs.promises.readFile(this.configPath(), 'utf8');
+    } catch (error: any) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+    try {
+      return JSON.parse(contents);
+    } catch {
+      throw new Error(`Could not parse credentials file ${this.configPath()}`);
+    }
+  }
+
+  private async writeCredentials(credentials: Record<string, StoredToken>): Promise<void> {
+    const file = this.configPath();
+    await fs.promises.mkdir(path.dirname(file), { recursive: true, mode: 0o700 });
+    const temporary = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temporary, JSON.stringify(credentials, null, 2), { mode: 0o600 });
+    await fs.promises.rename(temporary, file);
+  }
+}
@@ -0,0 +1,547 @@
+import crypto from 'crypto';
+import type { IncomingMessage, ServerResponse } from 'http';
+import { BackendAuthClient } from './backend.js';
+import { AuthConfig, TokenResponse } from './types.js';
+import { MemoryTokenStore, StoredToken, TokenStore } from './tokenStore.js';
+import { MemorySessionStore, SessionStore } from './sessionStore.js';
+import { StackOverflowSDK } from '../client/index.js';
+import type { SDKConfig } from '../client/index.js';
+
+/**
+ * Attributes of the session cookie
+ */
+export interface AuthCookieOptions {
+  /** Cookie name (defaults to 'so_teams_session') */
+  name?: string;
+  /** Only send the cookie over HTTPS (defaults to true; browsers accept it on http://localhost as well) */
+  secure?: boolean;
+  /** SameSite attribute (defaults to 'Lax', which lets the cookie through when Stack Overflow redirects back to your site) */
+  sameSite?: 'Strict' | 'Lax' | 'None';
+  /** Path attribute (defaults to '/') */
+  path?: string;
+  /** Domain attribute (defaults to the host that set the cookie) */
+  domain?: string;
+}
+
+/**
+ * Options for the backend authentication routes
+ */
+export interface AuthRoutesOptions {
+  /** OAuth settings of your Stack Overflow Enterprise application */
+  auth: AuthConfig;
+  /** Settings for the SDKs returned by `sdkFor()`, e.g. `cache` or `logger`; `baseUrl` defaults to `auth.baseUrl` */
+  sdk?: Partial<SDKConfig>;
+  /** Where signed-in users' tokens are kept, keyed by session id (defaults to `auth.tokenStore`, then to a `MemoryTokenStore`) */
+  tokenStore?: TokenStore;
+  /** Where OAuth flows in progress are kept (defaults to a `MemorySessionStore`) */
+  sessionStore?: SessionStore;
+  /** Session cookie attributes */
+  cookie?: AuthCookieOptions;
+  /** Seconds a user has to complete the login on Stack Overflow (defaults to 600) */
+  loginTimeoutSeconds?: number;
+  /** Redirect here after a successful callback instead of answering with JSON; use it when `redirectUri` points at the callback route itself */
+  successRedirect?: string;
+  /** Check tokens submitted to `auth/token` by fetching the current user before accepting them (defaults to true) */
+  verifySubmittedTokens?: boolean;
+  /** Origins allowed to call `auth/token` and `logout` from a browser, e.g. 'https://my-app.example.com' (defaults to the origin of `auth.redirectUri`) */
+  allowedOrigins?: string[];
+}
+
+/**
+ * Framework-independent request passed to `AuthRoutes.handle()`
+ */
+export interface AuthRouteRequest {
+  method: string;
+  /** Path relative to where the routes are mounted, e.g. 'auth/start' */
+  path: string;
+  query: Record<string, string | undefined>;
+  headers: Record<string, string | string[] | undefined>;
+  /** Parsed JSON body */
+  body?: unknown;
+}
+
+/**
+ * Framework-independent response returned by `AuthRoutes.handle()`
+ */
+export interface AuthRouteResponse {
+  status: number;
+  headers: Record<string, string | string[]>;
+  /** JSON body; absent for responses without content */
+  body?: unknown;
+}
+
+/**
+ * Anything carrying the request headers, e.g. a Node, Express or Fastify request
+ */
+export interface RequestWithHeaders {
+  headers: Record<string, string | string[] | undefined>;
+}
+
+/**
+ * The parts of a Fastify request the routes use
+ */
+export interface FastifyRequestLike extends RequestWithHeaders {
+  method: string;
+  url: string;
+  body?: unknown;
+}
+
+/**
+ * The parts of a Fastify reply the routes use
+ */
+export interface FastifyReplyLike {
+  code(statusCode: number): FastifyReplyLike;
+  header(name: string, value: string | string[]): FastifyReplyLike;
+  send(payload?: unknown): FastifyReplyLike;
+}
+
+/**
+ * The parts of a Fastify instance the routes use
+ */
+export interface FastifyInstanceLike {
+  route(options: { method: string; url: string; handler: (request: FastifyRequestLike, reply: FastifyReplyLike) => Promise<unknown> }): unknown;
+}
+
+type AuthAction = 'start' | 'callback' | 'status' | 'logout' | 'submitToken';
+
+/** Routes called by `FrontendAuthClient`, relative to its `apiBaseUrl` */
+const ROUTES: Record<string, { method: 'GET' | 'POST'; action: AuthAction }> = {
+  'auth/start': { method: 'GET', action: 'start' },
+  'callback': { method: 'GET', action: 'callback' },
+  'authStatus': { method: 'GET', action: 'status' },
+  'logout': { method: 'POST', action: 'logout' },
+  'auth/token': { method: 'POST', action: 'submitToken' },
+};
+
+/** Routes changing the session, which a cross-site page must not reach */
+const PROTECTED_ACTIONS: AuthAction[] = ['logout', 'submitToken'];
+
+const MAX_BODY_BYTES = 16 * 1024;
+
+function json(status: number, body: unknown, cookie?: string): AuthRouteResponse {
+  const headers: Record<string, string | string[]> = { 'Cache-Control': 'no-store' };
+  if (cookie) {
+    headers['Set-Cookie'] = cookie;
+  }
+  return { status, headers, body };
+}
+
+function headerValue(headers: Record<string, string | string[] | undefined>, name: string): string | undefined {
+  const value = headers[name];
+  return Array.isArray(value) ? value.join('; ') : value;
+}
+
+function parseQuery(url: string): Record<string, string | undefined> {
+  const query: Record<string, string | undefined> = {};
+  new URL(url, 'http://localhost').searchParams.forEach((value, key) => {
+    query[key] = value;
+  });
+  return query;
+}
+
+function isJsonContentType(contentType: string | undefined): boolean {
+  return !!contentType && /^application\/json\s*(;|$)/i.test(contentType.trim());
+}
+
+function originOf(url: string): string | undefined {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return undefined;
+  }
+}
+
+async function readJsonBody(req: IncomingMessage & { body?: unknown }): Promise<unknown> {
+  // Body parsers such as express.json() have already consumed the stream
+  if (req.body !== undefined) {
+    return req.body;
+  }
+  // Only JSON is parsed: forms and text/plain bodies can be sent cross-site without a preflight
+  if (!isJsonContentType(headerValue(req.headers, 'content-type'))) {
+    return undefined;
+  }
+  const chunks: Buffer[] = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      return undefined;
+    }
+    chunks.push(chunk);
+  }
+  try {
+    return size > 0 ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+function writeResponse(res: ServerResponse, response: AuthRouteResponse): void {
+  res.statusCode = response.status;
+  Object.keys(response.headers).forEach(name => res.setHeader(name, response.headers[name]!));
+  if (response.body === undefined) {
+    res.end();
+    return;
+  }
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(response.body));
+}
+
+/**
+ * Backend routes implementing the contract of `FrontendAuthClient`: `auth/start`, `callback`, `authStatus`, `logout` and `auth/token`
+ * The PKCE verifier and state of a login are kept in the session store until the callback, and the state is checked in constant time.
+ * Signed-in users get an HTTP-only session cookie; their tokens stay on the server in the token store.
+ * `auth/token` and `logout` only accept JSON from allowed origins, so other sites cannot sign users in or out.
+ *
+ * @example
+ * ```typescript
+ * const authRoutes = new AuthRoutes({
+ *   auth: {
+ *     clientId: process.env.SO_CLIENT_ID,
+ *     redirectUri: 'https://my-app.example.com/callback',
+ *     baseUrl: 'https://[your-site].stackenterprise.co'
+ *   }
+ * });
+ *
+ * app.use('/api', authRoutes.express());
+ *
+ * app.get('/api/questions', async (req, res) => {
+ *   const sdk = await authRoutes.sdkFor(req);
+ *   if (!sdk) return res.sendStatus(401);
+ *   res.json(await sdk.questions.getAll());
+ * });
+ * ```
+ */
+export class AuthRoutes {
+  /** Backend client doing the PKCE and token work, with the routes' token store */
+  public readonly backend: BackendAuthClient;
+  /** Where signed-in users' tokens are kept, keyed by session id */
+  public readonly tokenStore: TokenStore;
+  private readonly sessionStore: SessionStore;
+  private readonly cookieName: string;
+  private readonly allowedOrigins: string[];
+
+  constructor(private readonly options: AuthRoutesOptions) {
+    this.tokenStore = options.tokenStore || options.auth.tokenStore || new MemoryTokenStore();
+    this.sessionStore = options.sessionStore || new MemorySessionStore();
+    this.cookieName = options.cookie?.name || 'so_teams_session';
+    const redirectOrigin = originOf(options.auth.redirectUri);
+    this.allowedOrigins = (options.allowedOrigins || (redirectOrigin ? [redirectOrigin] : []))
+      .map(origin => origin.replace(/\/+$/, '').toLowerCase());
+    this.backend = new BackendAuthClient({ ...options.auth, tokenStore: this.tokenStore });
+  }
+
+  /**
+   * Answer a request for one of the routes
+   *
+   * @returns The response, or undefined when the path is not one of the routes
+   */
+  async handle(request: AuthRouteRequest): Promise<AuthRouteResponse | undefined> {
+    const route = ROUTES[request.path.replace(/^\/+|\/+$/g, '')];
+    if (!route) {
+      return undefined;
+    }
+    if (request.method.toUpperCase() !== route.method) {
+      const response = json(405, { error: `Use ${route.method} for this route` });
+      response.headers['Allow'] = route.method;
+      return response;
+    }
+    if (PROTECTED_ACTIONS.indexOf(route.action) !== -1) {
+      const refused = this.refuseCrossSite(request, route.action === 'submitToken');
+      if (refused) {
+        return refused;
+      }
+    }
+
+    switch (route.action) {
+      case 'start':
+        return this.start();
+      case 'callback':
+        return this.callback(request);
+      case 'status':
+        return this.status(request);
+      case 'logout':
+        return this.logout(request);
+      case 'submitToken':
+        return this.submitToken(request);
+    }
+  }
+
+  /**
+   * Refuse requests a cross-site page could have sent: bodies other than JSON, and browsers reporting another origin
+   * Requests without `Origin` and `Sec-Fetch-Site`, e.g. from servers or scripts, are not sent by browsers and pass.
+   *
+   * @param requireJson - Whether the request must carry a JSON body
+   * @returns The 415 or 403 response, or undefined when the request may proceed
+   */
+  private refuseCrossSite(request: AuthRouteRequest, requireJson: boolean): AuthRouteResponse | undefined {
+    const contentType = headerValue(request.headers, 'content-type');
+    if (requireJson ? !isJsonContentType(contentType) : contentType !== undefined && !isJsonContentType(contentType)) {
+      return json(415, { error: 'Send the body as application/json' });
+    }
+
+    const fetchSite = headerValue(request.headers, 'sec-fetch-site');
+    if (fetchSite === 'same-origin') {
+      return undefined;
+    }
+    const origin = headerValue(request.headers, 'origin');
+    if (origin !== undefined) {
+      return this.allowedOrigins.indexOf(origin.toLowerCase()) !== -1
+        ? undefined
+        : json(403, { error: `Origin ${origin} is not allowed` });
+    }
+    return fetchSite !== undefined ? json(403, { error: 'Cross-site requests are not allowed' }) : undefined;
+  }
+
+  /**
+   * Session id from the request's session cookie
+   */
+  sessionId(request: RequestWithHeaders): string | undefined {
+    const cookies = headerValue(request.headers, 'cookie');
+    if (!cookies) {
+      return undefined;
+    }
+    for (const cookie of cookies.split(';')) {
+      const separator = cookie.indexOf('=');
+      if (separator > 0 && cookie.slice(0, separator).trim() === this.cookieName) {
+        return cookie.slice(separator + 1).trim() || undefined;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * SDK acting as the signed-in user of a request
+   *
+   * @returns The SDK, or undefined when the request has no session or its token expired
+   */
+  async sdkFor(request: RequestWithHeaders): Promise<StackOverflowSDK | undefined> {
+    const sessionId = this.sessionId(request);
+    if (!sessionId || !(await this.backend.loadToken(sessionId))) {
+      return undefined;
+    }
+    return StackOverflowSDK.fromStoredToken(this.tokenStore, sessionId, this.sdkConfig());
+  }
+
+  /**
+   * Express middleware serving the routes; mount it at the `apiBaseUrl` of `FrontendAuthClient`
+   *
+   * @example
+   * ```typescript
+   * app.use('/api', authRoutes.express());
+   * ```
+   */
+  express(): (req: IncomingMessage & { body?: unknown }, res: ServerResponse, next: (error?: unknown) => void) => void {
+    const handler = this.node('');
+    return (req, res, next) => {
+      handler(req, res).then(handled => {
+        if (!handled) {
+          next();
+        }
+      }, next);
+    };
+  }
+
+  /**
+   * Fastify plugin registering the routes; register it with the `apiBaseUrl` of `FrontendAuthClient` as prefix
+   *
+   * @example
+   * ```typescript
+   * app.register(authRoutes.fastify(), { prefix: '/api' });
+   * ```
+   */
+  fastify(): (instance: FastifyInstanceLike, options: unknown, done: (error?: Error) => void) => void {
+    return (instance, _options, done) => {
+      Object.keys(ROUTES).forEach(path => {
+        instance.route({
+          method: ROUTES[path]!.method,
+          url: `/${path}`,
+          handler: async (request, reply) => {
+            const response = (await this.handle({
+              method: request.method,
+              path,
+              query: parseQuery(request.url),
+              headers: request.headers,
+              body: request.body,
+            }))!;
+            reply.code(response.status);
+            Object.keys(response.headers).forEach(name => reply.header(name, response.headers[name]!));
+            return reply.send(response.body);
+          },
+        });
+      });
+      done();
+    };
+  }
+
+  /**
+   * Handler for a `node:http` server
+   * Resolves to false for requests outside the routes, so the server can answer them itself.
+   *
+   * @param basePath - Path the routes live under, the `apiBaseUrl` of `FrontendAuthClient` (defaults to '/api')
+   * @example
+   * ```typescript
+   * const handleAuth = authRoutes.node('/api');
+   * http.createServer(async (req, res) => {
+   *   if (await handleAuth(req, res)) return;
+   *   // ...your other routes
+   * }).listen(3000);
+   * ```
+   */
+  node(basePath: string = '/api'): (req: IncomingMessage & { body?: unknown }, res: ServerResponse) => Promise<boolean> {
+    const prefix = `${basePath.replace(/\/+$/, '')}/`;
+    return async (req, res) => {
+      const url = req.url || '/';
+      const pathname = new URL(url, 'http://localhost').pathname;
+      if (pathname.indexOf(prefix) !== 0 || !ROUTES[pathname.slice(prefix.length)]) {
+        return false;
+      }
+
+      const method = req.method || 'GET';
+      const response = (await this.handle({
+        method,
+        path: pathname.slice(prefix.length),
+        query: parseQuery(url),
+        headers: req.headers,
+        body: method === 'POST' ? await readJsonBody(req) : undefined,
+      }))!;
+      writeResponse(res, response);
+      return true;
+    };
+  }
+
+  /**
+   * `GET auth/start`: begin a login and answer with the authorization URL
+   */
+  private async start(): Promise<AuthRouteResponse> {
+    const { url, codeVerifier, state } = await this.backend.getAuthUrl();
+    const sessionId = crypto.randomBytes(32).toString('hex');
+    const ttlSeconds = this.options.loginTimeoutSeconds ?? 600;
+    await this.sessionStore.set(sessionId, { state, codeVerifier, createdAt: Date.now() }, ttlSeconds);
+    return json(200, { authUrl: url }, this.cookie(sessionId, ttlSeconds));
+  }
+
+  /**
+   * `GET callback`: check the state, exchange the code and sign the user in
+   */
+  private async callback(request: AuthRouteRequest): Promise<AuthRouteResponse> {
+    const { code, state, error } = request.query;
+    if (error) {
+      return json(400, { error: `OAuth error: ${error}` });
+    }
+    if (!code || !state) {
+      return json(400, { error: 'code and state are required' });
+    }
+
+    const sessionId = this.sessionId(request);
+    const pending = sessionId ? await this.sessionStore.get(sessionId) : undefined;
+    if (sessionId) {
+      // A login can be completed only once
+      await this.sessionStore.delete(sessionId);
+    }
+    if (!pending || !this.backend.validateState(state, pending.state)) {
+      return json(400, { error: 'Invalid or expired OAuth state' }, this.cookie('', 0));
+    }
+
+    let tokens: TokenResponse;
+    try {
+      tokens = await this.backend.exchangeCodeForToken(code, pending.codeVerifier);
+    } catch (exchangeError) {
+      return json(502, { error: exchangeError instanceof Error ? exchangeError.message : String(exchangeError) }, this.cookie('', 0));
+    }
+
+    const response = await this.signIn(tokens);
+    if (this.options.successRedirect) {
+      response.status = 302;
+      response.headers['Location'] = this.options.successRedirect;
+      response.body = undefined;
+    }
+    return response;
+  }
+
+  /**
+   * `GET authStatus`: 200 for a signed-in user, 401 otherwise
+   */
+  private async status(request: AuthRouteRequest): Promise<AuthRouteResponse> {
+    const sessionId = this.sessionId(request);
+    const token = sessionId ? await this.backend.loadToken(sessionId) : undefined;
+    if (!token) {
+      return json(401, { authenticated: false });
+    }
+    return json(200, { authenticated: true, expiresAt: this.expiry(token) });
+  }
+
+  /**
+   * `POST logout`: forget the user's token and clear the session cookie
+   */
+  private async logout(request: AuthRouteRequest): Promise<AuthRouteResponse> {
+    const sessionId = this.sessionId(request);
+    if (sessionId) {
+      await this.backend.revokeToken(sessionId);
+      await this.sessionStore.delete(sessionId);
+    }
+    return { status: 204, headers: { 'Cache-Control': 'no-store', 'Set-Cookie': this.cookie('', 0) } };
+  }
+
+  /**
+   * `POST auth/token`: sign in with a token the user supplied, e.g. a personal access token
+   */
+  private async submitToken(request: AuthRouteRequest): Promise<AuthRouteResponse> {
+    let body = request.body;
+    if (typeof body === 'string') {
+      try {
+        body = JSON.parse(body);
+      } catch {
+        body = undefined;
+      }
+    }
+    const accessToken = body && typeof body === 'object' ? (body as { accessToken?: unknown }).accessToken : undefined;
+    if (typeof accessToken !== 'string' || accessToken.trim() === '') {
+      return json(400, { error: 'accessToken is required' });
+    }
+
+    if (this.options.verifySubmittedTokens !== false) {
+      try {
+        await new StackOverflowSDK({ ...this.sdkConfig(), accessToken: accessToken.trim() }).users.getCurrentUser();
+      } catch {
+        return json(401, { error: 'The access token was rejected' });
+      }
+    }
+    return this.signIn(accessToken.trim());
+  }
+
+  /**
+   * Store the token under a new session id, so a session id seen before the login is never signed in
+   */
+  private async signIn(tokens: TokenResponse | string): Promise<AuthRouteResponse> {
+    const sessionId = crypto.randomBytes(32).toString('hex');
+    const stored = await this.backend.saveToken(sessionId, tokens);
+    const maxAgeSeconds = stored.expiresAt !== undefined
+      ? Math.max(0, Math.floor((stored.expiresAt - Date.now()) / 1000))
+      : undefined;
+    return json(200, { authenticated: true, expiresAt: this.expiry(stored) }, this.cookie(sessionId, maxAgeSeconds));
+  }
+
+  private expiry(token: StoredToken): string | undefined {
+    return token.expiresAt !== undefined ? new Date(token.expiresAt).toISOString() : undefined;
+  }
+
+  private sdkConfig(): SDKConfig {
+    return { ...this.options.sdk, baseUrl: this.options.sdk?.baseUrl || this.options.auth.baseUrl };
+  }
+
+  private cookie(value: string, maxAgeSeconds?: number): string {
+    const options = this.options.cookie || {};
+    const attributes = [`${this.cookieName}=${value}`, `Path=${options.path || '/'}`, 'HttpOnly', `SameSite=${options.sameSite || 'Lax'}`];
+    if (options.domain) {
+      attributes.push(`Domain=${options.domain}`);
+    }
+    if (options.secure !== false) {
+      attributes.push('Secure');
+    }
+    if (maxAgeSeconds !== undefined) {
+      attributes.push(`Max-Age=${maxAgeSeconds}`);
+    }
+    return attributes.join('; ');
+  }
+}
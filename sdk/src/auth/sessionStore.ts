@@ -0,0 +1,55 @@
+/**
+ * An OAuth flow started by `auth/start` and waiting for its callback
+ */
+export interface PendingAuthSession {
+  /** State sent to Stack Overflow, compared with the one returned in the callback */
+  state: string;
+  /** PKCE code verifier for the code exchange */
+  codeVerifier: string;
+  /** When the flow was started, in milliseconds since the epoch */
+  createdAt: number;
+}
+
+/**
+ * Storage for OAuth flows in progress, keyed by session id
+ * Entries must disappear after their time to live. Implement this to keep sessions in a database shared by several processes.
+ */
+export interface SessionStore {
+  get(sessionId: string): PendingAuthSession | undefined | Promise<PendingAuthSession | undefined>;
+  set(sessionId: string, session: PendingAuthSession, ttlSeconds: number): void | Promise<void>;
+  delete(sessionId: string): void | Promise<void>;
+}
+
+/**
+ * Session store keeping OAuth flows in process memory
+ * Expired entries are dropped when read and swept whenever a new flow is stored.
+ */
+export class MemorySessionStore implements SessionStore {
+  private sessions = new Map<string, { session: PendingAuthSession; expiresAt: number }>();
+
+  get(sessionId: string): PendingAuthSession | undefined {
+    const entry = this.sessions.get(sessionId);
+    if (!entry) {
+      return undefined;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.sessions.delete(sessionId);
+      return undefined;
+    }
+    return entry.session;
+  }
+
+  set(sessionId: string, session: PendingAuthSession, ttlSeconds: number): void {
+    const now = Date.now();
+    this.sessions.forEach((entry, id) => {
+      if (entry.expiresAt <= now) {
+        this.sessions.delete(id);
+      }
+    });
+    this.sessions.set(sessionId, { session, expiresAt: now + ttlSeconds * 1000 });
+  }
+
+  delete(sessionId: string): void {
+    this.sessions.delete(sessionId);
+  }
+}
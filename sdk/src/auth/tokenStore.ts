@@ -0,0 +1,121 @@
+/**
+ * An access token as kept in a token store
+ */
+export interface StoredToken {
+  /** The access token */
+  accessToken: string;
+  /** When the token expires, in milliseconds since the epoch; absent for tokens that do not expire */
+  expiresAt?: number;
+  /** When the token was stored, in milliseconds since the epoch */
+  storedAt: number;
+  /** Scope the token was granted, e.g. 'write_access' */
+  scope?: string;
+}
+
+/**
+ * Storage for access tokens, keyed by user or session id
+ * Implement this to keep tokens in your own database.
+ */
+export interface TokenStore {
+  get(key: string): StoredToken | undefined | Promise<StoredToken | undefined>;
+  set(key: string, token: StoredToken): void | Promise<void>;
+  delete(key: string): void | Promise<void>;
+  keys(): string[] | Promise<string[]>;
+}
+
+/**
+ * Whether a stored token has passed its expiry
+ */
+export function isTokenExpired(token: StoredToken, now: number = Date.now()): boolean {
+  return token.expiresAt !== undefined && token.expiresAt <= now;
+}
+
+/**
+ * Token store keeping tokens in process memory; tokens are lost when the process exits
+ */
+export class MemoryTokenStore implements TokenStore {
+  private tokens = new Map<string, StoredToken>();
+
+  get(key: string): StoredToken | undefined {
+    return this.tokens.get(key);
+  }
+
+  set(key: string, token: StoredToken): void {
+    this.tokens.set(key, token);
+  }
+
+  delete(key: string): void {
+    this.tokens.delete(key);
+  }
+
+  keys(): string[] {
+    const keys: string[] = [];
+    this.tokens.forEach((_token, key) => keys.push(key));
+    return keys;
+  }
+}
+
+/**
+ * Minimal key-value client, e.g. a thin wrapper around Redis, Memcached or Keyv
+ */
+export interface KeyValueAdapter {
+  get(key: string): string | null | undefined | Promise<string | null | undefined>;
+  /** Store a value; `ttlSeconds` is given for tokens that expire so the entry can expire with them */
+  set(key: string, value: string, ttlSeconds?: number): unknown;
+  delete(key: string): unknown;
+  /** All keys starting with `prefix`; required for listing and purging stored tokens */
+  keys?(prefix: string): string[] | Promise<string[]>;
+}
+
+/**
+ * Options for the key-value token store
+ */
+export interface KeyValueTokenStoreOptions {
+  /** Prefix put in front of every key (defaults to 'so-teams-sdk:token:') */
+  prefix?: string;
+}
+
+/**
+ * Token store on top of any key-value database
+ *
+ * @example
+ * ```typescript
+ * const tokenStore = new KeyValueTokenStore({
+ *   get: key => redis.get(key),
+ *   set: (key, value, ttlSeconds) => ttlSeconds ? redis.set(key, value, 'EX', ttlSeconds) : redis.set(key, value),
+ *   delete: key => redis.del(key),
+ *   keys: prefix => redis.keys(`${prefix}*`)
+ * });
+ * ```
+ */
+export class KeyValueTokenStore implements TokenStore {
+  private readonly prefix: string;
+
+  constructor(private readonly adapter: KeyValueAdapter, options: KeyValueTokenStoreOptions = {}) {
+    this.prefix = options.prefix ?? 'so-teams-sdk:token:';
+  }
+
+  async get(key: string): Promise<StoredToken | undefined> {
+    const value = await this.adapter.get(this.prefix + key);
+    return value ? JSON.parse(value) as StoredToken : undefined;
+  }
+
+  async set(key: string, token: StoredToken): Promise<void> {
+    const ttlSeconds = token.expiresAt !== undefined ? Math.max(1, Math.ceil((token.expiresAt - Date.now()) / 1000)) : undefined;
+    await this.adapter.set(this.prefix + key, JSON.stringify(token), ttlSeconds);
+  }
+
+  async delete(key: string): Promise<void> {
+    await this.adapter.delete(this.prefix + key);
+  }
+
+  async keys(): Promise<string[]> {
+    if (!this.adapter.keys) {
+      throw new Error('Listing stored tokens requires a key-value adapter with keys()');
+    }
+    const keys = await this.adapter.keys(this.prefix);
+    return keys
+      .filter(key => key.indexOf(this.prefix) === 0)
+      .map(key => key.slice(this.prefix.length));
+  }
+}
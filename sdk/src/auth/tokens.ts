@@ -0,0 +1,267 @@
+import type { SecurityAuthentication } from '../generated/auth/auth.js';
+import type { RequestContext } from '../generated/http/http.js';
+import { TokenResponse } from './types.js';
+import { AuthenticationError, TokenExpiredError } from '../client/shared/errors.js';
+import { defaultLogger, Logger } from '../client/shared/observability.js';
+
+/**
+ * An access token together with the time it stops being valid
+ */
+export interface AccessToken {
+  /** The access token sent as `Authorization: Bearer <token>` */
+  accessToken: string;
+  /** When the token expires (a `Date` or milliseconds since the epoch); omit for tokens that do not expire */
+  expiresAt?: Date | number;
+  /** Scopes the token was granted, space-separated, e.g. 'write_access' */
+  scope?: string;
+}
+
+/**
+ * Supplies access tokens, e.g. from a token store or a refresh flow
+ * Called when the SDK has no token yet, when the current token is about to expire and after the API rejected it as expired.
+ */
+export type AccessTokenProvider = () => Promise<string | AccessToken> | string | AccessToken;
+
+/**
+ * Why the SDK is asking for a new token
+ * - `expiring`: the token's known expiry is within the refresh margin, checked before sending a request
+ * - `rejected`: the API answered a request with a token-expired error; the request is replayed once with the new token
+ */
+export type TokenRenewalReason = 'expiring' | 'rejected';
+
+/**
+ * Details passed to the `onTokenExpired` hook
+ */
+export interface TokenExpiredContext {
+  reason: TokenRenewalReason;
+  /** The token that expired or was rejected */
+  expiredToken?: string;
+  /** Known expiry of that token */
+  expiresAt?: Date;
+  /** Operation whose request was rejected, e.g. 'questions.getAll' (only for `rejected`) */
+  operation?: string;
+  /** Error the API answered with (only for `rejected`) */
+  error?: Error;
+}
+
+/**
+ * Options for the token manager; mirrors the token-related fields of `SDKConfig`
+ */
+export interface TokenManagerOptions {
+  /** Static access token to start with */
+  accessToken?: string;
+  /** Expiry of the static access token */
+  accessTokenExpiresAt?: Date | number;
+  /** Token provider; takes precedence over `accessToken` */
+  getAccessToken?: AccessTokenProvider;
+  /** Obtain a new token once the current one expired; return nothing to give up and surface `TokenExpiredError` */
+  onTokenExpired?: (context: TokenExpiredContext) => Promise<string | AccessToken | undefined | void> | string | AccessToken | undefined | void;
+  /** Called whenever the token changes, e.g. to persist a renewed token */
+  onTokenRefreshed?: (token: AccessToken) => void | Promise<void>;
+  /** Renew tokens this many milliseconds before they expire (defaults to 60 seconds) */
+  refreshMarginMs?: number;
+  /** Logger reporting failures of `onTokenRefreshed` (defaults to warnings and errors on the console) */
+  logger?: Logger;
+}
+
+interface TrackedToken {
+  accessToken: string;
+  expiresAt?: number;
+}
+
+const DEFAULT_REFRESH_MARGIN_MS = 60 * 1000;
+
+function track(token: string | AccessToken): TrackedToken {
+  if (typeof token === 'string') {
+    return { accessToken: token };
+  }
+  const expiresAt = token.expiresAt instanceof Date ? token.expiresAt.getTime() : token.expiresAt;
+  return { accessToken: token.accessToken, expiresAt };
+}
+
+/**
+ * Convert a token exchange response into an `AccessToken` with an absolute expiry
+ *
+ * @param response - Response of `BackendAuthClient.exchangeCodeForToken()`, whose `expires` counts seconds from issue
+ * @param issuedAt - When the token was issued (defaults to now)
+ * @example
+ * ```typescript
+ * const tokens = await authClient.exchangeCodeForToken(code, codeVerifier);
+ * const sdk = new StackOverflowSDK({ baseUrl, getAccessToken: () => toAccessToken(tokens) });
+ * ```
+ */
+export function toAccessToken(response: TokenResponse, issuedAt: Date | number = Date.now()): AccessToken {
+  const issued = issuedAt instanceof Date ? issuedAt.getTime() : issuedAt;
+  return {
+    accessToken: response.access_token,
+    expiresAt: response.expires ? issued + response.expires * 1000 : undefined,
+  };
+}
+
+/**
+ * Tracks the SDK's access token and its expiry, renewing it through the provider or `onTokenExpired` hook
+ * One instance is shared by every client of an SDK, team contexts included, so a rotated token applies everywhere at once.
+ * Concurrent renewals are coalesced into a single provider or hook call.
+ */
+export class TokenManager implements SecurityAuthentication {
+  private current?: TrackedToken;
+  private pending?: Promise<TrackedToken | undefined>;
+  /** Token and reason for which renewal already came back empty, so it is not asked for again */
+  private declined?: string;
+  private readonly refreshMarginMs: number;
+
+  constructor(private readonly options: TokenManagerOptions = {}) {
+    this.refreshMarginMs = options.refreshMarginMs ?? DEFAULT_REFRESH_MARGIN_MS;
+    if (options.accessToken) {
+      this.current = track({ accessToken: options.accessToken, expiresAt: options.accessTokenExpiresAt });
+    }
+  }
+
+  /**
+   * The token currently in use, if any
+   */
+  get accessToken(): string | undefined {
+    return this.current?.accessToken;
+  }
+
+  /**
+   * Known expiry of the current token
+   */
+  get expiresAt(): Date | undefined {
+    return this.current?.expiresAt !== undefined ? new Date(this.current.expiresAt) : undefined;
+  }
+
+  getName(): string {
+    return 'oauth2';
+  }
+
+  async applySecurityAuthentication(context: RequestContext): Promise<void> {
+    context.setHeaderParam('Authorization', `Bearer ${await this.getToken()}`);
+  }
+
+  /**
+   * Replace the token, e.g. after a refresh done outside the SDK
+   */
+  setToken(token: string | AccessToken): void {
+    this.replace(track(token));
+  }
+
+  /**
+   * Token to send with the next request, renewed first when it is missing or about to expire
+   *
+   * @throws {TokenExpiredError} When the token has expired and could not be renewed
+   * @throws {AuthenticationError} When no token is available, e.g. the provider returned none
+   */
+  async getToken(): Promise<string> {
+    if (this.pending) {
+      const pending = await this.pending;
+      return this.usable(pending || this.current);
+    }
+    const current = this.current;
+    if (current && (!this.isExpiring(current) || this.declined === `expiring:${current.accessToken}`)) {
+      return this.usable(current);
+    }
+    if (!current && !this.options.getAccessToken) {
+      return this.usable(current);
+    }
+
+    // A renewed token is checked too: the provider may hand back the same or an already expired one
+    const renewed = await this.renew(() => this.obtain('expiring', current));
+    return this.usable(renewed || current);
+  }
+
+  /**
+   * Renew the token after the API rejected `rejectedToken` as expired
+   *
+   * @returns True when a different token is now available and the request should be replayed
+   */
+  async renewAfterRejection(rejectedToken: string | undefined, operation: string, error: Error): Promise<boolean> {
+    const failed = rejectedToken || this.current?.accessToken;
+    if (this.pending) {
+      await this.pending.catch(() => undefined);
+    }
+    if (this.current && this.current.accessToken !== failed) {
+      // Another request already rotated the token
+      return true;
+    }
+    if (this.declined === `rejected:${failed}`) {
+      return false;
+    }
+
+    const renewed = await this.renew(() => this.obtain('rejected', this.current, operation, error));
+    return !!renewed && renewed.accessToken !== failed;
+  }
+
+  /**
+   * A token that could not be renewed is still sent until its expiry has actually passed
+   * Requests never go out without a token, which the API would answer as if anonymous.
+   */
+  private usable(token: TrackedToken | undefined): string {
+    if (!token) {
+      throw new AuthenticationError('No access token is available: the token provider returned none', 'getToken');
+    }
+    if (token.expiresAt !== undefined && token.expiresAt <= Date.now()) {
+      throw new TokenExpiredError(`Access token expired at ${new Date(token.expiresAt).toISOString()} and could not be renewed`, 'getToken');
+    }
+    return token.accessToken;
+  }
+
+  private isExpiring(token: TrackedToken): boolean {
+    return token.expiresAt !== undefined && token.expiresAt - this.refreshMarginMs <= Date.now();
+  }
+
+  private async renew(obtain: () => Promise<TrackedToken | undefined>): Promise<TrackedToken | undefined> {
+    if (!this.pending) {
+      this.pending = obtain().then(
+        token => {
+          this.pending = undefined;
+          return token;
+        },
+        error => {
+          this.pending = undefined;
+          throw error;
+        }
+      );
+    }
+    return this.pending;
+  }
+
+  private async obtain(reason: TokenRenewalReason, current?: TrackedToken, operation?: string, error?: Error): Promise<TrackedToken | undefined> {
+    const { getAccessToken, onTokenExpired } = this.options;
+    let next: string | AccessToken | undefined | void;
+
+    if (getAccessToken && (reason === 'expiring' || !onTokenExpired)) {
+      next = await getAccessToken();
+    } else if (onTokenExpired && current) {
+      next = await onTokenExpired({
+        reason,
+        expiredToken: current.accessToken,
+        expiresAt: current.expiresAt !== undefined ? new Date(current.expiresAt) : undefined,
+        operation,
+        error,
+      });
+    }
+
+    if (!next) {
+      this.declined = `${reason}:${current?.accessToken}`;
+      return undefined;
+    }
+    const token = track(next);
+    if (!current || token.accessToken !== current.accessToken || token.expiresAt !== current.expiresAt) {
+      this.replace(token);
+    }
+    return this.current;
+  }
+
+  private replace(token: TrackedToken): void {
+    this.current = token;
+    this.declined = undefined;
+    const callback = this.options.onTokenRefreshed;
+    if (callback) {
+      // Persisting the token must not hold up or fail the request that triggered the renewal
+      Promise.resolve()
+        .then(() => callback({ accessToken: token.accessToken, expiresAt: token.expiresAt !== undefined ? new Date(token.expiresAt) : undefined }))
+        .catch(error => (this.options.logger || defaultLogger).warn('onTokenRefreshed failed; the renewed token is used but was not persisted:', error));
+    }
+  }
+}
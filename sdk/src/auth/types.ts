@@ -1,3 +1,5 @@
+import type { TokenStore } from './tokenStore.js';
+
 /**
  * Configuration for Stack Overflow Enterprise authentication using PKCE
  */
@@ -10,6 +12,8 @@ export interface AuthConfig {
   baseUrl: string; // Stack Overflow Enterprise instance URL
   /** OAuth scope to request (defaults to read-only access if not specified) */
   scope?: string;
+  /** Where `BackendAuthClient` keeps tokens saved with `saveToken()`, keyed by user or session id */
+  tokenStore?: TokenStore;
 }
 
 /**
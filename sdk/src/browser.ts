@@ -0,0 +1,319 @@
+// Browser-safe entry point: everything here runs without Node.js built-ins.
+// The Node.js entry point (index.ts) adds the server-side auth clients, token file storage and HTTP libraries.
+
+// Main SDK classes and configurations
+export {
+    StackOverflowSDK,
+    TeamContext,
+    SDKConfig,
+    AuthSDKConfig
+} from './client/index.js';
+
+// Client classes
+export {
+    AnswerClient,
+    QuestionClient,
+    ArticleClient,
+    CollectionClient,
+    CommentClient,
+    SearchClient,
+    CommunityClient,
+    UserClient,
+    TagClient,
+    UserGroupClient,
+    ImageClient,
+    DiagnosticsClient
+} from './client/index.js';
+
+// Images
+export {
+    MAX_IMAGE_BYTES,
+    LocalImageUploader,
+    findLocalImages
+} from './client/index.js';
+
+export type {
+    ImageSource,
+    GetImageOptions,
+    UploadImageOptions,
+    ImageWithMarkdown,
+    LocalImageOptions,
+    LocalImageReference,
+    ImageUploadFunction
+} from './client/index.js';
+
+// Pagination helpers
+export {
+    PageIterator
+} from './client/shared/pagination.js';
+
+export type {
+    IterateOptions,
+    PaginationCursor
+} from './client/shared/pagination.js';
+
+// Auth clients and types
+export {
+    FrontendAuthClient,
+    BrowserAuthClient,
+    TokenManager,
+    toAccessToken,
+    MemoryTokenStore,
+    KeyValueTokenStore,
+    isTokenExpired,
+    MemorySessionStore
+} from './client/index.js';
+
+export type {
+    AuthConfig,
+    TokenResponse,
+    PKCETokens,
+    BrowserAuthOptions,
+    AccessToken,
+    AccessTokenProvider,
+    TokenExpiredContext,
+    TokenRenewalReason,
+    TokenManagerOptions,
+    TokenStore,
+    StoredToken,
+    KeyValueAdapter,
+    KeyValueTokenStoreOptions,
+    SessionStore,
+    PendingAuthSession
+} from './client/index.js';
+
+// Generated API models and types
+export type {
+    AnswerRequestModel,
+    AnswerResponseModel,
+    AnswerSearchResultModel,
+    AnswerSummaryResponseModel,
+    QuestionRequestModel,
+    QuestionResponseModel,
+    QuestionSearchResultModel,
+    QuestionSummaryResponseModel,
+    ArticleResponseModel,
+    ArticleRequestModel,
+    CommentResponseModel,
+    UserResponseModel,
+    UserDetailsResponseModel,
+    UserSummaryResponseModel,
+    UserGroupRequestModel,
+    UserGroupResponseModel,
+    CollectionRequestModel,
+    CollectionContentSummaryResponseModel,
+    CollectionsResponseModel,
+    CollectionsSummaryResponseModel,
+    SearchResultModel,
+    CommunityMemberResponseModel,
+    CommunityResponseModel,
+    CommunitySummaryResponseModel,
+    TagSummaryResponseModel,
+    TagResponseModel,
+} from './generated/index.js';
+
+// Configuration utilities
+export { 
+    createConfiguration,
+    ConfigurationParameters,
+    ConfigurationOptions
+} from './generated/configuration.js';
+
+// Auth configuration
+export {
+    AuthMethodsConfiguration,
+    AuthMethods
+} from './generated/auth/auth.js';
+
+// Server configuration
+export {
+    ServerConfiguration,
+    server1
+} from './generated/servers.js';
+
+// HTTP library
+export {
+    FixedIsomorphicFetchHttpLibrary
+} from './client/index.js';
+
+// Rate limiting
+export {
+    RateLimitScheduler,
+    ScheduledHttpLibrary
+} from './client/index.js';
+
+export type {
+    RateLimitOptions,
+    RateLimitStatus
+} from './client/index.js';
+
+// Entity loaders
+export {
+    EntityLoader
+} from './client/index.js';
+
+export type {
+    LoaderOptions,
+    CommentWithAuthor
+} from './client/index.js';
+
+// Question threads
+export type {
+    QuestionThread,
+    ThreadAnswer,
+    GetThreadOptions
+} from './client/index.js';
+
+// Flagging
+export {
+    resolveFlagOption
+} from './client/index.js';
+
+export type {
+    FlagKind,
+    FlagSelector,
+    FlagOptions,
+    FlagInput,
+    FlagManyOptions,
+    FlagResult,
+    QuestionFlag,
+    AnswerFlag
+} from './client/index.js';
+
+// User analytics
+export type {
+    UserAnalyticsResponseModel,
+    GetUserAnalyticsOptions,
+    AnalyticsGranularity,
+    AnalyticsRollupOptions,
+    AnalyticsTotals,
+    AnalyticsPeriodTotals,
+    AnalyticsRollup
+} from './client/index.js';
+
+// Diagnostics
+export {
+    FeatureRegistry,
+    getOperationFeatures
+} from './client/index.js';
+
+export type {
+    DiagnoseOptions,
+    DiagnosticReport,
+    DiagnosticContext,
+    DeploymentKind,
+    AuthStatus,
+    FeatureSupport,
+    ApiFeature
+} from './client/index.js';
+
+// Observability
+export {
+    createTracingHooks,
+    consoleLogger,
+    silentLogger
+} from './client/index.js';
+
+export type {
+    RequestHooks,
+    RequestEvent,
+    RequestEndEvent,
+    RequestErrorEvent,
+    Logger,
+    TracerLike,
+    SpanLike,
+    TracingOptions
+} from './client/index.js';
+
+// Response caching
+export {
+    ResponseCache,
+    MemoryCacheStore
+} from './client/index.js';
+
+export type {
+    CacheOptions,
+    CacheStore,
+    CachedResponse
+} from './client/index.js';
+
+// Response validation
+export {
+    ResponseValidator
+} from './client/index.js';
+
+export type {
+    StrictResponseOptions,
+    SchemaViolation,
+    ResponseValidationResult,
+    OpenApiDocument,
+    SchemaObject
+} from './client/index.js';
+
+// Retries and circuit breaking
+export {
+    CircuitBreaker
+} from './client/index.js';
+
+export type {
+    RetryOptions,
+    RetryEvent,
+    CircuitBreakerOptions,
+    CircuitState,
+    RequestOptions
+} from './client/index.js';
+
+// Middleware
+export {
+    headerMiddleware
+} from './client/index.js';
+
+// Scopes
+export {
+    getOperationRequirement
+} from './client/index.js';
+
+export type {
+    OperationRequirement
+} from './client/index.js';
+
+export type {
+    SDKMiddleware
+} from './client/index.js';
+
+export {
+    RequestContext,
+    ResponseContext,
+    HttpMethod
+} from './generated/index.js';
+
+// Errors
+export {
+    SDKError,
+    AuthenticationError,
+    TokenExpiredError,
+    ForbiddenError,
+    InsufficientScopeError,
+    NotFoundError,
+    ContentParseError,
+    CircuitOpenError,
+    RequestAbortedError,
+    TimeoutError,
+    SchemaMismatchError,
+    OAuthFlowError,
+    InvalidImageError,
+    InvalidFlagError,
+    UnsupportedFeatureError,
+    isAuthenticationError,
+    isRecoverableError,
+    getUserFriendlyMessage
+} from './client/shared/errors.js';
+
+export type {
+    OAuthFlowErrorReason,
+    InvalidImageReason,
+    InvalidFlagReason
+} from './client/shared/errors.js';
+
+// Default export
+export { default } from './client/index.js';
\ No newline at end of file
@@ -1,12 +1,25 @@
-import { BaseClient } from './shared';
+import {
+  BaseClient,
+  ClientOptions,
+  RequestOptions,
+  IterateOptions,
+  PageIterator,
+  FlagInput,
+  FlagManyOptions,
+  FlagResult,
+  toFlagRequest,
+  flagEach
+} from './shared';
 import { AnswersMainApi, AnswersTeamsApi } from '../generated/index.js';
+import { ImageClient } from './images.js';
 import { 
   AnswerRequestModel, 
   AnswerResponseModel, 
   AnswerSummaryResponseModel,
   PaginatedAnswers,
   AnswersSortParameter,
-  SortOrder 
+  SortOrder,
+  FlagOptionResponseModel
 } from '../generated/index.js';
 
 /**
@@ -33,6 +46,19 @@ export interface GetAnswersOptions {
   order?: 'asc' | 'desc' | SortOrder;
 }
 
+/**
+ * An answer to flag as part of a batch
+ * @typedef {Object} AnswerFlag
+ * @property {number} questionId - The question the answer belongs to
+ * @property {number} answerId - The answer to flag
+ * @property {FlagInput} flag - The flag to raise, by option name, kind or ID
+ */
+export interface AnswerFlag {
+  questionId: number;
+  answerId: number;
+  flag: FlagInput;
+}
+
 /**
  * Client for managing answers in Stack Overflow for Teams
  * 
@@ -52,14 +78,17 @@ export interface GetAnswersOptions {
  * const answerClient = new AnswerClient(config, 'team-123');
  */
 export class AnswerClient extends BaseClient {
+  protected readonly clientName = 'answers';
   private mainApi: AnswersMainApi;
   private teamsApi?: AnswersTeamsApi;
+  private images: ImageClient;
 
   /**
    * Creates a new AnswerClient instance
    * 
    * @param {ReturnType<typeof import('../generated/configuration').createConfiguration>} config - API configuration object
    * @param {string} [teamId] - Optional team ID for team-specific operations
+   * @param {ClientOptions} [options] - Behaviour shared across the SDK instance (retries, circuit breaker, cache)
    * 
    * @example
    * const config = createConfiguration({ ... });
@@ -69,12 +98,13 @@ export class AnswerClient extends BaseClient {
    * // For team-specific operations
    * const teamClient = new AnswerClient(config, 'my-team-id');
    */
-  constructor(config: ReturnType<typeof import('../generated/configuration').createConfiguration>, private teamId?: string) {
-    super();
+  constructor(config: ReturnType<typeof import('../generated/configuration').createConfiguration>, private teamId?: string, options?: ClientOptions) {
+    super(options, teamId);
     this.mainApi = new AnswersMainApi(config);
     if (teamId) {
       this.teamsApi = new AnswersTeamsApi(config);
     }
+    this.images = new ImageClient(config, teamId, options);
   }
 
   /**
@@ -82,6 +112,7 @@ export class AnswerClient extends BaseClient {
    * 
    * @param {number} questionId - The unique identifier of the question
    * @param {GetAnswersOptions} [options={}] - Options for pagination and sorting
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedAnswers>} A promise that resolves to paginated answer results
    * 
    * @throws {Error} When the API request fails or returns an error
@@ -107,18 +138,35 @@ export class AnswerClient extends BaseClient {
    *   console.log(`Answer ${answer.id}: ${answer.score} points`);
    * });
    */
-  async getAll(questionId: number, options: GetAnswersOptions = {}): Promise<PaginatedAnswers> {
-    return this.handleApiCall(async () => {
+  async getAll(questionId: number, options: GetAnswersOptions = {}, requestOptions?: RequestOptions): Promise<PaginatedAnswers> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
         return await this.teamsApi.teamsTeamQuestionsQuestionIdAnswersGet(
-          questionId, this.teamId, options.page, options.pageSize, options.sort as AnswersSortParameter, options.order as SortOrder 
+          questionId, this.teamId, options.page, options.pageSize, options.sort as AnswersSortParameter, options.order as SortOrder,
+          callOptions 
         );
       }
       
       return await this.mainApi.questionsQuestionIdAnswersGet(
-        questionId, options.page, options.pageSize, options.sort as AnswersSortParameter, options.order as SortOrder
+        questionId, options.page, options.pageSize, options.sort as AnswersSortParameter, options.order as SortOrder,
+        callOptions
       );
-    }, 'getAll');
+    }, 'getAll', requestOptions, this.cacheRead('answers.getAll', questionId, options));
+  }
+
+  /**
+   * Iterates over every answer to a question, fetching pages as needed
+   * 
+   * @param {number} questionId - The unique identifier of the question
+   * @param {GetAnswersOptions} [options={}] - Sorting options; `page` sets the starting page
+   * @param {IterateOptions} [iterateOptions={}] - Parallelism, item limit and resume cursor
+   * @returns {PageIterator<AnswerSummaryResponseModel>} An async iterable with an `all()` collector
+   * 
+   * @example
+   * const answers = await answerClient.iterate(123, { sort: 'score', order: 'desc' }).all();
+   */
+  iterate(questionId: number, options: GetAnswersOptions = {}, iterateOptions: IterateOptions = {}): PageIterator<AnswerSummaryResponseModel, PaginatedAnswers> {
+    return new PageIterator(page => this.getAll(questionId, { ...options, page }, iterateOptions.request), iterateOptions, options.page);
   }
 
   /**
@@ -126,6 +174,7 @@ export class AnswerClient extends BaseClient {
    * 
    * @param {number} questionId - The unique identifier of the question
    * @param {number} answerId - The unique identifier of the answer
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<AnswerResponseModel>} A promise that resolves to the complete answer details
    * 
    * @throws {Error} When the answer is not found or the API request fails
@@ -136,16 +185,17 @@ export class AnswerClient extends BaseClient {
    * console.log(`Score: ${answer.score}`);
    * console.log(`Accepted: ${answer.isAccepted}`);
    */
-  async get(questionId: number, answerId: number): Promise<AnswerResponseModel> {
-    return this.handleApiCall(async () => {
+  async get(questionId: number, answerId: number, requestOptions?: RequestOptions): Promise<AnswerResponseModel> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
         return await this.teamsApi.teamsTeamQuestionsQuestionIdAnswersAnswerIdGet(
-          questionId, answerId, this.teamId
+          questionId, answerId, this.teamId,
+          callOptions
         );
       }
       
-      return await this.mainApi.questionsQuestionIdAnswersAnswerIdGet(questionId, answerId);
-    }, 'get');
+      return await this.mainApi.questionsQuestionIdAnswersAnswerIdGet(questionId, answerId, callOptions);
+    }, 'get', requestOptions, this.cacheRead('answers.get', questionId, answerId));
   }
 
   /**
@@ -153,6 +203,7 @@ export class AnswerClient extends BaseClient {
    * 
    * @param {number} questionId - The unique identifier of the question to answer
    * @param {CreateAnswerOptions} options - The answer content and options
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<AnswerResponseModel>} A promise that resolves to the created answer
    * 
    * @throws {Error} When the answer creation fails due to validation errors or API issues
@@ -163,18 +214,20 @@ export class AnswerClient extends BaseClient {
    * });
    * console.log(`Created answer with ID: ${newAnswer.id}`);
    */
-  async create(questionId: number, options: CreateAnswerOptions): Promise<AnswerResponseModel> {
-    return this.handleApiCall(async () => {
-      const request: AnswerRequestModel = { body: options.body };
+  async create(questionId: number, options: CreateAnswerOptions, requestOptions?: RequestOptions): Promise<AnswerResponseModel> {
+    const body = await this.uploadLocalImages(options.body, (data, fileName) => this.images.upload(data, { fileName }, requestOptions));
+    return this.handleApiCall(async (callOptions) => {
+      const request: AnswerRequestModel = { body };
 
       if (this.teamId && this.teamsApi) {
         return await this.teamsApi.teamsTeamQuestionsQuestionIdAnswersPost(
-          questionId, this.teamId, request
+          questionId, this.teamId, request,
+          callOptions
         );
       }
       
-      return await this.mainApi.questionsQuestionIdAnswersPost(questionId, request);
-    }, 'create');
+      return await this.mainApi.questionsQuestionIdAnswersPost(questionId, request, callOptions);
+    }, 'create', requestOptions, this.cacheEvict('answers.getAll', ['questions.get', questionId]));
   }
 
   /**
@@ -183,6 +236,7 @@ export class AnswerClient extends BaseClient {
    * @param {number} questionId - The unique identifier of the question
    * @param {number} answerId - The unique identifier of the answer to update
    * @param {CreateAnswerOptions} options - The updated answer content
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<AnswerResponseModel>} A promise that resolves to the updated answer
    * 
    * @throws {Error} When the answer is not found, user lacks permissions, or the API request fails
@@ -192,18 +246,20 @@ export class AnswerClient extends BaseClient {
    *   body: '## Updated Solution\n\nI have revised my answer...'
    * });
    */
-  async update(questionId: number, answerId: number, options: CreateAnswerOptions): Promise<AnswerResponseModel> {
-    return this.handleApiCall(async () => {
-      const request: AnswerRequestModel = { body: options.body };
+  async update(questionId: number, answerId: number, options: CreateAnswerOptions, requestOptions?: RequestOptions): Promise<AnswerResponseModel> {
+    const body = await this.uploadLocalImages(options.body, (data, fileName) => this.images.upload(data, { fileName }, requestOptions));
+    return this.handleApiCall(async (callOptions) => {
+      const request: AnswerRequestModel = { body };
 
       if (this.teamId && this.teamsApi) {
         return await this.teamsApi.teamsTeamQuestionsQuestionIdAnswersAnswerIdPut(
-          questionId, answerId, this.teamId, request
+          questionId, answerId, this.teamId, request,
+          callOptions
         );
       }
       
-      return await this.mainApi.questionsQuestionIdAnswersAnswerIdPut(questionId, answerId, request);
-    }, 'update');
+      return await this.mainApi.questionsQuestionIdAnswersAnswerIdPut(questionId, answerId, request, callOptions);
+    }, 'update', requestOptions, this.cacheEvict(['answers.get', questionId, answerId], 'answers.getAll'));
   }
 
   /**
@@ -211,6 +267,7 @@ export class AnswerClient extends BaseClient {
    * 
    * @param {number} questionId - The unique identifier of the question
    * @param {number} answerId - The unique identifier of the answer to delete
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<void>} A promise that resolves when the answer is successfully deleted
    * 
    * @throws {Error} When the answer is not found, user lacks permissions, or the API request fails
@@ -219,17 +276,18 @@ export class AnswerClient extends BaseClient {
    * await answerClient.delete(123, 456);
    * console.log('Answer deleted successfully');
    */
-  async delete(questionId: number, answerId: number): Promise<void> {
-    return this.handleApiCall(async () => {
+  async delete(questionId: number, answerId: number, requestOptions?: RequestOptions): Promise<void> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
         await this.teamsApi.teamsTeamQuestionsQuestionIdAnswersAnswerIdDelete(
-          questionId, answerId, this.teamId
+          questionId, answerId, this.teamId,
+          callOptions
         );
         return;
       }
       
-      await this.mainApi.questionsQuestionIdAnswersAnswerIdDelete(questionId, answerId);
-    }, 'delete');
+      await this.mainApi.questionsQuestionIdAnswersAnswerIdDelete(questionId, answerId, callOptions);
+    }, 'delete', requestOptions, this.cacheEvict(['answers.get', questionId, answerId], 'answers.getAll', ['questions.get', questionId]));
   }
 
   // Voting methods
@@ -239,6 +297,7 @@ export class AnswerClient extends BaseClient {
    * 
    * @param {number} questionId - The unique identifier of the question
    * @param {number} answerId - The unique identifier of the answer to upvote
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<AnswerSummaryResponseModel>} A promise that resolves to the updated answer summary
    * 
    * @throws {Error} When the answer is not found, user lacks permissions, or has already upvoted
@@ -247,16 +306,17 @@ export class AnswerClient extends BaseClient {
    * const updatedAnswer = await answerClient.upvote(123, 456);
    * console.log(`New score: ${updatedAnswer.score}`);
    */
-  async upvote(questionId: number, answerId: number): Promise<AnswerSummaryResponseModel> {
-    return this.handleApiCall(async () => {
+  async upvote(questionId: number, answerId: number, requestOptions?: RequestOptions): Promise<AnswerSummaryResponseModel> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
         return await this.teamsApi.teamsTeamQuestionsQuestionIdAnswersAnswerIdUpvotePost(
-          questionId, answerId, this.teamId
+          questionId, answerId, this.teamId,
+          callOptions
         );
       }
       
-      return await this.mainApi.questionsQuestionIdAnswersAnswerIdUpvotePost(questionId, answerId);
-    }, 'upvote');
+      return await this.mainApi.questionsQuestionIdAnswersAnswerIdUpvotePost(questionId, answerId, callOptions);
+    }, 'upvote', requestOptions, this.cacheEvict(['answers.get', questionId, answerId], 'answers.getAll'));
   }
 
   /**
@@ -264,6 +324,7 @@ export class AnswerClient extends BaseClient {
    * 
    * @param {number} questionId - The unique identifier of the question
    * @param {number} answerId - The unique identifier of the answer to remove upvote from
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<AnswerSummaryResponseModel>} A promise that resolves to the updated answer summary
    * 
    * @throws {Error} When the answer is not found, user lacks permissions, or hasn't upvoted
@@ -272,16 +333,17 @@ export class AnswerClient extends BaseClient {
    * const updatedAnswer = await answerClient.removeUpvote(123, 456);
    * console.log(`Score after removing upvote: ${updatedAnswer.score}`);
    */
-  async removeUpvote(questionId: number, answerId: number): Promise<AnswerSummaryResponseModel> {
-    return this.handleApiCall(async () => {
+  async removeUpvote(questionId: number, answerId: number, requestOptions?: RequestOptions): Promise<AnswerSummaryResponseModel> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
         return await this.teamsApi.teamsTeamQuestionsQuestionIdAnswersAnswerIdUpvoteDelete(
-          questionId, answerId, this.teamId
+          questionId, answerId, this.teamId,
+          callOptions
         );
       }
       
-      return await this.mainApi.questionsQuestionIdAnswersAnswerIdUpvoteDelete(questionId, answerId);
-    }, 'removeUpvote');
+      return await this.mainApi.questionsQuestionIdAnswersAnswerIdUpvoteDelete(questionId, answerId, callOptions);
+    }, 'removeUpvote', requestOptions, this.cacheEvict(['answers.get', questionId, answerId], 'answers.getAll'));
   }
 
   /**
@@ -289,6 +351,7 @@ export class AnswerClient extends BaseClient {
    * 
    * @param {number} questionId - The unique identifier of the question
    * @param {number} answerId - The unique identifier of the answer to downvote
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<AnswerSummaryResponseModel>} A promise that resolves to the updated answer summary
    * 
    * @throws {Error} When the answer is not found, user lacks permissions, or has already downvoted
@@ -297,16 +360,17 @@ export class AnswerClient extends BaseClient {
    * const updatedAnswer = await answerClient.downvote(123, 456);
    * console.log(`New score: ${updatedAnswer.score}`);
    */
-  async downvote(questionId: number, answerId: number): Promise<AnswerSummaryResponseModel> {
-    return this.handleApiCall(async () => {
+  async downvote(questionId: number, answerId: number, requestOptions?: RequestOptions): Promise<AnswerSummaryResponseModel> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
         return await this.teamsApi.teamsTeamQuestionsQuestionIdAnswersAnswerIdDownvotePost(
-          questionId, answerId, this.teamId
+          questionId, answerId, this.teamId,
+          callOptions
         );
       }
       
-      return await this.mainApi.questionsQuestionIdAnswersAnswerIdDownvotePost(questionId, answerId);
-    }, 'downvote');
+      return await this.mainApi.questionsQuestionIdAnswersAnswerIdDownvotePost(questionId, answerId, callOptions);
+    }, 'downvote', requestOptions, this.cacheEvict(['answers.get', questionId, answerId], 'answers.getAll'));
   }
 
   /**
@@ -314,6 +378,7 @@ export class AnswerClient extends BaseClient {
    * 
    * @param {number} questionId - The unique identifier of the question
    * @param {number} answerId - The unique identifier of the answer to remove downvote from
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<AnswerSummaryResponseModel>} A promise that resolves to the updated answer summary
    * 
    * @throws {Error} When the answer is not found, user lacks permissions, or hasn't downvoted
@@ -322,16 +387,17 @@ export class AnswerClient extends BaseClient {
    * const updatedAnswer = await answerClient.removeDownvote(123, 456);
    * console.log(`Score after removing downvote: ${updatedAnswer.score}`);
    */
-  async removeDownvote(questionId: number, answerId: number): Promise<AnswerSummaryResponseModel> {
-    return this.handleApiCall(async () => {
+  async removeDownvote(questionId: number, answerId: number, requestOptions?: RequestOptions): Promise<AnswerSummaryResponseModel> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
         return await this.teamsApi.teamsTeamQuestionsQuestionIdAnswersAnswerIdDownvoteDelete(
-          questionId, answerId, this.teamId
+          questionId, answerId, this.teamId,
+          callOptions
         );
       }
       
-      return await this.mainApi.questionsQuestionIdAnswersAnswerIdDownvoteDelete(questionId, answerId);
-    }, 'removeDownvote');
+      return await this.mainApi.questionsQuestionIdAnswersAnswerIdDownvoteDelete(questionId, answerId, callOptions);
+    }, 'removeDownvote', requestOptions, this.cacheEvict(['answers.get', questionId, answerId], 'answers.getAll'));
   }
 
   // Moderation methods
@@ -344,6 +410,7 @@ export class AnswerClient extends BaseClient {
    * 
    * @param {number} questionId - The unique identifier of the question
    * @param {number} answerId - The unique identifier of the answer to accept
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<AnswerSummaryResponseModel>} A promise that resolves to the updated answer summary
    * 
    * @throws {Error} When the answer is not found, user lacks permissions, or another answer is already accepted
@@ -352,16 +419,17 @@ export class AnswerClient extends BaseClient {
    * const acceptedAnswer = await answerClient.accept(123, 456);
    * console.log(`Answer accepted: ${acceptedAnswer.isAccepted}`);
    */
-  async accept(questionId: number, answerId: number): Promise<AnswerSummaryResponseModel> {
-    return this.handleApiCall(async () => {
+  async accept(questionId: number, answerId: number, requestOptions?: RequestOptions): Promise<AnswerSummaryResponseModel> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
         return await this.teamsApi.teamsTeamQuestionsQuestionIdAnswersAnswerIdAcceptPost(
-          questionId, answerId, this.teamId
+          questionId, answerId, this.teamId,
+          callOptions
         );
       }
       
-      return await this.mainApi.questionsQuestionIdAnswersAnswerIdAcceptPost(questionId, answerId);
-    }, 'accept');
+      return await this.mainApi.questionsQuestionIdAnswersAnswerIdAcceptPost(questionId, answerId, callOptions);
+    }, 'accept', requestOptions, this.cacheEvict(['answers.get', questionId, answerId], 'answers.getAll', ['questions.get', questionId]));
   }
 
   /**
@@ -372,6 +440,7 @@ export class AnswerClient extends BaseClient {
    * 
    * @param {number} questionId - The unique identifier of the question
    * @param {number} answerId - The unique identifier of the answer to unaccept
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<AnswerSummaryResponseModel>} A promise that resolves to the updated answer summary
    * 
    * @throws {Error} When the answer is not found, user lacks permissions, or the answer wasn't accepted
@@ -380,40 +449,108 @@ export class AnswerClient extends BaseClient {
    * const unacceptedAnswer = await answerClient.unaccept(123, 456);
    * console.log(`Answer no longer accepted: ${!unacceptedAnswer.isAccepted}`);
    */
-  async unaccept(questionId: number, answerId: number): Promise<AnswerSummaryResponseModel> {
-    return this.handleApiCall(async () => {
+  async unaccept(questionId: number, answerId: number, requestOptions?: RequestOptions): Promise<AnswerSummaryResponseModel> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
         return await this.teamsApi.teamsTeamQuestionsQuestionIdAnswersAnswerIdAcceptDelete(
-          questionId, answerId, this.teamId
+          questionId, answerId, this.teamId,
+          callOptions
         );
       }
       
-      return await this.mainApi.questionsQuestionIdAnswersAnswerIdAcceptDelete(questionId, answerId);
-    }, 'unaccept');
+      return await this.mainApi.questionsQuestionIdAnswersAnswerIdAcceptDelete(questionId, answerId, callOptions);
+    }, 'unaccept', requestOptions, this.cacheEvict(['answers.get', questionId, answerId], 'answers.getAll', ['questions.get', questionId]));
   }
 
-  // Flagging is possible through the API, for now I see this as an inherited utility from the Public forum as it is not used as much on SOE, I'll review this in future but for now will not support.
-//   async getFlagOptions(questionId: number, answerId: number) {
-//     return this.handleApiCall(async () => {
-//       if (this.teamId && this.teamsApi) {
-//         return await this.teamsApi.teamsTeamQuestionsQuestionIdAnswersAnswerIdFlagsOptionsGet(
-//           questionId, answerId, this.teamId
-//         );
-//       }
+  /**
+   * Retrieves available flagging options for an answer
+   * 
+   * This method returns the flagging options available to the current user for the
+   * specified answer, including any required fields for each option.
+   * 
+   * @param {number} questionId - The unique identifier of the question
+   * @param {number} answerId - The unique identifier of the answer
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
+   * @returns {Promise<Array<FlagOptionResponseModel>>} A promise that resolves to available flag options
+   * 
+   * @throws {Error} When the answer is not found or the API request fails
+   * 
+   * @example
+   * const flagOptions = await answerClient.getFlagOptions(123, 456);
+   * flagOptions.forEach(option => {
+   *   console.log(`${option.title}: ${option.description}`);
+   * });
+   */
+  async getFlagOptions(questionId: number, answerId: number, requestOptions?: RequestOptions): Promise<Array<FlagOptionResponseModel>> {
+    return this.handleApiCall(async (callOptions) => {
+      if (this.teamId && this.teamsApi) {
+        return await this.teamsApi.teamsTeamQuestionsQuestionIdAnswersAnswerIdFlagsOptionsGet(
+          questionId, answerId, this.teamId,
+          callOptions
+        );
+      }
       
-//       return await this.mainApi.questionsQuestionIdAnswersAnswerIdFlagsOptionsGet(questionId, answerId);
-//     }, 'getFlagOptions');
-//   }
+      return await this.mainApi.questionsQuestionIdAnswersAnswerIdFlagsOptionsGet(questionId, answerId, callOptions);
+    }, 'getFlagOptions', requestOptions);
+  }
+
+  /**
+   * Flags an answer for moderator attention
+   * 
+   * Given as `FlagOptions`, the flag option is looked up by name, kind or ID among those
+   * offered for the answer, and checked for the fields it requires before anything is sent.
+   * A `FlagRequestModel` is sent as given.
+   * 
+   * @param {number} questionId - The unique identifier of the question
+   * @param {number} answerId - The unique identifier of the answer to flag
+   * @param {FlagInput} flagData - The flag option by name, kind or ID and any required fields, or a raw `FlagRequestModel`
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
+   * @returns {Promise<void>} A promise that resolves when the flag is successfully submitted
+   * 
+   * @throws {InvalidFlagError} When no offered option matches, or a required field such as `comment` is missing
+   * @throws {Error} When the answer is not found, flag data is invalid, or the API request fails
+   * 
+   * @example
+   * await answerClient.flag(123, 456, { option: 'not_an_answer' });
+   * 
+   * @example
+   * await answerClient.flag(123, 456, {
+   *   option: 'moderator',
+   *   comment: 'Contains credentials for our staging environment'
+   * });
+   */
+  async flag(questionId: number, answerId: number, flagData: FlagInput, requestOptions?: RequestOptions): Promise<void> {
+    this.assertScope('flag');
+    const flagRequest = await toFlagRequest(flagData, () => this.getFlagOptions(questionId, answerId, requestOptions), 'flag');
 
-//   async flag(questionId: number, answerId: number, flagData: any) {
-//     return this.handleApiCall(async () => {
-//       if (this.teamId && this.teamsApi) {
-//         return await this.teamsApi.teamsTeamQuestionsQuestionIdAnswersAnswerIdFlagsPost(
-//           questionId, answerId, this.teamId, flagData
-//         );
-//       }
+    return this.handleApiCall(async (callOptions) => {
+      if (this.teamId && this.teamsApi) {
+        await this.teamsApi.teamsTeamQuestionsQuestionIdAnswersAnswerIdFlagsPost(
+          questionId, answerId, this.teamId, flagRequest,
+          callOptions
+        );
+        return;
+      }
       
-//       return await this.mainApi.questionsQuestionIdAnswersAnswerIdFlagsPost(questionId, answerId, flagData);
-//     }, 'flag');
-//   }
-}
\ No newline at end of file
+      await this.mainApi.questionsQuestionIdAnswersAnswerIdFlagsPost(questionId, answerId, flagRequest, callOptions);
+    }, 'flag', requestOptions);
+  }
+
+  /**
+   * Flags several answers, reporting the outcome for each instead of stopping at the first failure
+   * 
+   * @param {AnswerFlag[]} answers - The answers to flag and the flag to raise on each
+   * @param {FlagManyOptions} [options={}] - Concurrency and per-call options
+   * @returns {Promise<Array<FlagResult<AnswerFlag>>>} One result per answer, in the given order
+   * 
+   * @example
+   * const results = await answerClient.flagMany([
+   *   { questionId: 123, answerId: 456, flag: { option: 'spam' } },
+   *   { questionId: 123, answerId: 789, flag: { option: 'not_an_answer' } }
+   * ]);
+   * const failed = results.filter(result => !result.success);
+   */
+  async flagMany(answers: AnswerFlag[], options: FlagManyOptions = {}): Promise<Array<FlagResult<AnswerFlag>>> {
+    return flagEach(answers, answer => this.flag(answer.questionId, answer.answerId, answer.flag, options.request), options);
+  }
+}
@@ -1,14 +1,17 @@
-import { BaseClient } from './shared';
+import { BaseClient, ClientOptions, RequestOptions, IterateOptions, PageIterator } from './shared';
 import { ArticlePermissionsRequestModel, ArticlesMainApi, ArticlesTeamsApi, ArticleType } from '../generated/index.js';
 import { 
   ArticleRequestModel,
   ArticleResponseModel,
+  ArticleSummaryResponseModel,
   PaginatedArticles,
   PaginatedLinkedOrRelatedQuestions,
+  QuestionSummaryResponseModel,
   ArticleSortParameter,
   LinkedOrRelatedQuestionsSortParameter,
   SortOrder
 } from '../generated/index.js';
+import { ImageClient } from './images.js';
 
 /**
  * Options for creating a new article
@@ -103,14 +106,17 @@ export interface GetLinkedQuestionsOptions {
  * const articleClient = new ArticleClient(config, 'team-123');
  */
 export class ArticleClient extends BaseClient {
+  protected readonly clientName = 'articles';
   private mainApi: ArticlesMainApi;
   private teamsApi?: ArticlesTeamsApi;
+  private images: ImageClient;
 
   /**
    * Creates a new ArticleClient instance
    * 
    * @param {ReturnType<typeof import('../generated/configuration').createConfiguration>} config - API configuration object
    * @param {string} [teamId] - Optional team ID for team-specific operations
+   * @param {ClientOptions} [options] - Behaviour shared across the SDK instance (retries, circuit breaker, cache)
    * 
    * @example
    * const config = createConfiguration({ ... });
@@ -120,18 +126,20 @@ export class ArticleClient extends BaseClient {
    * // For team-specific operations
    * const teamClient = new ArticleClient(config, 'my-team-id');
    */
-  constructor(config: ReturnType<typeof import('../generated/configuration').createConfiguration>, private teamId?: string) {
-    super();
+  constructor(config: ReturnType<typeof import('../generated/configuration').createConfiguration>, private teamId?: string, options?: ClientOptions) {
+    super(options, teamId);
     this.mainApi = new ArticlesMainApi(config);
     if (teamId) {
       this.teamsApi = new ArticlesTeamsApi(config);
     }
+    this.images = new ImageClient(config, teamId, options);
   }
 
   /**
    * Retrieves all articles with optional filtering, pagination and sorting
    * 
    * @param {GetArticlesOptions} [options={}] - Options for filtering, pagination and sorting
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedArticles>} A promise that resolves to paginated article results
    * 
    * @throws {Error} When the API request fails or returns an error
@@ -164,8 +172,8 @@ export class ArticleClient extends BaseClient {
    *   console.log(`${article.title}: ${article.score} points, ${article.viewCount} views`);
    * });
    */
-  async getAll(options: GetArticlesOptions = {}): Promise<PaginatedArticles> {
-    return this.handleApiCall(async () => {
+  async getAll(options: GetArticlesOptions = {}, requestOptions?: RequestOptions): Promise<PaginatedArticles> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
         return await this.teamsApi.teamsTeamArticlesGet(
           this.teamId,
@@ -176,7 +184,8 @@ export class ArticleClient extends BaseClient {
           options.tagId,
           options.authorId,
           options.from,
-          options.to
+          options.to,
+          callOptions
         );
       }
       
@@ -188,15 +197,33 @@ export class ArticleClient extends BaseClient {
         options.tagId,
         options.authorId,
         options.from,
-        options.to
+        options.to,
+        callOptions
       );
-    }, 'getAll');
+    }, 'getAll', requestOptions, this.cacheRead('articles.getAll', options));
+  }
+
+  /**
+   * Iterates over every article matching the given filters, fetching pages as needed
+   * 
+   * @param {GetArticlesOptions} [options={}] - Filtering and sorting options; `page` sets the starting page
+   * @param {IterateOptions} [iterateOptions={}] - Parallelism, item limit and resume cursor
+   * @returns {PageIterator<ArticleSummaryResponseModel>} An async iterable with an `all()` collector
+   * 
+   * @example
+   * for await (const article of articleClient.iterate({ tagId: [42] })) {
+   *   console.log(article.title);
+   * }
+   */
+  iterate(options: GetArticlesOptions = {}, iterateOptions: IterateOptions = {}): PageIterator<ArticleSummaryResponseModel, PaginatedArticles> {
+    return new PageIterator(page => this.getAll({ ...options, page }, iterateOptions.request), iterateOptions, options.page);
   }
 
   /**
    * Retrieves a specific article by its ID
    * 
    * @param {number} articleId - The unique identifier of the article
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<ArticleResponseModel>} A promise that resolves to the complete article details
    * 
    * @throws {Error} When the article is not found or the API request fails
@@ -209,20 +236,21 @@ export class ArticleClient extends BaseClient {
    * console.log(`Tags: ${article.tags?.map(tag => tag.name).join(', ')}`);
    * console.log(`Can edit: ${article.userCanEdit}`);
    */
-  async get(articleId: number): Promise<ArticleResponseModel> {
-    return this.handleApiCall(async () => {
+  async get(articleId: number, requestOptions?: RequestOptions): Promise<ArticleResponseModel> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
-        return await this.teamsApi.teamsTeamArticlesArticleIdGet(articleId, this.teamId);
+        return await this.teamsApi.teamsTeamArticlesArticleIdGet(articleId, this.teamId, callOptions);
       }
       
-      return await this.mainApi.articlesArticleIdGet(articleId);
-    }, 'get');
+      return await this.mainApi.articlesArticleIdGet(articleId, callOptions);
+    }, 'get', requestOptions, this.cacheRead('articles.get', articleId));
   }
 
   /**
    * Creates a new article
    * 
    * @param {CreateArticleOptions} options - The article content and configuration
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<ArticleResponseModel>} A promise that resolves to the created article
    * 
    * @throws {Error} When article creation fails due to validation errors or API issues
@@ -240,22 +268,23 @@ export class ArticleClient extends BaseClient {
    * });
    * console.log(`Created article with ID: ${newArticle.id}`);
    */
-  async create(options: CreateArticleOptions): Promise<ArticleResponseModel> {
-    return this.handleApiCall(async () => {
+  async create(options: CreateArticleOptions, requestOptions?: RequestOptions): Promise<ArticleResponseModel> {
+    const body = await this.uploadLocalImages(options.body, (data, fileName) => this.images.upload(data, { fileName }, requestOptions));
+    return this.handleApiCall(async (callOptions) => {
       const request: ArticleRequestModel = {
         title: options.title,
-        body: options.body,
+        body,
         tags: options.tags,
         type: options.type,
         permissions: options.permissions
       };
 
       if (this.teamId && this.teamsApi) {
-        return await this.teamsApi.teamsTeamArticlesPost(this.teamId, request);
+        return await this.teamsApi.teamsTeamArticlesPost(this.teamId, request, callOptions);
       }
       
-      return await this.mainApi.articlesPost(request);
-    }, 'create');
+      return await this.mainApi.articlesPost(request, callOptions);
+    }, 'create', requestOptions, this.cacheEvict('articles.getAll'));
   }
 
   /**
@@ -263,6 +292,7 @@ export class ArticleClient extends BaseClient {
    * 
    * @param {number} articleId - The unique identifier of the article to update
    * @param {UpdateArticleOptions} options - The updated article content and configuration
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<ArticleResponseModel>} A promise that resolves to the updated article
    * 
    * @throws {Error} When the article is not found, user lacks permissions, or the API request fails
@@ -279,28 +309,30 @@ export class ArticleClient extends BaseClient {
    *   }
    * });
    */
-  async update(articleId: number, options: UpdateArticleOptions): Promise<ArticleResponseModel> {
-    return this.handleApiCall(async () => {
+  async update(articleId: number, options: UpdateArticleOptions, requestOptions?: RequestOptions): Promise<ArticleResponseModel> {
+    const body = await this.uploadLocalImages(options.body, (data, fileName) => this.images.upload(data, { fileName }, requestOptions));
+    return this.handleApiCall(async (callOptions) => {
       const request: ArticleRequestModel = {
         title: options.title,
-        body: options.body,
+        body,
         tags: options.tags,
         type: options.type,
         permissions: options.permissions,
       };
 
       if (this.teamId && this.teamsApi) {
-        return await this.teamsApi.teamsTeamArticlesArticleIdPut(articleId, this.teamId, request);
+        return await this.teamsApi.teamsTeamArticlesArticleIdPut(articleId, this.teamId, request, callOptions);
       }
       
-      return await this.mainApi.articlesArticleIdPut(articleId, request);
-    }, 'update');
+      return await this.mainApi.articlesArticleIdPut(articleId, request, callOptions);
+    }, 'update', requestOptions, this.cacheEvict(['articles.get', articleId], 'articles.getAll'));
   }
 
   /**
    * Deletes an article
    * 
    * @param {number} articleId - The unique identifier of the article to delete
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<void>} A promise that resolves when the article is successfully deleted
    * 
    * @throws {Error} When the article is not found, user lacks permissions, or the API request fails
@@ -309,15 +341,15 @@ export class ArticleClient extends BaseClient {
    * await articleClient.delete(123);
    * console.log('Article deleted successfully');
    */
-  async delete(articleId: number): Promise<void> {
-    return this.handleApiCall(async () => {
+  async delete(articleId: number, requestOptions?: RequestOptions): Promise<void> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
-        await this.teamsApi.teamsTeamArticlesArticleIdDelete(articleId, this.teamId);
+        await this.teamsApi.teamsTeamArticlesArticleIdDelete(articleId, this.teamId, callOptions);
         return;
       }
       
-      await this.mainApi.articlesArticleIdDelete(articleId);
-    }, 'delete');
+      await this.mainApi.articlesArticleIdDelete(articleId, callOptions);
+    }, 'delete', requestOptions, this.cacheEvict(['articles.get', articleId], 'articles.getAll'));
   }
 
   /**
@@ -327,6 +359,7 @@ export class ArticleClient extends BaseClient {
    * score and help surface valuable content to other users.
    * 
    * @param {number} articleId - The unique identifier of the article to upvote
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<ArticleResponseModel>} A promise that resolves to the updated article
    * 
    * @throws {Error} When the article is not found, user lacks permissions, or has already upvoted
@@ -336,20 +369,21 @@ export class ArticleClient extends BaseClient {
    * console.log(`New score: ${updatedArticle.score}`);
    * console.log(`User has upvoted: ${updatedArticle.userHasUpvoted}`);
    */
-  async upvote(articleId: number): Promise<ArticleResponseModel> {
-    return this.handleApiCall(async () => {
+  async upvote(articleId: number, requestOptions?: RequestOptions): Promise<ArticleResponseModel> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
-        return await this.teamsApi.teamsTeamArticlesArticleIdUpvotePost(articleId, this.teamId);
+        return await this.teamsApi.teamsTeamArticlesArticleIdUpvotePost(articleId, this.teamId, callOptions);
       }
       
-      return await this.mainApi.articlesArticleIdUpvotePost(articleId);
-    }, 'upvote');
+      return await this.mainApi.articlesArticleIdUpvotePost(articleId, callOptions);
+    }, 'upvote', requestOptions, this.cacheEvict(['articles.get', articleId], 'articles.getAll'));
   }
 
   /**
    * Removes an upvote from an article
    * 
    * @param {number} articleId - The unique identifier of the article to remove upvote from
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<ArticleResponseModel>} A promise that resolves to the updated article
    * 
    * @throws {Error} When the article is not found, user lacks permissions, or hasn't upvoted
@@ -359,14 +393,14 @@ export class ArticleClient extends BaseClient {
    * console.log(`Score after removing upvote: ${updatedArticle.score}`);
    * console.log(`User has upvoted: ${updatedArticle.userHasUpvoted}`);
    */
-  async removeUpvote(articleId: number): Promise<ArticleResponseModel> {
-    return this.handleApiCall(async () => {
+  async removeUpvote(articleId: number, requestOptions?: RequestOptions): Promise<ArticleResponseModel> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
-        return await this.teamsApi.teamsTeamArticlesArticleIdUpvoteDelete(articleId, this.teamId);
+        return await this.teamsApi.teamsTeamArticlesArticleIdUpvoteDelete(articleId, this.teamId, callOptions);
       }
       
-      return await this.mainApi.articlesArticleIdUpvoteDelete(articleId);
-    }, 'removeUpvote');
+      return await this.mainApi.articlesArticleIdUpvoteDelete(articleId, callOptions);
+    }, 'removeUpvote', requestOptions, this.cacheEvict(['articles.get', articleId], 'articles.getAll'));
   }
 
   /**
@@ -377,6 +411,7 @@ export class ArticleClient extends BaseClient {
    * 
    * @param {number} articleId - The unique identifier of the article
    * @param {GetLinkedQuestionsOptions} [options={}] - Options for pagination and sorting
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedLinkedOrRelatedQuestions>} A promise that resolves to paginated linked questions
    * 
    * @throws {Error} When the article is not found or the API request fails
@@ -397,8 +432,8 @@ export class ArticleClient extends BaseClient {
    *   console.log(`Q: ${question.title} (Score: ${question.score})`);
    * });
    */
-  async getLinkedQuestions(articleId: number, options: GetLinkedQuestionsOptions = {}): Promise<PaginatedLinkedOrRelatedQuestions> {
-    return this.handleApiCall(async () => {
+  async getLinkedQuestions(articleId: number, options: GetLinkedQuestionsOptions = {}, requestOptions?: RequestOptions): Promise<PaginatedLinkedOrRelatedQuestions> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
         return await this.teamsApi.teamsTeamArticlesArticleIdLinkedQuestionsGet(
           articleId,
@@ -406,7 +441,8 @@ export class ArticleClient extends BaseClient {
           options.page,
           options.pageSize,
           options.sort,
-          options.order
+          options.order,
+          callOptions
         );
       }
       
@@ -415,9 +451,25 @@ export class ArticleClient extends BaseClient {
         options.page,
         options.pageSize,
         options.sort,
-        options.order
+        options.order,
+        callOptions
       );
-    }, 'getLinkedQuestions');
+    }, 'getLinkedQuestions', requestOptions);
+  }
+
+  /**
+   * Iterates over every question linked to an article
+   * 
+   * @param {number} articleId - The unique identifier of the article
+   * @param {GetLinkedQuestionsOptions} [options={}] - Sorting options; `page` sets the starting page
+   * @param {IterateOptions} [iterateOptions={}] - Parallelism, item limit and resume cursor
+   * @returns {PageIterator<QuestionSummaryResponseModel>} An async iterable with an `all()` collector
+   * 
+   * @example
+   * const linked = await articleClient.iterateLinkedQuestions(123).all();
+   */
+  iterateLinkedQuestions(articleId: number, options: GetLinkedQuestionsOptions = {}, iterateOptions: IterateOptions = {}): PageIterator<QuestionSummaryResponseModel, PaginatedLinkedOrRelatedQuestions> {
+    return new PageIterator(page => this.getLinkedQuestions(articleId, { ...options, page }, iterateOptions.request), iterateOptions, options.page);
   }
 
   // Convenience methods for common use cases
@@ -427,6 +479,7 @@ export class ArticleClient extends BaseClient {
    * 
    * @param {number} authorId - The unique identifier of the author
    * @param {Omit<GetArticlesOptions, 'authorId'>} [options={}] - Additional filtering and pagination options
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedArticles>} A promise that resolves to paginated articles by the author
    * 
    * @example
@@ -435,8 +488,8 @@ export class ArticleClient extends BaseClient {
    *   order: 'desc'
    * });
    */
-  async getByAuthor(authorId: number, options: Omit<GetArticlesOptions, 'authorId'> = {}): Promise<PaginatedArticles> {
-    return this.getAll({ ...options, authorId });
+  async getByAuthor(authorId: number, options: Omit<GetArticlesOptions, 'authorId'> = {}, requestOptions?: RequestOptions): Promise<PaginatedArticles> {
+    return this.getAll({ ...options, authorId }, requestOptions);
   }
 
   /**
@@ -444,13 +497,14 @@ export class ArticleClient extends BaseClient {
    * 
    * @param {number} tagId - The unique identifier of the tag
    * @param {Omit<GetArticlesOptions, 'tagId'>} [options={}] - Additional filtering and pagination options
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedArticles>} A promise that resolves to paginated articles with the tag
    * 
    * @example
    * const javaScriptArticles = await articleClient.getByTag(123);
    */
-  async getByTag(tagId: number, options: Omit<GetArticlesOptions, 'tagId'> = {}): Promise<PaginatedArticles> {
-    return this.getAll({ ...options, tagId: [tagId] });
+  async getByTag(tagId: number, options: Omit<GetArticlesOptions, 'tagId'> = {}, requestOptions?: RequestOptions): Promise<PaginatedArticles> {
+    return this.getAll({ ...options, tagId: [tagId] }, requestOptions);
   }
 
   /**
@@ -458,6 +512,7 @@ export class ArticleClient extends BaseClient {
    * 
    * @param {number[]} tagIds - Array of tag IDs to filter by
    * @param {Omit<GetArticlesOptions, 'tagId'>} [options={}] - Additional filtering and pagination options
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedArticles>} A promise that resolves to paginated articles with any of the tags
    * 
    * @example
@@ -466,8 +521,8 @@ export class ArticleClient extends BaseClient {
    *   order: 'desc'
    * });
    */
-  async getByTags(tagIds: number[], options: Omit<GetArticlesOptions, 'tagId'> = {}): Promise<PaginatedArticles> {
-    return this.getAll({ ...options, tagId: tagIds });
+  async getByTags(tagIds: number[], options: Omit<GetArticlesOptions, 'tagId'> = {}, requestOptions?: RequestOptions): Promise<PaginatedArticles> {
+    return this.getAll({ ...options, tagId: tagIds }, requestOptions);
   }
 
   /**
@@ -476,6 +531,7 @@ export class ArticleClient extends BaseClient {
    * @param {Date} from - Start date for the range (inclusive)
    * @param {Date} to - End date for the range (inclusive)
    * @param {Omit<GetArticlesOptions, 'from' | 'to'>} [options={}] - Additional filtering and pagination options
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedArticles>} A promise that resolves to paginated articles in the date range
    * 
    * @example
@@ -484,41 +540,43 @@ export class ArticleClient extends BaseClient {
    *   new Date('2024-03-31')
    * );
    */
-  async getByDateRange(from: Date, to: Date, options: Omit<GetArticlesOptions, 'from' | 'to'> = {}): Promise<PaginatedArticles> {
-    return this.getAll({ ...options, from, to });
+  async getByDateRange(from: Date, to: Date, options: Omit<GetArticlesOptions, 'from' | 'to'> = {}, requestOptions?: RequestOptions): Promise<PaginatedArticles> {
+    return this.getAll({ ...options, from, to }, requestOptions);
   }
 
   /**
    * Retrieves the most recently created articles
    * 
    * @param {GetArticlesOptions} [options={}] - Additional filtering and pagination options
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedArticles>} A promise that resolves to paginated articles sorted by creation date (newest first)
    * 
    * @example
    * const recentArticles = await articleClient.getRecent({ pageSize: 10 });
    */
-  async getRecent(options: GetArticlesOptions = {}): Promise<PaginatedArticles> {
+  async getRecent(options: GetArticlesOptions = {}, requestOptions?: RequestOptions): Promise<PaginatedArticles> {
     return this.getAll({ 
       ...options, 
       sort: ArticleSortParameter.Creation,
       order: SortOrder.Desc 
-    });
+    }, requestOptions);
   }
 
   /**
    * Retrieves the highest-scored articles
    * 
    * @param {GetArticlesOptions} [options={}] - Additional filtering and pagination options
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedArticles>} A promise that resolves to paginated articles sorted by score (highest first)
    * 
    * @example
    * const topArticles = await articleClient.getMostUpvoted({ pageSize: 25 });
    */
-  async getMostUpvoted(options: GetArticlesOptions = {}): Promise<PaginatedArticles> {
+  async getMostUpvoted(options: GetArticlesOptions = {}, requestOptions?: RequestOptions): Promise<PaginatedArticles> {
     return this.getAll({ 
       ...options, 
       sort: ArticleSortParameter.Score,
       order: SortOrder.Desc 
-    });
+    }, requestOptions);
   }
 }
\ No newline at end of file
@@ -1,9 +1,10 @@
-import { BaseClient } from './shared';
+import { BaseClient, ClientOptions, RequestOptions, IterateOptions, PageIterator } from './shared';
 import { CollectionsMainApi, CollectionsTeamsApi } from '../generated/index.js';
 import { 
   CollectionRequestModel,
   EditCollectionRequestModel,
   CollectionsResponseModel,
+  CollectionsSummaryResponseModel,
   PaginatedCollections,
   CollectionsSortParameter,
   CollectionsPermissionsFilter,
@@ -96,6 +97,7 @@ export interface GetCollectionsOptions {
  * const collectionClient = new CollectionClient(config, 'team-123');
  */
 export class CollectionClient extends BaseClient {
+  protected readonly clientName = 'collections';
   private mainApi: CollectionsMainApi;
   private teamsApi?: CollectionsTeamsApi;
 
@@ -104,6 +106,7 @@ export class CollectionClient extends BaseClient {
    * 
    * @param {ReturnType<typeof import('../generated/configuration').createConfiguration>} config - API configuration object
    * @param {string} [teamId] - Optional team ID for team-specific operations
+   * @param {ClientOptions} [options] - Behaviour shared across the SDK instance (retries, circuit breaker, cache)
    * 
    * @example
    * const config = createConfiguration({ ... });
@@ -113,8 +116,8 @@ export class CollectionClient extends BaseClient {
    * // For team-specific operations
    * const teamClient = new CollectionClient(config, 'my-team-id');
    */
-  constructor(config: ReturnType<typeof import('../generated/configuration').createConfiguration>, private teamId?: string) {
-    super();
+  constructor(config: ReturnType<typeof import('../generated/configuration').createConfiguration>, private teamId?: string, options?: ClientOptions) {
+    super(options, teamId);
     this.mainApi = new CollectionsMainApi(config);
     if (teamId) {
       this.teamsApi = new CollectionsTeamsApi(config);
@@ -125,6 +128,7 @@ export class CollectionClient extends BaseClient {
    * Retrieves all collections with optional filtering, pagination and sorting
    * 
    * @param {GetCollectionsOptions} [options={}] - Options for filtering, pagination and sorting
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedCollections>} A promise that resolves to paginated collection results
    * 
    * @throws {Error} When the API request fails or returns an error
@@ -162,8 +166,8 @@ export class CollectionClient extends BaseClient {
    *   console.log(`${collection.title} by ${collection.owner?.displayName}`);
    * });
    */
-  async getAll(options: GetCollectionsOptions = {}): Promise<PaginatedCollections> {
-    return this.handleApiCall(async () => {
+  async getAll(options: GetCollectionsOptions = {}, requestOptions?: RequestOptions): Promise<PaginatedCollections> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
         return await this.teamsApi.teamsTeamCollectionsGet(
           this.teamId,
@@ -175,7 +179,8 @@ export class CollectionClient extends BaseClient {
           options.partialTitle,
           options.permissions as CollectionsPermissionsFilter,
           options.from,
-          options.to
+          options.to,
+          callOptions
         );
       }
       
@@ -188,15 +193,31 @@ export class CollectionClient extends BaseClient {
         options.partialTitle,
         options.permissions as CollectionsPermissionsFilter,
         options.from,
-        options.to
+        options.to,
+        callOptions
       );
-    }, 'getAll');
+    }, 'getAll', requestOptions);
+  }
+
+  /**
+   * Iterates over every collection matching the given filters, fetching pages as needed
+   * 
+   * @param {GetCollectionsOptions} [options={}] - Filtering and sorting options; `page` sets the starting page
+   * @param {IterateOptions} [iterateOptions={}] - Parallelism, item limit and resume cursor
+   * @returns {PageIterator<CollectionsSummaryResponseModel>} An async iterable with an `all()` collector
+   * 
+   * @example
+   * const owned = await collectionClient.iterate({ permissions: 'owned' }).all();
+   */
+  iterate(options: GetCollectionsOptions = {}, iterateOptions: IterateOptions = {}): PageIterator<CollectionsSummaryResponseModel, PaginatedCollections> {
+    return new PageIterator(page => this.getAll({ ...options, page }, iterateOptions.request), iterateOptions, options.page);
   }
 
   /**
    * Retrieves a specific collection by its ID
    * 
    * @param {number} collectionId - The unique identifier of the collection
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<CollectionsResponseModel>} A promise that resolves to the complete collection details
    * 
    * @throws {Error} When the collection is not found or the API request fails
@@ -210,20 +231,21 @@ export class CollectionClient extends BaseClient {
    * console.log(`Editor users: ${collection.editorUsers?.length}`);
    * console.log(`Tags: ${collection.tags?.map(tag => tag.name).join(', ')}`);
    */
-  async get(collectionId: number): Promise<CollectionsResponseModel> {
-    return this.handleApiCall(async () => {
+  async get(collectionId: number, requestOptions?: RequestOptions): Promise<CollectionsResponseModel> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
-        return await this.teamsApi.teamsTeamCollectionsCollectionIdGet(collectionId, this.teamId);
+        return await this.teamsApi.teamsTeamCollectionsCollectionIdGet(collectionId, this.teamId, callOptions);
       }
       
-      return await this.mainApi.collectionsCollectionIdGet(collectionId);
-    }, 'get');
+      return await this.mainApi.collectionsCollectionIdGet(collectionId, callOptions);
+    }, 'get', requestOptions);
   }
 
   /**
    * Creates a new collection
    * 
    * @param {CreateCollectionOptions} options - The collection configuration and content
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<CollectionsResponseModel>} A promise that resolves to the created collection
    * 
    * @throws {Error} When collection creation fails due to validation errors or API issues
@@ -246,8 +268,8 @@ export class CollectionClient extends BaseClient {
    *   contentIds: [201, 202, 203, 204]
    * });
    */
-  async create(options: CreateCollectionOptions): Promise<CollectionsResponseModel> {
-    return this.handleApiCall(async () => {
+  async create(options: CreateCollectionOptions, requestOptions?: RequestOptions): Promise<CollectionsResponseModel> {
+    return this.handleApiCall(async (callOptions) => {
       const request: CollectionRequestModel = {
         title: options.title,
         description: options.description,
@@ -257,11 +279,11 @@ export class CollectionClient extends BaseClient {
       };
 
       if (this.teamId && this.teamsApi) {
-        return await this.teamsApi.teamsTeamCollectionsPost(this.teamId, request);
+        return await this.teamsApi.teamsTeamCollectionsPost(this.teamId, request, callOptions);
       }
       
-      return await this.mainApi.collectionsPost(request);
-    }, 'create');
+      return await this.mainApi.collectionsPost(request, callOptions);
+    }, 'create', requestOptions);
   }
 
   /**
@@ -269,6 +291,7 @@ export class CollectionClient extends BaseClient {
    * 
    * @param {number} collectionId - The unique identifier of the collection to update
    * @param {UpdateCollectionOptions} options - The updated collection configuration
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<CollectionsResponseModel>} A promise that resolves to the updated collection
    * 
    * @throws {Error} When the collection is not found, user lacks permissions, or the API request fails
@@ -293,8 +316,8 @@ export class CollectionClient extends BaseClient {
    *   contentIds: [103, 101, 105, 102, 104] // New order
    * });
    */
-  async update(collectionId: number, options: UpdateCollectionOptions): Promise<CollectionsResponseModel> {
-    return this.handleApiCall(async () => {
+  async update(collectionId: number, options: UpdateCollectionOptions, requestOptions?: RequestOptions): Promise<CollectionsResponseModel> {
+    return this.handleApiCall(async (callOptions) => {
       const request: EditCollectionRequestModel = {
         ownerId: options.ownerId,
         title: options.title,
@@ -305,17 +328,18 @@ export class CollectionClient extends BaseClient {
       };
 
       if (this.teamId && this.teamsApi) {
-        return await this.teamsApi.teamsTeamCollectionsCollectionIdPut(collectionId, this.teamId, request);
+        return await this.teamsApi.teamsTeamCollectionsCollectionIdPut(collectionId, this.teamId, request, callOptions);
       }
       
-      return await this.mainApi.collectionsCollectionIdPut(collectionId, request);
-    }, 'update');
+      return await this.mainApi.collectionsCollectionIdPut(collectionId, request, callOptions);
+    }, 'update', requestOptions);
   }
 
   /**
    * Deletes a collection
    * 
    * @param {number} collectionId - The unique identifier of the collection to delete
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<void>} A promise that resolves when the collection is successfully deleted
    * 
    * @throws {Error} When the collection is not found, user lacks permissions, or the API request fails
@@ -324,15 +348,15 @@ export class CollectionClient extends BaseClient {
    * await collectionClient.delete(123);
    * console.log('Collection deleted successfully');
    */
-  async delete(collectionId: number): Promise<void> {
-    return this.handleApiCall(async () => {
+  async delete(collectionId: number, requestOptions?: RequestOptions): Promise<void> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
-        await this.teamsApi.teamsTeamCollectionsCollectionIdDelete(collectionId, this.teamId);
+        await this.teamsApi.teamsTeamCollectionsCollectionIdDelete(collectionId, this.teamId, callOptions);
         return;
       }
       
-      await this.mainApi.collectionsCollectionIdDelete(collectionId);
-    }, 'delete');
+      await this.mainApi.collectionsCollectionIdDelete(collectionId, callOptions);
+    }, 'delete', requestOptions);
   }
 
   /**
@@ -340,6 +364,7 @@ export class CollectionClient extends BaseClient {
    * 
    * @param {string} query - The search query to match against collection titles
    * @param {Omit<GetCollectionsOptions, 'partialTitle'>} [options={}] - Additional filtering and pagination options
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedCollections>} A promise that resolves to paginated search results
    * 
    * @example
@@ -353,8 +378,8 @@ export class CollectionClient extends BaseClient {
    *   order: 'desc'
    * });
    */
-  async search(query: string, options: Omit<GetCollectionsOptions, 'partialTitle'> = {}): Promise<PaginatedCollections> {
-    return this.getAll({ ...options, partialTitle: query });
+  async search(query: string, options: Omit<GetCollectionsOptions, 'partialTitle'> = {}, requestOptions?: RequestOptions): Promise<PaginatedCollections> {
+    return this.getAll({ ...options, partialTitle: query }, requestOptions);
   }
 
   /**
@@ -362,6 +387,7 @@ export class CollectionClient extends BaseClient {
    * 
    * @param {number} authorId - The unique identifier of the author
    * @param {Omit<GetCollectionsOptions, 'authorIds'>} [options={}] - Additional filtering and pagination options
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedCollections>} A promise that resolves to paginated collections by the author
    * 
    * @example
@@ -370,8 +396,8 @@ export class CollectionClient extends BaseClient {
    *   order: 'desc'
    * });
    */
-  async getByAuthor(authorId: number, options: Omit<GetCollectionsOptions, 'authorIds'> = {}): Promise<PaginatedCollections> {
-    return this.getAll({ ...options, authorIds: [authorId] });
+  async getByAuthor(authorId: number, options: Omit<GetCollectionsOptions, 'authorIds'> = {}, requestOptions?: RequestOptions): Promise<PaginatedCollections> {
+    return this.getAll({ ...options, authorIds: [authorId] }, requestOptions);
   }
 
   /**
@@ -379,13 +405,14 @@ export class CollectionClient extends BaseClient {
    * 
    * @param {number[]} authorIds - Array of author IDs to filter by
    * @param {Omit<GetCollectionsOptions, 'authorIds'>} [options={}] - Additional filtering and pagination options
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedCollections>} A promise that resolves to paginated collections by the authors
    * 
    * @example
    * const teamCollections = await collectionClient.getByAuthors([123, 456, 789]);
    */
-  async getByAuthors(authorIds: number[], options: Omit<GetCollectionsOptions, 'authorIds'> = {}): Promise<PaginatedCollections> {
-    return this.getAll({ ...options, authorIds });
+  async getByAuthors(authorIds: number[], options: Omit<GetCollectionsOptions, 'authorIds'> = {}, requestOptions?: RequestOptions): Promise<PaginatedCollections> {
+    return this.getAll({ ...options, authorIds }, requestOptions);
   }
 
   /**
@@ -394,6 +421,7 @@ export class CollectionClient extends BaseClient {
    * @param {Date} from - Start date for the range (inclusive)
    * @param {Date} to - End date for the range (inclusive)
    * @param {Omit<GetCollectionsOptions, 'from' | 'to'>} [options={}] - Additional filtering and pagination options
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedCollections>} A promise that resolves to paginated collections in the date range
    * 
    * @example
@@ -402,14 +430,15 @@ export class CollectionClient extends BaseClient {
    *   new Date('2024-03-31')
    * );
    */
-  async getByDateRange(from: Date, to: Date, options: Omit<GetCollectionsOptions, 'from' | 'to'> = {}): Promise<PaginatedCollections> {
-    return this.getAll({ ...options, from, to });
+  async getByDateRange(from: Date, to: Date, options: Omit<GetCollectionsOptions, 'from' | 'to'> = {}, requestOptions?: RequestOptions): Promise<PaginatedCollections> {
+    return this.getAll({ ...options, from, to }, requestOptions);
   }
 
   /**
    * Retrieves collections owned by the current user
    * 
    * @param {Omit<GetCollectionsOptions, 'permissions'>} [options={}] - Additional filtering and pagination options
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedCollections>} A promise that resolves to paginated collections owned by the user
    * 
    * @example
@@ -418,11 +447,11 @@ export class CollectionClient extends BaseClient {
    *   order: 'desc'
    * });
    */
-  async getOwned(options: Omit<GetCollectionsOptions, 'permissions'> = {}): Promise<PaginatedCollections> {
+  async getOwned(options: Omit<GetCollectionsOptions, 'permissions'> = {}, requestOptions?: RequestOptions): Promise<PaginatedCollections> {
     return this.getAll({ 
       ...options, 
       permissions: CollectionsPermissionsFilter.Owned 
-    });
+    }, requestOptions);
   }
 
   /**
@@ -432,56 +461,60 @@ export class CollectionClient extends BaseClient {
    * has been granted editor permissions.
    * 
    * @param {Omit<GetCollectionsOptions, 'permissions'>} [options={}] - Additional filtering and pagination options
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedCollections>} A promise that resolves to paginated editable collections
    * 
    * @example
    * const editableCollections = await collectionClient.getEditable();
    */
-  async getEditable(options: Omit<GetCollectionsOptions, 'permissions'> = {}): Promise<PaginatedCollections> {
+  async getEditable(options: Omit<GetCollectionsOptions, 'permissions'> = {}, requestOptions?: RequestOptions): Promise<PaginatedCollections> {
     return this.getAll({ 
       ...options, 
       permissions: CollectionsPermissionsFilter.Editable 
-    });
+    }, requestOptions);
   }
 
   /**
    * Retrieves the most recently created collections
    * 
    * @param {GetCollectionsOptions} [options={}] - Additional filtering and pagination options
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedCollections>} A promise that resolves to paginated collections sorted by creation date (newest first)
    * 
    * @example
    * const recentCollections = await collectionClient.getRecent({ pageSize: 10 });
    */
-  async getRecent(options: GetCollectionsOptions = {}): Promise<PaginatedCollections> {
+  async getRecent(options: GetCollectionsOptions = {}, requestOptions?: RequestOptions): Promise<PaginatedCollections> {
     return this.getAll({ 
       ...options, 
       sort: CollectionsSortParameter.Creation,
       order: SortOrder.Desc 
-    });
+    }, requestOptions);
   }
 
   /**
    * Retrieves the most recently modified collections
    * 
    * @param {GetCollectionsOptions} [options={}] - Additional filtering and pagination options
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedCollections>} A promise that resolves to paginated collections sorted by last edit date (newest first)
    * 
    * @example
    * const recentlyModified = await collectionClient.getRecentlyModified({ pageSize: 25 });
    */
-  async getRecentlyModified(options: GetCollectionsOptions = {}): Promise<PaginatedCollections> {
+  async getRecentlyModified(options: GetCollectionsOptions = {}, requestOptions?: RequestOptions): Promise<PaginatedCollections> {
     return this.getAll({ 
       ...options, 
       sort: CollectionsSortParameter.LastEdit,
       order: SortOrder.Desc 
-    });
+    }, requestOptions);
   }
 
   /**
    * Checks if a collection is deleted
    * 
    * @param {number} collectionId - The unique identifier of the collection
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<boolean | undefined>} A promise that resolves to the deletion status, or undefined if not available
    * 
    * @throws {Error} When the collection is not found or the API request fails
@@ -492,8 +525,8 @@ export class CollectionClient extends BaseClient {
    *   console.log('Collection has been deleted');
    * }
    */
-  async isDeleted(collectionId: number): Promise<boolean | undefined> {
-    const collection = await this.get(collectionId);
+  async isDeleted(collectionId: number, requestOptions?: RequestOptions): Promise<boolean | undefined> {
+    const collection = await this.get(collectionId, requestOptions);
     return collection.isDeleted;
   }
 
@@ -502,6 +535,7 @@ export class CollectionClient extends BaseClient {
    * 
    * @param {number} collectionId - The unique identifier of the collection
    * @param {number} userId - The unique identifier of the user to check
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<boolean>} A promise that resolves to true if the user owns the collection
    * 
    * @throws {Error} When the collection is not found or the API request fails
@@ -512,8 +546,8 @@ export class CollectionClient extends BaseClient {
    *   console.log('User owns this collection');
    * }
    */
-  async isOwnedBy(collectionId: number, userId: number): Promise<boolean> {
-    const collection = await this.get(collectionId);
+  async isOwnedBy(collectionId: number, userId: number, requestOptions?: RequestOptions): Promise<boolean> {
+    const collection = await this.get(collectionId, requestOptions);
     return collection.owner?.id === userId;
   }
 
@@ -522,6 +556,7 @@ export class CollectionClient extends BaseClient {
    * 
    * @param {number} collectionId - The unique identifier of the collection
    * @param {number} userId - The unique identifier of the user to check
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<boolean>} A promise that resolves to true if the user has editor permissions
    * 
    * @throws {Error} When the collection is not found or the API request fails
@@ -532,8 +567,8 @@ export class CollectionClient extends BaseClient {
    *   console.log('User can edit this collection');
    * }
    */
-  async hasEditor(collectionId: number, userId: number): Promise<boolean> {
-    const collection = await this.get(collectionId);
+  async hasEditor(collectionId: number, userId: number, requestOptions?: RequestOptions): Promise<boolean> {
+    const collection = await this.get(collectionId, requestOptions);
     return collection.editorUsers?.some(user => user.id === userId) ?? false;
   }
 
@@ -542,6 +577,7 @@ export class CollectionClient extends BaseClient {
    * 
    * @param {number} collectionId - The unique identifier of the collection
    * @param {number} groupId - The unique identifier of the user group to check
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<boolean>} A promise that resolves to true if the user group has editor permissions
    * 
    * @throws {Error} When the collection is not found or the API request fails
@@ -552,8 +588,8 @@ export class CollectionClient extends BaseClient {
    *   console.log('User group can edit this collection');
    * }
    */
-  async hasEditorGroup(collectionId: number, groupId: number): Promise<boolean> {
-    const collection = await this.get(collectionId);
+  async hasEditorGroup(collectionId: number, groupId: number, requestOptions?: RequestOptions): Promise<boolean> {
+    const collection = await this.get(collectionId, requestOptions);
     return collection.editorUserGroups?.some(group => group.id === groupId) ?? false;
   }
 }
\ No newline at end of file
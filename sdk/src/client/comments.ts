@@ -1,6 +1,16 @@
-import { BaseClient } from './shared';
+import { BaseClient, ClientOptions, RequestOptions } from './shared';
 import { CommentsMainApi, CommentsTeamsApi } from '../generated/index.js';
-import { CommentResponseModel } from '../generated/index.js';
+import { CommentResponseModel, UserDetailsResponseModel } from '../generated/index.js';
+import { UserClient } from './users.js';
+
+/**
+ * Comment with the full details of the user who posted it
+ * @typedef {Object} CommentWithAuthor
+ * @property {UserDetailsResponseModel} [author] - Details of the comment owner, absent when the owner is unknown or could not be loaded
+ */
+export interface CommentWithAuthor extends CommentResponseModel {
+  author?: UserDetailsResponseModel;
+}
 
 /**
  * Client for retrieving comments from articles, questions, and answers in Stack Overflow for Teams
@@ -25,14 +35,17 @@ import { CommentResponseModel } from '../generated/index.js';
  * const commentClient = new CommentClient(config, 'team-123');
  */
 export class CommentClient extends BaseClient {
+  protected readonly clientName = 'comments';
   private mainApi: CommentsMainApi;
   private teamsApi?: CommentsTeamsApi;
+  private users: UserClient;
 
   /**
    * Creates a new CommentClient instance
    * 
    * @param {ReturnType<typeof import('../generated/configuration').createConfiguration>} config - API configuration object
    * @param {string} [teamId] - Optional team ID for team-specific operations
+   * @param {ClientOptions} [options] - Behaviour shared across the SDK instance (retries, circuit breaker, cache)
    * 
    * @example
    * const config = createConfiguration({ ... });
@@ -42,18 +55,20 @@ export class CommentClient extends BaseClient {
    * // For team-specific operations
    * const teamClient = new CommentClient(config, 'my-team-id');
    */
-  constructor(config: ReturnType<typeof import('../generated/configuration').createConfiguration>, private teamId?: string) {
-    super();
+  constructor(config: ReturnType<typeof import('../generated/configuration').createConfiguration>, private teamId?: string, options?: ClientOptions) {
+    super(options, teamId);
     this.mainApi = new CommentsMainApi(config);
     if (teamId) {
       this.teamsApi = new CommentsTeamsApi(config);
     }
+    this.users = new UserClient(config, teamId, options);
   }
 
   /**
    * Retrieves all comments for a specific article
    * 
    * @param {number} articleId - The unique identifier of the article
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<Array<CommentResponseModel>>} A promise that resolves to an array of comments
    * 
    * @throws {Error} When the article is not found or the API request fails
@@ -65,20 +80,21 @@ export class CommentClient extends BaseClient {
    *   console.log(`Score: ${comment.score}, Created: ${comment.creationDate}`);
    * });
    */
-  async getArticleComments(articleId: number): Promise<Array<CommentResponseModel>> {
-    return this.handleApiCall(async () => {
+  async getArticleComments(articleId: number, requestOptions?: RequestOptions): Promise<Array<CommentResponseModel>> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
-        return await this.teamsApi.teamsTeamArticlesArticleIdCommentsGet(articleId, this.teamId);
+        return await this.teamsApi.teamsTeamArticlesArticleIdCommentsGet(articleId, this.teamId, callOptions);
       }
       
-      return await this.mainApi.articlesArticleIdCommentsGet(articleId);
-    }, 'getArticleComments');
+      return await this.mainApi.articlesArticleIdCommentsGet(articleId, callOptions);
+    }, 'getArticleComments', requestOptions);
   }
 
   /**
    * Retrieves all comments for a specific question
    * 
    * @param {number} questionId - The unique identifier of the question
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<Array<CommentResponseModel>>} A promise that resolves to an array of comments
    * 
    * @throws {Error} When the question is not found or the API request fails
@@ -92,14 +108,14 @@ export class CommentClient extends BaseClient {
    *   (current.score || 0) > (prev.score || 0) ? current : prev
    * );
    */
-  async getQuestionComments(questionId: number): Promise<Array<CommentResponseModel>> {
-    return this.handleApiCall(async () => {
+  async getQuestionComments(questionId: number, requestOptions?: RequestOptions): Promise<Array<CommentResponseModel>> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
-        return await this.teamsApi.teamsTeamQuestionsQuestionIdCommentsGet(questionId, this.teamId);
+        return await this.teamsApi.teamsTeamQuestionsQuestionIdCommentsGet(questionId, this.teamId, callOptions);
       }
       
-      return await this.mainApi.questionsQuestionIdCommentsGet(questionId);
-    }, 'getQuestionComments');
+      return await this.mainApi.questionsQuestionIdCommentsGet(questionId, callOptions);
+    }, 'getQuestionComments', requestOptions);
   }
 
   /**
@@ -107,6 +123,7 @@ export class CommentClient extends BaseClient {
    * 
    * @param {number} questionId - The unique identifier of the question containing the answer
    * @param {number} answerId - The unique identifier of the answer
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<Array<CommentResponseModel>>} A promise that resolves to an array of comments
    * 
    * @throws {Error} When the question or answer is not found, or the API request fails
@@ -122,14 +139,14 @@ export class CommentClient extends BaseClient {
    *   return acc;
    * }, {});
    */
-  async getAnswerComments(questionId: number, answerId: number): Promise<Array<CommentResponseModel>> {
-    return this.handleApiCall(async () => {
+  async getAnswerComments(questionId: number, answerId: number, requestOptions?: RequestOptions): Promise<Array<CommentResponseModel>> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
-        return await this.teamsApi.teamsTeamQuestionsQuestionIdAnswersAnswerIdCommentsGet(questionId, answerId, this.teamId);
+        return await this.teamsApi.teamsTeamQuestionsQuestionIdAnswersAnswerIdCommentsGet(questionId, answerId, this.teamId, callOptions);
       }
       
-      return await this.mainApi.questionsQuestionIdAnswersAnswerIdCommentsGet(questionId, answerId);
-    }, 'getAnswerComments');
+      return await this.mainApi.questionsQuestionIdAnswersAnswerIdCommentsGet(questionId, answerId, callOptions);
+    }, 'getAnswerComments', requestOptions);
   }
 
   /**
@@ -141,17 +158,20 @@ export class CommentClient extends BaseClient {
    * @overload
    * @param {'article'} contentType - The type of content (article)
    * @param {number} contentId - The unique identifier of the article
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<Array<CommentResponseModel>>} A promise that resolves to an array of comments
    * 
    * @overload
    * @param {'question'} contentType - The type of content (question)
    * @param {number} contentId - The unique identifier of the question
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<Array<CommentResponseModel>>} A promise that resolves to an array of comments
    * 
    * @overload
    * @param {'answer'} contentType - The type of content (answer)
    * @param {number} questionId - The unique identifier of the question containing the answer
    * @param {number} answerId - The unique identifier of the answer
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<Array<CommentResponseModel>>} A promise that resolves to an array of comments
    * 
    * @example
@@ -166,24 +186,30 @@ export class CommentClient extends BaseClient {
    * // Get comments for an answer
    * const answerComments = await commentClient.getCommentsFor('answer', 456, 789);
    */
-  async getCommentsFor(contentType: 'article', contentId: number): Promise<Array<CommentResponseModel>>;
-  async getCommentsFor(contentType: 'question', contentId: number): Promise<Array<CommentResponseModel>>;
-  async getCommentsFor(contentType: 'answer', questionId: number, answerId: number): Promise<Array<CommentResponseModel>>;
+  async getCommentsFor(contentType: 'article', contentId: number, requestOptions?: RequestOptions): Promise<Array<CommentResponseModel>>;
+  async getCommentsFor(contentType: 'question', contentId: number, requestOptions?: RequestOptions): Promise<Array<CommentResponseModel>>;
+  async getCommentsFor(contentType: 'answer', questionId: number, answerId: number, requestOptions?: RequestOptions): Promise<Array<CommentResponseModel>>;
   async getCommentsFor(
     contentType: 'article' | 'question' | 'answer', 
     contentId: number, 
-    answerId?: number
+    answerIdOrOptions?: number | RequestOptions,
+    requestOptions?: RequestOptions
   ): Promise<Array<CommentResponseModel>> {
+    const answerId = typeof answerIdOrOptions === 'number' ? answerIdOrOptions : undefined;
+    if (typeof answerIdOrOptions === 'object') {
+      requestOptions = answerIdOrOptions;
+    }
+
     switch (contentType) {
       case 'article':
-        return this.getArticleComments(contentId);
+        return this.getArticleComments(contentId, requestOptions);
       case 'question':
-        return this.getQuestionComments(contentId);
+        return this.getQuestionComments(contentId, requestOptions);
       case 'answer':
         if (answerId === undefined) {
           throw new Error('answerId is required when getting comments for an answer');
         }
-        return this.getAnswerComments(contentId, answerId);
+        return this.getAnswerComments(contentId, answerId, requestOptions);
       default:
         throw new Error(`Unknown content type: ${contentType}`);
     }
@@ -198,17 +224,20 @@ export class CommentClient extends BaseClient {
    * @overload
    * @param {'article'} contentType - The type of content (article)
    * @param {number} contentId - The unique identifier of the article
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<number>} A promise that resolves to the comment count
    * 
    * @overload
    * @param {'question'} contentType - The type of content (question)
    * @param {number} contentId - The unique identifier of the question
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<number>} A promise that resolves to the comment count
    * 
    * @overload
    * @param {'answer'} contentType - The type of content (answer)
    * @param {number} questionId - The unique identifier of the question containing the answer
    * @param {number} answerId - The unique identifier of the answer
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<number>} A promise that resolves to the comment count
    * 
    * @example
@@ -221,25 +250,31 @@ export class CommentClient extends BaseClient {
    * console.log(`Question has ${questionCommentCount} comments`);
    * console.log(`Answer has ${answerCommentCount} comments`);
    */
-  async getCommentCount(contentType: 'article' | 'question', contentId: number): Promise<number>;
-  async getCommentCount(contentType: 'answer', questionId: number, answerId: number): Promise<number>;
+  async getCommentCount(contentType: 'article' | 'question', contentId: number, requestOptions?: RequestOptions): Promise<number>;
+  async getCommentCount(contentType: 'answer', questionId: number, answerId: number, requestOptions?: RequestOptions): Promise<number>;
   async getCommentCount(
     contentType: 'article' | 'question' | 'answer', 
     contentId: number, 
-    answerId?: number
+    answerIdOrOptions?: number | RequestOptions,
+    requestOptions?: RequestOptions
   ): Promise<number> {
+    const answerId = typeof answerIdOrOptions === 'number' ? answerIdOrOptions : undefined;
+    if (typeof answerIdOrOptions === 'object') {
+      requestOptions = answerIdOrOptions;
+    }
+
     switch (contentType) {
       case 'article':
-        const articleComments = await this.getCommentsFor('article', contentId);
+        const articleComments = await this.getCommentsFor('article', contentId, requestOptions);
         return articleComments.length;
       case 'question':
-        const questionComments = await this.getCommentsFor('question', contentId);
+        const questionComments = await this.getCommentsFor('question', contentId, requestOptions);
         return questionComments.length;
       case 'answer':
         if (answerId === undefined) {
           throw new Error('answerId is required when getting comment count for an answer');
         }
-        const answerComments = await this.getCommentsFor('answer', contentId, answerId);
+        const answerComments = await this.getCommentsFor('answer', contentId, answerId, requestOptions);
         return answerComments.length;
       default:
         throw new Error(`Unknown content type: ${contentType}`);
@@ -255,17 +290,20 @@ export class CommentClient extends BaseClient {
    * @overload
    * @param {'article'} contentType - The type of content (article)
    * @param {number} contentId - The unique identifier of the article
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<boolean>} A promise that resolves to true if the content has comments
    * 
    * @overload
    * @param {'question'} contentType - The type of content (question)
    * @param {number} contentId - The unique identifier of the question
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<boolean>} A promise that resolves to true if the content has comments
    * 
    * @overload
    * @param {'answer'} contentType - The type of content (answer)
    * @param {number} questionId - The unique identifier of the question containing the answer
    * @param {number} answerId - The unique identifier of the answer
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<boolean>} A promise that resolves to true if the content has comments
    * 
    * @example
@@ -283,25 +321,31 @@ export class CommentClient extends BaseClient {
    *   commentClient.hasComments('question', 456)
    * ]);
    */
-  async hasComments(contentType: 'article' | 'question', contentId: number): Promise<boolean>;
-  async hasComments(contentType: 'answer', questionId: number, answerId: number): Promise<boolean>;
+  async hasComments(contentType: 'article' | 'question', contentId: number, requestOptions?: RequestOptions): Promise<boolean>;
+  async hasComments(contentType: 'answer', questionId: number, answerId: number, requestOptions?: RequestOptions): Promise<boolean>;
   async hasComments(
     contentType: 'article' | 'question' | 'answer', 
     contentId: number, 
-    answerId?: number
+    answerIdOrOptions?: number | RequestOptions,
+    requestOptions?: RequestOptions
   ): Promise<boolean> {
+    const answerId = typeof answerIdOrOptions === 'number' ? answerIdOrOptions : undefined;
+    if (typeof answerIdOrOptions === 'object') {
+      requestOptions = answerIdOrOptions;
+    }
+
     switch (contentType) {
       case 'article':
-        const count = await this.getCommentCount('article', contentId);
+        const count = await this.getCommentCount('article', contentId, requestOptions);
         return count > 0;
       case 'question':
-        const questionCount = await this.getCommentCount('question', contentId);
+        const questionCount = await this.getCommentCount('question', contentId, requestOptions);
         return questionCount > 0;
       case 'answer':
         if (answerId === undefined) {
           throw new Error('answerId is required when checking if answer has comments');
         }
-        const answerCount = await this.getCommentCount('answer', contentId, answerId);
+        const answerCount = await this.getCommentCount('answer', contentId, answerId, requestOptions);
         return answerCount > 0;
       default:
         throw new Error(`Unknown content type: ${contentType}`);
@@ -318,12 +362,14 @@ export class CommentClient extends BaseClient {
    * @param {'article'} contentType - The type of content (article)
    * @param {number} contentId - The unique identifier of the article
    * @param {number} [limit] - Optional limit on the number of comments to return
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<Array<CommentResponseModel>>} A promise that resolves to an array of recent comments
    * 
    * @overload
    * @param {'question'} contentType - The type of content (question)
    * @param {number} contentId - The unique identifier of the question
    * @param {number} [limit] - Optional limit on the number of comments to return
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<Array<CommentResponseModel>>} A promise that resolves to an array of recent comments
    * 
    * @overload
@@ -331,6 +377,7 @@ export class CommentClient extends BaseClient {
    * @param {number} questionId - The unique identifier of the question containing the answer
    * @param {number} answerId - The unique identifier of the answer
    * @param {number} [limit] - Optional limit on the number of comments to return
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<Array<CommentResponseModel>>} A promise that resolves to an array of recent comments
    * 
    * @example
@@ -351,30 +398,36 @@ export class CommentClient extends BaseClient {
   async getRecentComments(
     contentType: 'article' | 'question', 
     contentId: number, 
-    limit?: number
+    limit?: number,
+    requestOptions?: RequestOptions
   ): Promise<Array<CommentResponseModel>>;
   async getRecentComments(
     contentType: 'answer', 
     questionId: number, 
     answerId: number, 
-    limit?: number
+    limit?: number,
+    requestOptions?: RequestOptions
   ): Promise<Array<CommentResponseModel>>;
   async getRecentComments(
     contentType: 'article' | 'question' | 'answer', 
     contentId: number, 
     answerIdOrLimit?: number, 
-    limit?: number
+    limitOrOptions?: number | RequestOptions,
+    requestOptions?: RequestOptions
   ): Promise<Array<CommentResponseModel>> {
     let comments: Array<CommentResponseModel>;
+    let limit: number | undefined;
     
     if (contentType === 'answer') {
-      comments = await this.getAnswerComments(contentId, answerIdOrLimit!);
-      limit = limit;
+      comments = await this.getAnswerComments(contentId, answerIdOrLimit!, requestOptions);
+      limit = typeof limitOrOptions === 'number' ? limitOrOptions : undefined;
     } else if (contentType === 'article') {
-      comments = await this.getCommentsFor('article', contentId);
+      requestOptions = typeof limitOrOptions === 'object' ? limitOrOptions : requestOptions;
+      comments = await this.getCommentsFor('article', contentId, requestOptions);
       limit = answerIdOrLimit;
     } else {
-      comments = await this.getCommentsFor('question', contentId);
+      requestOptions = typeof limitOrOptions === 'object' ? limitOrOptions : requestOptions;
+      comments = await this.getCommentsFor('question', contentId, requestOptions);
       limit = answerIdOrLimit;
     }
 
@@ -388,4 +441,42 @@ export class CommentClient extends BaseClient {
 
     return limit ? sortedComments.slice(0, limit) : sortedComments;
   }
+
+  /**
+   * Attaches the full user details of each comment's owner
+   * 
+   * Owners are looked up through the shared user loader, so each distinct user is fetched once
+   * even when they wrote many comments, and lookups run with bounded concurrency.
+   * Comments whose owner cannot be loaded are returned without an `author`; aborting or timing out rejects the call.
+   * 
+   * @param {Array<CommentResponseModel>} comments - Comments to hydrate
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
+   * @returns {Promise<Array<CommentWithAuthor>>} The comments, in the same order, with `author` set where available
+   * 
+   * @example
+   * const comments = await commentClient.hydrateAuthors(await commentClient.getQuestionComments(123));
+   * comments.forEach(comment => {
+   *   console.log(`${comment.author?.name} (${comment.author?.reputation}): ${comment.body}`);
+   * });
+   */
+  async hydrateAuthors(comments: Array<CommentResponseModel>, requestOptions?: RequestOptions): Promise<Array<CommentWithAuthor>> {
+    const ownerIds = comments
+      .map(comment => comment.ownerUserId)
+      .filter((id): id is number => typeof id === 'number' && id > 0);
+    const owners = await this.users.loadMany(ownerIds, requestOptions);
+    this.throwIfCancelled(owners);
+
+    const authors = new Map<number, UserDetailsResponseModel>();
+    ownerIds.forEach((id, index) => {
+      const owner = owners[index];
+      if (owner && !(owner instanceof Error)) {
+        authors.set(id, owner);
+      }
+    });
+
+    return comments.map(comment => {
+      const author = comment.ownerUserId ? authors.get(comment.ownerUserId) : undefined;
+      return author ? { ...comment, author } : { ...comment };
+    });
+  }
 }
\ No newline at end of file
@@ -1,7 +1,8 @@
-import { BaseClient } from './shared';
+import { BaseClient, ClientOptions, RequestOptions, IterateOptions, PageIterator } from './shared';
 import { CommunitiesMainApi } from '../generated/index.js';
 import { 
   CommunityResponseModel,
+  CommunitySummaryResponseModel,
   PaginatedCommunities,
   CommunityJoinModel,
   CommunityLeaveModel,
@@ -61,19 +62,21 @@ export interface LeaveCommunityBulkOptions {
  * const communityClient = new CommunityClient(config);
  */
 export class CommunityClient extends BaseClient {
+  protected readonly clientName = 'communities';
   private mainApi: CommunitiesMainApi;
 
   /**
    * Creates a new CommunityClient instance
    * 
    * @param {ReturnType<typeof import('../generated/configuration').createConfiguration>} config - API configuration object
+   * @param {ClientOptions} [options] - Behaviour shared across the SDK instance (retries, circuit breaker, cache)
    * 
    * @example
    * const config = createConfiguration({ ... });
    * const client = new CommunityClient(config);
    */
-  constructor(config: ReturnType<typeof import('../generated/configuration').createConfiguration>) {
-    super();
+  constructor(config: ReturnType<typeof import('../generated/configuration').createConfiguration>, options?: ClientOptions) {
+    super(options);
     this.mainApi = new CommunitiesMainApi(config);
     // Note: Communities API has no Teams API variant - only Main API
   }
@@ -82,6 +85,7 @@ export class CommunityClient extends BaseClient {
    * Retrieves all communities with optional pagination and sorting
    * 
    * @param {GetCommunitiesOptions} [options={}] - Options for pagination and sorting
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedCommunities>} A promise that resolves to paginated community results
    * 
    * @throws {Error} When the API request fails or returns an error
@@ -106,21 +110,37 @@ export class CommunityClient extends BaseClient {
    *   console.log(`${community.name}: ${community.memberCount} members`);
    * });
    */
-  async getAll(options: GetCommunitiesOptions = {}): Promise<PaginatedCommunities> {
-    return this.handleApiCall(async () => {
+  async getAll(options: GetCommunitiesOptions = {}, requestOptions?: RequestOptions): Promise<PaginatedCommunities> {
+    return this.handleApiCall(async (callOptions) => {
       return await this.mainApi.communitiesGet(
         options.page,
         options.pageSize,
         options.sort as CommunitySortParameter,
-        options.order as SortOrder
+        options.order as SortOrder,
+        callOptions
       );
-    }, 'getAll');
+    }, 'getAll', requestOptions);
+  }
+
+  /**
+   * Iterates over every community, fetching pages as needed
+   * 
+   * @param {GetCommunitiesOptions} [options={}] - Sorting options; `page` sets the starting page
+   * @param {IterateOptions} [iterateOptions={}] - Parallelism, item limit and resume cursor
+   * @returns {PageIterator<CommunitySummaryResponseModel>} An async iterable with an `all()` collector
+   * 
+   * @example
+   * const communities = await communityClient.iterate().all();
+   */
+  iterate(options: GetCommunitiesOptions = {}, iterateOptions: IterateOptions = {}): PageIterator<CommunitySummaryResponseModel, PaginatedCommunities> {
+    return new PageIterator(page => this.getAll({ ...options, page }, iterateOptions.request), iterateOptions, options.page);
   }
 
   /**
    * Retrieves a specific community by its ID
    * 
    * @param {number} communityId - The unique identifier of the community
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<CommunityResponseModel>} A promise that resolves to the complete community details
    * 
    * @throws {Error} When the community is not found or the API request fails
@@ -137,10 +157,10 @@ export class CommunityClient extends BaseClient {
    *   console.log(`Member: ${member.displayName}`);
    * });
    */
-  async get(communityId: number): Promise<CommunityResponseModel> {
-    return this.handleApiCall(async () => {
-      return await this.mainApi.communitiesCommunityIdGet(communityId);
-    }, 'get');
+  async get(communityId: number, requestOptions?: RequestOptions): Promise<CommunityResponseModel> {
+    return this.handleApiCall(async (callOptions) => {
+      return await this.mainApi.communitiesCommunityIdGet(communityId, callOptions);
+    }, 'get', requestOptions);
   }
 
   /**
@@ -149,6 +169,7 @@ export class CommunityClient extends BaseClient {
    * This method adds the authenticated user as a member of the specified community.
    * 
    * @param {number} communityId - The unique identifier of the community to join
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<CommunityResponseModel>} A promise that resolves to the updated community details
    * 
    * @throws {Error} When the community is not found, user lacks permissions, or is already a member
@@ -158,10 +179,10 @@ export class CommunityClient extends BaseClient {
    * console.log(`Joined community: ${updatedCommunity.name}`);
    * console.log(`New member count: ${updatedCommunity.memberCount}`);
    */
-  async join(communityId: number): Promise<CommunityResponseModel> {
-    return this.handleApiCall(async () => {
-      return await this.mainApi.communitiesCommunityIdJoinPost(communityId);
-    }, 'join');
+  async join(communityId: number, requestOptions?: RequestOptions): Promise<CommunityResponseModel> {
+    return this.handleApiCall(async (callOptions) => {
+      return await this.mainApi.communitiesCommunityIdJoinPost(communityId, callOptions);
+    }, 'join', requestOptions);
   }
 
   /**
@@ -170,6 +191,7 @@ export class CommunityClient extends BaseClient {
    * This method removes the authenticated user from the specified community's membership.
    * 
    * @param {number} communityId - The unique identifier of the community to leave
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<CommunityResponseModel>} A promise that resolves to the updated community details
    * 
    * @throws {Error} When the community is not found, user lacks permissions, or is not a member
@@ -179,10 +201,10 @@ export class CommunityClient extends BaseClient {
    * console.log(`Left community: ${updatedCommunity.name}`);
    * console.log(`Remaining member count: ${updatedCommunity.memberCount}`);
    */
-  async leave(communityId: number): Promise<CommunityResponseModel> {
-    return this.handleApiCall(async () => {
-      return await this.mainApi.communitiesCommunityIdLeavePost(communityId);
-    }, 'leave');
+  async leave(communityId: number, requestOptions?: RequestOptions): Promise<CommunityResponseModel> {
+    return this.handleApiCall(async (callOptions) => {
+      return await this.mainApi.communitiesCommunityIdLeavePost(communityId, callOptions);
+    }, 'leave', requestOptions);
   }
 
   /**
@@ -193,6 +215,7 @@ export class CommunityClient extends BaseClient {
    * 
    * @param {number} communityId - The unique identifier of the community
    * @param {JoinCommunityBulkOptions} options - Configuration containing user IDs to add
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<CommunityResponseModel>} A promise that resolves to the updated community details
    * 
    * @throws {Error} When the community is not found, user lacks permissions, or some users are already members
@@ -204,14 +227,14 @@ export class CommunityClient extends BaseClient {
    * console.log(`Added ${options.memberUserIds.length} users to ${updatedCommunity.name}`);
    * console.log(`New member count: ${updatedCommunity.memberCount}`);
    */
-  async joinBulk(communityId: number, options: JoinCommunityBulkOptions): Promise<CommunityResponseModel> {
-    return this.handleApiCall(async () => {
+  async joinBulk(communityId: number, options: JoinCommunityBulkOptions, requestOptions?: RequestOptions): Promise<CommunityResponseModel> {
+    return this.handleApiCall(async (callOptions) => {
       const request: CommunityJoinModel = {
         memberUserIds: options.memberUserIds
       };
       
-      return await this.mainApi.communitiesCommunityIdJoinBulkPost(communityId, request);
-    }, 'joinBulk');
+      return await this.mainApi.communitiesCommunityIdJoinBulkPost(communityId, request, callOptions);
+    }, 'joinBulk', requestOptions);
   }
 
   /**
@@ -222,6 +245,7 @@ export class CommunityClient extends BaseClient {
    * 
    * @param {number} communityId - The unique identifier of the community
    * @param {LeaveCommunityBulkOptions} options - Configuration containing user IDs to remove
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<CommunityResponseModel>} A promise that resolves to the updated community details
    * 
    * @throws {Error} When the community is not found, user lacks permissions, or some users are not members
@@ -233,14 +257,14 @@ export class CommunityClient extends BaseClient {
    * console.log(`Removed ${options.memberUserIds.length} users from ${updatedCommunity.name}`);
    * console.log(`Remaining member count: ${updatedCommunity.memberCount}`);
    */
-  async leaveBulk(communityId: number, options: LeaveCommunityBulkOptions): Promise<CommunityResponseModel> {
-    return this.handleApiCall(async () => {
+  async leaveBulk(communityId: number, options: LeaveCommunityBulkOptions, requestOptions?: RequestOptions): Promise<CommunityResponseModel> {
+    return this.handleApiCall(async (callOptions) => {
       const request: CommunityLeaveModel = {
         memberUserIds: options.memberUserIds
       };
       
-      return await this.mainApi.communitiesCommunityIdLeaveBulkPost(communityId, request);
-    }, 'leaveBulk');
+      return await this.mainApi.communitiesCommunityIdLeaveBulkPost(communityId, request, callOptions);
+    }, 'leaveBulk', requestOptions);
   }
 
   /**
@@ -250,14 +274,15 @@ export class CommunityClient extends BaseClient {
    * 
    * @param {number} communityId - The unique identifier of the community
    * @param {number[]} userIds - Array of user IDs to add to the community
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<CommunityResponseModel>} A promise that resolves to the updated community details
    * 
    * @example
    * const updatedCommunity = await communityClient.addUsers(123, [456, 789, 101]);
    * console.log(`Added users to ${updatedCommunity.name}`);
    */
-  async addUsers(communityId: number, userIds: number[]): Promise<CommunityResponseModel> {
-    return this.joinBulk(communityId, { memberUserIds: userIds });
+  async addUsers(communityId: number, userIds: number[], requestOptions?: RequestOptions): Promise<CommunityResponseModel> {
+    return this.joinBulk(communityId, { memberUserIds: userIds }, requestOptions);
   }
 
   /**
@@ -267,14 +292,15 @@ export class CommunityClient extends BaseClient {
    * 
    * @param {number} communityId - The unique identifier of the community
    * @param {number[]} userIds - Array of user IDs to remove from the community
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<CommunityResponseModel>} A promise that resolves to the updated community details
    * 
    * @example
    * const updatedCommunity = await communityClient.removeUsers(123, [456, 789]);
    * console.log(`Removed users from ${updatedCommunity.name}`);
    */
-  async removeUsers(communityId: number, userIds: number[]): Promise<CommunityResponseModel> {
-    return this.leaveBulk(communityId, { memberUserIds: userIds });
+  async removeUsers(communityId: number, userIds: number[], requestOptions?: RequestOptions): Promise<CommunityResponseModel> {
+    return this.leaveBulk(communityId, { memberUserIds: userIds }, requestOptions);
   }
 
   /**
@@ -284,14 +310,15 @@ export class CommunityClient extends BaseClient {
    * 
    * @param {number} communityId - The unique identifier of the community
    * @param {number} userId - The user ID to add to the community
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<CommunityResponseModel>} A promise that resolves to the updated community details
    * 
    * @example
    * const updatedCommunity = await communityClient.addUser(123, 456);
    * console.log(`Added user to ${updatedCommunity.name}`);
    */
-  async addUser(communityId: number, userId: number): Promise<CommunityResponseModel> {
-    return this.addUsers(communityId, [userId]);
+  async addUser(communityId: number, userId: number, requestOptions?: RequestOptions): Promise<CommunityResponseModel> {
+    return this.addUsers(communityId, [userId], requestOptions);
   }
 
   /**
@@ -301,20 +328,22 @@ export class CommunityClient extends BaseClient {
    * 
    * @param {number} communityId - The unique identifier of the community
    * @param {number} userId - The user ID to remove from the community
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<CommunityResponseModel>} A promise that resolves to the updated community details
    * 
    * @example
    * const updatedCommunity = await communityClient.removeUser(123, 456);
    * console.log(`Removed user from ${updatedCommunity.name}`);
    */
-  async removeUser(communityId: number, userId: number): Promise<CommunityResponseModel> {
-    return this.removeUsers(communityId, [userId]);
+  async removeUser(communityId: number, userId: number, requestOptions?: RequestOptions): Promise<CommunityResponseModel> {
+    return this.removeUsers(communityId, [userId], requestOptions);
   }
 
   /**
    * Retrieves all communities sorted alphabetically by name
    * 
    * @param {Omit<GetCommunitiesOptions, 'sort' | 'order'>} [options={}] - Additional pagination options
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedCommunities>} A promise that resolves to paginated communities sorted by name (A-Z)
    * 
    * @example
@@ -323,18 +352,19 @@ export class CommunityClient extends BaseClient {
    *   console.log(community.name); // Alphabetically sorted
    * });
    */
-  async getAllByName(options: Omit<GetCommunitiesOptions, 'sort' | 'order'> = {}): Promise<PaginatedCommunities> {
+  async getAllByName(options: Omit<GetCommunitiesOptions, 'sort' | 'order'> = {}, requestOptions?: RequestOptions): Promise<PaginatedCommunities> {
     return this.getAll({ 
       ...options, 
       sort: CommunitySortParameter.Name,
       order: SortOrder.Asc 
-    });
+    }, requestOptions);
   }
 
   /**
    * Retrieves all communities sorted by member count (largest first)
    * 
    * @param {Omit<GetCommunitiesOptions, 'sort' | 'order'>} [options={}] - Additional pagination options
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedCommunities>} A promise that resolves to paginated communities sorted by member count (descending)
    * 
    * @example
@@ -343,12 +373,12 @@ export class CommunityClient extends BaseClient {
    *   console.log(`${community.name}: ${community.memberCount} members`);
    * });
    */
-  async getAllByMemberCount(options: Omit<GetCommunitiesOptions, 'sort' | 'order'> = {}): Promise<PaginatedCommunities> {
+  async getAllByMemberCount(options: Omit<GetCommunitiesOptions, 'sort' | 'order'> = {}, requestOptions?: RequestOptions): Promise<PaginatedCommunities> {
     return this.getAll({ 
       ...options, 
       sort: CommunitySortParameter.Size,
       order: SortOrder.Desc 
-    });
+    }, requestOptions);
   }
 
   /**
@@ -360,6 +390,7 @@ export class CommunityClient extends BaseClient {
    * @param {number} fromCommunityId - The community ID to remove users from
    * @param {number} toCommunityId - The community ID to add users to
    * @param {number[]} userIds - Array of user IDs to transfer
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<{leftFrom: CommunityResponseModel, joinedTo: CommunityResponseModel}>} A promise that resolves to the results of both operations
    * 
    * @throws {Error} When either community is not found, user lacks permissions, or the operation fails
@@ -382,12 +413,12 @@ export class CommunityClient extends BaseClient {
    *   console.error('Transfer failed:', error.message);
    * }
    */
-  async transferUsers(fromCommunityId: number, toCommunityId: number, userIds: number[]): Promise<{
+  async transferUsers(fromCommunityId: number, toCommunityId: number, userIds: number[], requestOptions?: RequestOptions): Promise<{
     leftFrom: CommunityResponseModel,
     joinedTo: CommunityResponseModel
   }> {
-    const leftFrom = await this.removeUsers(fromCommunityId, userIds);
-    const joinedTo = await this.addUsers(toCommunityId, userIds);
+    const leftFrom = await this.removeUsers(fromCommunityId, userIds, requestOptions);
+    const joinedTo = await this.addUsers(toCommunityId, userIds, requestOptions);
     
     return { leftFrom, joinedTo };
   }
@@ -400,17 +431,18 @@ export class CommunityClient extends BaseClient {
    * @param {number} fromCommunityId - The community ID to remove the user from
    * @param {number} toCommunityId - The community ID to add the user to
    * @param {number} userId - The user ID to transfer
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<{leftFrom: CommunityResponseModel, joinedTo: CommunityResponseModel}>} A promise that resolves to the results of both operations
    * 
    * @example
    * const transferResult = await communityClient.transferUser(123, 456, 789);
    * console.log(`User transferred from ${transferResult.leftFrom.name} to ${transferResult.joinedTo.name}`);
    */
-  async transferUser(fromCommunityId: number, toCommunityId: number, userId: number): Promise<{
+  async transferUser(fromCommunityId: number, toCommunityId: number, userId: number, requestOptions?: RequestOptions): Promise<{
     leftFrom: CommunityResponseModel,
     joinedTo: CommunityResponseModel
   }> {
-    return this.transferUsers(fromCommunityId, toCommunityId, [userId]);
+    return this.transferUsers(fromCommunityId, toCommunityId, [userId], requestOptions);
   }
 
   /**
@@ -420,14 +452,15 @@ export class CommunityClient extends BaseClient {
    * it operates on the current authenticated user.
    * 
    * @param {number} communityId - The unique identifier of the community to join
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<CommunityResponseModel>} A promise that resolves to the updated community details
    * 
    * @example
    * const community = await communityClient.joinAsMember(123);
    * console.log(`You are now a member of ${community.name}`);
    */
-  async joinAsMember(communityId: number): Promise<CommunityResponseModel> {
-    return this.join(communityId);
+  async joinAsMember(communityId: number, requestOptions?: RequestOptions): Promise<CommunityResponseModel> {
+    return this.join(communityId, requestOptions);
   }
 
   /**
@@ -437,13 +470,14 @@ export class CommunityClient extends BaseClient {
    * it operates on the current authenticated user.
    * 
    * @param {number} communityId - The unique identifier of the community to leave
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<CommunityResponseModel>} A promise that resolves to the updated community details
    * 
    * @example
    * const community = await communityClient.leaveAsMember(123);
    * console.log(`You have left ${community.name}`);
    */
-  async leaveAsMember(communityId: number): Promise<CommunityResponseModel> {
-    return this.leave(communityId);
+  async leaveAsMember(communityId: number, requestOptions?: RequestOptions): Promise<CommunityResponseModel> {
+    return this.leave(communityId, requestOptions);
   }
 }
\ No newline at end of file
@@ -0,0 +1,388 @@
+import { BaseClient, ClientOptions, RequestOptions, ApiFeature, FeatureRegistry, RawResponse, sendRawRequest } from './shared';
+import { AuthenticationError, ForbiddenError, NotFoundError, SDKError, TokenExpiredError } from './shared';
+import { HttpMethod, UserDetailsResponseModel } from '../generated/index.js';
+import type { RateLimitStatus } from '../helper/rateLimiter.js';
+import { UserClient } from './users.js';
+
+/**
+ * Options for `sdk.diagnose()`
+ * @typedef {Object} DiagnoseOptions
+ * @property {string} [teamId] - Team to check team routes with; required on Business deployments
+ * @property {number} [timeoutMs=10000] - Time budget of each probe in milliseconds
+ * @property {boolean} [probeImageUpload=false] - Check image support by posting an empty upload to the write endpoint; left unchecked otherwise
+ */
+export interface DiagnoseOptions {
+  teamId?: string;
+  timeoutMs?: number;
+  probeImageUpload?: boolean;
+}
+
+/**
+ * Kind of deployment the base URL points at
+ * - `enterprise`: a Stack Overflow Enterprise instance, e.g. `https://[your-site].stackenterprise.co/api/v3`
+ * - `business`: Stack Overflow for Teams Basic and Business, served by `https://api.stackoverflowteams.com/v3`
+ */
+export type DeploymentKind = 'enterprise' | 'business';
+
+/**
+ * Outcome of checking the access token
+ * - `authenticated`: the token identified a user
+ * - `no_token`: the SDK has no access token to send
+ * - `invalid_token`: the API rejected the token
+ * - `expired_token`: the API rejected the token as expired
+ * - `forbidden`: the token is valid but may not access the site or team
+ * - `error`: the check failed for another reason, e.g. the API was unreachable
+ */
+export type AuthStatus = 'authenticated' | 'no_token' | 'invalid_token' | 'expired_token' | 'forbidden' | 'error';
+
+/**
+ * Whether the deployment serves an API family
+ * @typedef {Object} FeatureSupport
+ * @property {boolean} [supported] - True or false once checked; undefined when the check was inconclusive
+ * @property {number} [statusCode] - Status code of the probe
+ * @property {string} detail - What the probe found
+ */
+export interface FeatureSupport {
+  supported?: boolean;
+  statusCode?: number;
+  detail: string;
+}
+
+/**
+ * Report of `sdk.diagnose()`
+ */
+export interface DiagnosticReport {
+  /** True when the API was reached, the token was accepted and no problems were found */
+  ok: boolean;
+  /** Base URL as configured */
+  baseUrl: string;
+  /** API URL requests are sent to, after `/api/v3` was appended where needed */
+  apiUrl: string;
+  deployment: DeploymentKind;
+  teamId?: string;
+  /** Outcome of the `/stacky` health endpoint */
+  health: { reachable: boolean; statusCode?: number; latencyMs?: number; detail: string };
+  /** Outcome of `users.getCurrentUser()` */
+  auth: { status: AuthStatus; user?: UserDetailsResponseModel; role?: string; statusCode?: number; latencyMs?: number; detail: string };
+  /** Throttle headers of the health check, and the budget tracked by the rate limiter when enabled */
+  rateLimit: { headers: Record<string, string>; status?: RateLimitStatus };
+  features: Record<ApiFeature, FeatureSupport>;
+  /** Likely misconfigurations, each with a suggested fix */
+  problems: string[];
+}
+
+/**
+ * What `DiagnosticsClient` is told about the SDK it checks
+ */
+export interface DiagnosticContext {
+  /** Base URL as configured */
+  baseUrl: string;
+  /** API URL the base URL was normalized to */
+  apiUrl: string;
+  /** Reports the rate limiter's budget, when enabled */
+  getRateLimitStatus?: () => RateLimitStatus | undefined;
+}
+
+const DEFAULT_PROBE_TIMEOUT_MS = 10000;
+const BUSINESS_API_HOST = 'api.stackoverflowteams.com';
+const THROTTLE_HEADER_PATTERN = /throttle|token-bucket|rate-?limit|^retry-after$/i;
+const TEAM_NOT_FOUND_PATTERN = /team\b.*\bnot found/i;
+
+/**
+ * Client checking the SDK's configuration against the deployment, used by `sdk.diagnose()`
+ *
+ * Probes the health endpoint, the access token and the optional API families, and records the
+ * families the deployment does not serve so later calls to them fail with `UnsupportedFeatureError`.
+ * Probes only read, unless the caller opts into the image probe, which posts an empty upload the API refuses.
+ *
+ * @class DiagnosticsClient
+ * @extends {BaseClient}
+ *
+ * @example
+ * const report = await new DiagnosticsClient(config, 'team-123').run({ baseUrl, apiUrl });
+ */
+export class DiagnosticsClient extends BaseClient {
+  protected readonly clientName = 'diagnostics';
+  private users: UserClient;
+  private features?: FeatureRegistry;
+
+  /**
+   * Creates a new DiagnosticsClient instance
+   *
+   * @param {ReturnType<typeof import('../generated/configuration').createConfiguration>} config - API configuration object
+   * @param {string} [teamId] - Team to check team routes with
+   * @param {ClientOptions} [options] - Behaviour shared across the SDK instance; its feature registry receives the results
+   */
+  constructor(private config: ReturnType<typeof import('../generated/configuration').createConfiguration>, private teamId?: string, options: ClientOptions = {}) {
+    // Probes must reach families earlier runs found unsupported, so they are not gated themselves
+    super({ ...options, features: undefined }, teamId);
+    this.users = new UserClient(config, teamId, { ...options, features: undefined });
+    this.features = options.features;
+  }
+
+  /**
+   * Run every check and report the findings
+   *
+   * @param {DiagnosticContext} context - URLs and rate-limit status of the SDK being checked
+   * @param {number} [timeoutMs=10000] - Time budget of each probe in milliseconds
+   * @param {boolean} [probeImageUpload=false] - Check image support through the upload endpoint, which the API has no read-only route for
+   * @returns {Promise<DiagnosticReport>} The report; probes that fail are reported rather than thrown
+   */
+  async run(context: DiagnosticContext, timeoutMs: number = DEFAULT_PROBE_TIMEOUT_MS, probeImageUpload: boolean = false): Promise<DiagnosticReport> {
+    const requestOptions: RequestOptions = { retry: false, cache: false, timeoutMs };
+    const deployment = detectDeployment(context.apiUrl);
+    const problems = configurationProblems(context.baseUrl, context.apiUrl, deployment, this.teamId);
+
+    // Health
+    const health: DiagnosticReport['health'] = { reachable: false, detail: '' };
+    let rateLimitHeaders: Record<string, string> = {};
+    const stacky = await this.probe(HttpMethod.GET, '/stacky', 'checkHealth', requestOptions);
+    health.latencyMs = stacky.latencyMs;
+    if (stacky.response) {
+      health.reachable = true;
+      health.statusCode = stacky.response.statusCode;
+      rateLimitHeaders = pickHeaders(stacky.response.headers, THROTTLE_HEADER_PATTERN);
+      if (isSuccess(stacky.response)) {
+        health.detail = 'The health endpoint answered';
+      } else if (/html/i.test(stacky.response.headers['content-type'] || '')) {
+        health.detail = `The health endpoint answered ${stacky.response.statusCode} with an HTML page`;
+        problems.push(`${context.apiUrl} serves web pages rather than the API; check that baseUrl points at the site root or the API URL`);
+      } else {
+        health.detail = `The health endpoint answered ${stacky.response.statusCode}`;
+      }
+    } else {
+      health.detail = stacky.error?.message || 'The API could not be reached';
+      problems.push(`Could not reach ${context.apiUrl}: ${health.detail}`);
+    }
+
+    // Authentication
+    const auth = await this.checkAuth(requestOptions, health.reachable);
+    if (auth.problem) {
+      problems.push(auth.problem);
+    }
+
+    // API families
+    const features: Record<ApiFeature, FeatureSupport> = {
+      communities: { detail: 'Not checked' },
+      analytics: { detail: 'Not checked' },
+      images: { detail: probeImageUpload ? 'Not checked' : 'Not checked; pass probeImageUpload to check image uploads' },
+      teams: auth.teams || (this.teamId
+        ? { detail: 'Not checked' }
+        : deployment === 'business'
+          ? { supported: true, detail: 'Business deployments serve every route under /teams/{teamId}' }
+          : { detail: 'Not checked; pass teamId to check team routes' }),
+    };
+    if (auth.report.status === 'authenticated') {
+      const prefix = this.teamId ? `/teams/${encodeURIComponent(this.teamId)}` : '';
+      const [communities, analytics, images] = await Promise.all([
+        this.probe(HttpMethod.GET, '/communities', 'checkCommunities', requestOptions),
+        auth.report.user?.id !== undefined
+          ? this.probe(HttpMethod.GET, `${prefix}/users/${auth.report.user.id}/analytics`, 'checkAnalytics', requestOptions)
+          : Promise.resolve(undefined),
+        probeImageUpload
+          ? this.probe(HttpMethod.POST, `${prefix}/images/upload`, 'checkImages', requestOptions)
+          : Promise.resolve(undefined),
+      ]);
+      features.communities = featureSupport(communities, 'The Communities API');
+      if (analytics) {
+        features.analytics = featureSupport(analytics, 'The user analytics API');
+      }
+      if (images) {
+        // An empty upload is refused as invalid where uploads are served
+        features.images = featureSupport(images, 'The image upload API', [400, 415, 422]);
+      }
+    } else {
+      Object.keys(features).forEach(feature => {
+        const support = features[feature as ApiFeature];
+        if (support.supported === undefined) {
+          support.detail = 'Not checked; authentication did not succeed';
+        }
+      });
+    }
+
+    const registry = this.features;
+    if (registry) {
+      Object.keys(features).forEach(key => {
+        const feature = key as ApiFeature;
+        const support = features[feature];
+        if (support.supported === true) {
+          registry.markSupported(feature);
+        } else if (support.supported === false) {
+          registry.markUnsupported(feature, support.detail);
+        }
+      });
+    }
+
+    return {
+      ok: health.reachable && auth.report.status === 'authenticated' && problems.length === 0,
+      baseUrl: context.baseUrl,
+      apiUrl: context.apiUrl,
+      deployment,
+      teamId: this.teamId,
+      health,
+      auth: auth.report,
+      rateLimit: { headers: rateLimitHeaders, status: context.getRateLimitStatus?.() },
+      features,
+      problems,
+    };
+  }
+
+  /**
+   * Check the access token with `users.getCurrentUser()`; in a team, this also tells whether team routes are served
+   */
+  private async checkAuth(requestOptions: RequestOptions, reachable: boolean): Promise<{
+    report: DiagnosticReport['auth'];
+    teams?: FeatureSupport;
+    problem?: string;
+  }> {
+    if (!this.clientOptions.tokens) {
+      return {
+        report: { status: 'no_token', detail: 'No access token is configured' },
+        problem: 'No access token is configured; pass accessToken or getAccessToken to the SDK',
+      };
+    }
+    if (!reachable) {
+      return { report: { status: 'error', detail: 'Not checked; the API could not be reached' } };
+    }
+
+    const startTime = Date.now();
+    try {
+      const user = await this.users.getCurrentUser(requestOptions);
+      return {
+        report: { status: 'authenticated', user, role: user.role, statusCode: 200, latencyMs: Date.now() - startTime, detail: `Authenticated as ${user.name ?? `user ${user.id}`}` },
+        teams: this.teamId ? { supported: true, statusCode: 200, detail: `Team '${this.teamId}' is served under /teams/${this.teamId}` } : undefined,
+      };
+    } catch (error: any) {
+      const latencyMs = Date.now() - startTime;
+      const statusCode = error instanceof SDKError ? error.statusCode : undefined;
+      const detail = error?.message || 'Unknown error';
+      if (error instanceof TokenExpiredError) {
+        return { report: { status: 'expired_token', statusCode, latencyMs, detail }, problem: 'The access token has expired; obtain a new one' };
+      }
+      if (error instanceof AuthenticationError) {
+        return {
+          report: { status: 'invalid_token', statusCode, latencyMs, detail },
+          problem: 'The access token was rejected; check that it was issued by this site and has not been revoked',
+        };
+      }
+      if (error instanceof ForbiddenError) {
+        return {
+          report: { status: 'forbidden', statusCode, latencyMs, detail },
+          problem: this.teamId
+            ? `The access token cannot access team '${this.teamId}'; check the team ID and that the token was granted access to it`
+            : 'The access token cannot access the site',
+        };
+      }
+      if (error instanceof NotFoundError && this.teamId && TEAM_NOT_FOUND_PATTERN.test(detail)) {
+        return {
+          report: { status: 'error', statusCode, latencyMs, detail },
+          teams: { supported: true, statusCode, detail: 'Team routes are served, but the team was not found' },
+          problem: `Team '${this.teamId}' was not found; use the team's slug from its URL, e.g. /c/[team-slug]`,
+        };
+      }
+      if (error instanceof NotFoundError && this.teamId) {
+        return {
+          report: { status: 'error', statusCode, latencyMs, detail },
+          teams: { supported: false, statusCode, detail: 'This deployment does not serve routes under /teams/{teamId}' },
+          problem: 'This deployment has no team routes; use the SDK without forTeam()',
+        };
+      }
+      return {
+        report: { status: 'error', statusCode, latencyMs, detail },
+        problem: `Checking the access token failed: ${detail}`,
+      };
+    }
+  }
+
+  /**
+   * Send a probe, reporting transport failures instead of throwing
+   */
+  private async probe(method: HttpMethod, path: string, operation: string, requestOptions: RequestOptions): Promise<ProbeResult> {
+    const startTime = Date.now();
+    try {
+      const response = await this.handleApiCall(
+        callOptions => sendRawRequest(this.config, method, path, {}, callOptions),
+        operation,
+        requestOptions
+      );
+      return { response, latencyMs: Date.now() - startTime };
+    } catch (error: any) {
+      return { error, latencyMs: Date.now() - startTime };
+    }
+  }
+}
+
+interface ProbeResult {
+  response?: RawResponse;
+  error?: Error;
+  latencyMs: number;
+}
+
+function isSuccess(response: RawResponse): boolean {
+  return response.statusCode >= 200 && response.statusCode <= 299;
+}
+
+/**
+ * Read a probe of an API family: success or an expected refusal means it is served, a missing route that it is not
+ *
+ * @param expected - Error statuses that still show the route exists
+ */
+function featureSupport(result: ProbeResult, name: string, expected: number[] = []): FeatureSupport {
+  const response = result.response;
+  if (!response) {
+    return { detail: `${name} could not be checked: ${result.error?.message || 'no response'}` };
+  }
+  const statusCode = response.statusCode;
+  if (isSuccess(response) || expected.indexOf(statusCode) !== -1) {
+    return { supported: true, statusCode, detail: `${name} is available` };
+  }
+  if (statusCode === 404 || statusCode === 405 || statusCode === 501) {
+    return { supported: false, statusCode, detail: `${name} is not served by this deployment (${statusCode})` };
+  }
+  return { statusCode, detail: `${name} could not be checked: the probe answered ${statusCode}` };
+}
+
+function pickHeaders(headers: Record<string, string>, pattern: RegExp): Record<string, string> {
+  const picked: Record<string, string> = {};
+  Object.keys(headers).filter(name => pattern.test(name)).forEach(name => {
+    picked[name] = headers[name]!;
+  });
+  return picked;
+}
+
+/**
+ * Tell Business deployments, served by the shared API host, from Enterprise instances
+ */
+function detectDeployment(apiUrl: string): DeploymentKind {
+  const host = /^[a-z][a-z\d+.-]*:\/\/([^/:?#]+)/i.exec(apiUrl)?.[1]?.toLowerCase() || '';
+  return host === BUSINESS_API_HOST || /(^|\.)stackoverflowteams\.com$/.test(host) ? 'business' : 'enterprise';
+}
+
+/**
+ * Problems visible from the URLs and team alone, before any request is sent
+ */
+function configurationProblems(baseUrl: string, apiUrl: string, deployment: DeploymentKind, teamId?: string): string[] {
+  const problems: string[] = [];
+  const path = apiUrl.replace(/^[a-z][a-z\d+.-]*:\/\/[^/]+/i, '');
+
+  if (!/^https?:\/\//i.test(baseUrl)) {
+    problems.push(`baseUrl '${baseUrl}' is not an absolute http(s) URL`);
+  }
+  if (deployment === 'business') {
+    if (!/^https:\/\/api\.stackoverflowteams\.com\//i.test(apiUrl + '/')) {
+      problems.push(`Business deployments are served by https://${BUSINESS_API_HOST}/v3; use it as baseUrl instead of '${baseUrl}'`);
+    } else if (!/^\/v3(\/|$)/.test(path)) {
+      problems.push(`baseUrl should be https://${BUSINESS_API_HOST}/v3; '${baseUrl}' lacks the /v3 path`);
+    }
+    if (!teamId) {
+      problems.push('Business deployments only serve team routes; pass teamId to diagnose() and use sdk.forTeam(teamId)');
+    }
+  } else {
+    if (/\/api\/v3\/./.test(path)) {
+      problems.push(`baseUrl '${baseUrl}' goes past /api/v3, so requests are sent below ${apiUrl}; use the site root instead`);
+    } else if (/\/(api|v3)\/api\/v3$/.test(path)) {
+      problems.push(`baseUrl '${baseUrl}' resolves to ${apiUrl}, repeating the API path; use the site root, e.g. https://[your-site].stackenterprise.co`);
+    }
+  }
+  return problems;
+}
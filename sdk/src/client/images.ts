@@ -0,0 +1,325 @@
+import { BaseClient, ClientOptions, RequestOptions, InvalidImageError } from './shared';
+import { ImagesMainApi, ImagesTeamsApi, HttpMethod } from '../generated/index.js';
+import { ImageResponseModel } from '../generated/index.js';
+
+/** Largest image the API accepts (2 MiB) */
+export const MAX_IMAGE_BYTES = 2 * 1024 * 1024;
+
+/**
+ * Image content accepted by `ImageClient.upload()`
+ * - `Uint8Array` (including Node.js `Buffer`) or `ArrayBuffer` holding the image
+ * - `Blob` or `File`
+ * - `string`: path of an image file (Node.js only)
+ * - Node.js readable stream or web `ReadableStream`
+ */
+export type ImageSource =
+  | Uint8Array
+  | ArrayBuffer
+  | Blob
+  | string
+  | AsyncIterable<Uint8Array | string>
+  | ReadableStream<Uint8Array>;
+
+/**
+ * Options for retrieving an image
+ * @typedef {Object} GetImageOptions
+ * @property {string} [alt] - Alternative text used in the returned markdown
+ */
+export interface GetImageOptions {
+  alt?: string;
+}
+
+/**
+ * Options for uploading an image
+ * @typedef {Object} UploadImageOptions
+ * @property {string} [fileName] - File name sent with the upload; defaults to the file's own name, or `image.<extension>`
+ * @property {string} [alt] - Alternative text used in the returned markdown
+ */
+export interface UploadImageOptions extends GetImageOptions {
+  fileName?: string;
+}
+
+/**
+ * Image together with markdown that embeds it in a post
+ * @typedef {Object} ImageWithMarkdown
+ * @property {string} markdown - Markdown image snippet, e.g. `![diagram](https://.../images/abc.png)`
+ */
+export interface ImageWithMarkdown extends ImageResponseModel {
+  markdown: string;
+}
+
+interface ImageType {
+  contentType: string;
+  extension: string;
+  test: (data: Uint8Array) => boolean;
+}
+
+const IMAGE_TYPES: ImageType[] = [
+  { contentType: 'image/jpeg', extension: 'jpg', test: d => d[0] === 0xff && d[1] === 0xd8 && d[2] === 0xff },
+  { contentType: 'image/png', extension: 'png', test: d => d[0] === 0x89 && d[1] === 0x50 && d[2] === 0x4e && d[3] === 0x47 },
+  { contentType: 'image/gif', extension: 'gif', test: d => d[0] === 0x47 && d[1] === 0x49 && d[2] === 0x46 && d[3] === 0x38 },
+  { contentType: 'image/bmp', extension: 'bmp', test: d => d[0] === 0x42 && d[1] === 0x4d },
+  {
+    contentType: 'image/webp',
+    extension: 'webp',
+    test: d => String.fromCharCode(d[0]!, d[1]!, d[2]!, d[3]!) === 'RIFF' && String.fromCharCode(d[8]!, d[9]!, d[10]!, d[11]!) === 'WEBP',
+  },
+];
+
+/**
+ * Client for uploading and retrieving images in Stack Overflow for Teams
+ *
+ * Images are checked before uploading: the type is detected from the content, and anything
+ * other than a JPEG, PNG, GIF, BMP or WebP image up to 2 MiB fails with `InvalidImageError`
+ * without a request being sent. Uploaded images come back with a markdown snippet ready to
+ * embed in a question, answer or article.
+ *
+ * @class ImageClient
+ * @extends {BaseClient}
+ *
+ * @example
+ * // Initialize for main site
+ * const imageClient = new ImageClient(config);
+ *
+ * @example
+ * // Initialize for a specific team
+ * const imageClient = new ImageClient(config, 'team-123');
+ */
+export class ImageClient extends BaseClient {
+  protected readonly clientName = 'images';
+  private mainApi: ImagesMainApi;
+  private teamsApi?: ImagesTeamsApi;
+
+  /**
+   * Creates a new ImageClient instance
+   *
+   * @param {ReturnType<typeof import('../generated/configuration').createConfiguration>} config - API configuration object
+   * @param {string} [teamId] - Optional team ID for team-specific operations
+   * @param {ClientOptions} [options] - Behaviour shared across the SDK instance (retries, circuit breaker, cache)
+   *
+   * @example
+   * const config = createConfiguration({ ... });
+   * const client = new ImageClient(config);
+   *
+   * @example
+   * // For team-specific operations
+   * const teamClient = new ImageClient(config, 'my-team-id');
+   */
+  constructor(private config: ReturnType<typeof import('../generated/configuration').createConfiguration>, private teamId?: string, options?: ClientOptions) {
+    super(options, teamId);
+    this.mainApi = new ImagesMainApi(config);
+    if (teamId) {
+      this.teamsApi = new ImagesTeamsApi(config);
+    }
+  }
+
+  /**
+   * Uploads an image
+   *
+   * The whole image is read and checked before anything is sent. Streams are read only
+   * until they exceed the size limit.
+   *
+   * @param {ImageSource} source - Image bytes, a Blob or File, a file path or a readable stream
+   * @param {UploadImageOptions} [options={}] - File name and alternative text
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
+   * @returns {Promise<ImageWithMarkdown>} A promise that resolves to the uploaded image and its markdown
+   *
+   * @throws {InvalidImageError} When the image is empty, larger than 2 MiB or not a supported type
+   * @throws {Error} When the file cannot be read or the API request fails
+   *
+   * @example
+   * const image = await imageClient.upload('./diagram.png', { alt: 'Architecture diagram' });
+   * await sdk.questions.ask({ title, body: `${body}\n\n${image.markdown}`, tags });
+   *
+   * @example
+   * // From a browser file input
+   * const image = await imageClient.upload(input.files[0]);
+   */
+  async upload(source: ImageSource, options: UploadImageOptions = {}, requestOptions?: RequestOptions): Promise<ImageWithMarkdown> {
+    const data = await readImageSource(source);
+    const type = checkImage(data, 'images.upload');
+    const name = options.fileName || sourceFileName(source) || `image.${type.extension}`;
+    // HttpFile is a Blob with a name; File is not available on every runtime
+    const file = Object.assign(new Blob([data], { type: type.contentType }), { name });
+
+    const image = await this.handleApiCall(async (callOptions) => {
+      if (this.teamId && this.teamsApi) {
+        return await this.teamsApi.teamsTeamImagesUploadPost(this.teamId, file, callOptions);
+      }
+
+      return await this.mainApi.imagesUploadPost(file, callOptions);
+    }, 'upload', requestOptions);
+
+    return withMarkdown(image, options.alt);
+  }
+
+  /**
+   * Retrieves an image by its ID
+   *
+   * The image is requested to confirm it exists and the caller may see it.
+   *
+   * @param {string} imageId - The image ID, as returned by `upload()`
+   * @param {GetImageOptions} [options={}] - Alternative text for the markdown
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
+   * @returns {Promise<ImageWithMarkdown>} A promise that resolves to the image ID, URL and markdown
+   *
+   * @throws {NotFoundError} When the image does not exist
+   * @throws {Error} When the API request fails
+   *
+   * @example
+   * const image = await imageClient.get('a1b2c3.png', { alt: 'Screenshot' });
+   * console.log(image.url);
+   * console.log(image.markdown); // ![Screenshot](https://.../images/a1b2c3.png)
+   */
+  async get(imageId: string, options: GetImageOptions = {}, requestOptions?: RequestOptions): Promise<ImageWithMarkdown> {
+    await this.handleApiCall(async (callOptions) => {
+      if (this.teamId && this.teamsApi) {
+        return await this.teamsApi.teamsTeamImagesImageIdGet(imageId, this.teamId, callOptions);
+      }
+
+      return await this.mainApi.imagesImageIdGet(imageId, callOptions);
+    }, 'get', requestOptions);
+
+    const path = this.teamId
+      ? `/teams/${encodeURIComponent(this.teamId)}/images/${encodeURIComponent(imageId)}`
+      : `/images/${encodeURIComponent(imageId)}`;
+    const url = this.config.baseServer.makeRequestContext(path, HttpMethod.GET).getUrl();
+
+    return withMarkdown({ id: imageId, url }, options.alt);
+  }
+
+  /**
+   * Builds the markdown that embeds an image
+   *
+   * @param {ImageResponseModel} image - An image returned by `upload()` or `get()`
+   * @param {string} [alt=''] - Alternative text
+   * @returns {string} The markdown image snippet
+   *
+   * @example
+   * const markdown = imageClient.toMarkdown(image, 'Error dialog');
+   */
+  toMarkdown(image: ImageResponseModel, alt: string = ''): string {
+    return imageMarkdown(image, alt);
+  }
+}
+
+function imageMarkdown(image: ImageResponseModel, alt: string = ''): string {
+  // Brackets in the text and parentheses or spaces in the URL would end the snippet early
+  const text = alt.replace(/[\\\[\]]/g, match => `\\${match}`);
+  const url = (image.url || '').replace(/[()\s]/g, match => encodeURIComponent(match));
+  return `![${text}](${url})`;
+}
+
+function withMarkdown(image: ImageResponseModel, alt?: string): ImageWithMarkdown {
+  return { ...image, markdown: imageMarkdown(image, alt) };
+}
+
+/**
+ * Detect the image type and check the size, throwing what the API would refuse
+ */
+function checkImage(data: Uint8Array, operation: string): ImageType {
+  if (data.length === 0) {
+    throw new InvalidImageError('The image is empty', operation, 'empty', 0);
+  }
+  const type = IMAGE_TYPES.filter(candidate => candidate.test(data))[0];
+  if (data.length > MAX_IMAGE_BYTES) {
+    throw new InvalidImageError(
+      `The image is ${data.length} bytes; images must be ${MAX_IMAGE_BYTES / (1024 * 1024)} MiB or smaller`,
+      operation,
+      'too_large',
+      data.length,
+      type?.contentType
+    );
+  }
+  if (!type) {
+    throw new InvalidImageError('Only JPEG, PNG, GIF, BMP and WebP images are supported', operation, 'unsupported_type', data.length);
+  }
+  return type;
+}
+
+function sourceFileName(source: ImageSource): string | undefined {
+  if (typeof source === 'string') {
+    return source.split(/[\\/]/).pop() || undefined;
+  }
+  const name = (source as { name?: unknown }).name;
+  return typeof name === 'string' && name ? name : undefined;
+}
+
+function tooLarge(size: number): InvalidImageError {
+  return new InvalidImageError(
+    `The image is larger than ${MAX_IMAGE_BYTES / (1024 * 1024)} MiB`,
+    'images.upload',
+    'too_large',
+    size
+  );
+}
+
+/**
+ * Read an image source into memory, giving up as soon as it exceeds the size limit
+ */
+async function readImageSource(source: ImageSource): Promise<Uint8Array> {
+  if (source instanceof Uint8Array) {
+    return source;
+  }
+  if (source instanceof ArrayBuffer) {
+    return new Uint8Array(source);
+  }
+  if (typeof Blob !== 'undefined' && source instanceof Blob) {
+    if (source.size > MAX_IMAGE_BYTES) {
+      throw tooLarge(source.size);
+    }
+    return new Uint8Array(await source.arrayBuffer());
+  }
+  if (typeof source === 'string') {
+    const fs = await import('fs');
+    const { size } = await fs.promises.stat(source);
+    if (size > MAX_IMAGE_BYTES) {
+      throw tooLarge(size);
+    }
+    return new Uint8Array(await fs.promises.readFile(source));
+  }
+
+  const chunks: Uint8Array[] = [];
+  let size = 0;
+  const add = (chunk: Uint8Array | string) => {
+    const bytes = typeof chunk === 'string' ? new TextEncoder().encode(chunk) : chunk;
+    size += bytes.length;
+    if (size > MAX_IMAGE_BYTES) {
+      throw tooLarge(size);
+    }
+    chunks.push(bytes);
+  };
+
+  if (typeof (source as ReadableStream<Uint8Array>).getReader === 'function') {
+    const reader = (source as ReadableStream<Uint8Array>).getReader();
+    try {
+      for (let result = await reader.read(); !result.done; result = await reader.read()) {
+        add(result.value);
+      }
+    } catch (error) {
+      await reader.cancel().catch(() => undefined);
+      throw error;
+    } finally {
+      reader.releaseLock();
+    }
+  } else {
+    const iterator = (source as AsyncIterable<Uint8Array | string>)[Symbol.asyncIterator]();
+    try {
+      for (let result = await iterator.next(); !result.done; result = await iterator.next()) {
+        add(result.value);
+      }
+    } catch (error) {
+      // Destroys a Node.js stream that is abandoned half-read
+      await iterator.return?.();
+      throw error;
+    }
+  }
+
+  const data = new Uint8Array(size);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    data.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return data;
+}
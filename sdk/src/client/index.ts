@@ -1,7 +1,13 @@
 import { createConfiguration, ConfigurationParameters } from '../generated/configuration.js';
 import { AuthMethodsConfiguration } from '../generated/auth/auth.js';
 import { ServerConfiguration } from '../generated/servers.js';
+import type { HttpLibrary } from '../generated/http/http.js';
 import { FixedIsomorphicFetchHttpLibrary } from '../helper/fixedHttpLibrary.js';
+import { RateLimitScheduler, RateLimitOptions, RateLimitStatus, ScheduledHttpLibrary } from '../helper/rateLimiter.js';
+import { ResponseCache, CacheOptions } from '../helper/responseCache.js';
+import { ResponseValidator, StrictResponseOptions } from '../helper/responseValidator.js';
+import { LocalImageUploader, LocalImageOptions } from '../helper/markdownImages.js';
+import { CircuitBreaker, CircuitBreakerOptions, CircuitState, ClientOptions, FeatureRegistry, headerMiddleware, LoaderOptions, LoaderRegistry, Logger, missingScope, parseScopes, RequestHooks, RetryOptions, SDKMiddleware, toPromiseMiddleware, UnsupportedFeatureError } from './shared/index.js';
 
 // Existing clients
 import { AnswerClient } from './answers.js';
@@ -14,11 +20,16 @@ import { TagClient } from './tags.js';
 import { CommentClient } from './comments.js';
 import { ArticleClient } from './articles.js';
 import { CommunityClient } from './communities.js';
+import { ImageClient } from './images.js';
+import { DiagnosticsClient, DiagnoseOptions, DiagnosticReport } from './diagnostics.js';
 
 // Auth clients
-import { BackendAuthClient } from '../auth/backend.js';
+import type { BackendAuthClient } from '../auth/backend.js';
+import { createBackendAuthClient } from '../auth/backendFactory.js';
 import { FrontendAuthClient } from '../auth/frontend.js';
 import type { AuthConfig } from '../auth/types.js';
+import { AccessToken, AccessTokenProvider, TokenExpiredContext, TokenManager } from '../auth/tokens.js';
+import type { TokenStore } from '../auth/tokenStore.js';
 
 /**
  * Normalizes the base URL to ensure it includes the API path
@@ -50,9 +61,46 @@ function normalizeBaseUrl(baseUrl: string): string {
 export interface SDKConfig {
   /** Optional access token for authenticated requests */
   accessToken?: string;
+  /** When `accessToken` expires, e.g. computed from the `expires` of a token exchange; the SDK renews it before that */
+  accessTokenExpiresAt?: Date | number;
+  /** Token provider called for the first request, before the current token expires and after it was rejected as expired; takes precedence over `accessToken` */
+  getAccessToken?: AccessTokenProvider;
+  /** Obtain a new token once the current one expired; the rejected request is replayed once with it (return nothing to surface `TokenExpiredError`) */
+  onTokenExpired?: (context: TokenExpiredContext) => Promise<string | AccessToken | undefined | void> | string | AccessToken | undefined | void;
+  /** Called whenever the access token changes, e.g. to persist a renewed token */
+  onTokenRefreshed?: (token: AccessToken) => void | Promise<void>;
+  /** Renew tokens this many milliseconds before their known expiry (defaults to 60 seconds) */
+  tokenRefreshMarginMs?: number;
+  /** Scopes granted to the access token, space-separated (e.g. 'write_access private_info'); operations needing a missing scope then fail with `InsufficientScopeError` before sending (defaults to `auth.scope` when set) */
+  scope?: string;
   /** Base URL of the Stack Overflow API V3 for your instance */
   baseUrl: string; 
-  // httpApi?: HttpLibrary; // defaults to FixedIsomorphicFetchHttpLibrary
+  /** HTTP library sending the requests, e.g. `NodeHttpLibrary` or a `ReplayHttpLibrary` in tests; the rate limiter applies to it as well (defaults to `FixedIsomorphicFetchHttpLibrary`) */
+  httpApi?: HttpLibrary;
+  /** `User-Agent` identifying your application on every request, e.g. `my-app/1.0 (https://example.com; me@example.com)` */
+  userAgent?: string;
+  /** Client-side throttling driven by the API's rate-limit headers, shared by every client (pass `false` to disable) */
+  rateLimit?: RateLimitOptions | false;
+  /** Retry policy for failed requests; only GET requests are retried unless a call opts in (pass `false` to disable) */
+  retry?: RetryOptions | false;
+  /** Fail fast with `CircuitOpenError` after repeated server failures, shared by every client (disabled by default) */
+  circuitBreaker?: CircuitBreakerOptions;
+  /** Request/response middleware applied to every call in order (`post` hooks run in reverse order) */
+  middleware?: SDKMiddleware[];
+  /** Cache responses of read operations, shared by every client (disabled by default; `true` uses defaults) */
+  cache?: CacheOptions | boolean;
+  /** Batching and de-duplication of entity lookups such as `users.load()` */
+  loader?: LoaderOptions;
+  /** Default time budget for each call in milliseconds, retries included; calls can override it with `timeoutMs` (no timeout by default) */
+  timeoutMs?: number;
+  /** Request lifecycle hooks (`onRequestStart`, `onRequestEnd`, `onError`), e.g. from `createTracingHooks()` */
+  hooks?: RequestHooks | RequestHooks[];
+  /** Logger for SDK diagnostics (defaults to warnings and errors on the console; use `consoleLogger` for debug messages too, `silentLogger` to mute) */
+  logger?: Logger;
+  /** Validate response bodies against the OpenAPI schemas, rejecting mismatches with `SchemaMismatchError` or logging them (disabled by default; `true` uses defaults) */
+  strictResponses?: StrictResponseOptions | boolean;
+  /** Upload images that question, answer and article bodies reference by file path or data URI, and point the bodies at the uploaded copies (disabled by default; `true` uses defaults) */
+  uploadLocalImages?: LocalImageOptions | boolean;
 }
 
 /**
@@ -69,6 +117,17 @@ export interface AuthSDKConfig extends SDKConfig {
  */
 export class StackOverflowSDK {
   private config: ReturnType<typeof createConfiguration>;
+  private rateLimiter?: RateLimitScheduler;
+  private clientOptions: ClientOptions;
+  private readonly sdkConfig: SDKConfig | AuthSDKConfig;
+  private readonly httpApi: HttpLibrary;
+
+  /** Response cache, present when enabled through `SDKConfig.cache` */
+  public readonly cache?: ResponseCache;
+  /** Access token shared by every client, present when a token or token provider is configured */
+  public readonly tokens?: TokenManager;
+  /** Uploader of local images in markdown bodies, present when enabled through `SDKConfig.uploadLocalImages` */
+  public readonly localImages?: LocalImageUploader;
   
   // Core Q&A functionality
   public readonly answers: AnswerClient;
@@ -81,6 +140,7 @@ export class StackOverflowSDK {
   public readonly search: SearchClient;
   public readonly usergroups: UserGroupClient;
   public readonly communities: CommunityClient;
+  public readonly images: ImageClient;
 
   // Auth clients (optional)
   public readonly auth?: {
@@ -91,6 +151,7 @@ export class StackOverflowSDK {
   /**
    * Creates a new Stack Overflow for Teams SDK instance
    * @param config - SDK configuration with optional authentication setup
+   * @param parent - SDK whose transport, rate limiter, cache, circuit breaker and response validator are reused (see `withToken()`)
    * @example
    * ```typescript
    * // Basic usage with access token
@@ -110,39 +171,103 @@ export class StackOverflowSDK {
    * });
    * ```
    */
-  constructor(config: SDKConfig | AuthSDKConfig) {
+  constructor(config: SDKConfig | AuthSDKConfig, parent?: StackOverflowSDK) {
+    this.sdkConfig = config;
+
     // Normalize the base URL to include API path
     const normalizedBaseUrl = normalizeBaseUrl(config.baseUrl);
     
     // Prepare auth configuration
     const authConfig: AuthMethodsConfiguration = {};
     
-    if (config.accessToken) {
-      authConfig.oauth2 = {
-        accessToken: config.accessToken
-      };
+    // One token manager for the whole SDK so a renewed token reaches every client, team contexts included
+    if (config.accessToken || config.getAccessToken) {
+      this.tokens = new TokenManager({
+        accessToken: config.accessToken,
+        accessTokenExpiresAt: config.accessTokenExpiresAt,
+        getAccessToken: config.getAccessToken,
+        onTokenExpired: config.onTokenExpired,
+        onTokenRefreshed: config.onTokenRefreshed,
+        refreshMarginMs: config.tokenRefreshMarginMs,
+        logger: config.logger
+      });
+      authConfig.default = this.tokens;
+    }
+
+    // One scheduler for the whole SDK so every client draws from the same throttle budget
+    if (parent) {
+      this.rateLimiter = parent.rateLimiter;
+    } else if (config.rateLimit !== false) {
+      this.rateLimiter = new RateLimitScheduler(config.rateLimit);
+    }
+
+    // Custom transports draw from the same throttle budget as the default one
+    const httpApi = parent
+      ? parent.httpApi
+      : !config.httpApi
+        ? new FixedIsomorphicFetchHttpLibrary({ scheduler: this.rateLimiter })
+        : this.rateLimiter ? new ScheduledHttpLibrary(config.httpApi, this.rateLimiter) : config.httpApi;
+    this.httpApi = httpApi;
+
+    if (parent) {
+      this.cache = parent.cache;
+    } else if (config.cache) {
+      this.cache = new ResponseCache(httpApi, config.cache === true ? {} : config.cache);
+    }
+
+    if (config.uploadLocalImages) {
+      this.localImages = new LocalImageUploader(config.uploadLocalImages === true ? {} : config.uploadLocalImages);
     }
 
+    const grantedScope = config.scope ?? ('auth' in config && config.auth ? config.auth.scope : undefined);
+
+    // Retry policy, circuit breaker, cache, loaders, timeout, hooks, logger, response validation, token and known features are shared with team contexts created later
+    // Loaders batch lookups and the image uploader reuses uploads across callers, so views with another token never share them
+    this.clientOptions = {
+      retry: config.retry,
+      circuitBreaker: parent
+        ? parent.clientOptions.circuitBreaker
+        : config.circuitBreaker ? new CircuitBreaker(config.circuitBreaker) : undefined,
+      cache: this.cache,
+      loaders: new LoaderRegistry(config.loader),
+      timeoutMs: config.timeoutMs,
+      hooks: config.hooks ? ([] as RequestHooks[]).concat(config.hooks) : undefined,
+      logger: config.logger,
+      responseValidator: parent
+        ? parent.clientOptions.responseValidator
+        : config.strictResponses
+          ? new ResponseValidator(config.strictResponses === true ? {} : config.strictResponses)
+          : undefined,
+      tokens: this.tokens,
+      grantedScopes: grantedScope !== undefined ? parseScopes(grantedScope) : undefined,
+      localImages: this.localImages,
+      features: parent ? parent.clientOptions.features : new FeatureRegistry()
+    };
+
     // Create configuration parameters with normalized URL
     const configParams: ConfigurationParameters = {
       authMethods: authConfig,
-      httpApi: new FixedIsomorphicFetchHttpLibrary(),
-      baseServer: new ServerConfiguration(normalizedBaseUrl, {})
+      httpApi,
+      baseServer: new ServerConfiguration(normalizedBaseUrl, {}),
+      promiseMiddleware: (config.userAgent ? [headerMiddleware({ 'User-Agent': config.userAgent })] : [])
+        .concat(config.middleware || [])
+        .map(toPromiseMiddleware)
     };
 
     this.config = createConfiguration(configParams);
 
     // Initialize client modules
-    this.answers = new AnswerClient(this.config);
-    this.questions = new QuestionClient(this.config);
-    this.articles = new ArticleClient(this.config);
-    this.collections = new CollectionClient(this.config);
-    this.comments = new CommentClient(this.config);
-    this.users = new UserClient(this.config);
-    this.tags = new TagClient(this.config);
-    this.search = new SearchClient(this.config);
-    this.usergroups = new UserGroupClient(this.config);
-    this.communities = new CommunityClient(this.config);
+    this.answers = new AnswerClient(this.config, undefined, this.clientOptions);
+    this.questions = new QuestionClient(this.config, undefined, this.clientOptions);
+    this.articles = new ArticleClient(this.config, undefined, this.clientOptions);
+    this.collections = new CollectionClient(this.config, undefined, this.clientOptions);
+    this.comments = new CommentClient(this.config, undefined, this.clientOptions);
+    this.users = new UserClient(this.config, undefined, this.clientOptions);
+    this.tags = new TagClient(this.config, undefined, this.clientOptions);
+    this.search = new SearchClient(this.config, undefined, this.clientOptions);
+    this.usergroups = new UserGroupClient(this.config, undefined, this.clientOptions);
+    this.communities = new CommunityClient(this.config, this.clientOptions);
+    this.images = new ImageClient(this.config, undefined, this.clientOptions);
 
     // Initialize auth clients if auth config is provided
     if ('auth' in config && config.auth) {
@@ -152,8 +277,12 @@ export class StackOverflowSDK {
         baseUrl: normalizeBaseUrl(config.auth.baseUrl)
       };
       
+      // The backend client is created on first use: its module is only loaded by the Node.js entry point
+      let backend: BackendAuthClient | undefined;
       this.auth = {
-        backend: new BackendAuthClient(normalizedAuthConfig),
+        get backend() {
+          return backend || (backend = createBackendAuthClient(normalizedAuthConfig));
+        },
         frontend: new FrontendAuthClient(normalizedAuthConfig),
       };
     }
@@ -175,7 +304,114 @@ export class StackOverflowSDK {
    * ```
    */
   forTeam(teamId: string): TeamContext {
-    return new TeamContext(this.config, teamId);
+    return new TeamContext(this.config, teamId, this.clientOptions);
+  }
+
+  /**
+   * Derive a view of the SDK that acts with another access token, e.g. per request in a service acting for many users
+   * The view shares the transport, rate-limit budget, response cache, circuit breaker and settings of this SDK.
+   * It has its own token and entity loaders, so concurrent views never send or receive each other's credentials or results.
+   * Token hooks (`getAccessToken`, `onTokenExpired`, `onTokenRefreshed`) are not inherited.
+   * 
+   * @param token - The user's access token, optionally with its expiry and scope (defaults to this SDK's scope)
+   * @returns SDK view acting as the token's user; `forTeam()` on it gives team contexts with the same token
+   * @throws {Error} When the token is empty
+   * @example
+   * ```typescript
+   * const sdk = new StackOverflowSDK({ baseUrl: 'https://[your-site].stackenterprise.co', cache: true });
+   * 
+   * app.get('/questions', async (req, res) => {
+   *   const questions = await sdk.withToken(req.user.accessToken).questions.getAll();
+   *   res.json(questions);
+   * });
+   * 
+   * // Team-scoped view
+   * const teamQuestions = await sdk.withToken(token).forTeam('team-123').questions.getAll();
+   * ```
+   */
+  withToken(token: string | AccessToken): StackOverflowSDK {
+    const { accessToken, expiresAt, scope } = typeof token === 'string' ? { accessToken: token, expiresAt: undefined, scope: undefined } : token;
+    if (!accessToken) {
+      throw new Error('withToken() requires an access token');
+    }
+
+    return new StackOverflowSDK({
+      ...this.sdkConfig,
+      scope: scope ?? this.sdkConfig.scope,
+      accessToken,
+      accessTokenExpiresAt: expiresAt,
+      getAccessToken: undefined,
+      onTokenExpired: undefined,
+      onTokenRefreshed: undefined,
+    }, this);
+  }
+
+  /**
+   * Whether the access token's scope allows an operation
+   * Only the scope is checked: operations restricted to moderators and admins also depend on the user's role.
+   * 
+   * @param operation - Operation name as `<client>.<method>`, e.g. 'questions.ask' or 'users.manage'
+   * @returns False when the operation needs a scope the token was not granted; true when it is allowed or the scope is not known
+   * @example
+   * ```typescript
+   * const sdk = new StackOverflowSDK({ baseUrl, accessToken, scope: 'read_inbox' });
+   * sdk.canPerform('questions.getAll'); // true
+   * sdk.canPerform('questions.ask');    // false, needs write_access
+   * ```
+   */
+  canPerform(operation: string): boolean {
+    return missingScope(operation, this.clientOptions.grantedScopes) === undefined;
+  }
+
+  /**
+   * Get the current rate-limit budget as reported by the API's throttle headers
+   * 
+   * @returns Budget snapshot, or undefined when client-side rate limiting is disabled
+   * @example
+   * ```typescript
+   * const status = sdk.getRateLimitStatus();
+   * console.log(`Burst calls left: ${status?.burstCallsLeft}`);
+   * console.log(`Token bucket calls left: ${status?.tokenBucketCallsLeft}`);
+   * console.log(`Queued requests: ${status?.queued}`);
+   * ```
+   */
+  getRateLimitStatus(): RateLimitStatus | undefined {
+    return this.rateLimiter?.getStatus();
+  }
+
+  /**
+   * Check the configuration against the deployment: reachability, access token and the API families it serves
+   * Reports the API URL `baseUrl` resolved to, the authenticated user and role, rate-limit headers and latency,
+   * with a suggested fix for each problem found. API families found missing make later calls to them fail with
+   * `UnsupportedFeatureError` instead of an unexplained `404`.
+   * 
+   * @param options - Team to check team routes with (required on Business deployments), time budget of each probe and whether to probe the image upload endpoint
+   * @returns Report of the findings; failed checks are reported rather than thrown
+   * @example
+   * ```typescript
+   * const report = await sdk.diagnose({ teamId: 'team-123' });
+   * if (!report.ok) {
+   *   report.problems.forEach(problem => console.warn(problem));
+   * }
+   * console.log(`${report.auth.status} as ${report.auth.user?.name} (${report.auth.role})`);
+   * console.log(`Analytics available: ${report.features.analytics.supported}`);
+   * ```
+   */
+  async diagnose(options: DiagnoseOptions = {}): Promise<DiagnosticReport> {
+    return new DiagnosticsClient(this.config, options.teamId, this.clientOptions).run({
+      baseUrl: this.sdkConfig.baseUrl,
+      apiUrl: normalizeBaseUrl(this.sdkConfig.baseUrl),
+      getRateLimitStatus: () => this.getRateLimitStatus()
+    }, options.timeoutMs, options.probeImageUpload);
+  }
+
+  /**
+   * Get the state of the shared circuit breaker
+   * 
+   * @returns 'closed', 'open' or 'half-open', or undefined when no circuit breaker is configured
+   */
+  getCircuitState(): CircuitState | undefined {
+    return this.clientOptions.circuitBreaker?.getState();
   }
 
   /**
@@ -211,6 +447,51 @@ export class StackOverflowSDK {
     });
   }
 
+  /**
+   * Create an SDK instance acting as a user whose token is kept in a token store
+   * The token is read from the store again when it is about to expire, so a token renewed by another
+   * process is picked up, and tokens renewed by this instance are written back.
+   * 
+   * @param tokenStore - Store the token was saved in, e.g. with `BackendAuthClient.saveToken()`
+   * @param userId - User or session id the token was saved for
+   * @param config - SDK configuration; its token settings are combined with the stored token
+   * @returns Configured SDK instance
+   * @throws {Error} When no token is stored for the user
+   * @example
+   * ```typescript
+   * const tokenStore = new FileTokenStore({ path: './tokens.enc', encryptionKey: process.env.TOKEN_KEY });
+   * const sdk = await StackOverflowSDK.fromStoredToken(tokenStore, req.session.userId, {
+   *   baseUrl: 'https://[your-site].stackenterprise.co'
+   * });
+   * const me = await sdk.users.getCurrentUser();
+   * ```
+   */
+  static async fromStoredToken(tokenStore: TokenStore, userId: string, config: SDKConfig | AuthSDKConfig): Promise<StackOverflowSDK> {
+    const stored = await tokenStore.get(userId);
+    if (!stored) {
+      throw new Error(`No access token is stored for user ${userId}`);
+    }
+
+    return new StackOverflowSDK({
+      ...config,
+      accessToken: stored.accessToken,
+      accessTokenExpiresAt: stored.expiresAt,
+      scope: config.scope ?? stored.scope,
+      getAccessToken: config.getAccessToken || (async () => {
+        const current = await tokenStore.get(userId);
+        if (!current) {
+          throw new Error(`No access token is stored for user ${userId}`);
+        }
+        return current;
+      }),
+      onTokenRefreshed: async (token) => {
+        const expiresAt = token.expiresAt instanceof Date ? token.expiresAt.getTime() : token.expiresAt;
+        await tokenStore.set(userId, { accessToken: token.accessToken, expiresAt, storedAt: Date.now(), scope: stored.scope });
+        await config.onTokenRefreshed?.(token);
+      },
+    });
+  }
+
   /**
    * Create an SDK instance configured for Stack Overflow Enterprise OAuth authentication
    * Sets up both backend and frontend auth clients for handling OAuth flows
@@ -256,23 +537,38 @@ export class TeamContext {
   public readonly tags: TagClient;
   public readonly search: SearchClient;
   public readonly usergroups: UserGroupClient;
+  public readonly images: ImageClient;
 
   /**
    * Creates a new team context with all clients configured for the specified team
    * @param config - SDK configuration
    * @param teamId - The team ID to scope operations to
+   * @param clientOptions - Retry policy, circuit breaker, cache and loaders shared with the parent SDK
    */
-  constructor(private config: ReturnType<typeof createConfiguration>, private teamId: string) {
+  constructor(private config: ReturnType<typeof createConfiguration>, private teamId: string, clientOptions: ClientOptions = {}) {
     // Initialize team-specific clients
-    this.answers = new AnswerClient(config, teamId);
-    this.questions = new QuestionClient(config, teamId);
-    this.collections = new CollectionClient(config, teamId);
-    this.users = new UserClient(config, teamId);
-    this.articles = new ArticleClient(config, teamId);
-    this.comments = new CommentClient(config, teamId);
-    this.tags = new TagClient(config, teamId);
-    this.search = new SearchClient(config, teamId);
-    this.usergroups = new UserGroupClient(config, teamId);
+    this.answers = new AnswerClient(config, teamId, clientOptions);
+    this.questions = new QuestionClient(config, teamId, clientOptions);
+    this.collections = new CollectionClient(config, teamId, clientOptions);
+    this.users = new UserClient(config, teamId, clientOptions);
+    this.articles = new ArticleClient(config, teamId, clientOptions);
+    this.comments = new CommentClient(config, teamId, clientOptions);
+    this.tags = new TagClient(config, teamId, clientOptions);
+    this.search = new SearchClient(config, teamId, clientOptions);
+    this.usergroups = new UserGroupClient(config, teamId, clientOptions);
+    this.images = new ImageClient(config, teamId, clientOptions);
+  }
+
+  /**
+   * Communities only exist on the main site of Enterprise instances; use `sdk.communities` instead
+   * @throws {UnsupportedFeatureError} Always, as the Communities API has no team routes
+   */
+  get communities(): never {
+    throw new UnsupportedFeatureError(
+      `Communities are not available in team '${this.teamId}': the Communities API only exists on the main site of Enterprise instances; use sdk.communities instead`,
+      'communities',
+      'communities'
+    );
   }
 }
 
@@ -287,8 +583,45 @@ export { CommunityClient } from './communities.js';
 export { UserClient } from './users.js';
 export { TagClient } from './tags.js';
 export { UserGroupClient } from './userGroups.js';
-export { BackendAuthClient, FrontendAuthClient } from '../auth/index.js';
-export type { AuthConfig, TokenResponse, PKCETokens } from '../auth/index.js';
+export { ImageClient, MAX_IMAGE_BYTES } from './images.js';
+export type { ImageSource, GetImageOptions, UploadImageOptions, ImageWithMarkdown } from './images.js';
+export { FrontendAuthClient } from '../auth/frontend.js';
+export { BrowserAuthClient } from '../auth/browser.js';
+export type { BrowserAuthOptions } from '../auth/browser.js';
+export type { AuthConfig, TokenResponse, PKCETokens } from '../auth/types.js';
+export { MemoryTokenStore, KeyValueTokenStore, isTokenExpired } from '../auth/tokenStore.js';
+export type { TokenStore, StoredToken, KeyValueAdapter, KeyValueTokenStoreOptions } from '../auth/tokenStore.js';
+export { TokenManager, toAccessToken } from '../auth/tokens.js';
+export type { AccessToken, AccessTokenProvider, TokenExpiredContext, TokenRenewalReason, TokenManagerOptions } from '../auth/tokens.js';
+export { MemorySessionStore } from '../auth/sessionStore.js';
+export type { SessionStore, PendingAuthSession } from '../auth/sessionStore.js';
 export { FixedIsomorphicFetchHttpLibrary } from '../helper/fixedHttpLibrary.js';
+export { RateLimitScheduler, ScheduledHttpLibrary } from '../helper/rateLimiter.js';
+export { ResponseCache, MemoryCacheStore } from '../helper/responseCache.js';
+export { LocalImageUploader, findLocalImages } from '../helper/markdownImages.js';
+export type { LocalImageOptions, LocalImageReference, ImageUploadFunction } from '../helper/markdownImages.js';
+export type { CacheOptions, CacheStore, CachedResponse } from '../helper/responseCache.js';
+export { ResponseValidator } from '../helper/responseValidator.js';
+export type { StrictResponseOptions, SchemaViolation, ResponseValidationResult, OpenApiDocument, SchemaObject } from '../helper/responseValidator.js';
+export type { RateLimitOptions, RateLimitStatus } from '../helper/rateLimiter.js';
+export { CircuitBreaker } from './shared/index.js';
+export type { RetryOptions, RetryEvent, CircuitBreakerOptions, CircuitState, RequestOptions } from './shared/index.js';
+export { headerMiddleware, EntityLoader, getOperationRequirement } from './shared/index.js';
+export type { OperationRequirement } from './shared/index.js';
+export { resolveFlagOption } from './shared/index.js';
+export type { FlagKind, FlagSelector, FlagOptions, FlagInput, FlagManyOptions, FlagResult } from './shared/index.js';
+export type { QuestionFlag } from './questions.js';
+export type { AnswerFlag } from './answers.js';
+export { DiagnosticsClient } from './diagnostics.js';
+export type { DiagnoseOptions, DiagnosticReport, DiagnosticContext, DeploymentKind, AuthStatus, FeatureSupport } from './diagnostics.js';
+export { FeatureRegistry, getOperationFeatures } from './shared/index.js';
+export type { ApiFeature } from './shared/index.js';
+export type { UserAnalyticsResponseModel, GetUserAnalyticsOptions, AnalyticsGranularity, AnalyticsRollupOptions, AnalyticsTotals, AnalyticsPeriodTotals, AnalyticsRollup } from './users.js';
+export type { LoaderOptions } from './shared/index.js';
+export type { CommentWithAuthor } from './comments.js';
+export type { QuestionThread, ThreadAnswer, GetThreadOptions } from './questions.js';
+export type { SDKMiddleware } from './shared/index.js';
+export { createTracingHooks, consoleLogger, silentLogger } from './shared/index.js';
+export type { RequestHooks, RequestEvent, RequestEndEvent, RequestErrorEvent, Logger, TracerLike, SpanLike, TracingOptions } from './shared/index.js';
 
 export default StackOverflowSDK;
\ No newline at end of file
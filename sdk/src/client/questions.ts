@@ -1,16 +1,33 @@
-import { BaseClient } from './shared';
-import { QuestionsMainApi, QuestionsTeamsApi } from '../generated/index.js';
+import {
+  BaseClient,
+  ClientOptions,
+  RequestOptions,
+  IterateOptions,
+  PageIterator,
+  EntityLoader,
+  FlagInput,
+  FlagManyOptions,
+  FlagResult,
+  toFlagRequest,
+  flagEach
+} from './shared';
+import { QuestionsMainApi, QuestionsMain21231213Api, QuestionsTeamsApi } from '../generated/index.js';
 import { 
+  AnswerSummaryResponseModel,
+  CommentResponseModel,
   QuestionRequestModel,
   QuestionResponseModel,
+  QuestionSummaryResponseModel,
   PaginatedQuestions,
   PaginatedLinkedOrRelatedQuestions,
   QuestionSortParameter,
   LinkedOrRelatedQuestionsSortParameter,
   SortOrder,
-  FlagOptionResponseModel,
-  FlagRequestModel
+  FlagOptionResponseModel
 } from '../generated/index.js';
+import { AnswerClient } from './answers.js';
+import { CommentClient, CommentWithAuthor } from './comments.js';
+import { ImageClient } from './images.js';
 
 /**
  * Options for creating a new question
@@ -82,6 +99,71 @@ export interface GetLinkedQuestionsOptions {
   order?: SortOrder;
 }
 
+/**
+ * Options for assembling a question thread
+ * @typedef {Object} GetThreadOptions
+ * @property {'score'|'modified'|'creation'} [answerSort='score'] - Order of the answers after the accepted one
+ * @property {SortOrder} [answerOrder='desc'] - Sort direction of the answers
+ * @property {boolean} [includeComments=true] - Fetch the comments on the question and each answer
+ * @property {boolean} [hydrateAuthors=false] - Attach the full user details of each comment's owner
+ * @property {boolean} [includeLinked=false] - Fetch the questions linked to this one
+ * @property {boolean} [includeRelated=false] - Fetch the questions related to this one
+ * @property {number} [maxRelated=10] - Maximum number of related questions
+ * @property {number} [concurrency=4] - Maximum number of answer pages or comment lists fetched in parallel
+ * @property {RequestOptions} [request] - Per-call options applied to every request, e.g. a `signal` that cancels the whole thread
+ */
+export interface GetThreadOptions {
+  answerSort?: 'score' | 'modified' | 'creation';
+  answerOrder?: 'asc' | 'desc' | SortOrder;
+  includeComments?: boolean;
+  hydrateAuthors?: boolean;
+  includeLinked?: boolean;
+  includeRelated?: boolean;
+  maxRelated?: number;
+  concurrency?: number;
+  request?: RequestOptions;
+}
+
+/**
+ * Answer within a question thread
+ * @typedef {Object} ThreadAnswer
+ * @property {CommentWithAuthor[]} comments - Comments on the answer, oldest first; empty when comments were not requested
+ */
+export interface ThreadAnswer extends AnswerSummaryResponseModel {
+  comments: Array<CommentWithAuthor>;
+}
+
+/**
+ * A question with everything posted on it
+ * @typedef {Object} QuestionThread
+ * @property {QuestionResponseModel} question - The question itself
+ * @property {CommentWithAuthor[]} comments - Comments on the question, oldest first; empty when comments were not requested
+ * @property {ThreadAnswer[]} answers - Every answer, the accepted answer first
+ * @property {QuestionSummaryResponseModel[]} [linked] - Linked questions, when `includeLinked` was set
+ * @property {QuestionSummaryResponseModel[]} [related] - Related questions, when `includeRelated` was set
+ */
+export interface QuestionThread {
+  question: QuestionResponseModel;
+  comments: Array<CommentWithAuthor>;
+  answers: Array<ThreadAnswer>;
+  linked?: Array<QuestionSummaryResponseModel>;
+  related?: Array<QuestionSummaryResponseModel>;
+}
+
+/**
+ * A question to flag as part of a batch
+ * @typedef {Object} QuestionFlag
+ * @property {number} questionId - The question to flag
+ * @property {FlagInput} flag - The flag to raise, by option name, kind or ID
+ */
+export interface QuestionFlag {
+  questionId: number;
+  flag: FlagInput;
+}
+
+const DEFAULT_THREAD_CONCURRENCY = 4;
+const DEFAULT_MAX_RELATED = 10;
+
 /**
  * Client for managing questions in Stack Overflow for Teams
  * 
@@ -103,14 +185,21 @@ export interface GetLinkedQuestionsOptions {
  * const questionClient = new QuestionClient(config, 'team-123');
  */
 export class QuestionClient extends BaseClient {
+  protected readonly clientName = 'questions';
   private mainApi: QuestionsMainApi;
+  // The question listing endpoint is generated onto its own API class
+  private listApi: QuestionsMain21231213Api;
   private teamsApi?: QuestionsTeamsApi;
+  private answers: AnswerClient;
+  private comments: CommentClient;
+  private images: ImageClient;
 
   /**
    * Creates a new QuestionClient instance
    * 
    * @param {ReturnType<typeof import('../generated/configuration').createConfiguration>} config - API configuration object
    * @param {string} [teamId] - Optional team ID for team-specific operations
+   * @param {ClientOptions} [options] - Behaviour shared across the SDK instance (retries, circuit breaker, cache)
    * 
    * @example
    * const config = createConfiguration({ ... });
@@ -120,18 +209,23 @@ export class QuestionClient extends BaseClient {
    * // For team-specific operations
    * const teamClient = new QuestionClient(config, 'my-team-id');
    */
-  constructor(config: ReturnType<typeof import('../generated/configuration').createConfiguration>, private teamId?: string) {
-    super();
+  constructor(config: ReturnType<typeof import('../generated/configuration').createConfiguration>, private teamId?: string, options?: ClientOptions) {
+    super(options, teamId);
     this.mainApi = new QuestionsMainApi(config);
+    this.listApi = new QuestionsMain21231213Api(config);
     if (teamId) {
       this.teamsApi = new QuestionsTeamsApi(config);
     }
+    this.answers = new AnswerClient(config, teamId, options);
+    this.comments = new CommentClient(config, teamId, options);
+    this.images = new ImageClient(config, teamId, options);
   }
 
   /**
    * Retrieves all questions with comprehensive filtering, pagination and sorting options
    * 
    * @param {GetQuestionsOptions} [options={}] - Options for filtering, pagination and sorting
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedQuestions>} A promise that resolves to paginated question results
    * 
    * @throws {Error} When the API request fails or returns an error
@@ -165,8 +259,8 @@ export class QuestionClient extends BaseClient {
    *   console.log(`${question.title}: ${question.score} points, ${question.answerCount} answers`);
    * });
    */
-  async getAll(options: GetQuestionsOptions = {}): Promise<PaginatedQuestions> {
-    return this.handleApiCall(async () => {
+  async getAll(options: GetQuestionsOptions = {}, requestOptions?: RequestOptions): Promise<PaginatedQuestions> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
         return await this.teamsApi.teamsTeamQuestionsGet(
           this.teamId,
@@ -180,11 +274,12 @@ export class QuestionClient extends BaseClient {
           options.tagId,
           options.authorId,
           options.from,
-          options.to
+          options.to,
+          callOptions
         );
       }
       
-      return await this.mainApi.questionsGet(
+      return await this.listApi.questionsGet(
         options.page,
         options.pageSize,
         options.sort as QuestionSortParameter,
@@ -195,15 +290,45 @@ export class QuestionClient extends BaseClient {
         options.tagId,
         options.authorId,
         options.from,
-        options.to
+        options.to,
+        callOptions
       );
-    }, 'getAll');
+    }, 'getAll', requestOptions, this.cacheRead('questions.getAll', options));
+  }
+
+  /**
+   * Iterates over every question matching the given filters, fetching pages as needed
+   * 
+   * @param {GetQuestionsOptions} [options={}] - Filtering and sorting options; `page` sets the starting page
+   * @param {IterateOptions} [iterateOptions={}] - Parallelism, item limit and resume cursor
+   * @returns {PageIterator<QuestionSummaryResponseModel>} An async iterable with an `all()` collector
+   * 
+   * @example
+   * for await (const question of questionClient.iterate({ isAnswered: false })) {
+   *   console.log(question.title);
+   * }
+   * 
+   * @example
+   * // Collect up to 1000 questions, fetching 4 pages at a time
+   * const questions = await questionClient.iterate({ pageSize: 100 }, { concurrency: 4, maxItems: 1000 }).all();
+   * 
+   * @example
+   * // Resume a long-running job
+   * const iterator = questionClient.iterate({}, { cursor: savedCursor });
+   * for await (const question of iterator) {
+   *   await process(question);
+   *   savedCursor = iterator.serializeCursor();
+   * }
+   */
+  iterate(options: GetQuestionsOptions = {}, iterateOptions: IterateOptions = {}): PageIterator<QuestionSummaryResponseModel, PaginatedQuestions> {
+    return new PageIterator(page => this.getAll({ ...options, page }, iterateOptions.request), iterateOptions, options.page);
   }
 
   /**
    * Retrieves a specific question by its ID
    * 
    * @param {number} questionId - The unique identifier of the question
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<QuestionResponseModel>} A promise that resolves to the complete question details
    * 
    * @throws {Error} When the question is not found or the API request fails
@@ -222,20 +347,36 @@ export class QuestionClient extends BaseClient {
    *   console.log(`Bounty: ${question.bounty.amount} points`);
    * }
    */
-  async get(questionId: number): Promise<QuestionResponseModel> {
-    return this.handleApiCall(async () => {
+  async get(questionId: number, requestOptions?: RequestOptions): Promise<QuestionResponseModel> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
-        return await this.teamsApi.teamsTeamQuestionsQuestionIdGet(questionId, this.teamId);
+        return await this.teamsApi.teamsTeamQuestionsQuestionIdGet(questionId, this.teamId, callOptions);
       }
       
-      return await this.mainApi.questionsQuestionIdGet(questionId);
-    }, 'get');
+      return await this.mainApi.questionsQuestionIdGet(questionId, callOptions);
+    }, 'get', requestOptions, this.cacheRead('questions.get', questionId));
+  }
+
+  /**
+   * Loads a question by ID through the shared question loader
+   * 
+   * Lookups made in the same tick are batched, and concurrent lookups of the same question share a single request.
+   * 
+   * @param {number} questionId - The unique identifier of the question
+   * @returns {Promise<QuestionResponseModel>} A promise that resolves to the complete question details
+   * 
+   * @example
+   * const linked = await Promise.all(linkedIds.map(id => questionClient.load(id)));
+   */
+  load(questionId: number): Promise<QuestionResponseModel> {
+    return this.loader('questions.get', (id: number) => this.get(id)).load(questionId);
   }
 
   /**
    * Creates a new question (asks a question)
    * 
    * @param {CreateQuestionOptions} options - The question content and configuration
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<QuestionResponseModel>} A promise that resolves to the created question
    * 
    * @throws {Error} When question creation fails due to validation errors or API issues
@@ -249,20 +390,21 @@ export class QuestionClient extends BaseClient {
    * console.log(`Created question with ID: ${newQuestion.id}`);
    * console.log(`Question URL: ${newQuestion.webUrl}`);
    */
-  async ask(options: CreateQuestionOptions): Promise<QuestionResponseModel> {
-    return this.handleApiCall(async () => {
+  async ask(options: CreateQuestionOptions, requestOptions?: RequestOptions): Promise<QuestionResponseModel> {
+    const body = await this.uploadLocalImages(options.body, (data, fileName) => this.images.upload(data, { fileName }, requestOptions));
+    return this.handleApiCall(async (callOptions) => {
       const request: QuestionRequestModel = {
         title: options.title,
-        body: options.body,
+        body,
         tags: options.tags
       };
 
       if (this.teamId && this.teamsApi) {
-        return await this.teamsApi.teamsTeamQuestionsPost(this.teamId, request);
+        return await this.teamsApi.teamsTeamQuestionsPost(this.teamId, request, callOptions);
       }
       
-      return await this.mainApi.questionsPost(request);
-    }, 'ask');
+      return await this.mainApi.questionsPost(request, callOptions);
+    }, 'ask', requestOptions, this.cacheEvict('questions.getAll'));
   }
 
   /**
@@ -270,6 +412,7 @@ export class QuestionClient extends BaseClient {
    * 
    * @param {number} questionId - The unique identifier of the question to update
    * @param {UpdateQuestionOptions} options - The updated question content
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<QuestionResponseModel>} A promise that resolves to the updated question
    * 
    * @throws {Error} When the question is not found, user lacks permissions, or the API request fails
@@ -281,26 +424,28 @@ export class QuestionClient extends BaseClient {
    *   tags: ['react', 'authentication', 'javascript', 'oauth', 'security']
    * });
    */
-  async update(questionId: number, options: UpdateQuestionOptions): Promise<QuestionResponseModel> {
-    return this.handleApiCall(async () => {
+  async update(questionId: number, options: UpdateQuestionOptions, requestOptions?: RequestOptions): Promise<QuestionResponseModel> {
+    const body = await this.uploadLocalImages(options.body, (data, fileName) => this.images.upload(data, { fileName }, requestOptions));
+    return this.handleApiCall(async (callOptions) => {
       const request: QuestionRequestModel = {
         title: options.title,
-        body: options.body,
+        body,
         tags: options.tags
       };
 
       if (this.teamId && this.teamsApi) {
-        return await this.teamsApi.teamsTeamQuestionsQuestionIdPut(questionId, this.teamId, request);
+        return await this.teamsApi.teamsTeamQuestionsQuestionIdPut(questionId, this.teamId, request, callOptions);
       }
       
-      return await this.mainApi.questionsQuestionIdPut(questionId, request);
-    }, 'update');
+      return await this.mainApi.questionsQuestionIdPut(questionId, request, callOptions);
+    }, 'update', requestOptions, this.cacheEvict(['questions.get', questionId], 'questions.getAll'));
   }
 
   /**
    * Deletes a question
    * 
    * @param {number} questionId - The unique identifier of the question to delete
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<void>} A promise that resolves when the question is successfully deleted
    * 
    * @throws {Error} When the question is not found, user lacks permissions, or the API request fails
@@ -309,21 +454,22 @@ export class QuestionClient extends BaseClient {
    * await questionClient.delete(123);
    * console.log('Question deleted successfully');
    */
-  async delete(questionId: number): Promise<void> {
-    return this.handleApiCall(async () => {
+  async delete(questionId: number, requestOptions?: RequestOptions): Promise<void> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
-        await this.teamsApi.teamsTeamQuestionsQuestionIdDelete(questionId, this.teamId);
+        await this.teamsApi.teamsTeamQuestionsQuestionIdDelete(questionId, this.teamId, callOptions);
         return;
       }
       
-      await this.mainApi.questionsQuestionIdDelete(questionId);
-    }, 'delete');
+      await this.mainApi.questionsQuestionIdDelete(questionId, callOptions);
+    }, 'delete', requestOptions, this.cacheEvict(['questions.get', questionId], 'questions.getAll'));
   }
 
   /**
    * Upvotes a question
    * 
    * @param {number} questionId - The unique identifier of the question to upvote
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<QuestionResponseModel>} A promise that resolves to the updated question
    * 
    * @throws {Error} When the question is not found, user lacks permissions, or has already upvoted
@@ -333,20 +479,21 @@ export class QuestionClient extends BaseClient {
    * console.log(`New score: ${updatedQuestion.score}`);
    * console.log(`User has upvoted: ${updatedQuestion.userHasUpvoted}`);
    */
-  async upvote(questionId: number): Promise<QuestionResponseModel> {
-    return this.handleApiCall(async () => {
+  async upvote(questionId: number, requestOptions?: RequestOptions): Promise<QuestionResponseModel> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
-        return await this.teamsApi.teamsTeamQuestionsQuestionIdUpvotePost(questionId, this.teamId);
+        return await this.teamsApi.teamsTeamQuestionsQuestionIdUpvotePost(questionId, this.teamId, callOptions);
       }
       
-      return await this.mainApi.questionsQuestionIdUpvotePost(questionId);
-    }, 'upvote');
+      return await this.mainApi.questionsQuestionIdUpvotePost(questionId, callOptions);
+    }, 'upvote', requestOptions, this.cacheEvict(['questions.get', questionId], 'questions.getAll'));
   }
 
   /**
    * Removes an upvote from a question
    * 
    * @param {number} questionId - The unique identifier of the question to remove upvote from
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<QuestionResponseModel>} A promise that resolves to the updated question
    * 
    * @throws {Error} When the question is not found, user lacks permissions, or hasn't upvoted
@@ -355,20 +502,21 @@ export class QuestionClient extends BaseClient {
    * const updatedQuestion = await questionClient.removeUpvote(123);
    * console.log(`Score after removing upvote: ${updatedQuestion.score}`);
    */
-  async removeUpvote(questionId: number): Promise<QuestionResponseModel> {
-    return this.handleApiCall(async () => {
+  async removeUpvote(questionId: number, requestOptions?: RequestOptions): Promise<QuestionResponseModel> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
-        return await this.teamsApi.teamsTeamQuestionsQuestionIdUpvoteDelete(questionId, this.teamId);
+        return await this.teamsApi.teamsTeamQuestionsQuestionIdUpvoteDelete(questionId, this.teamId, callOptions);
       }
       
-      return await this.mainApi.questionsQuestionIdUpvoteDelete(questionId);
-    }, 'removeUpvote');
+      return await this.mainApi.questionsQuestionIdUpvoteDelete(questionId, callOptions);
+    }, 'removeUpvote', requestOptions, this.cacheEvict(['questions.get', questionId], 'questions.getAll'));
   }
 
   /**
    * Downvotes a question
    * 
    * @param {number} questionId - The unique identifier of the question to downvote
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<QuestionResponseModel>} A promise that resolves to the updated question
    * 
    * @throws {Error} When the question is not found, user lacks permissions, or has already downvoted
@@ -378,20 +526,21 @@ export class QuestionClient extends BaseClient {
    * console.log(`New score: ${updatedQuestion.score}`);
    * console.log(`User has downvoted: ${updatedQuestion.userHasDownvoted}`);
    */
-  async downvote(questionId: number): Promise<QuestionResponseModel> {
-    return this.handleApiCall(async () => {
+  async downvote(questionId: number, requestOptions?: RequestOptions): Promise<QuestionResponseModel> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
-        return await this.teamsApi.teamsTeamQuestionsQuestionIdDownvotePost(questionId, this.teamId);
+        return await this.teamsApi.teamsTeamQuestionsQuestionIdDownvotePost(questionId, this.teamId, callOptions);
       }
       
-      return await this.mainApi.questionsQuestionIdDownvotePost(questionId);
-    }, 'downvote');
+      return await this.mainApi.questionsQuestionIdDownvotePost(questionId, callOptions);
+    }, 'downvote', requestOptions, this.cacheEvict(['questions.get', questionId], 'questions.getAll'));
   }
 
   /**
    * Removes a downvote from a question
    * 
    * @param {number} questionId - The unique identifier of the question to remove downvote from
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<QuestionResponseModel>} A promise that resolves to the updated question
    * 
    * @throws {Error} When the question is not found, user lacks permissions, or hasn't downvoted
@@ -400,14 +549,14 @@ export class QuestionClient extends BaseClient {
    * const updatedQuestion = await questionClient.removeDownvote(123);
    * console.log(`Score after removing downvote: ${updatedQuestion.score}`);
    */
-  async removeDownvote(questionId: number): Promise<QuestionResponseModel> {
-    return this.handleApiCall(async () => {
+  async removeDownvote(questionId: number, requestOptions?: RequestOptions): Promise<QuestionResponseModel> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
-        return await this.teamsApi.teamsTeamQuestionsQuestionIdDownvoteDelete(questionId, this.teamId);
+        return await this.teamsApi.teamsTeamQuestionsQuestionIdDownvoteDelete(questionId, this.teamId, callOptions);
       }
       
-      return await this.mainApi.questionsQuestionIdDownvoteDelete(questionId);
-    }, 'removeDownvote');
+      return await this.mainApi.questionsQuestionIdDownvoteDelete(questionId, callOptions);
+    }, 'removeDownvote', requestOptions, this.cacheEvict(['questions.get', questionId], 'questions.getAll'));
   }
 
   /**
@@ -417,6 +566,7 @@ export class QuestionClient extends BaseClient {
    * question-specific feature not available for other content types.
    * 
    * @param {number} questionId - The unique identifier of the question to bookmark
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<QuestionResponseModel>} A promise that resolves to the updated question
    * 
    * @throws {Error} When the question is not found, user lacks permissions, or has already bookmarked
@@ -425,20 +575,21 @@ export class QuestionClient extends BaseClient {
    * const bookmarkedQuestion = await questionClient.bookmark(123);
    * console.log(`Question bookmarked: ${bookmarkedQuestion.userHasBookmarked}`);
    */
-  async bookmark(questionId: number): Promise<QuestionResponseModel> {
-    return this.handleApiCall(async () => {
+  async bookmark(questionId: number, requestOptions?: RequestOptions): Promise<QuestionResponseModel> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
-        return await this.teamsApi.teamsTeamQuestionsQuestionIdBookmarkPost(questionId, this.teamId);
+        return await this.teamsApi.teamsTeamQuestionsQuestionIdBookmarkPost(questionId, this.teamId, callOptions);
       }
       
-      return await this.mainApi.questionsQuestionIdBookmarkPost(questionId);
-    }, 'bookmark');
+      return await this.mainApi.questionsQuestionIdBookmarkPost(questionId, callOptions);
+    }, 'bookmark', requestOptions, this.cacheEvict(['questions.get', questionId], 'questions.getAll'));
   }
 
   /**
    * Removes a bookmark from a question
    * 
    * @param {number} questionId - The unique identifier of the question to remove bookmark from
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<QuestionResponseModel>} A promise that resolves to the updated question
    * 
    * @throws {Error} When the question is not found, user lacks permissions, or hasn't bookmarked
@@ -447,14 +598,14 @@ export class QuestionClient extends BaseClient {
    * const unbookmarkedQuestion = await questionClient.removeBookmark(123);
    * console.log(`Bookmark removed: ${!unbookmarkedQuestion.userHasBookmarked}`);
    */
-  async removeBookmark(questionId: number): Promise<QuestionResponseModel> {
-    return this.handleApiCall(async () => {
+  async removeBookmark(questionId: number, requestOptions?: RequestOptions): Promise<QuestionResponseModel> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
-        return await this.teamsApi.teamsTeamQuestionsQuestionIdBookmarkDelete(questionId, this.teamId);
+        return await this.teamsApi.teamsTeamQuestionsQuestionIdBookmarkDelete(questionId, this.teamId, callOptions);
       }
       
-      return await this.mainApi.questionsQuestionIdBookmarkDelete(questionId);
-    }, 'removeBookmark');
+      return await this.mainApi.questionsQuestionIdBookmarkDelete(questionId, callOptions);
+    }, 'removeBookmark', requestOptions, this.cacheEvict(['questions.get', questionId], 'questions.getAll'));
   }
 
   /**
@@ -465,6 +616,7 @@ export class QuestionClient extends BaseClient {
    * 
    * @param {number} questionId - The unique identifier of the question
    * @param {GetLinkedQuestionsOptions} [options={}] - Options for pagination and sorting
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedLinkedOrRelatedQuestions>} A promise that resolves to paginated linked questions
    * 
    * @throws {Error} When the question is not found or the API request fails
@@ -477,8 +629,8 @@ export class QuestionClient extends BaseClient {
    *   console.log(`Linked: ${question.title} (Score: ${question.score})`);
    * });
    */
-  async getLinked(questionId: number, options: GetLinkedQuestionsOptions = {}): Promise<PaginatedLinkedOrRelatedQuestions> {
-    return this.handleApiCall(async () => {
+  async getLinked(questionId: number, options: GetLinkedQuestionsOptions = {}, requestOptions?: RequestOptions): Promise<PaginatedLinkedOrRelatedQuestions> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
         return await this.teamsApi.teamsTeamQuestionsQuestionIdLinkedGet(
           questionId,
@@ -486,7 +638,8 @@ export class QuestionClient extends BaseClient {
           options.page,
           options.pageSize,
           options.sort,
-          options.order as SortOrder
+          options.order as SortOrder,
+          callOptions
         );
       }
       
@@ -495,9 +648,10 @@ export class QuestionClient extends BaseClient {
         options.page,
         options.pageSize,
         options.sort,
-        options.order as SortOrder
+        options.order as SortOrder,
+        callOptions
       );
-    }, 'getLinked');
+    }, 'getLinked', requestOptions);
   }
 
   /**
@@ -508,6 +662,7 @@ export class QuestionClient extends BaseClient {
    * 
    * @param {number} questionId - The unique identifier of the question
    * @param {GetLinkedQuestionsOptions} [options={}] - Options for pagination and sorting
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedLinkedOrRelatedQuestions>} A promise that resolves to paginated related questions
    * 
    * @throws {Error} When the question is not found or the API request fails
@@ -524,8 +679,8 @@ export class QuestionClient extends BaseClient {
    *   console.log(`Related: ${question.title} (Score: ${question.score})`);
    * });
    */
-  async getRelated(questionId: number, options: GetLinkedQuestionsOptions = {}): Promise<PaginatedLinkedOrRelatedQuestions> {
-    return this.handleApiCall(async () => {
+  async getRelated(questionId: number, options: GetLinkedQuestionsOptions = {}, requestOptions?: RequestOptions): Promise<PaginatedLinkedOrRelatedQuestions> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
         return await this.teamsApi.teamsTeamQuestionsQuestionIdRelatedGet(
           questionId,
@@ -533,7 +688,8 @@ export class QuestionClient extends BaseClient {
           options.page,
           options.pageSize,
           options.sort,
-          options.order as SortOrder
+          options.order as SortOrder,
+          callOptions
         );
       }
       
@@ -542,9 +698,115 @@ export class QuestionClient extends BaseClient {
         options.page,
         options.pageSize,
         options.sort,
-        options.order as SortOrder
+        options.order as SortOrder,
+        callOptions
       );
-    }, 'getRelated');
+    }, 'getRelated', requestOptions);
+  }
+
+  /**
+   * Iterates over every question linked to a specific question
+   * 
+   * @param {number} questionId - The unique identifier of the question
+   * @param {GetLinkedQuestionsOptions} [options={}] - Sorting options; `page` sets the starting page
+   * @param {IterateOptions} [iterateOptions={}] - Parallelism, item limit and resume cursor
+   * @returns {PageIterator<QuestionSummaryResponseModel>} An async iterable with an `all()` collector
+   * 
+   * @example
+   * const linked = await questionClient.iterateLinked(123).all();
+   */
+  iterateLinked(questionId: number, options: GetLinkedQuestionsOptions = {}, iterateOptions: IterateOptions = {}): PageIterator<QuestionSummaryResponseModel, PaginatedLinkedOrRelatedQuestions> {
+    return new PageIterator(page => this.getLinked(questionId, { ...options, page }, iterateOptions.request), iterateOptions, options.page);
+  }
+
+  /**
+   * Iterates over every question related to a specific question
+   * 
+   * @param {number} questionId - The unique identifier of the question
+   * @param {GetLinkedQuestionsOptions} [options={}] - Sorting options; `page` sets the starting page
+   * @param {IterateOptions} [iterateOptions={}] - Parallelism, item limit and resume cursor
+   * @returns {PageIterator<QuestionSummaryResponseModel>} An async iterable with an `all()` collector
+   * 
+   * @example
+   * const related = await questionClient.iterateRelated(123, { sort: 'score' }, { maxItems: 20 }).all();
+   */
+  iterateRelated(questionId: number, options: GetLinkedQuestionsOptions = {}, iterateOptions: IterateOptions = {}): PageIterator<QuestionSummaryResponseModel, PaginatedLinkedOrRelatedQuestions> {
+    return new PageIterator(page => this.getRelated(questionId, { ...options, page }, iterateOptions.request), iterateOptions, options.page);
+  }
+
+  /**
+   * Retrieves a question together with all its answers, their comments and optionally linked and related questions
+   * 
+   * The question, the answer pages, the question's comments and the linked and related questions are
+   * requested together. Comments on the answers are then fetched with bounded concurrency, skipping
+   * answers that have none. Answers are sorted with the accepted answer first, then by `answerSort`.
+   * 
+   * @param {number} questionId - The unique identifier of the question
+   * @param {GetThreadOptions} [options={}] - What to include and how many requests to run in parallel
+   * @returns {Promise<QuestionThread>} A promise that resolves to the assembled thread
+   * 
+   * @throws {Error} When the question is not found or any of the requests fails
+   * 
+   * @example
+   * const thread = await questionClient.getThread(123, { includeLinked: true });
+   * console.log(thread.question.title);
+   * thread.answers.forEach(answer => {
+   *   console.log(`${answer.isAccepted ? '✓ ' : ''}${answer.score} points, ${answer.comments.length} comments`);
+   * });
+   * 
+   * @example
+   * // Comments with their authors, newest answers first
+   * const thread = await questionClient.getThread(123, { answerSort: 'creation', hydrateAuthors: true });
+   */
+  async getThread(questionId: number, options: GetThreadOptions = {}): Promise<QuestionThread> {
+    const concurrency = Math.max(1, Math.floor(options.concurrency || DEFAULT_THREAD_CONCURRENCY));
+    const includeComments = options.includeComments !== false;
+    const iterateOptions: IterateOptions = { concurrency, request: options.request };
+
+    const [question, answers, questionComments, linked, related] = await Promise.all([
+      this.get(questionId, options.request),
+      this.answers.iterate(
+        questionId,
+        { pageSize: 100, sort: options.answerSort || 'score', order: options.answerOrder || 'desc' },
+        iterateOptions
+      ).all(),
+      includeComments ? this.comments.getQuestionComments(questionId, options.request) : Promise.resolve([]),
+      options.includeLinked ? this.iterateLinked(questionId, { pageSize: 100 }, iterateOptions).all() : Promise.resolve(undefined),
+      options.includeRelated
+        ? this.iterateRelated(questionId, { pageSize: 100 }, { ...iterateOptions, maxItems: options.maxRelated ?? DEFAULT_MAX_RELATED }).all()
+        : Promise.resolve(undefined)
+    ]);
+
+    const commentLoader = new EntityLoader(
+      (answerId: number) => this.comments.getAnswerComments(questionId, answerId, options.request),
+      { concurrency }
+    );
+    const answerComments = await Promise.all(answers.map(answer =>
+      includeComments && answer.id !== undefined && answer.commentCount !== 0
+        ? commentLoader.load(answer.id)
+        : Promise.resolve([])
+    ));
+
+    const withAuthors = async (comments: Array<CommentResponseModel>): Promise<Array<CommentWithAuthor>> =>
+      sortByCreation(options.hydrateAuthors ? await this.comments.hydrateAuthors(comments, options.request) : comments);
+
+    const threadAnswers = await Promise.all(answers.map(async (answer, index): Promise<ThreadAnswer> => ({
+      ...answer,
+      comments: await withAuthors(answerComments[index] || [])
+    })));
+
+    const thread: QuestionThread = {
+      question,
+      comments: await withAuthors(questionComments),
+      answers: acceptedFirst(threadAnswers)
+    };
+    if (linked) {
+      thread.linked = linked;
+    }
+    if (related) {
+      thread.related = related;
+    }
+    return thread;
   }
 
   /**
@@ -554,6 +816,7 @@ export class QuestionClient extends BaseClient {
    * specified question, including any required fields for each option.
    * 
    * @param {number} questionId - The unique identifier of the question
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<Array<FlagOptionResponseModel>>} A promise that resolves to available flag options
    * 
    * @throws {Error} When the question is not found or the API request fails
@@ -569,64 +832,84 @@ export class QuestionClient extends BaseClient {
    *   }
    * });
    */
-  async getFlagOptions(questionId: number): Promise<Array<FlagOptionResponseModel>> {
-    return this.handleApiCall(async () => {
+  async getFlagOptions(questionId: number, requestOptions?: RequestOptions): Promise<Array<FlagOptionResponseModel>> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
-        return await this.teamsApi.teamsTeamQuestionsQuestionIdFlagsOptionsGet(questionId, this.teamId);
+        return await this.teamsApi.teamsTeamQuestionsQuestionIdFlagsOptionsGet(questionId, this.teamId, callOptions);
       }
       
-      return await this.mainApi.questionsQuestionIdFlagsOptionsGet(questionId);
-    }, 'getFlagOptions');
+      return await this.mainApi.questionsQuestionIdFlagsOptionsGet(questionId, callOptions);
+    }, 'getFlagOptions', requestOptions);
   }
 
   /**
    * Flags a question for moderator attention
    * 
    * Flagging is used to report questions that violate community guidelines or
-   * require moderator intervention.
+   * require moderator intervention. Given as `FlagOptions`, the flag option is looked up by
+   * name, kind or ID among those offered for the question, and checked for the fields it
+   * requires before anything is sent. A `FlagRequestModel` is sent as given.
    * 
    * @param {number} questionId - The unique identifier of the question to flag
-   * @param {FlagRequestModel} flagData - The flag configuration including option ID and any required fields
+   * @param {FlagInput} flagData - The flag option by name, kind or ID and any required fields, or a raw `FlagRequestModel`
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<void>} A promise that resolves when the flag is successfully submitted
    * 
+   * @throws {InvalidFlagError} When no offered option matches, or a required field such as `relatedQuestionId` is missing
    * @throws {Error} When the question is not found, flag data is invalid, or the API request fails
    * 
    * @example
-   * // First get available flag options
-   * const flagOptions = await questionClient.getFlagOptions(123);
-   * const offTopicOption = flagOptions.find(opt => opt.title?.includes('off-topic'));
-   * 
-   * if (offTopicOption) {
-   *   await questionClient.flag(123, {
-   *     optionId: offTopicOption.optionId!,
-   *     comment: 'This question is not related to our team\'s technology stack'
-   *   });
-   *   console.log('Question flagged successfully');
-   * }
+   * await questionClient.flag(123, { option: 'duplicate', relatedQuestionId: 45 });
+   * 
+   * @example
+   * // Sub-options are chosen by their own title
+   * await questionClient.flag(123, { option: 'needs more focus' });
    * 
    * @example
-   * // Flag for migration to another site
+   * // Raw option ID, sent without looking up the options
    * await questionClient.flag(123, {
-   *   optionId: 42, // Migration option ID
-   *   targetSite: 'stackoverflow.com',
-   *   comment: 'Better suited for the main Stack Overflow site'
+   *   optionId: 42,
+   *   comment: 'This question is not related to our team\'s technology stack'
    * });
    */
-  async flag(questionId: number, flagData: FlagRequestModel): Promise<void> {
-    return this.handleApiCall(async () => {
+  async flag(questionId: number, flagData: FlagInput, requestOptions?: RequestOptions): Promise<void> {
+    this.assertScope('flag');
+    const flagRequest = await toFlagRequest(flagData, () => this.getFlagOptions(questionId, requestOptions), 'flag');
+
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
-        await this.teamsApi.teamsTeamQuestionsQuestionIdFlagsPost(questionId, this.teamId, flagData);
+        await this.teamsApi.teamsTeamQuestionsQuestionIdFlagsPost(questionId, this.teamId, flagRequest, callOptions);
         return;
       }
       
-      await this.mainApi.questionsQuestionIdFlagsPost(questionId, flagData);
-    }, 'flag');
+      await this.mainApi.questionsQuestionIdFlagsPost(questionId, flagRequest, callOptions);
+    }, 'flag', requestOptions);
+  }
+
+  /**
+   * Flags several questions, reporting the outcome for each instead of stopping at the first failure
+   * 
+   * @param {QuestionFlag[]} questions - The questions to flag and the flag to raise on each
+   * @param {FlagManyOptions} [options={}] - Concurrency and per-call options
+   * @returns {Promise<Array<FlagResult<QuestionFlag>>>} One result per question, in the given order
+   * 
+   * @example
+   * const results = await questionClient.flagMany(
+   *   spamIds.map(questionId => ({ questionId, flag: { option: 'spam' } }))
+   * );
+   * results.filter(result => !result.success).forEach(result => {
+   *   console.log(`Question ${result.post.questionId}: ${result.error?.message}`);
+   * });
+   */
+  async flagMany(questions: QuestionFlag[], options: FlagManyOptions = {}): Promise<Array<FlagResult<QuestionFlag>>> {
+    return flagEach(questions, question => this.flag(question.questionId, question.flag, options.request), options);
   }
 
   /**
    * Retrieves questions that have no upvoted answers
    * 
    * @param {Omit<GetQuestionsOptions, 'isAnswered'>} [options={}] - Additional filtering and pagination options
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedQuestions>} A promise that resolves to paginated unanswered questions
    * 
    * @example
@@ -636,14 +919,15 @@ export class QuestionClient extends BaseClient {
    *   pageSize: 25
    * });
    */
-  async getUnanswered(options: Omit<GetQuestionsOptions, 'isAnswered'> = {}): Promise<PaginatedQuestions> {
-    return this.getAll({ ...options, isAnswered: false });
+  async getUnanswered(options: Omit<GetQuestionsOptions, 'isAnswered'> = {}, requestOptions?: RequestOptions): Promise<PaginatedQuestions> {
+    return this.getAll({ ...options, isAnswered: false }, requestOptions);
   }
 
   /**
    * Retrieves questions that have no accepted answer
    * 
    * @param {Omit<GetQuestionsOptions, 'hasAcceptedAnswer'>} [options={}] - Additional filtering and pagination options
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedQuestions>} A promise that resolves to paginated questions without accepted answers
    * 
    * @example
@@ -653,8 +937,8 @@ export class QuestionClient extends BaseClient {
    *   order: 'desc'
    * });
    */
-  async getWithoutAcceptedAnswer(options: Omit<GetQuestionsOptions, 'hasAcceptedAnswer'> = {}): Promise<PaginatedQuestions> {
-    return this.getAll({ ...options, hasAcceptedAnswer: false });
+  async getWithoutAcceptedAnswer(options: Omit<GetQuestionsOptions, 'hasAcceptedAnswer'> = {}, requestOptions?: RequestOptions): Promise<PaginatedQuestions> {
+    return this.getAll({ ...options, hasAcceptedAnswer: false }, requestOptions);
   }
 
   /**
@@ -662,6 +946,7 @@ export class QuestionClient extends BaseClient {
    * 
    * @param {number} authorId - The unique identifier of the author
    * @param {Omit<GetQuestionsOptions, 'authorId'>} [options={}] - Additional filtering and pagination options
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedQuestions>} A promise that resolves to paginated questions by the author
    * 
    * @example
@@ -670,8 +955,8 @@ export class QuestionClient extends BaseClient {
    *   order: 'desc'
    * });
    */
-  async getByAuthor(authorId: number, options: Omit<GetQuestionsOptions, 'authorId'> = {}): Promise<PaginatedQuestions> {
-    return this.getAll({ ...options, authorId });
+  async getByAuthor(authorId: number, options: Omit<GetQuestionsOptions, 'authorId'> = {}, requestOptions?: RequestOptions): Promise<PaginatedQuestions> {
+    return this.getAll({ ...options, authorId }, requestOptions);
   }
 
   /**
@@ -679,13 +964,14 @@ export class QuestionClient extends BaseClient {
    * 
    * @param {number} tagId - The unique identifier of the tag
    * @param {Omit<GetQuestionsOptions, 'tagId'>} [options={}] - Additional filtering and pagination options
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedQuestions>} A promise that resolves to paginated questions with the tag
    * 
    * @example
    * const reactQuestions = await questionClient.getByTag(123);
    */
-  async getByTag(tagId: number, options: Omit<GetQuestionsOptions, 'tagId'> = {}): Promise<PaginatedQuestions> {
-    return this.getAll({ ...options, tagId: [tagId] });
+  async getByTag(tagId: number, options: Omit<GetQuestionsOptions, 'tagId'> = {}, requestOptions?: RequestOptions): Promise<PaginatedQuestions> {
+    return this.getAll({ ...options, tagId: [tagId] }, requestOptions);
   }
 
   /**
@@ -694,6 +980,7 @@ export class QuestionClient extends BaseClient {
    * @param {Date} from - Start date for the range (inclusive)
    * @param {Date} to - End date for the range (inclusive)
    * @param {Omit<GetQuestionsOptions, 'from' | 'to'>} [options={}] - Additional filtering and pagination options
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedQuestions>} A promise that resolves to paginated questions in the date range
    * 
    * @example
@@ -702,7 +989,28 @@ export class QuestionClient extends BaseClient {
    *   new Date('2024-03-31')
    * );
    */
-  async getByDateRange(from: Date, to: Date, options: Omit<GetQuestionsOptions, 'from' | 'to'> = {}): Promise<PaginatedQuestions> {
-    return this.getAll({ ...options, from, to });
+  async getByDateRange(from: Date, to: Date, options: Omit<GetQuestionsOptions, 'from' | 'to'> = {}, requestOptions?: RequestOptions): Promise<PaginatedQuestions> {
+    return this.getAll({ ...options, from, to }, requestOptions);
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Comments oldest first, as they read on the page
+ */
+function sortByCreation<T extends CommentResponseModel>(comments: Array<T>): Array<T> {
+  return comments
+    .map((comment, index) => ({ comment, index }))
+    .sort((a, b) => {
+      const difference = (a.comment.creationDate ? new Date(a.comment.creationDate).getTime() : 0)
+        - (b.comment.creationDate ? new Date(b.comment.creationDate).getTime() : 0);
+      return difference || a.index - b.index;
+    })
+    .map(entry => entry.comment);
+}
+
+/**
+ * Move the accepted answer to the front, keeping the order of the others
+ */
+function acceptedFirst<T extends AnswerSummaryResponseModel>(answers: Array<T>): Array<T> {
+  return answers.filter(answer => answer.isAccepted).concat(answers.filter(answer => !answer.isAccepted));
+}
@@ -1,7 +1,8 @@
-import { BaseClient } from './shared';
+import { BaseClient, ClientOptions, RequestOptions, IterateOptions, PageIterator } from './shared';
 import { SearchMainApi, SearchTeamsApi } from '../generated/index.js';
 import { 
   PaginatedSearchResults,
+  PaginatedSearchResultsItemsInner,
   SearchSortParameter
 } from '../generated/index.js';
 
@@ -41,6 +42,7 @@ export interface SearchOptions {
  * const searchClient = new SearchClient(config, 'team-123');
  */
 export class SearchClient extends BaseClient {
+  protected readonly clientName = 'search';
   private mainApi: SearchMainApi;
   private teamsApi?: SearchTeamsApi;
 
@@ -49,6 +51,7 @@ export class SearchClient extends BaseClient {
    * 
    * @param {ReturnType<typeof import('../generated/configuration').createConfiguration>} config - API configuration object
    * @param {string} [teamId] - Optional team ID for team-specific search operations
+   * @param {ClientOptions} [options] - Behaviour shared across the SDK instance (retries, circuit breaker, cache)
    * 
    * @example
    * const config = createConfiguration({ ... });
@@ -58,8 +61,8 @@ export class SearchClient extends BaseClient {
    * // For team-specific searches
    * const teamClient = new SearchClient(config, 'my-team-id');
    */
-  constructor(config: ReturnType<typeof import('../generated/configuration').createConfiguration>, private teamId?: string) {
-    super();
+  constructor(config: ReturnType<typeof import('../generated/configuration').createConfiguration>, private teamId?: string, options?: ClientOptions) {
+    super(options, teamId);
     this.mainApi = new SearchMainApi(config);
     if (teamId) {
       this.teamsApi = new SearchTeamsApi(config);
@@ -74,6 +77,7 @@ export class SearchClient extends BaseClient {
    * by various criteria.
    * 
    * @param {SearchOptions} [options={}] - Options for the search including query, pagination, and sorting
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedSearchResults>} A promise that resolves to paginated search results
    * 
    * @throws {Error} When the API request fails or returns an error
@@ -108,15 +112,16 @@ export class SearchClient extends BaseClient {
    *   console.log(`Result: ${item.title} (Type: ${item.type})`);
    * });
    */
-  async search(options: SearchOptions = {}): Promise<PaginatedSearchResults> {
-    return this.handleApiCall(async () => {
+  async search(options: SearchOptions = {}, requestOptions?: RequestOptions): Promise<PaginatedSearchResults> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
         return await this.teamsApi.teamsTeamSearchGet(
           this.teamId,
           options.query,
           options.page,
           options.pageSize,
-          options.sort as SearchSortParameter
+          options.sort as SearchSortParameter,
+          callOptions
         );
       }
       
@@ -124,9 +129,26 @@ export class SearchClient extends BaseClient {
         options.query,
         options.page,
         options.pageSize,
-        options.sort as SearchSortParameter
+        options.sort as SearchSortParameter,
+        callOptions
       );
-    }, 'search');
+    }, 'search', requestOptions);
+  }
+
+  /**
+   * Iterates over every search result, fetching pages as needed
+   * 
+   * @param {SearchOptions} [options={}] - Search query and sorting options; `page` sets the starting page
+   * @param {IterateOptions} [iterateOptions={}] - Parallelism, item limit and resume cursor
+   * @returns {PageIterator<PaginatedSearchResultsItemsInner>} An async iterable with an `all()` collector
+   * 
+   * @example
+   * for await (const result of searchClient.iterate({ query: 'kubernetes' }, { maxItems: 200 })) {
+   *   console.log(`[${result.type}] ${result.title}`);
+   * }
+   */
+  iterate(options: SearchOptions = {}, iterateOptions: IterateOptions = {}): PageIterator<PaginatedSearchResultsItemsInner, PaginatedSearchResults> {
+    return new PageIterator(page => this.search({ ...options, page }, iterateOptions.request), iterateOptions, options.page);
   }
 
   /**
@@ -137,6 +159,7 @@ export class SearchClient extends BaseClient {
    * 
    * @param {string} query - The search query string (required)
    * @param {Omit<SearchOptions, 'query'>} [options={}] - Additional search options excluding query
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedSearchResults>} A promise that resolves to paginated search results
    * 
    * @example
@@ -149,8 +172,8 @@ export class SearchClient extends BaseClient {
    * // Search for specific technology
    * const reactResults = await searchClient.query('React TypeScript best practices');
    */
-  async query(query: string, options: Omit<SearchOptions, 'query'> = {}): Promise<PaginatedSearchResults> {
-    return this.search({ ...options, query });
+  async query(query: string, options: Omit<SearchOptions, 'query'> = {}, requestOptions?: RequestOptions): Promise<PaginatedSearchResults> {
+    return this.search({ ...options, query }, requestOptions);
   }
 
   /**
@@ -161,6 +184,7 @@ export class SearchClient extends BaseClient {
    * 
    * @param {string} query - The search query string
    * @param {Omit<SearchOptions, 'query' | 'sort'>} [options={}] - Additional search options excluding query and sort
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedSearchResults>} A promise that resolves to relevance-sorted search results
    * 
    * @example
@@ -172,11 +196,11 @@ export class SearchClient extends BaseClient {
    * // Find the most relevant content for a complex query
    * const results = await searchClient.searchByRelevance('OAuth 2.0 implementation security best practices');
    */
-  async searchByRelevance(query: string, options: Omit<SearchOptions, 'query' | 'sort'> = {}): Promise<PaginatedSearchResults> {
+  async searchByRelevance(query: string, options: Omit<SearchOptions, 'query' | 'sort'> = {}, requestOptions?: RequestOptions): Promise<PaginatedSearchResults> {
     return this.query(query, { 
       ...options, 
       sort: SearchSortParameter.Relevance 
-    });
+    }, requestOptions);
   }
 
   /**
@@ -187,6 +211,7 @@ export class SearchClient extends BaseClient {
    * 
    * @param {string} query - The search query string
    * @param {Omit<SearchOptions, 'query' | 'sort'>} [options={}] - Additional search options excluding query and sort
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedSearchResults>} A promise that resolves to date-sorted search results (newest first)
    * 
    * @example
@@ -198,11 +223,11 @@ export class SearchClient extends BaseClient {
    *   pageSize: 10
    * });
    */
-  async searchByDate(query: string, options: Omit<SearchOptions, 'query' | 'sort'> = {}): Promise<PaginatedSearchResults> {
+  async searchByDate(query: string, options: Omit<SearchOptions, 'query' | 'sort'> = {}, requestOptions?: RequestOptions): Promise<PaginatedSearchResults> {
     return this.query(query, { 
       ...options, 
       sort: SearchSortParameter.Newest 
-    });
+    }, requestOptions);
   }
 
   /**
@@ -213,6 +238,7 @@ export class SearchClient extends BaseClient {
    * 
    * @param {string} query - The search query string
    * @param {Omit<SearchOptions, 'query' | 'sort'>} [options={}] - Additional search options excluding query and sort
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedSearchResults>} A promise that resolves to activity-sorted search results
    * 
    * @example
@@ -224,11 +250,11 @@ export class SearchClient extends BaseClient {
    *   pageSize: 25
    * });
    */
-  async searchByActivity(query: string, options: Omit<SearchOptions, 'query' | 'sort'> = {}): Promise<PaginatedSearchResults> {
+  async searchByActivity(query: string, options: Omit<SearchOptions, 'query' | 'sort'> = {}, requestOptions?: RequestOptions): Promise<PaginatedSearchResults> {
     return this.query(query, { 
       ...options, 
       sort: SearchSortParameter.Active 
-    });
+    }, requestOptions);
   }
 
   /**
@@ -239,6 +265,7 @@ export class SearchClient extends BaseClient {
    * 
    * @param {string} query - The search query string
    * @param {Omit<SearchOptions, 'query' | 'sort'>} [options={}] - Additional search options excluding query and sort
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedSearchResults>} A promise that resolves to score-sorted search results (highest first)
    * 
    * @example
@@ -250,11 +277,11 @@ export class SearchClient extends BaseClient {
    *   pageSize: 20
    * });
    */
-  async searchByVotes(query: string, options: Omit<SearchOptions, 'query' | 'sort'> = {}): Promise<PaginatedSearchResults> {
+  async searchByVotes(query: string, options: Omit<SearchOptions, 'query' | 'sort'> = {}, requestOptions?: RequestOptions): Promise<PaginatedSearchResults> {
     return this.query(query, { 
       ...options, 
       sort: SearchSortParameter.Score
-    });
+    }, requestOptions);
   }
 
   /**
@@ -265,6 +292,7 @@ export class SearchClient extends BaseClient {
    * 
    * @param {string} query - The search query string
    * @param {Omit<SearchOptions, 'query' | 'page'>} [options={}] - Additional search options excluding query and page
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedSearchResults>} A promise that resolves to the first page of search results
    * 
    * @example
@@ -277,8 +305,8 @@ export class SearchClient extends BaseClient {
    *   pageSize: 50
    * });
    */
-  async searchFirstPage(query: string, options: Omit<SearchOptions, 'query' | 'page'> = {}): Promise<PaginatedSearchResults> {
-    return this.query(query, { ...options, page: 1 });
+  async searchFirstPage(query: string, options: Omit<SearchOptions, 'query' | 'page'> = {}, requestOptions?: RequestOptions): Promise<PaginatedSearchResults> {
+    return this.query(query, { ...options, page: 1 }, requestOptions);
   }
 
   /**
@@ -290,6 +318,7 @@ export class SearchClient extends BaseClient {
    * @param {string} query - The search query string (should match the original search)
    * @param {number} currentPage - The current page number (will search currentPage + 1)
    * @param {Omit<SearchOptions, 'query' | 'page'>} [options={}] - Additional search options excluding query and page
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedSearchResults>} A promise that resolves to the next page of search results
    * 
    * @example
@@ -320,7 +349,7 @@ export class SearchClient extends BaseClient {
    *   if (page > results.totalPages!) break;
    * } while (allResults.length < 100); // Limit total results
    */
-  async searchNextPage(query: string, currentPage: number, options: Omit<SearchOptions, 'query' | 'page'> = {}): Promise<PaginatedSearchResults> {
-    return this.query(query, { ...options, page: currentPage + 1 });
+  async searchNextPage(query: string, currentPage: number, options: Omit<SearchOptions, 'query' | 'page'> = {}, requestOptions?: RequestOptions): Promise<PaginatedSearchResults> {
+    return this.query(query, { ...options, page: currentPage + 1 }, requestOptions);
   }
 }
\ No newline at end of file
@@ -0,0 +1,89 @@
+/**
+ * Cancellation state of a single client call, combining the caller's signal with the call timeout
+ */
+export class CallAbort {
+  /** Signal handed to the transport; aborts when the caller aborts or the timeout elapses */
+  readonly signal: AbortSignal;
+  private readonly controller = new AbortController();
+  private timer?: ReturnType<typeof setTimeout>;
+  private timedOut = false;
+  private readonly onCallerAbort = () => this.controller.abort(this.callerSignal?.reason);
+
+  /**
+   * @param callerSignal - Signal supplied by the caller
+   * @param timeoutMs - Time budget for the whole call, retries included
+   */
+  constructor(private readonly callerSignal?: AbortSignal, readonly timeoutMs?: number) {
+    this.signal = this.controller.signal;
+
+    if (callerSignal?.aborted) {
+      this.onCallerAbort();
+    } else if (callerSignal) {
+      callerSignal.addEventListener('abort', this.onCallerAbort);
+    }
+
+    if (timeoutMs !== undefined && timeoutMs > 0 && !this.signal.aborted) {
+      this.timer = setTimeout(() => {
+        this.timedOut = true;
+        this.controller.abort();
+      }, timeoutMs);
+    }
+  }
+
+  get aborted(): boolean {
+    return this.signal.aborted;
+  }
+
+  /**
+   * Whether the abort was caused by the timeout rather than the caller
+   */
+  get isTimeout(): boolean {
+    return this.timedOut;
+  }
+
+  /**
+   * Settle with `promise`, or reject as soon as the call is aborted
+   * Guards against transports that ignore the signal.
+   */
+  race<T>(promise: Promise<T>): Promise<T> {
+    if (this.aborted) {
+      promise.catch(() => undefined);
+      return Promise.reject(this.signal.reason);
+    }
+
+    return new Promise<T>((resolve, reject) => {
+      const onAbort = () => reject(this.signal.reason);
+      this.signal.addEventListener('abort', onAbort);
+      promise.then(
+        value => {
+          this.signal.removeEventListener('abort', onAbort);
+          resolve(value);
+        },
+        error => {
+          this.signal.removeEventListener('abort', onAbort);
+          reject(error);
+        }
+      );
+    });
+  }
+
+  /**
+   * Wait for `ms`, rejecting early if the call is aborted
+   */
+  sleep(ms: number): Promise<void> {
+    return this.race(new Promise<void>(resolve => {
+      const timer = setTimeout(resolve, ms);
+      this.signal.addEventListener('abort', () => clearTimeout(timer), { once: true });
+    }));
+  }
+
+  /**
+   * Release the timer and the listener on the caller's signal
+   */
+  dispose(): void {
+    if (this.timer !== undefined) {
+      clearTimeout(this.timer);
+    }
+    this.callerSignal?.removeEventListener('abort', this.onCallerAbort);
+  }
+}
@@ -1,17 +1,183 @@
-import { handleApiCall } from './errors';
+import { handleApiCall, InsufficientScopeError, RequestAbortedError, SchemaMismatchError, SDKError, TimeoutError, TokenExpiredError, UnsupportedFeatureError } from './errors';
+import { ClientOptions, RequestOptions } from './types';
+import { EntityLoader, LoaderRegistry } from './loader';
+import { CallAbort } from './abort';
+import { computeRetryDelay, isRetryableError, isRetryableMethod, resolveRetryOptions, RetryOptions } from './retry';
+import { defaultLogger, emitRequestEvent, Logger, nextRequestId, RequestEvent, RequestHooks } from './observability';
+import { PromiseConfigurationOptions, RequestContext, ResponseContext } from '../../generated/index.js';
+import type { CacheDirective } from '../../helper/responseCache';
+import type { ImageUploadFunction } from '../../helper/markdownImages';
+import { missingScope } from './scopes';
+import { getOperationFeatures } from './features';
+
+/**
+ * What a single attempt learned about the request it sent
+ */
+interface CallState {
+  method?: string;
+  url?: string;
+  statusCode?: number;
+  headers?: Record<string, string>;
+  /** Access token the request was sent with */
+  token?: string;
+  /** Raw JSON body, kept only when responses are validated */
+  responseText?: string;
+}
 
 /**
  * Base client class that provides common functionality
  */
 export abstract class BaseClient {
+  /** Name reported in request events, matching the SDK property the client is exposed as (e.g. 'questions') */
+  protected abstract readonly clientName: string;
+  private readonly scope: string;
+  private readonly teamScope?: string;
+  private localLoaders?: LoaderRegistry;
+
+  /**
+   * @param clientOptions - Behaviour shared by every client of the SDK instance (retries, circuit breaker, cache, loaders, hooks)
+   * @param teamId - Team the client is scoped to, used to keep cache entries and loaders apart
+   */
+  constructor(protected readonly clientOptions: ClientOptions = {}, teamId?: string) {
+    this.scope = teamId ? `team:${teamId}` : 'main';
+    this.teamScope = teamId;
+  }
+
+  /**
+   * Logger configured for the SDK instance, falling back to warnings and errors on the console
+   */
+  protected get logger(): Logger {
+    return this.clientOptions.logger || defaultLogger;
+  }
+
   /**
    * Wrapper for all API calls with consistent error handling
+   * Retries failed attempts according to the retry policy and reports outcomes to the circuit breaker.
+   * The call is aborted when the caller's signal fires or the timeout elapses; the timeout covers
+   * every attempt, including the waits between retries.
+   * The call options handed to `apiCall` must be forwarded to the generated API method.
+   * Operations the token's known scope does not allow fail with `InsufficientScopeError` without sending a request,
+   * and operations of API families the deployment does not serve fail with `UnsupportedFeatureError`.
+   * 
+   * @param cache - Cache read or eviction declared with `cacheRead()` / `cacheEvict()`
    */
   protected async handleApiCall<T>(
-    apiCall: () => Promise<T>, 
-    operation: string
+    apiCall: (callOptions: PromiseConfigurationOptions) => Promise<T>, 
+    operation: string,
+    requestOptions: RequestOptions = {},
+    cache?: CacheDirective
   ): Promise<T> {
-    return handleApiCall(apiCall, operation);
+    this.assertScope(operation);
+    this.assertFeature(operation);
+
+    const retry = resolveRetryOptions(this.clientOptions.retry, requestOptions.retry);
+    const maxAttempts = retry ? Math.max(1, retry.maxAttempts ?? 1) : 1;
+    const breaker = this.clientOptions.circuitBreaker;
+    const cacheDirective = cache && requestOptions.cache === false ? { ...cache, refresh: true } : cache;
+    const timeoutMs = requestOptions.timeoutMs ?? this.clientOptions.timeoutMs;
+    const abort = requestOptions.signal || timeoutMs ? new CallAbort(requestOptions.signal, timeoutMs) : undefined;
+    // A request rejected for an expired token is replayed once with a renewed token, without using up a retry
+    let replayed = false;
+
+    try {
+      for (let attempt = 1; ; attempt++) {
+        if (abort?.aborted) {
+          throw this.abortError(abort, operation);
+        }
+        breaker?.assertCanRequest(operation);
+
+        const state: CallState = {};
+        const event: RequestEvent = {
+          requestId: nextRequestId(),
+          operation,
+          client: this.clientName,
+          teamId: this.teamScope,
+          attempt,
+          startTime: Date.now(),
+        };
+        this.emit('onRequestStart', event);
+
+        try {
+          const call = handleApiCall(() => apiCall(this.createCallOptions(state, cacheDirective, abort?.signal)), operation);
+          const result = await (abort ? abort.race(call) : call);
+          if (state.responseText !== undefined) {
+            await this.validateResponse(operation, state);
+          }
+          breaker?.recordSuccess();
+          this.emit('onRequestEnd', { ...event, ...this.observed(state), durationMs: Date.now() - event.startTime });
+          return result;
+        } catch (caught: any) {
+          const error = abort?.aborted ? this.abortError(abort, operation, caught) : caught;
+          breaker?.recordFailure(error);
+
+          const replay = !replayed && error instanceof TokenExpiredError && await this.renewToken(operation, state, error);
+          const retryAttempt = replayed ? attempt - 1 : attempt;
+          const delayMs = replay ? 0 : retry && retryAttempt < maxAttempts ? this.retryDelay(error, retryAttempt, retry, state.method) : undefined;
+          this.emit('onError', {
+            ...event,
+            ...this.observed(state),
+            statusCode: error?.statusCode ?? state.statusCode,
+            durationMs: Date.now() - event.startTime,
+            error,
+            willRetry: delayMs !== undefined,
+          });
+
+          if (replay) {
+            replayed = true;
+            this.logger.debug(`Replaying ${this.clientName}.${operation} with a renewed access token`);
+            continue;
+          }
+          if (!retry || delayMs === undefined) {
+            throw error;
+          }
+
+          retry.onRetry?.({ operation, attempt, delayMs, error });
+          this.logger.debug(`Retrying ${this.clientName}.${operation} in ${delayMs}ms (attempt ${attempt} failed: ${error.message})`);
+          if (abort) {
+            await abort.sleep(delayMs).catch(() => {
+              throw this.abortError(abort, operation, error);
+            });
+          } else {
+            await new Promise(resolve => setTimeout(resolve, delayMs));
+          }
+        }
+      }
+    } finally {
+      abort?.dispose();
+    }
+  }
+
+  /**
+   * Fail fast when the access token's known scope does not allow the operation
+   */
+  protected assertScope(operation: string): void {
+    const grantedScopes = this.clientOptions.grantedScopes;
+    const required = missingScope(`${this.clientName}.${operation}`, grantedScopes);
+    if (required) {
+      const granted = grantedScopes!.length ? grantedScopes!.join(' ') : 'read-only access';
+      throw new InsufficientScopeError(
+        `${this.clientName}.${operation} requires the ${required} scope, but the access token was granted ${granted}`,
+        operation,
+        required,
+        grantedScopes!
+      );
+    }
+  }
+
+  /**
+   * Fail fast when the operation belongs to an API family the deployment is known not to serve
+   */
+  private assertFeature(operation: string): void {
+    const features = this.clientOptions.features;
+    if (!features) {
+      return;
+    }
+    getOperationFeatures(`${this.clientName}.${operation}`, this.teamScope).forEach(feature => {
+      const reason = features.unsupportedReason(feature);
+      if (reason) {
+        throw new UnsupportedFeatureError(`${this.clientName}.${operation} is not available: ${reason}`, operation, feature);
+      }
+    });
   }
 
   /**
@@ -24,4 +190,201 @@ export abstract class BaseClient {
   ): TMain | TTeams {
     return (teamId && teamsApi) ? teamsApi : mainApi;
   }
-}
\ No newline at end of file
+
+  /**
+   * Declare a cacheable read, keyed by operation name and the arguments identifying the resource
+   * 
+   * @example
+   * return this.handleApiCall(async (callOptions) => { ... }, 'get', requestOptions, this.cacheRead('questions.get', questionId));
+   */
+  protected cacheRead(operation: string, ...args: unknown[]): CacheDirective {
+    return { operation, key: this.cacheKey(operation, args) };
+  }
+
+  /**
+   * Declare cache entries evicted once a mutation succeeds
+   * A tuple evicts the entry for those exact arguments; a bare operation name evicts all of its entries.
+   * 
+   * @example
+   * this.cacheEvict(['questions.get', questionId], 'questions.getAll')
+   */
+  protected cacheEvict(...targets: Array<string | [string, ...unknown[]]>): CacheDirective {
+    return {
+      invalidates: targets.map(target => typeof target === 'string'
+        ? `${this.scope}|${target}(*`
+        : this.cacheKey(target[0], target.slice(1)))
+    };
+  }
+
+  /**
+   * Loader for entities of this client's scope, shared with other clients of the SDK instance
+   * Calls with request options get a loader of their own, so cancelling one never fails lookups other callers share.
+   * 
+   * @param name - Loader name such as 'users.get'
+   * @param fetchOne - Fetches a single entity; only used when the loader is first created
+   * @param requestOptions - Options of the call the lookups belong to, already applied by `fetchOne`
+   */
+  protected loader<K extends string | number, V>(name: string, fetchOne: (key: K) => Promise<V>, requestOptions?: RequestOptions): EntityLoader<K, V> {
+    const registry = this.clientOptions.loaders || (this.localLoaders = this.localLoaders || new LoaderRegistry());
+    return requestOptions ? registry.create(fetchOne) : registry.get(`${this.scope}|${name}`, fetchOne);
+  }
+
+  /**
+   * Reject a batch the caller cancelled or that timed out instead of reporting it as individual lookup failures
+   */
+  protected throwIfCancelled<V>(results: Array<V | Error>): void {
+    const cancelled = results.find(result => result instanceof RequestAbortedError || result instanceof TimeoutError);
+    if (cancelled) {
+      throw cancelled;
+    }
+  }
+
+  /**
+   * Upload the local images a markdown body references and point it at the uploaded copies
+   * Returns the body unchanged unless enabled through `SDKConfig.uploadLocalImages`.
+   * 
+   * @example
+   * const body = await this.uploadLocalImages(options.body, (data, fileName) => this.images.upload(data, { fileName }, requestOptions));
+   */
+  protected async uploadLocalImages(markdown: string, upload: ImageUploadFunction): Promise<string> {
+    const uploader = this.clientOptions.localImages;
+    return uploader ? uploader.rewrite(markdown, upload) : markdown;
+  }
+
+  /**
+   * Delay before retrying a failed attempt, or undefined when it must not be retried
+   */
+  private retryDelay(error: any, attempt: number, retry: RetryOptions, method?: string): number | undefined {
+    if (!(error instanceof SDKError)) {
+      return undefined;
+    }
+
+    const shouldRetry = retry.retryOn ? retry.retryOn(error) : isRetryableError(error);
+    if (!shouldRetry || !isRetryableMethod(method, retry)) {
+      return undefined;
+    }
+
+    const delayMs = computeRetryDelay(attempt, error, retry);
+    // A Retry-After beyond our own limit is not worth waiting for
+    if (retry.maxDelayMs !== undefined && delayMs > retry.maxDelayMs) {
+      return undefined;
+    }
+    return delayMs;
+  }
+
+  /**
+   * Ask the token manager for a new token after the API rejected the request's token as expired
+   *
+   * @returns True when the request should be replayed with the renewed token
+   */
+  private async renewToken(operation: string, state: CallState, error: TokenExpiredError): Promise<boolean> {
+    const tokens = this.clientOptions.tokens;
+    if (!tokens) {
+      return false;
+    }
+    try {
+      return await tokens.renewAfterRejection(state.token, `${this.clientName}.${operation}`, error);
+    } catch (renewalError) {
+      this.logger.warn(`Renewing the access token for ${this.clientName}.${operation} failed:`, renewalError);
+      return false;
+    }
+  }
+
+  /**
+   * Check the raw response body against its OpenAPI schema; throws or warns depending on the validator's mode
+   */
+  private async validateResponse(operation: string, state: CallState): Promise<void> {
+    const validator = this.clientOptions.responseValidator;
+    if (!validator || !state.method || !state.url || state.statusCode === undefined) {
+      return;
+    }
+
+    let body: unknown;
+    try {
+      body = JSON.parse(state.responseText as string);
+    } catch {
+      // Unparseable bodies already fail in the generated layer
+      return;
+    }
+
+    const result = await validator.validate(state.method, state.url, state.statusCode, body);
+    if (!result) {
+      return;
+    }
+
+    const qualifiedOperation = `${this.clientName}.${operation}`;
+    const message = validator.describe(result, qualifiedOperation);
+    if (validator.mode === 'warn') {
+      this.logger.warn(message, result.violations);
+      return;
+    }
+    throw new SchemaMismatchError(
+      message,
+      operation,
+      result.violations[0]?.path || '$',
+      result.endpoint,
+      result.violations,
+      validator.serverVersion,
+      state.statusCode,
+      state.responseText,
+      state.headers
+    );
+  }
+
+  /**
+   * What hooks may see of an attempt; the token, response headers and body stay private to the call
+   */
+  private observed(state: CallState): Pick<CallState, 'method' | 'url' | 'statusCode'> {
+    return { method: state.method, url: state.url, statusCode: state.statusCode };
+  }
+
+  private emit<K extends keyof RequestHooks>(name: K, event: Parameters<NonNullable<RequestHooks[K]>>[0]): void {
+    emitRequestEvent(this.clientOptions.hooks, name, event, this.logger);
+  }
+
+  private abortError(abort: CallAbort, operation: string, originalError?: any): SDKError {
+    if (abort.isTimeout) {
+      return new TimeoutError(`${operation} timed out after ${abort.timeoutMs}ms`, operation, abort.timeoutMs as number, originalError);
+    }
+    return new RequestAbortedError(`${operation} was aborted`, operation, originalError);
+  }
+
+  private cacheKey(operation: string, args: unknown[]): string {
+    return `${this.scope}|${operation}(${JSON.stringify(args).slice(1, -1)})`;
+  }
+
+  /**
+   * Per-call generated-layer options, appended after the SDK-wide middleware
+   */
+  private createCallOptions(state: CallState, cache?: CacheDirective, signal?: AbortSignal): PromiseConfigurationOptions {
+    return {
+      httpApi: cache && this.clientOptions.cache ? this.clientOptions.cache.forCall(cache) : undefined,
+      middleware: [{
+        pre: async (context: RequestContext) => {
+          state.method = context.getHttpMethod();
+          state.url = context.getUrl();
+          state.token = (context.getHeaders()['Authorization'] || '').replace(/^Bearer /, '') || undefined;
+          if (signal) {
+            context.setSignal(signal);
+          }
+          return context;
+        },
+        post: async (context: ResponseContext) => {
+          state.statusCode = context.httpStatusCode;
+          state.headers = context.headers;
+          if (!this.clientOptions.responseValidator || !/json/i.test(context.headers['content-type'] || '')) {
+            return context;
+          }
+          // Buffer the body so it can be validated after the generated layer has deserialized it
+          const text = await context.body.text();
+          state.responseText = text;
+          return new ResponseContext(context.httpStatusCode, context.headers, {
+            text: () => Promise.resolve(text),
+            binary: () => Promise.resolve(new Blob([text], { type: context.headers['content-type'] })),
+          });
+        },
+      }],
+      middlewareMergeStrategy: 'append',
+    };
+  }
+}
@@ -1,3 +1,7 @@
+import type { SchemaViolation } from '../../helper/responseValidator';
+import type { FlagOptionResponseModel } from '../../generated/index.js';
+import type { ApiFeature } from './features';
+
 export class SDKError extends Error {
   constructor(
     message: string,
@@ -9,7 +13,9 @@ export class SDKError extends Error {
   ) {
     super(message);
     this.name = 'SDKError';
-    
+    // Restore the prototype chain lost when extending Error under an ES5 target, so instanceof works
+    Object.setPrototypeOf(this, new.target.prototype);
+
     if (Error.captureStackTrace) {
       Error.captureStackTrace(this, this.constructor);
     }
@@ -52,6 +58,24 @@ export class ForbiddenError extends SDKError {
   }
 }
 
+/**
+ * Raised before sending a request the access token's scope does not allow, e.g. `questions.ask` with a read-only token
+ * Extends `ForbiddenError`, the error the API would answer with.
+ */
+export class InsufficientScopeError extends ForbiddenError {
+  constructor(
+    message: string,
+    operation: string,
+    /** Scope the operation needs, e.g. `write_access` */
+    public readonly requiredScope: string,
+    /** Scopes the access token was granted */
+    public readonly grantedScopes: string[]
+  ) {
+    super(message, operation);
+    this.name = 'InsufficientScopeError';
+  }
+}
+
 export class NotFoundError extends SDKError {
   constructor(message: string, operation: string, originalError?: any, responseBody?: string, responseHeaders?: Record<string, string>) {
     super(message, operation, originalError, 404, responseBody, responseHeaders);
@@ -59,6 +83,22 @@ export class NotFoundError extends SDKError {
   }
 }
 
+/**
+ * Raised before calling an API family the deployment does not serve, e.g. communities on a team or analytics where `sdk.diagnose()` found none
+ * Extends `NotFoundError`, the error the API would answer with.
+ */
+export class UnsupportedFeatureError extends NotFoundError {
+  constructor(
+    message: string,
+    operation: string,
+    /** The API family that is not available */
+    public readonly feature: ApiFeature
+  ) {
+    super(message, operation);
+    this.name = 'UnsupportedFeatureError';
+  }
+}
+
 export class ContentParseError extends SDKError {
   constructor(message: string, operation: string, originalError?: any, responseBody?: string, responseHeaders?: Record<string, string>) {
     super(message, operation, originalError, 500, responseBody, responseHeaders);
@@ -66,6 +106,133 @@ export class ContentParseError extends SDKError {
   }
 }
 
+export class CircuitOpenError extends SDKError {
+  constructor(message: string, operation: string, public readonly retryAfterMs: number) {
+    super(message, operation, undefined, 503);
+    this.name = 'CircuitOpenError';
+  }
+}
+
+export class RequestAbortedError extends SDKError {
+  constructor(message: string, operation: string, originalError?: any) {
+    super(message, operation, originalError);
+    this.name = 'RequestAbortedError';
+  }
+}
+
+export class TimeoutError extends SDKError {
+  constructor(message: string, operation: string, public readonly timeoutMs: number, originalError?: any) {
+    super(message, operation, originalError);
+    this.name = 'TimeoutError';
+  }
+}
+
+export class SchemaMismatchError extends SDKError {
+  constructor(
+    message: string,
+    operation: string,
+    /** JSON path of the first mismatch, e.g. `$.items[3].owner.reputation` */
+    public readonly path: string,
+    /** Method and path template of the endpoint, e.g. `GET /questions/{questionId}` */
+    public readonly endpoint: string,
+    public readonly violations: SchemaViolation[],
+    public readonly serverVersion?: string,
+    statusCode?: number,
+    responseBody?: string,
+    responseHeaders?: Record<string, string>
+  ) {
+    super(message, operation, undefined, statusCode, responseBody, responseHeaders);
+    this.name = 'SchemaMismatchError';
+  }
+}
+
+/**
+ * Why an OAuth login could not be completed
+ * - `unsupported_environment`: the runtime lacks what the flow needs, e.g. WebCrypto outside a secure context
+ * - `oauth_error`: Stack Overflow redirected back with an `error`, e.g. the user denied access
+ * - `invalid_callback`: the callback URL has no code or state
+ * - `missing_verifier`: no login was started in this browser tab, or it was already completed
+ * - `state_mismatch`: the returned state is not the one sent
+ * - `exchange_blocked`: the token endpoint could not be reached, typically because the instance does not allow cross-origin requests
+ * - `exchange_failed`: the token endpoint refused the code
+ */
+export type OAuthFlowErrorReason =
+  | 'unsupported_environment'
+  | 'oauth_error'
+  | 'invalid_callback'
+  | 'missing_verifier'
+  | 'state_mismatch'
+  | 'exchange_blocked'
+  | 'exchange_failed';
+
+export class OAuthFlowError extends SDKError {
+  constructor(message: string, operation: string, public readonly reason: OAuthFlowErrorReason, originalError?: any, statusCode?: number, responseBody?: string) {
+    super(message, operation, originalError, statusCode, responseBody);
+    this.name = 'OAuthFlowError';
+  }
+}
+
+/**
+ * Why an image was refused before uploading it
+ * - `empty`: the source holds no bytes
+ * - `too_large`: the image is larger than the 2 MiB the API accepts
+ * - `unsupported_type`: the content is not a JPEG, PNG, GIF, BMP or WebP image
+ */
+export type InvalidImageReason = 'empty' | 'too_large' | 'unsupported_type';
+
+/**
+ * Raised before uploading an image the API would refuse
+ * Carries the status code the API would answer with.
+ */
+export class InvalidImageError extends SDKError {
+  constructor(
+    message: string,
+    operation: string,
+    public readonly reason: InvalidImageReason,
+    /** Size of the image in bytes, or the bytes read before giving up on a stream */
+    public readonly size: number,
+    /** Detected MIME type, when the content was recognised */
+    public readonly contentType?: string
+  ) {
+    super(message, operation, undefined, 400);
+    this.name = 'InvalidImageError';
+  }
+}
+
+/**
+ * Why a flag was refused before raising it
+ * - `unknown_option`: no option offered for the post matches the name, kind or ID
+ * - `sub_option_required`: the option groups sub-options, one of which must be chosen instead
+ * - `already_flagged`: the current user has already raised this flag on the post
+ * - `comment_required`: the option needs a `comment`
+ * - `related_question_required`: the option, e.g. duplicate, needs `relatedQuestionId`
+ * - `target_site_required`: the option needs `targetSite`
+ */
+export type InvalidFlagReason =
+  | 'unknown_option'
+  | 'sub_option_required'
+  | 'already_flagged'
+  | 'comment_required'
+  | 'related_question_required'
+  | 'target_site_required';
+
+/**
+ * Raised before sending a flag the API would refuse
+ * Carries the status code the API would answer with.
+ */
+export class InvalidFlagError extends SDKError {
+  constructor(
+    message: string,
+    operation: string,
+    public readonly reason: InvalidFlagReason,
+    /** The option that was matched, when one was */
+    public readonly option?: FlagOptionResponseModel
+  ) {
+    super(message, operation, undefined, 400);
+    this.name = 'InvalidFlagError';
+  }
+}
+
 /**
  * Extract and format error message from API response
  */
@@ -157,16 +324,21 @@ function classifyError(
       bodyLower.includes('token invalid') ||
       bodyLower.includes('please refresh') ||
       errorMessage.includes('token expired')) {
-    return new TokenExpiredError(apiMessage, operation, error, responseBody, responseHeaders);
+    // Expiry detected before sending has no response body, only the error's own message
+    const expiredMessage = extractErrorMessage(responseBody, error.message);
+    return new TokenExpiredError(expiredMessage, operation, error, responseBody, responseHeaders);
   }
 
   // Status code based classification
   switch (statusCode) {
-    case 401:
+    case 401: {
+      // Raised before sending, e.g. when no token is available, there is no body but the error's own message
+      const authMessage = extractErrorMessage(responseBody, error.message);
       if (bodyLower.includes('expired') || errorMessage.includes('expired')) {
-        return new TokenExpiredError(apiMessage, operation, error, responseBody, responseHeaders);
+        return new TokenExpiredError(authMessage, operation, error, responseBody, responseHeaders);
       }
-      return new AuthenticationError(apiMessage, operation, error, responseBody, responseHeaders);
+      return new AuthenticationError(authMessage, operation, error, responseBody, responseHeaders);
+    }
     
     case 403:
       return new ForbiddenError(apiMessage, operation, error, responseBody, responseHeaders);
@@ -0,0 +1,72 @@
+/**
+ * API families that not every deployment serves
+ * - `communities`: the Communities API, only on the main site of Enterprise instances
+ * - `analytics`: user analytics, e.g. `users.getAnalytics()`
+ * - `images`: image uploads and downloads
+ * - `teams`: routes scoped to a team under `/teams/{teamId}`, used by `sdk.forTeam()`
+ */
+export type ApiFeature = 'communities' | 'analytics' | 'images' | 'teams';
+
+/** Every client of these belongs to the family */
+const CLIENT_FEATURES: Record<string, ApiFeature> = {
+  communities: 'communities',
+  images: 'images',
+};
+
+/** Single operations belonging to a family, keyed as `<client>.<method>` like the SDK properties */
+const OPERATION_FEATURES: Record<string, ApiFeature> = {
+  'users.getAnalytics': 'analytics',
+};
+
+/**
+ * API families an operation depends on
+ *
+ * @param operation - Operation name such as 'users.getAnalytics'
+ * @param teamId - Team the operation is scoped to, if any
+ */
+export function getOperationFeatures(operation: string, teamId?: string): ApiFeature[] {
+  const features: ApiFeature[] = [];
+  const clientFeature = CLIENT_FEATURES[operation.split('.')[0]!];
+  const operationFeature = OPERATION_FEATURES[operation];
+  if (clientFeature) {
+    features.push(clientFeature);
+  }
+  if (operationFeature) {
+    features.push(operationFeature);
+  }
+  if (teamId) {
+    features.push('teams');
+  }
+  return features;
+}
+
+/**
+ * API families the deployment was found not to serve, shared by every client of an SDK instance
+ * Filled in by `sdk.diagnose()`; until then every feature is assumed to be supported.
+ */
+export class FeatureRegistry {
+  private unsupported: Partial<Record<ApiFeature, string>> = {};
+
+  /**
+   * Record that the deployment serves a feature
+   */
+  markSupported(feature: ApiFeature): void {
+    delete this.unsupported[feature];
+  }
+
+  /**
+   * Record that the deployment does not serve a feature
+   *
+   * @param reason - Why, reported by the `UnsupportedFeatureError` of later calls
+   */
+  markUnsupported(feature: ApiFeature, reason: string): void {
+    this.unsupported[feature] = reason;
+  }
+
+  /**
+   * Why the deployment does not serve a feature, or undefined when it is not known to be unsupported
+   */
+  unsupportedReason(feature: ApiFeature): string | undefined {
+    return this.unsupported[feature];
+  }
+}
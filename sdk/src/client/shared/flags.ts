@@ -0,0 +1,215 @@
+import { FlagOptionResponseModel, FlagRequestModel } from '../../generated/index.js';
+import { InvalidFlagError } from './errors';
+import { EntityLoader } from './loader';
+import { RequestOptions } from './types';
+
+/**
+ * Common kinds of flag, matched against the titles of the options the API offers
+ * - `spam`: promotes a product or service
+ * - `rude`: rude or abusive
+ * - `duplicate`: the question was asked before; needs `relatedQuestionId`
+ * - `needs_improvement`: needs details, clarity or focus (questions); choose one of its sub-options
+ * - `not_an_answer`: posted as an answer but does not attempt to answer (answers)
+ * - `moderator`: needs moderator intervention; needs a `comment`
+ */
+export type FlagKind = 'spam' | 'rude' | 'duplicate' | 'needs_improvement' | 'not_an_answer' | 'moderator';
+
+/**
+ * Flag option to raise: its `optionId`, a `FlagKind`, or its title, e.g. `'needs more focus'`
+ */
+export type FlagSelector = number | FlagKind | string;
+
+/**
+ * A flag given by option name or kind instead of a raw option ID
+ * @typedef {Object} FlagOptions
+ * @property {FlagSelector} option - Option ID, kind or title of the flag to raise
+ * @property {string} [comment] - Explanation for moderators; required by some options
+ * @property {number} [relatedQuestionId] - The original question; required when flagging as a duplicate
+ * @property {string} [targetSite] - Site to migrate to; required by migration options
+ */
+export interface FlagOptions {
+  option: FlagSelector;
+  comment?: string;
+  relatedQuestionId?: number;
+  targetSite?: string;
+}
+
+/**
+ * A flag as accepted by `flag()`: resolved from `FlagOptions`, or a raw `FlagRequestModel` sent as given
+ */
+export type FlagInput = FlagOptions | FlagRequestModel;
+
+/**
+ * Options for flagging several posts
+ * @typedef {Object} FlagManyOptions
+ * @property {number} [concurrency=4] - Maximum number of posts flagged in parallel
+ * @property {RequestOptions} [request] - Per-call options applied to every request
+ */
+export interface FlagManyOptions {
+  concurrency?: number;
+  request?: RequestOptions;
+}
+
+/**
+ * Outcome of flagging one post of a batch
+ * @typedef {Object} FlagResult
+ * @property {T} post - The post as passed in
+ * @property {boolean} success - Whether the flag was raised
+ * @property {Error} [error] - Why it was not, e.g. an `InvalidFlagError` or `NotFoundError`
+ */
+export interface FlagResult<T> {
+  post: T;
+  success: boolean;
+  error?: Error;
+}
+
+const DEFAULT_FLAG_CONCURRENCY = 4;
+
+const FLAG_KIND_PATTERNS: Record<FlagKind, RegExp> = {
+  spam: /\bspam\b/,
+  rude: /\b(rude|abusive)\b/,
+  duplicate: /\bduplicate\b/,
+  needs_improvement: /\bneeds improvement\b/,
+  not_an_answer: /\bnot an answer\b/,
+  moderator: /\bmoderator\b/,
+};
+
+/**
+ * Lower-case a title or selector and drop separators and a leading article, so 'A duplicate' matches 'duplicate'
+ */
+function normalize(text: string): string {
+  return text.toLowerCase().replace(/[-_\s]+/g, ' ').trim().replace(/^(a|an) /, '');
+}
+
+function flatten(options: Array<FlagOptionResponseModel>): FlagOptionResponseModel[] {
+  const all: FlagOptionResponseModel[] = [];
+  options.forEach(option => {
+    all.push(option);
+    all.push(...flatten(option.subOptions || []));
+  });
+  return all;
+}
+
+function optionTitles(options: Array<FlagOptionResponseModel>): string {
+  return flatten(options)
+    .filter(option => !option.subOptions?.length)
+    .map(option => `'${option.title}'`)
+    .join(', ');
+}
+
+/**
+ * Find a flag option, or one of its sub-options, by ID, kind or title
+ * Titles match case-insensitively and ignore a leading article; a selector that matches no
+ * whole title or kind matches the first title containing it.
+ *
+ * @param options - Options as returned by `getFlagOptions()`
+ * @param selector - Option ID, kind or title
+ * @returns The option, or undefined when none matches
+ *
+ * @example
+ * const options = await sdk.answers.getFlagOptions(questionId, answerId);
+ * const option = resolveFlagOption(options, 'not_an_answer');
+ */
+export function resolveFlagOption(options: Array<FlagOptionResponseModel>, selector: FlagSelector): FlagOptionResponseModel | undefined {
+  const all = flatten(options);
+  if (typeof selector === 'number') {
+    return all.filter(option => option.optionId === selector)[0];
+  }
+
+  const wanted = normalize(selector);
+  const titled = all.filter(option => option.title);
+  const pattern = FLAG_KIND_PATTERNS[wanted.replace(/ /g, '_') as FlagKind];
+  return titled.filter(option => normalize(option.title!) === wanted)[0]
+    || (pattern ? titled.filter(option => pattern.test(normalize(option.title!)))[0] : undefined)
+    || (wanted ? titled.filter(option => normalize(option.title!).indexOf(wanted) !== -1)[0] : undefined);
+}
+
+/**
+ * Turn a flag into the request to send, checking it against the options offered for the post
+ * A raw `FlagRequestModel` is returned as given, without `getOptions` being called.
+ *
+ * @param flag - The flag to raise
+ * @param getOptions - Retrieves the options offered for the post
+ * @param operation - Operation reported by errors, e.g. 'flag'
+ * @throws {InvalidFlagError} When no option matches, or the option cannot be raised as given
+ */
+export async function toFlagRequest(
+  flag: FlagInput,
+  getOptions: () => Promise<Array<FlagOptionResponseModel>>,
+  operation: string
+): Promise<FlagRequestModel> {
+  if (!('option' in flag)) {
+    return flag;
+  }
+
+  const options = await getOptions();
+  const option = resolveFlagOption(options, flag.option);
+  if (!option || option.optionId === undefined || option.optionId === null) {
+    throw new InvalidFlagError(
+      `No flag option matches '${flag.option}'; available options are ${optionTitles(options) || 'none'}`,
+      operation,
+      'unknown_option'
+    );
+  }
+  if (option.subOptions?.length) {
+    throw new InvalidFlagError(
+      `Flag option '${option.title}' cannot be raised itself; choose one of ${optionTitles(option.subOptions)}`,
+      operation,
+      'sub_option_required',
+      option
+    );
+  }
+  if (option.isRetraction) {
+    throw new InvalidFlagError(`You have already raised the '${option.title}' flag on this post`, operation, 'already_flagged', option);
+  }
+  if (option.requiresComment && !(flag.comment && flag.comment.trim())) {
+    throw new InvalidFlagError(`Flag option '${option.title}' requires a comment`, operation, 'comment_required', option);
+  }
+  if (option.requiresQuestionId && !isPositiveInteger(flag.relatedQuestionId)) {
+    throw new InvalidFlagError(
+      `Flag option '${option.title}' requires 'relatedQuestionId', the question this one duplicates`,
+      operation,
+      'related_question_required',
+      option
+    );
+  }
+  if (option.requiresSite && !(flag.targetSite && flag.targetSite.trim())) {
+    throw new InvalidFlagError(`Flag option '${option.title}' requires 'targetSite'`, operation, 'target_site_required', option);
+  }
+
+  // Only send the fields the option asks for, as the API expects
+  const request: FlagRequestModel = { optionId: option.optionId };
+  if (option.requiresComment || flag.comment) {
+    request.comment = flag.comment;
+  }
+  if (option.requiresQuestionId) {
+    request.relatedQuestionId = flag.relatedQuestionId;
+  }
+  if (option.requiresSite) {
+    request.targetSite = flag.targetSite;
+  }
+  return request;
+}
+
+function isPositiveInteger(value: unknown): value is number {
+  return typeof value === 'number' && value > 0 && Math.floor(value) === value;
+}
+
+/**
+ * Flag each post with bounded concurrency, collecting a result per post instead of stopping at the first failure
+ *
+ * @param posts - Posts to flag
+ * @param flagOne - Flags a single post
+ * @param options - Concurrency
+ * @returns One result per post, in the order of `posts`
+ */
+export async function flagEach<T>(posts: T[], flagOne: (post: T) => Promise<void>, options: FlagManyOptions = {}): Promise<Array<FlagResult<T>>> {
+  const loader = new EntityLoader(
+    (index: number) => flagOne(posts[index]!).then(() => true),
+    { concurrency: options.concurrency || DEFAULT_FLAG_CONCURRENCY }
+  );
+  const outcomes = await loader.loadMany(posts.map((_, index) => index));
+  return outcomes.map((outcome, index) => outcome instanceof Error
+    ? { post: posts[index]!, success: false, error: outcome }
+    : { post: posts[index]!, success: true });
+}
@@ -1,3 +1,12 @@
 export * from './errors';
 export * from './types';
-export * from './base';
\ No newline at end of file
+export * from './base';
+export * from './pagination';
+export * from './retry';
+export * from './middleware';
+export * from './loader';
+export * from './observability';
+export * from './scopes';
+export * from './features';
+export * from './flags';
+export * from './request';
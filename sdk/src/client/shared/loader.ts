@@ -0,0 +1,171 @@
+/**
+ * Options for entity loaders
+ */
+export interface LoaderOptions {
+  /** Maximum number of lookups a loader runs in parallel (defaults to 5) */
+  concurrency?: number;
+}
+
+interface QueuedLookup<K, V> {
+  key: K;
+  resolve: (value: V) => void;
+  reject: (reason: any) => void;
+}
+
+const DEFAULT_CONCURRENCY = 5;
+
+/**
+ * DataLoader-style lookup of entities by key
+ *
+ * Keys requested within the same tick are collected into one batch, duplicates are
+ * coalesced into a single request, and identical lookups already in flight share its
+ * promise. The batch fans out with bounded concurrency. Results are not kept once a
+ * lookup settles; use the response cache for that.
+ *
+ * @example
+ * ```typescript
+ * const loader = new EntityLoader((userId: number) => sdk.users.get(userId), { concurrency: 4 });
+ * const [a, b, c] = await Promise.all([loader.load(1), loader.load(2), loader.load(1)]); // two requests
+ * ```
+ */
+export class EntityLoader<K extends string | number, V> {
+  private readonly concurrency: number;
+  private inFlight = new Map<string, Promise<V>>();
+  private queue: Array<QueuedLookup<K, V>> = [];
+  private active = 0;
+  private dispatchScheduled = false;
+  private batch: Array<QueuedLookup<K, V>> = [];
+
+  /**
+   * @param fetchOne - Function retrieving a single entity by key
+   * @param options - Loader options
+   */
+  constructor(private readonly fetchOne: (key: K) => Promise<V>, options: LoaderOptions = {}) {
+    this.concurrency = Math.max(1, Math.floor(options.concurrency || DEFAULT_CONCURRENCY));
+  }
+
+  /**
+   * Load a single entity
+   */
+  load(key: K): Promise<V> {
+    const id = String(key);
+    const existing = this.inFlight.get(id);
+    if (existing) {
+      return existing;
+    }
+
+    const promise = new Promise<V>((resolve, reject) => {
+      this.batch.push({ key, resolve, reject });
+    });
+    this.inFlight.set(id, promise);
+
+    // Forget the lookup once it settles so later calls fetch fresh data
+    const forget = () => {
+      if (this.inFlight.get(id) === promise) {
+        this.inFlight.delete(id);
+      }
+    };
+    promise.then(forget, forget);
+
+    if (!this.dispatchScheduled) {
+      this.dispatchScheduled = true;
+      setTimeout(() => this.dispatch(), 0);
+    }
+
+    return promise;
+  }
+
+  /**
+   * Load several entities, keeping the order of `keys`
+   * Failed lookups are returned as `Error` instances instead of rejecting the whole call.
+   */
+  loadMany(keys: K[]): Promise<Array<V | Error>> {
+    return Promise.all(keys.map(key =>
+      this.load(key).catch((error: any) => error instanceof Error ? error : new Error(String(error)))
+    ));
+  }
+
+  /**
+   * Drop an in-flight lookup so the next `load` starts a new request
+   */
+  clear(key: K): void {
+    this.inFlight.delete(String(key));
+  }
+
+  /**
+   * Drop every in-flight lookup
+   */
+  clearAll(): void {
+    this.inFlight.clear();
+  }
+
+  private dispatch(): void {
+    this.dispatchScheduled = false;
+    this.queue.push(...this.batch);
+    this.batch = [];
+    this.pump();
+  }
+
+  private pump(): void {
+    while (this.active < this.concurrency && this.queue.length > 0) {
+      const lookup = this.queue.shift()!;
+      this.active++;
+
+      let result: Promise<V>;
+      try {
+        result = this.fetchOne(lookup.key);
+      } catch (error) {
+        result = Promise.reject(error);
+      }
+
+      result.then(
+        value => {
+          this.active--;
+          lookup.resolve(value);
+          this.pump();
+        },
+        error => {
+          this.active--;
+          lookup.reject(error);
+          this.pump();
+        }
+      );
+    }
+  }
+}
+
+/**
+ * Loaders shared by every client of an SDK instance, so that lookups made through
+ * different clients (or team contexts for the same team) are coalesced together
+ */
+export class LoaderRegistry {
+  private loaders = new Map<string, EntityLoader<any, any>>();
+
+  constructor(private readonly options: LoaderOptions = {}) {}
+
+  /**
+   * Get the loader registered under `name`, creating it with `fetchOne` on first use
+   */
+  get<K extends string | number, V>(name: string, fetchOne: (key: K) => Promise<V>): EntityLoader<K, V> {
+    let loader = this.loaders.get(name);
+    if (!loader) {
+      loader = new EntityLoader(fetchOne, this.options);
+      this.loaders.set(name, loader);
+    }
+    return loader;
+  }
+
+  /**
+   * Create a loader with the registry's options that is not shared, e.g. for lookups carrying their own cancellation signal
+   */
+  create<K extends string | number, V>(fetchOne: (key: K) => Promise<V>): EntityLoader<K, V> {
+    return new EntityLoader(fetchOne, this.options);
+  }
+
+  /**
+   * Drop in-flight lookups of every loader
+   */
+  clearAll(): void {
+    this.loaders.forEach(loader => loader.clearAll());
+  }
+}
@@ -0,0 +1,44 @@
+import { Middleware as PromiseMiddleware, RequestContext, ResponseContext } from '../../generated/index.js';
+
+/**
+ * Request/response hook applied to every API call made by an SDK instance
+ *
+ * Both hooks are optional. Returning nothing keeps the (possibly mutated) context;
+ * returning a context replaces it.
+ */
+export interface SDKMiddleware {
+  /** Called before the request is sent, e.g. to add headers or rewrite the URL */
+  pre?: (context: RequestContext) => RequestContext | void | Promise<RequestContext | void>;
+  /** Called with the raw response before it is deserialized */
+  post?: (context: ResponseContext) => ResponseContext | void | Promise<ResponseContext | void>;
+}
+
+/**
+ * Adapt an SDK middleware to the generated layer's promise middleware contract
+ */
+export function toPromiseMiddleware(middleware: SDKMiddleware): PromiseMiddleware {
+  return {
+    pre: async (context: RequestContext) => (middleware.pre ? await middleware.pre(context) : undefined) || context,
+    post: async (context: ResponseContext) => (middleware.post ? await middleware.post(context) : undefined) || context,
+  };
+}
+
+/**
+ * Middleware that sets the given headers on every request
+ *
+ * @example
+ * ```typescript
+ * const sdk = new StackOverflowSDK({
+ *   baseUrl: 'https://[your-site].stackenterprise.co',
+ *   middleware: [headerMiddleware({ 'User-Agent': 'my-app/1.0 (https://example.com; me@example.com)' })]
+ * });
+ * ```
+ */
+export function headerMiddleware(headers: Record<string, string> | (() => Record<string, string>)): SDKMiddleware {
+  return {
+    pre: (context) => {
+      const values = typeof headers === 'function' ? headers() : headers;
+      Object.keys(values).forEach(name => context.setHeaderParam(name, values[name] as string));
+    },
+  };
+}
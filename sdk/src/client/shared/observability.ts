@@ -0,0 +1,227 @@
+/**
+ * Destination for diagnostic messages emitted by the SDK
+ * Compatible with `console`, pino, winston and most other loggers.
+ */
+export interface Logger {
+  debug(message: string, ...meta: unknown[]): void;
+  info(message: string, ...meta: unknown[]): void;
+  warn(message: string, ...meta: unknown[]): void;
+  error(message: string, ...meta: unknown[]): void;
+}
+
+/**
+ * Logger writing every message to the console
+ */
+export const consoleLogger: Logger = {
+  debug: (message, ...meta) => console.debug(message, ...meta),
+  info: (message, ...meta) => console.info(message, ...meta),
+  warn: (message, ...meta) => console.warn(message, ...meta),
+  error: (message, ...meta) => console.error(message, ...meta),
+};
+
+/**
+ * Logger discarding every message
+ */
+export const silentLogger: Logger = {
+  debug: () => undefined,
+  info: () => undefined,
+  warn: () => undefined,
+  error: () => undefined,
+};
+
+/**
+ * Logger used when none is configured: warnings and errors go to the console, debug and info messages such as retries are dropped
+ */
+export const defaultLogger: Logger = {
+  debug: () => undefined,
+  info: () => undefined,
+  warn: (message, ...meta) => console.warn(message, ...meta),
+  error: (message, ...meta) => console.error(message, ...meta),
+};
+
+/**
+ * Details shared by every lifecycle event of a single request attempt
+ */
+export interface RequestEvent {
+  /** Identifier shared by the start and end/error events of one attempt */
+  requestId: string;
+  /** Operation name of the wrapper method (e.g. 'getAll') */
+  operation: string;
+  /** Client the call was made through, e.g. 'questions' */
+  client: string;
+  /** Team the client is scoped to, if any */
+  teamId?: string;
+  /** 1-based attempt number; greater than 1 for retries */
+  attempt: number;
+  /** Epoch milliseconds when the attempt started */
+  startTime: number;
+}
+
+/**
+ * Emitted once an attempt has completed successfully
+ */
+export interface RequestEndEvent extends RequestEvent {
+  durationMs: number;
+  /** HTTP method of the request */
+  method?: string;
+  /** Full request URL */
+  url?: string;
+  /** HTTP status of the response */
+  statusCode?: number;
+}
+
+/**
+ * Emitted when an attempt has failed
+ */
+export interface RequestErrorEvent extends RequestEndEvent {
+  error: Error;
+  /** Whether the SDK is going to retry the call */
+  willRetry: boolean;
+}
+
+/**
+ * Hooks observing every request made by an SDK instance
+ * Hooks are called synchronously; exceptions they throw are logged and otherwise ignored.
+ */
+export interface RequestHooks {
+  onRequestStart?: (event: RequestEvent) => void;
+  onRequestEnd?: (event: RequestEndEvent) => void;
+  onError?: (event: RequestErrorEvent) => void;
+}
+
+let requestSequence = 0;
+
+/**
+ * Identifier for a new request attempt, unique within the process
+ */
+export function nextRequestId(): string {
+  requestSequence = (requestSequence + 1) % Number.MAX_SAFE_INTEGER;
+  return `${Date.now().toString(36)}-${requestSequence.toString(36)}`;
+}
+
+/**
+ * Call the given hook of every registered hook set, isolating the SDK from hook failures
+ */
+export function emitRequestEvent<K extends keyof RequestHooks>(
+  hooks: RequestHooks[] | undefined,
+  name: K,
+  event: Parameters<NonNullable<RequestHooks[K]>>[0],
+  logger: Logger
+): void {
+  if (!hooks) {
+    return;
+  }
+
+  hooks.forEach(hook => {
+    const handler = hook[name] as ((event: unknown) => void) | undefined;
+    if (!handler) {
+      return;
+    }
+    try {
+      handler(event);
+    } catch (error) {
+      logger.warn(`Request hook ${name} threw for ${event.client}.${event.operation}:`, error);
+    }
+  });
+}
+
+/**
+ * Subset of the OpenTelemetry `Span` interface used by the tracing hooks
+ */
+export interface SpanLike {
+  setAttribute(key: string, value: string | number | boolean): unknown;
+  setStatus(status: { code: number; message?: string }): unknown;
+  recordException(exception: Error): unknown;
+  end(endTime?: number): void;
+}
+
+/**
+ * Subset of the OpenTelemetry `Tracer` interface used by the tracing hooks
+ */
+export interface TracerLike {
+  startSpan(name: string, options?: { kind?: number; attributes?: Record<string, string | number | boolean>; startTime?: number }): SpanLike;
+}
+
+/**
+ * Options for the OpenTelemetry tracing hooks
+ */
+export interface TracingOptions {
+  /** Span name for an attempt (defaults to `'<client>.<operation>'`, e.g. 'questions.getAll') */
+  spanName?: (event: RequestEvent) => string;
+}
+
+// Values of the OpenTelemetry SpanKind and SpanStatusCode enums
+const SPAN_KIND_CLIENT = 2;
+const SPAN_STATUS_OK = 1;
+const SPAN_STATUS_ERROR = 2;
+
+/**
+ * Request hooks recording one OpenTelemetry client span per request attempt
+ *
+ * Only the structural shape of the tracer is relied upon, so the SDK does not depend on
+ * `@opentelemetry/api`; pass a tracer obtained from it.
+ *
+ * @example
+ * ```typescript
+ * import { trace } from '@opentelemetry/api';
+ *
+ * const sdk = new StackOverflowSDK({
+ *   baseUrl: 'https://[your-site].stackenterprise.co',
+ *   hooks: createTracingHooks(trace.getTracer('so-teams-sdk'))
+ * });
+ * ```
+ */
+export function createTracingHooks(tracer: TracerLike, options: TracingOptions = {}): RequestHooks {
+  const spans = new Map<string, SpanLike>();
+
+  const finish = (event: RequestEndEvent): SpanLike | undefined => {
+    const span = spans.get(event.requestId);
+    if (!span) {
+      return undefined;
+    }
+    spans.delete(event.requestId);
+
+    if (event.method) {
+      span.setAttribute('http.request.method', event.method);
+    }
+    if (event.url) {
+      span.setAttribute('url.full', event.url);
+    }
+    if (event.statusCode !== undefined) {
+      span.setAttribute('http.response.status_code', event.statusCode);
+    }
+    return span;
+  };
+
+  return {
+    onRequestStart: (event) => {
+      const attributes: Record<string, string | number | boolean> = {
+        'sdk.client': event.client,
+        'sdk.operation': event.operation,
+        'sdk.attempt': event.attempt,
+      };
+      if (event.teamId) {
+        attributes['sdk.team_id'] = event.teamId;
+      }
+
+      const name = options.spanName ? options.spanName(event) : `${event.client}.${event.operation}`;
+      spans.set(event.requestId, tracer.startSpan(name, { kind: SPAN_KIND_CLIENT, attributes, startTime: event.startTime }));
+    },
+    onRequestEnd: (event) => {
+      const span = finish(event);
+      if (span) {
+        span.setStatus({ code: SPAN_STATUS_OK });
+        span.end();
+      }
+    },
+    onError: (event) => {
+      const span = finish(event);
+      if (span) {
+        span.setAttribute('sdk.will_retry', event.willRetry);
+        span.recordException(event.error);
+        span.setStatus({ code: SPAN_STATUS_ERROR, message: event.error.message });
+        span.end();
+      }
+    },
+  };
+}
@@ -0,0 +1,203 @@
+import type { RequestOptions } from './types';
+
+/**
+ * Minimal shape shared by every paginated response model (PaginatedQuestions, PaginatedTags, ...)
+ */
+export interface Page<T> {
+  items?: Array<T>;
+  page?: number;
+  pageSize?: number;
+  totalPages?: number;
+  totalCount?: number;
+}
+
+/**
+ * Serializable position of a page iterator
+ * Points just past the last item handed out, so passing it back resumes with the next item
+ */
+export interface PaginationCursor {
+  /** Page number (1-based) that holds the next item */
+  page: number;
+  /** Index of the next item within that page */
+  index: number;
+}
+
+/**
+ * Options controlling how a paginated method is walked
+ */
+export interface IterateOptions {
+  /** Number of pages fetched in parallel once `totalPages` is known (defaults to 1) */
+  concurrency?: number;
+  /** Stop after this many items have been yielded */
+  maxItems?: number;
+  /** Resume from a cursor previously obtained from `PageIterator.cursor` or `PageIterator.serializeCursor()` */
+  cursor?: PaginationCursor | string;
+  /** Per-call options applied to every page request, e.g. a `signal` that stops the iteration */
+  request?: RequestOptions;
+}
+
+/**
+ * Fetches a single page by its 1-based page number
+ */
+export type PageFetcher<TPage> = (page: number) => Promise<TPage>;
+
+/**
+ * Parse a cursor that may have been serialized with `PageIterator.serializeCursor()`
+ */
+export function parseCursor(cursor: PaginationCursor | string): PaginationCursor {
+  const parsed = typeof cursor === 'string' ? JSON.parse(cursor) : cursor;
+
+  if (!parsed || typeof parsed.page !== 'number' || parsed.page < 1 || typeof parsed.index !== 'number' || parsed.index < 0) {
+    throw new Error('Invalid pagination cursor');
+  }
+
+  return { page: parsed.page, index: parsed.index };
+}
+
+/**
+ * Async iterator over every item of every page of a paginated endpoint
+ *
+ * Pages are requested lazily as items are consumed. With `concurrency > 1` the remaining
+ * pages are fetched in parallel once the first response reports `totalPages`, but items are
+ * still yielded in page order.
+ *
+ * @example
+ * ```typescript
+ * for await (const question of sdk.questions.iterate({ sort: 'creation' })) {
+ *   console.log(question.title);
+ * }
+ *
+ * const tags = await sdk.tags.iterate({}, { concurrency: 4, maxItems: 500 }).all();
+ * ```
+ */
+export class PageIterator<T, TPage extends Page<T> = Page<T>> implements AsyncIterable<T> {
+  private position: PaginationCursor;
+  private readonly concurrency: number;
+  private readonly maxItems?: number;
+
+  /**
+   * @param fetchPage - Function retrieving a page by number
+   * @param options - Iteration options
+   * @param startPage - Page to start from when no cursor is supplied (defaults to 1)
+   */
+  constructor(private readonly fetchPage: PageFetcher<TPage>, options: IterateOptions = {}, startPage: number = 1) {
+    this.position = options.cursor ? parseCursor(options.cursor) : { page: Math.max(1, startPage), index: 0 };
+    this.concurrency = Math.max(1, Math.floor(options.concurrency || 1));
+    this.maxItems = options.maxItems;
+  }
+
+  /**
+   * Current position of the iterator, suitable for persisting and passing back as `cursor`
+   */
+  get cursor(): PaginationCursor {
+    return { ...this.position };
+  }
+
+  /**
+   * Current position serialized as a JSON string
+   */
+  serializeCursor(): string {
+    return JSON.stringify(this.position);
+  }
+
+  /**
+   * Iterate over whole pages instead of individual items
+   * Does not advance the item cursor
+   */
+  async *pages(): AsyncIterableIterator<TPage> {
+    for await (const { page } of this.fetchPages(this.position.page, 0)) {
+      yield page;
+    }
+  }
+
+  async *[Symbol.asyncIterator](): AsyncIterator<T> {
+    let yielded = 0;
+
+    if (this.maxItems !== undefined && this.maxItems <= 0) {
+      return;
+    }
+
+    for await (const { page, pageNumber } of this.fetchPages(this.position.page, this.position.index)) {
+      const items = page.items || [];
+      const start = pageNumber === this.position.page ? this.position.index : 0;
+
+      for (let i = start; i < items.length; i++) {
+        this.position = { page: pageNumber, index: i + 1 };
+        yield items[i] as T;
+        yielded++;
+
+        if (this.maxItems !== undefined && yielded >= this.maxItems) {
+          return;
+        }
+      }
+
+      this.position = { page: pageNumber + 1, index: 0 };
+    }
+  }
+
+  /**
+   * Collect every remaining item into an array (honours `maxItems`)
+   */
+  async all(): Promise<T[]> {
+    const results: T[] = [];
+
+    for await (const item of this) {
+      results.push(item);
+    }
+
+    return results;
+  }
+
+  /**
+   * Last page number worth requesting, taking `totalPages` and `maxItems` into account
+   */
+  private lastPageNeeded(firstPage: TPage, firstPageNumber: number, startIndex: number): number | undefined {
+    let last = firstPage.totalPages;
+
+    if (this.maxItems !== undefined && firstPage.pageSize) {
+      const needed = startIndex + this.maxItems;
+      const byLimit = firstPageNumber + Math.ceil(needed / firstPage.pageSize) - 1;
+      last = last === undefined ? byLimit : Math.min(last, byLimit);
+    }
+
+    return last;
+  }
+
+  private async *fetchPages(startPage: number, startIndex: number): AsyncIterableIterator<{ page: TPage; pageNumber: number }> {
+    const first = await this.fetchPage(startPage);
+    yield { page: first, pageNumber: startPage };
+
+    const lastPage = this.lastPageNeeded(first, startPage, startIndex);
+
+    // Without totalPages we can only walk sequentially until a short or empty page comes back
+    if (lastPage === undefined) {
+      let previous = first;
+      let pageNumber = startPage;
+
+      while ((previous.items?.length || 0) > 0 && (!previous.pageSize || (previous.items?.length || 0) >= previous.pageSize)) {
+        pageNumber++;
+        previous = await this.fetchPage(pageNumber);
+        yield { page: previous, pageNumber };
+      }
+      return;
+    }
+
+    // Sliding window of in-flight requests, consumed in page order
+    const inFlight: Array<{ pageNumber: number; promise: Promise<TPage> }> = [];
+    let nextToRequest = startPage + 1;
+
+    while (nextToRequest <= lastPage || inFlight.length > 0) {
+      while (nextToRequest <= lastPage && inFlight.length < this.concurrency) {
+        const promise = this.fetchPage(nextToRequest);
+        // Avoid unhandled rejections for pages that are requested but never awaited
+        promise.catch(() => undefined);
+        inFlight.push({ pageNumber: nextToRequest, promise });
+        nextToRequest++;
+      }
+
+      const next = inFlight.shift()!;
+      const page = await next.promise;
+      yield { page, pageNumber: next.pageNumber };
+    }
+  }
+}
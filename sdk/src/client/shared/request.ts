@@ -0,0 +1,99 @@
+import { ApiException, HttpMethod, RequestContext, ResponseContext, PromiseConfigurationOptions } from '../../generated/index.js';
+import { Configuration, mergeConfiguration, wrapOptions } from '../../generated/configuration.js';
+
+/**
+ * Response of a request sent with `sendRawRequest()`
+ */
+export interface RawResponse {
+  statusCode: number;
+  /** Response headers, keyed in lower case */
+  headers: Record<string, string>;
+  /** Response body as text */
+  text: string;
+}
+
+/**
+ * Send a request through the same transport, authentication and middleware as generated calls, without interpreting the response
+ * Error statuses resolve like any other; only transport failures reject.
+ *
+ * @param config - API configuration of the client
+ * @param method - HTTP method
+ * @param path - Path below the server URL, with path parameters already encoded
+ * @param query - Query parameters; undefined values are left out
+ * @param callOptions - Per-call options from `handleApiCall`
+ */
+export async function sendRawRequest(
+  config: Configuration,
+  method: HttpMethod,
+  path: string,
+  query: Record<string, string | undefined> = {},
+  callOptions?: PromiseConfigurationOptions
+): Promise<RawResponse> {
+  const merged = mergeConfiguration(config, wrapOptions(callOptions));
+
+  let request: RequestContext = merged.baseServer.makeRequestContext(path, method);
+  request.setHeaderParam('Accept', 'application/json, */*;q=0.8');
+  Object.keys(query).forEach(name => {
+    const value = query[name];
+    if (value !== undefined) {
+      request.setQueryParam(name, value);
+    }
+  });
+
+  const authMethod = merged.authMethods['oauth2'];
+  if (authMethod?.applySecurityAuthentication) {
+    await authMethod.applySecurityAuthentication(request);
+  }
+  const defaultAuth = merged.authMethods.default;
+  if (defaultAuth?.applySecurityAuthentication) {
+    await defaultAuth.applySecurityAuthentication(request);
+  }
+
+  for (let i = 0; i < merged.middleware.length; i++) {
+    request = await merged.middleware[i]!.pre(request).toPromise();
+  }
+  let response: ResponseContext = await merged.httpApi.send(request).toPromise();
+  for (let i = merged.middleware.length - 1; i >= 0; i--) {
+    response = await merged.middleware[i]!.post(response).toPromise();
+  }
+
+  return { statusCode: response.httpStatusCode, headers: response.headers, text: await response.body.text() };
+}
+
+/**
+ * Send a JSON request for an endpoint `swagger.json` defines but the generated API classes lack
+ *
+ * The request goes through the same transport, authentication and middleware as generated
+ * calls, so retries, caching, rate limiting and hooks apply. Pass it the `callOptions` given
+ * to the `handleApiCall` callback. Error responses are thrown as `ApiException`, like the
+ * generated layer does, and classified by `handleApiCall`.
+ *
+ * @param config - API configuration of the client
+ * @param method - HTTP method
+ * @param path - Path below the server URL, with path parameters already encoded
+ * @param query - Query parameters; undefined values are left out
+ * @param callOptions - Per-call options from `handleApiCall`
+ * @returns The parsed response body
+ *
+ * @example
+ * return this.handleApiCall(callOptions => sendRequest<UserAnalyticsResponseModel>(
+ *   this.config, HttpMethod.GET, `/users/${userId}/analytics`, { dateFrom }, callOptions
+ * ), 'getAnalytics', requestOptions);
+ */
+export async function sendRequest<T>(
+  config: Configuration,
+  method: HttpMethod,
+  path: string,
+  query: Record<string, string | undefined> = {},
+  callOptions?: PromiseConfigurationOptions
+): Promise<T> {
+  const response = await sendRawRequest(config, method, path, query, callOptions);
+  let body: any = response.text;
+  if (response.text && /json/i.test(response.headers['content-type'] || '')) {
+    body = JSON.parse(response.text);
+  }
+  if (response.statusCode < 200 || response.statusCode > 299) {
+    throw new ApiException<any>(response.statusCode, `${method} ${path} failed`, body, response.headers);
+  }
+  return body as T;
+}
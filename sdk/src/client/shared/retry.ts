@@ -0,0 +1,234 @@
+import { SDKError, CircuitOpenError, TokenExpiredError, RequestAbortedError, TimeoutError, isRecoverableError } from './errors';
+
+/**
+ * Details passed to the `onRetry` hook before a failed call is retried
+ */
+export interface RetryEvent {
+  /** Operation name of the wrapper method (e.g. 'getAll') */
+  operation: string;
+  /** Attempt that just failed (1-based) */
+  attempt: number;
+  /** Delay before the next attempt, in milliseconds */
+  delayMs: number;
+  /** Error raised by the failed attempt */
+  error: SDKError;
+}
+
+/**
+ * Retry policy applied by every client
+ */
+export interface RetryOptions {
+  /** Total attempts including the first one (defaults to 3, use 1 to disable retries) */
+  maxAttempts?: number;
+  /** Delay before the first retry in milliseconds (defaults to 500) */
+  initialDelayMs?: number;
+  /** Upper bound for a single delay in milliseconds (defaults to 30000) */
+  maxDelayMs?: number;
+  /** Factor applied to the delay after each attempt (defaults to 2) */
+  backoffMultiplier?: number;
+  /** Randomize delays to avoid synchronized retries (defaults to true) */
+  jitter?: boolean;
+  /** Wait for the server's `Retry-After` header when present (defaults to true) */
+  respectRetryAfter?: boolean;
+  /** Retry POST/PUT/DELETE requests too; by default only GET requests are retried */
+  retryMutations?: boolean;
+  /** Custom predicate deciding whether an error is worth retrying */
+  retryOn?: (error: SDKError) => boolean;
+  /** Called before each retry */
+  onRetry?: (event: RetryEvent) => void;
+}
+
+/**
+ * Circuit breaker settings shared by every client of an SDK instance
+ */
+export interface CircuitBreakerOptions {
+  /** Consecutive failures that open the circuit (defaults to 5) */
+  failureThreshold?: number;
+  /** How long the circuit stays open before a trial request is let through, in milliseconds (defaults to 30000) */
+  resetTimeoutMs?: number;
+}
+
+export type CircuitState = 'closed' | 'open' | 'half-open';
+
+const DEFAULT_RETRY: Required<Omit<RetryOptions, 'retryOn' | 'onRetry'>> = {
+  maxAttempts: 3,
+  initialDelayMs: 500,
+  maxDelayMs: 30000,
+  backoffMultiplier: 2,
+  jitter: true,
+  respectRetryAfter: true,
+  retryMutations: false,
+};
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Merge the SDK-wide retry policy with a per-call override
+ */
+export function resolveRetryOptions(base?: RetryOptions | false, override?: boolean | RetryOptions): RetryOptions | undefined {
+  if (override === false) {
+    return undefined;
+  }
+  if (base === false && override === undefined) {
+    return undefined;
+  }
+
+  const resolved: RetryOptions = { ...DEFAULT_RETRY, ...(base || {}) };
+
+  // Opting in per call means the caller knows the request is safe to repeat
+  if (override === true) {
+    resolved.retryMutations = true;
+  } else if (override) {
+    Object.assign(resolved, { retryMutations: true }, override);
+  }
+
+  return resolved;
+}
+
+/**
+ * Default classification of errors worth retrying: throttling, timeouts, server errors and network failures
+ */
+export function isRetryableError(error: SDKError): boolean {
+  if (error instanceof CircuitOpenError || error instanceof TokenExpiredError) {
+    return false;
+  }
+  if (error instanceof RequestAbortedError || error instanceof TimeoutError) {
+    return false;
+  }
+  if (error.statusCode === 408 || error.statusCode === 429) {
+    return true;
+  }
+  if (error.statusCode === undefined) {
+    // No HTTP response at all, e.g. connection refused or DNS failure
+    return error.originalError instanceof TypeError;
+  }
+  return isRecoverableError(error);
+}
+
+/**
+ * Whether an HTTP method may be retried under the given policy
+ */
+export function isRetryableMethod(method: string | undefined, options: RetryOptions): boolean {
+  if (!method) {
+    return false;
+  }
+  return options.retryMutations === true || IDEMPOTENT_METHODS.indexOf(method.toUpperCase()) !== -1;
+}
+
+/**
+ * Parse a `Retry-After` header (seconds or HTTP date) into milliseconds
+ */
+export function parseRetryAfter(headers?: Record<string, string>): number | undefined {
+  if (!headers) {
+    return undefined;
+  }
+
+  const key = Object.keys(headers).find(name => name.toLowerCase() === 'retry-after');
+  const value = key ? headers[key] : undefined;
+  if (!value) {
+    return undefined;
+  }
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Delay before the next attempt, honouring `Retry-After` and exponential backoff with jitter
+ */
+export function computeRetryDelay(attempt: number, error: SDKError, options: RetryOptions): number {
+  const initial = options.initialDelayMs ?? DEFAULT_RETRY.initialDelayMs;
+  const multiplier = options.backoffMultiplier ?? DEFAULT_RETRY.backoffMultiplier;
+  const max = options.maxDelayMs ?? DEFAULT_RETRY.maxDelayMs;
+
+  if (options.respectRetryAfter !== false) {
+    const retryAfter = parseRetryAfter(error.responseHeaders);
+    if (retryAfter !== undefined) {
+      return retryAfter;
+    }
+  }
+
+  const backoff = Math.min(max, initial * Math.pow(multiplier, attempt - 1));
+  return options.jitter === false ? backoff : Math.round(backoff / 2 + Math.random() * backoff / 2);
+}
+
+/**
+ * Circuit breaker that fails fast once an instance keeps failing
+ *
+ * Only server errors, throttling and network failures count as failures; client errors
+ * such as 404 mean the server is up.
+ */
+export class CircuitBreaker {
+  private state: CircuitState = 'closed';
+  private failures = 0;
+  private openedAt = 0;
+  private trialInProgress = false;
+  private readonly failureThreshold: number;
+  private readonly resetTimeoutMs: number;
+
+  constructor(options: CircuitBreakerOptions = {}) {
+    this.failureThreshold = Math.max(1, options.failureThreshold ?? 5);
+    this.resetTimeoutMs = Math.max(0, options.resetTimeoutMs ?? 30000);
+  }
+
+  /**
+   * Current state of the circuit
+   */
+  getState(): CircuitState {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = 'half-open';
+    }
+    return this.state;
+  }
+
+  /**
+   * Throw a `CircuitOpenError` if requests should not be sent right now
+   */
+  assertCanRequest(operation: string): void {
+    const state = this.getState();
+
+    if (state === 'open') {
+      const retryAfterMs = Math.max(0, this.openedAt + this.resetTimeoutMs - Date.now());
+      throw new CircuitOpenError(`Circuit open after ${this.failures} consecutive failures, not sending ${operation}`, operation, retryAfterMs);
+    }
+
+    if (state === 'half-open') {
+      if (this.trialInProgress) {
+        throw new CircuitOpenError(`Circuit half-open, waiting for trial request before sending ${operation}`, operation, 0);
+      }
+      this.trialInProgress = true;
+    }
+  }
+
+  recordSuccess(): void {
+    this.failures = 0;
+    this.state = 'closed';
+    this.trialInProgress = false;
+  }
+
+  recordFailure(error: SDKError): void {
+    if (!isRetryableError(error)) {
+      if (error.statusCode !== undefined) {
+        // The server answered; a client error still means it is up
+        this.recordSuccess();
+      } else {
+        // The request never reached the server, so it tells us nothing
+        this.trialInProgress = false;
+      }
+      return;
+    }
+
+    this.failures++;
+    this.trialInProgress = false;
+
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+}
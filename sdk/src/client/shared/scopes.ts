@@ -0,0 +1,93 @@
+/**
+ * What an operation needs beyond read access
+ */
+export interface OperationRequirement {
+  /** Scope the access token must have been granted */
+  scope: 'write_access';
+  /** Only moderators and admins may call it, whatever the token's scope */
+  admin?: boolean;
+}
+
+const WRITE: OperationRequirement = { scope: 'write_access' };
+const ADMIN: OperationRequirement = { scope: 'write_access', admin: true };
+
+/**
+ * Operations that change data, keyed as `<client>.<method>` like the SDK properties (e.g. 'questions.ask')
+ * Operations not listed only read and work with any scope.
+ */
+const OPERATION_REQUIREMENTS: Record<string, OperationRequirement> = {
+  'questions.ask': WRITE,
+  'questions.update': WRITE,
+  'questions.delete': WRITE,
+  'questions.upvote': WRITE,
+  'questions.removeUpvote': WRITE,
+  'questions.downvote': WRITE,
+  'questions.removeDownvote': WRITE,
+  'questions.bookmark': WRITE,
+  'questions.removeBookmark': WRITE,
+  'questions.flag': WRITE,
+  'answers.create': WRITE,
+  'answers.update': WRITE,
+  'answers.delete': WRITE,
+  'answers.upvote': WRITE,
+  'answers.removeUpvote': WRITE,
+  'answers.downvote': WRITE,
+  'answers.removeDownvote': WRITE,
+  'answers.accept': WRITE,
+  'answers.unaccept': WRITE,
+  'answers.flag': WRITE,
+  'articles.create': WRITE,
+  'articles.update': WRITE,
+  'articles.delete': WRITE,
+  'articles.upvote': WRITE,
+  'articles.removeUpvote': WRITE,
+  'collections.create': WRITE,
+  'collections.update': WRITE,
+  'collections.delete': WRITE,
+  'images.upload': WRITE,
+  'communities.join': WRITE,
+  'communities.leave': WRITE,
+  'communities.joinBulk': ADMIN,
+  'communities.leaveBulk': ADMIN,
+  'tags.setSubjectMatterExperts': ADMIN,
+  'tags.addSubjectMatterExpertUsers': ADMIN,
+  'tags.removeSubjectMatterExpertUser': ADMIN,
+  'tags.addSubjectMatterExpertUserGroups': ADMIN,
+  'tags.removeSubjectMatterExpertUserGroup': ADMIN,
+  'usergroups.create': ADMIN,
+  'usergroups.update': ADMIN,
+  'usergroups.addMembers': ADMIN,
+  'usergroups.removeMember': ADMIN,
+  'users.manage': ADMIN,
+};
+
+/**
+ * What an operation needs beyond read access
+ *
+ * @param operation - Operation name such as 'questions.ask' or 'users.manage'
+ * @returns The requirement, or undefined for operations that only read
+ */
+export function getOperationRequirement(operation: string): OperationRequirement | undefined {
+  return OPERATION_REQUIREMENTS[operation];
+}
+
+/**
+ * Split a scope string such as 'read_inbox write_access' into its scopes
+ */
+export function parseScopes(scope: string): string[] {
+  return scope.split(/[\s,]+/).filter(Boolean);
+}
+
+/**
+ * Scope an operation needs that is missing from the granted scopes
+ *
+ * @param grantedScopes - Scopes of the access token; undefined when they are not known
+ * @returns The missing scope, or undefined when the operation is allowed or the granted scopes are not known
+ */
+export function missingScope(operation: string, grantedScopes: string[] | undefined): string | undefined {
+  const requirement = OPERATION_REQUIREMENTS[operation];
+  if (!requirement || !grantedScopes || grantedScopes.indexOf(requirement.scope) >= 0) {
+    return undefined;
+  }
+  return requirement.scope;
+}
@@ -1,8 +1,61 @@
+import type { CircuitBreaker, RetryOptions } from './retry';
+import type { ResponseCache } from '../../helper/responseCache';
+import type { ResponseValidator } from '../../helper/responseValidator';
+import type { TokenManager } from '../../auth/tokens';
+import type { LoaderRegistry } from './loader';
+import type { LocalImageUploader } from '../../helper/markdownImages';
+import type { Logger, RequestHooks } from './observability';
+import type { FeatureRegistry } from './features';
+
 export interface PaginationOptions {
   page?: number;
   pageSize?: 15 | 30 | 50 | 100;
 }
 
+/**
+ * Per-call options accepted by every client method
+ */
+export interface RequestOptions {
+  /** Override the retry policy for this call; `true` opts a mutation in, `false` disables retries */
+  retry?: boolean | RetryOptions;
+  /** Pass `false` to skip cached entries for this call; the fresh response still updates the cache */
+  cache?: boolean;
+  /** Abort the call; it rejects with `RequestAbortedError` */
+  signal?: AbortSignal;
+  /** Time budget for the call in milliseconds, retries included; overrides the SDK default and rejects with `TimeoutError` */
+  timeoutMs?: number;
+}
+
+/**
+ * Behaviour shared by every client created from the same SDK instance
+ */
+export interface ClientOptions {
+  /** Retry policy applied to every call (`false` disables retries) */
+  retry?: RetryOptions | false;
+  /** Circuit breaker shared across clients */
+  circuitBreaker?: CircuitBreaker;
+  /** Response cache shared across clients */
+  cache?: ResponseCache;
+  /** Entity loaders shared across clients */
+  loaders?: LoaderRegistry;
+  /** Default time budget for each call in milliseconds */
+  timeoutMs?: number;
+  /** Request lifecycle hooks, called in order */
+  hooks?: RequestHooks[];
+  /** Logger for diagnostics (defaults to the console) */
+  logger?: Logger;
+  /** Validates response bodies against the OpenAPI schemas */
+  responseValidator?: ResponseValidator;
+  /** Access token shared by every client, renewed when it expires */
+  tokens?: TokenManager;
+  /** Scopes granted to the access token, when known; operations needing a missing scope fail before sending */
+  grantedScopes?: string[];
+  /** Uploads local images referenced in markdown bodies before they are posted */
+  localImages?: LocalImageUploader;
+  /** API families the deployment does not serve; calls to them fail with `UnsupportedFeatureError` before sending */
+  features?: FeatureRegistry;
+}
+
 export interface SDKConfig {
   accessToken?: string;
   baseUrl?: string;
@@ -1,8 +1,9 @@
-import { BaseClient } from './shared';
+import { BaseClient, ClientOptions, RequestOptions, IterateOptions, PageIterator } from './shared';
 import { TagsMainApi, TagsTeamsApi } from '../generated/index.js';
 import { 
   PaginatedTags,
   TagResponseModel,
+  TagSummaryResponseModel,
   SubjectMatterExpertRequestModel,
   SubjectMatterExpertResponseModel,
   TagWatchersResponseModel,
@@ -63,6 +64,7 @@ export interface SetSubjectMatterExpertsOptions {
  * const tagClient = new TagClient(config, 'team-123');
  */
 export class TagClient extends BaseClient {
+  protected readonly clientName = 'tags';
   private mainApi: TagsMainApi;
   private teamsApi?: TagsTeamsApi;
 
@@ -71,6 +73,7 @@ export class TagClient extends BaseClient {
    * 
    * @param {ReturnType<typeof import('../generated/configuration').createConfiguration>} config - API configuration object
    * @param {string} [teamId] - Optional team ID for team-specific operations
+   * @param {ClientOptions} [options] - Behaviour shared across the SDK instance (retries, circuit breaker, cache)
    * 
    * @example
    * const config = createConfiguration({ ... });
@@ -80,8 +83,8 @@ export class TagClient extends BaseClient {
    * // For team-specific operations
    * const teamClient = new TagClient(config, 'my-team-id');
    */
-  constructor(config: ReturnType<typeof import('../generated/configuration').createConfiguration>, private teamId?: string) {
-    super();
+  constructor(config: ReturnType<typeof import('../generated/configuration').createConfiguration>, private teamId?: string, options?: ClientOptions) {
+    super(options, teamId);
     this.mainApi = new TagsMainApi(config);
     if (teamId) {
       this.teamsApi = new TagsTeamsApi(config);
@@ -92,6 +95,7 @@ export class TagClient extends BaseClient {
    * Retrieves all tags with comprehensive filtering, pagination and sorting options
    * 
    * @param {GetTagsOptions} [options={}] - Options for filtering, pagination and sorting
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedTags>} A promise that resolves to paginated tag results
    * 
    * @throws {Error} When the API request fails or returns an error
@@ -124,8 +128,8 @@ export class TagClient extends BaseClient {
    *   console.log(`${tag.name}: ${tag.postCount} posts, ${tag.watcherCount} watchers`);
    * });
    */
-  async getAll(options: GetTagsOptions = {}): Promise<PaginatedTags> {
-    return this.handleApiCall(async () => {
+  async getAll(options: GetTagsOptions = {}, requestOptions?: RequestOptions): Promise<PaginatedTags> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
         return await this.teamsApi.teamsTeamTagsGet(
           this.teamId,
@@ -135,7 +139,8 @@ export class TagClient extends BaseClient {
           options.order as SortOrder,
           options.partialName,
           options.hasSmes,
-          options.hasSynonyms
+          options.hasSynonyms,
+          callOptions
         );
       }
       
@@ -146,15 +151,32 @@ export class TagClient extends BaseClient {
         options.order as SortOrder,
         options.partialName,
         options.hasSmes,
-        options.hasSynonyms
+        options.hasSynonyms,
+        callOptions
       );
-    }, 'getAll');
+    }, 'getAll', requestOptions, this.cacheRead('tags.getAll', options));
+  }
+
+  /**
+   * Iterates over every tag matching the given filters, fetching pages as needed
+   * 
+   * @param {GetTagsOptions} [options={}] - Filtering and sorting options; `page` sets the starting page
+   * @param {IterateOptions} [iterateOptions={}] - Parallelism, item limit and resume cursor
+   * @returns {PageIterator<TagSummaryResponseModel>} An async iterable with an `all()` collector
+   * 
+   * @example
+   * // Fetch the full tag list, 4 pages at a time
+   * const tags = await tagClient.iterate({ pageSize: 100 }, { concurrency: 4 }).all();
+   */
+  iterate(options: GetTagsOptions = {}, iterateOptions: IterateOptions = {}): PageIterator<TagSummaryResponseModel, PaginatedTags> {
+    return new PageIterator(page => this.getAll({ ...options, page }, iterateOptions.request), iterateOptions, options.page);
   }
 
   /**
    * Retrieves a specific tag by its ID
    * 
    * @param {number} tagId - The unique identifier of the tag
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<TagResponseModel>} A promise that resolves to the complete tag details
    * 
    * @throws {Error} When the tag is not found or the API request fails
@@ -169,20 +191,36 @@ export class TagClient extends BaseClient {
    * console.log(`Has synonyms: ${tag.hasSynonyms}`);
    * console.log(`URL: ${tag.webUrl}`);
    */
-  async get(tagId: number): Promise<TagResponseModel> {
-    return this.handleApiCall(async () => {
+  async get(tagId: number, requestOptions?: RequestOptions): Promise<TagResponseModel> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
-        return await this.teamsApi.teamsTeamTagsTagIdGet(tagId, this.teamId);
+        return await this.teamsApi.teamsTeamTagsTagIdGet(tagId, this.teamId, callOptions);
       }
       
-      return await this.mainApi.tagsTagIdGet(tagId);
-    }, 'get');
+      return await this.mainApi.tagsTagIdGet(tagId, callOptions);
+    }, 'get', requestOptions, this.cacheRead('tags.get', tagId));
+  }
+
+  /**
+   * Loads a tag by ID through the shared tag loader
+   * 
+   * Lookups made in the same tick are batched, and concurrent lookups of the same tag share a single request.
+   * 
+   * @param {number} tagId - The unique identifier of the tag
+   * @returns {Promise<TagResponseModel>} A promise that resolves to the complete tag details
+   * 
+   * @example
+   * const tags = await Promise.all(question.tags.map(id => tagClient.load(id)));
+   */
+  load(tagId: number): Promise<TagResponseModel> {
+    return this.loader('tags.get', (id: number) => this.get(id)).load(tagId);
   }
 
   /**
    * Retrieves Subject Matter Experts assigned to a specific tag
    * 
    * @param {number} tagId - The unique identifier of the tag
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<SubjectMatterExpertResponseModel>} A promise that resolves to SME details including users and user groups
    * 
    * @throws {Error} When the tag is not found or the API request fails
@@ -200,14 +238,14 @@ export class TagClient extends BaseClient {
    *   console.log(`SME Group: ${group.name}`);
    * });
    */
-  async getSubjectMatterExperts(tagId: number): Promise<SubjectMatterExpertResponseModel> {
-    return this.handleApiCall(async () => {
+  async getSubjectMatterExperts(tagId: number, requestOptions?: RequestOptions): Promise<SubjectMatterExpertResponseModel> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
-        return await this.teamsApi.teamsTeamTagsTagIdSubjectMatterExpertsGet(tagId, this.teamId);
+        return await this.teamsApi.teamsTeamTagsTagIdSubjectMatterExpertsGet(tagId, this.teamId, callOptions);
       }
       
-      return await this.mainApi.tagsTagIdSubjectMatterExpertsGet(tagId);
-    }, 'getSubjectMatterExperts');
+      return await this.mainApi.tagsTagIdSubjectMatterExpertsGet(tagId, callOptions);
+    }, 'getSubjectMatterExperts', requestOptions, this.cacheRead('tags.getSubjectMatterExperts', tagId));
   }
 
   /**
@@ -219,6 +257,7 @@ export class TagClient extends BaseClient {
    * 
    * @param {number} tagId - The unique identifier of the tag
    * @param {SetSubjectMatterExpertsOptions} options - Configuration containing user IDs and user group IDs
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<SubjectMatterExpertResponseModel>} A promise that resolves to the updated SME configuration
    * 
    * @throws {Error} When the tag is not found, user lacks permissions, or the API request fails
@@ -237,19 +276,19 @@ export class TagClient extends BaseClient {
    *   userGroupIds: [] // Remove all group SMEs
    * });
    */
-  async setSubjectMatterExperts(tagId: number, options: SetSubjectMatterExpertsOptions): Promise<SubjectMatterExpertResponseModel> {
-    return this.handleApiCall(async () => {
+  async setSubjectMatterExperts(tagId: number, options: SetSubjectMatterExpertsOptions, requestOptions?: RequestOptions): Promise<SubjectMatterExpertResponseModel> {
+    return this.handleApiCall(async (callOptions) => {
       const request: SubjectMatterExpertRequestModel = {
         userIds: options.userIds,
         userGroupIds: options.userGroupIds
       };
 
       if (this.teamId && this.teamsApi) {
-        return await this.teamsApi.teamsTeamTagsTagIdSubjectMatterExpertsPut(tagId, this.teamId, request);
+        return await this.teamsApi.teamsTeamTagsTagIdSubjectMatterExpertsPut(tagId, this.teamId, request, callOptions);
       }
       
-      return await this.mainApi.tagsTagIdSubjectMatterExpertsPut(tagId, request);
-    }, 'setSubjectMatterExperts');
+      return await this.mainApi.tagsTagIdSubjectMatterExpertsPut(tagId, request, callOptions);
+    }, 'setSubjectMatterExperts', requestOptions, this.cacheEvict(['tags.getSubjectMatterExperts', tagId], ['tags.get', tagId], 'tags.getAll'));
   }
 
   /**
@@ -260,6 +299,7 @@ export class TagClient extends BaseClient {
    * 
    * @param {number} tagId - The unique identifier of the tag
    * @param {number[]} userIds - Array of user IDs to add as Subject Matter Experts
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<SubjectMatterExpertResponseModel>} A promise that resolves to the updated SME configuration
    * 
    * @throws {Error} When the tag is not found, user lacks permissions, or the API request fails
@@ -276,14 +316,14 @@ export class TagClient extends BaseClient {
    *   techLead
    * ]);
    */
-  async addSubjectMatterExpertUsers(tagId: number, userIds: number[]): Promise<SubjectMatterExpertResponseModel> {
-    return this.handleApiCall(async () => {
+  async addSubjectMatterExpertUsers(tagId: number, userIds: number[], requestOptions?: RequestOptions): Promise<SubjectMatterExpertResponseModel> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
-        return await this.teamsApi.teamsTeamTagsTagIdSubjectMatterExpertsUsersPost(tagId, this.teamId, userIds);
+        return await this.teamsApi.teamsTeamTagsTagIdSubjectMatterExpertsUsersPost(tagId, this.teamId, userIds, callOptions);
       }
       
-      return await this.mainApi.tagsTagIdSubjectMatterExpertsUsersPost(tagId, userIds);
-    }, 'addSubjectMatterExpertUsers');
+      return await this.mainApi.tagsTagIdSubjectMatterExpertsUsersPost(tagId, userIds, callOptions);
+    }, 'addSubjectMatterExpertUsers', requestOptions, this.cacheEvict(['tags.getSubjectMatterExperts', tagId], ['tags.get', tagId], 'tags.getAll'));
   }
 
   /**
@@ -291,6 +331,7 @@ export class TagClient extends BaseClient {
    * 
    * @param {number} tagId - The unique identifier of the tag
    * @param {number} userId - The user ID to remove from Subject Matter Experts
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<void>} A promise that resolves when the user is successfully removed
    * 
    * @throws {Error} When the tag is not found, user is not an SME, or the API request fails
@@ -303,15 +344,15 @@ export class TagClient extends BaseClient {
    * // Remove SME status when someone changes roles
    * await tagClient.removeSubjectMatterExpertUser(pythonTagId, formerPythonExpert);
    */
-  async removeSubjectMatterExpertUser(tagId: number, userId: number): Promise<void> {
-    return this.handleApiCall(async () => {
+  async removeSubjectMatterExpertUser(tagId: number, userId: number, requestOptions?: RequestOptions): Promise<void> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
-        await this.teamsApi.teamsTeamTagsTagIdSubjectMatterExpertsUsersUserIdDelete(tagId, userId, this.teamId);
+        await this.teamsApi.teamsTeamTagsTagIdSubjectMatterExpertsUsersUserIdDelete(tagId, userId, this.teamId, callOptions);
         return;
       }
       
-      await this.mainApi.tagsTagIdSubjectMatterExpertsUsersUserIdDelete(tagId, userId);
-    }, 'removeSubjectMatterExpertUser');
+      await this.mainApi.tagsTagIdSubjectMatterExpertsUsersUserIdDelete(tagId, userId, callOptions);
+    }, 'removeSubjectMatterExpertUser', requestOptions, this.cacheEvict(['tags.getSubjectMatterExperts', tagId], ['tags.get', tagId], 'tags.getAll'));
   }
 
   /**
@@ -322,6 +363,7 @@ export class TagClient extends BaseClient {
    * 
    * @param {number} tagId - The unique identifier of the tag
    * @param {number[]} userGroupIds - Array of user group IDs to add as Subject Matter Expert groups
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<SubjectMatterExpertResponseModel>} A promise that resolves to the updated SME configuration
    * 
    * @throws {Error} When the tag is not found, user lacks permissions, or the API request fails
@@ -337,14 +379,14 @@ export class TagClient extends BaseClient {
    *   devOpsTeamGroupId
    * ]);
    */
-  async addSubjectMatterExpertUserGroups(tagId: number, userGroupIds: number[]): Promise<SubjectMatterExpertResponseModel> {
-    return this.handleApiCall(async () => {
+  async addSubjectMatterExpertUserGroups(tagId: number, userGroupIds: number[], requestOptions?: RequestOptions): Promise<SubjectMatterExpertResponseModel> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
-        return await this.teamsApi.teamsTeamTagsTagIdSubjectMatterExpertsUserGroupsPost(tagId, this.teamId, userGroupIds);
+        return await this.teamsApi.teamsTeamTagsTagIdSubjectMatterExpertsUserGroupsPost(tagId, this.teamId, userGroupIds, callOptions);
       }
       
-      return await this.mainApi.tagsTagIdSubjectMatterExpertsUserGroupsPost(tagId, userGroupIds);
-    }, 'addSubjectMatterExpertUserGroups');
+      return await this.mainApi.tagsTagIdSubjectMatterExpertsUserGroupsPost(tagId, userGroupIds, callOptions);
+    }, 'addSubjectMatterExpertUserGroups', requestOptions, this.cacheEvict(['tags.getSubjectMatterExperts', tagId], ['tags.get', tagId], 'tags.getAll'));
   }
 
   /**
@@ -352,6 +394,7 @@ export class TagClient extends BaseClient {
    * 
    * @param {number} tagId - The unique identifier of the tag
    * @param {number} userGroupId - The user group ID to remove from Subject Matter Expert groups
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<void>} A promise that resolves when the user group is successfully removed
    * 
    * @throws {Error} When the tag is not found, user group is not an SME, or the API request fails
@@ -360,15 +403,15 @@ export class TagClient extends BaseClient {
    * await tagClient.removeSubjectMatterExpertUserGroup(123, 101);
    * console.log('User group removed from SMEs successfully');
    */
-  async removeSubjectMatterExpertUserGroup(tagId: number, userGroupId: number): Promise<void> {
-    return this.handleApiCall(async () => {
+  async removeSubjectMatterExpertUserGroup(tagId: number, userGroupId: number, requestOptions?: RequestOptions): Promise<void> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
-        await this.teamsApi.teamsTeamTagsTagIdSubjectMatterExpertsUserGroupsUserGroupIdDelete(tagId, userGroupId, this.teamId);
+        await this.teamsApi.teamsTeamTagsTagIdSubjectMatterExpertsUserGroupsUserGroupIdDelete(tagId, userGroupId, this.teamId, callOptions);
         return;
       }
       
-      await this.mainApi.tagsTagIdSubjectMatterExpertsUserGroupsUserGroupIdDelete(tagId, userGroupId);
-    }, 'removeSubjectMatterExpertUserGroup');
+      await this.mainApi.tagsTagIdSubjectMatterExpertsUserGroupsUserGroupIdDelete(tagId, userGroupId, callOptions);
+    }, 'removeSubjectMatterExpertUserGroup', requestOptions, this.cacheEvict(['tags.getSubjectMatterExperts', tagId], ['tags.get', tagId], 'tags.getAll'));
   }
 
   /**
@@ -378,6 +421,7 @@ export class TagClient extends BaseClient {
    * with the watched tag.
    * 
    * @param {number} tagId - The unique identifier of the tag
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<TagWatchersResponseModel>} A promise that resolves to the list of users watching the tag
    * 
    * @throws {Error} When the tag is not found or the API request fails
@@ -390,14 +434,14 @@ export class TagClient extends BaseClient {
    *   console.log(`Watcher: ${user.displayName}`);
    * });
    */
-  async getTagWatchers(tagId: number): Promise<TagWatchersResponseModel> {
-    return this.handleApiCall(async () => {
+  async getTagWatchers(tagId: number, requestOptions?: RequestOptions): Promise<TagWatchersResponseModel> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
-        return await this.teamsApi.teamsTeamTagsTagIdTagWatchersGet(tagId, this.teamId);
+        return await this.teamsApi.teamsTeamTagsTagIdTagWatchersGet(tagId, this.teamId, callOptions);
       }
       
-      return await this.mainApi.tagsTagIdTagWatchersGet(tagId);
-    }, 'getTagWatchers');
+      return await this.mainApi.tagsTagIdTagWatchersGet(tagId, callOptions);
+    }, 'getTagWatchers', requestOptions, this.cacheRead('tags.getTagWatchers', tagId));
   }
 
   /**
@@ -405,6 +449,7 @@ export class TagClient extends BaseClient {
    * 
    * @param {string} partialName - The search query to match against tag names
    * @param {Omit<GetTagsOptions, 'partialName'>} [options={}] - Additional filtering and pagination options
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedTags>} A promise that resolves to paginated search results
    * 
    * @example
@@ -418,14 +463,15 @@ export class TagClient extends BaseClient {
    *   order: 'desc'
    * });
    */
-  async search(partialName: string, options: Omit<GetTagsOptions, 'partialName'> = {}): Promise<PaginatedTags> {
-    return this.getAll({ ...options, partialName });
+  async search(partialName: string, options: Omit<GetTagsOptions, 'partialName'> = {}, requestOptions?: RequestOptions): Promise<PaginatedTags> {
+    return this.getAll({ ...options, partialName }, requestOptions);
   }
 
   /**
    * Retrieves tags that have Subject Matter Experts assigned
    * 
    * @param {Omit<GetTagsOptions, 'hasSmes'>} [options={}] - Additional filtering and pagination options
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedTags>} A promise that resolves to paginated tags with SMEs
    * 
    * @example
@@ -434,98 +480,104 @@ export class TagClient extends BaseClient {
    *   order: 'desc'
    * });
    */
-  async getWithSmes(options: Omit<GetTagsOptions, 'hasSmes'> = {}): Promise<PaginatedTags> {
-    return this.getAll({ ...options, hasSmes: true });
+  async getWithSmes(options: Omit<GetTagsOptions, 'hasSmes'> = {}, requestOptions?: RequestOptions): Promise<PaginatedTags> {
+    return this.getAll({ ...options, hasSmes: true }, requestOptions);
   }
 
   /**
    * Retrieves tags that do not have Subject Matter Experts assigned
    * 
    * @param {Omit<GetTagsOptions, 'hasSmes'>} [options={}] - Additional filtering and pagination options
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedTags>} A promise that resolves to paginated tags without SMEs
    * 
    * @example
    * const tagsNeedingExperts = await tagClient.getWithoutSmes();
    */
-  async getWithoutSmes(options: Omit<GetTagsOptions, 'hasSmes'> = {}): Promise<PaginatedTags> {
-    return this.getAll({ ...options, hasSmes: false });
+  async getWithoutSmes(options: Omit<GetTagsOptions, 'hasSmes'> = {}, requestOptions?: RequestOptions): Promise<PaginatedTags> {
+    return this.getAll({ ...options, hasSmes: false }, requestOptions);
   }
 
   /**
    * Retrieves tags that have synonyms defined
    * 
    * @param {Omit<GetTagsOptions, 'hasSynonyms'>} [options={}] - Additional filtering and pagination options
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedTags>} A promise that resolves to paginated tags with synonyms
    * 
    * @example
    * const tagsWithSynonyms = await tagClient.getWithSynonyms();
    */
-  async getWithSynonyms(options: Omit<GetTagsOptions, 'hasSynonyms'> = {}): Promise<PaginatedTags> {
-    return this.getAll({ ...options, hasSynonyms: true });
+  async getWithSynonyms(options: Omit<GetTagsOptions, 'hasSynonyms'> = {}, requestOptions?: RequestOptions): Promise<PaginatedTags> {
+    return this.getAll({ ...options, hasSynonyms: true }, requestOptions);
   }
 
   /**
    * Retrieves tags that do not have synonyms defined
    * 
    * @param {Omit<GetTagsOptions, 'hasSynonyms'>} [options={}] - Additional filtering and pagination options
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedTags>} A promise that resolves to paginated tags without synonyms
    * 
    * @example
    * const tagsWithoutSynonyms = await tagClient.getWithoutSynonyms();
    */
-  async getWithoutSynonyms(options: Omit<GetTagsOptions, 'hasSynonyms'> = {}): Promise<PaginatedTags> {
-    return this.getAll({ ...options, hasSynonyms: false });
+  async getWithoutSynonyms(options: Omit<GetTagsOptions, 'hasSynonyms'> = {}, requestOptions?: RequestOptions): Promise<PaginatedTags> {
+    return this.getAll({ ...options, hasSynonyms: false }, requestOptions);
   }
 
   /**
    * Retrieves tags sorted alphabetically by name
    * 
    * @param {Omit<GetTagsOptions, 'sort' | 'order'>} [options={}] - Additional filtering and pagination options
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedTags>} A promise that resolves to paginated tags sorted by name (A-Z)
    * 
    * @example
    * const tagsByName = await tagClient.getAllByName({ pageSize: 50 });
    */
-  async getAllByName(options: Omit<GetTagsOptions, 'sort' | 'order'> = {}): Promise<PaginatedTags> {
+  async getAllByName(options: Omit<GetTagsOptions, 'sort' | 'order'> = {}, requestOptions?: RequestOptions): Promise<PaginatedTags> {
     return this.getAll({ 
       ...options, 
       sort: TagsSortParameter.Name,
       order: SortOrder.Asc 
-    });
+    }, requestOptions);
   }
 
   /**
    * Retrieves tags sorted by creation date (newest first)
    * 
    * @param {Omit<GetTagsOptions, 'sort' | 'order'>} [options={}] - Additional filtering and pagination options
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedTags>} A promise that resolves to paginated tags sorted by creation date (newest first)
    * 
    * @example
    * const newestTags = await tagClient.getAllByCreationDate({ pageSize: 25 });
    */
-  async getAllByCreationDate(options: Omit<GetTagsOptions, 'sort' | 'order'> = {}): Promise<PaginatedTags> {
+  async getAllByCreationDate(options: Omit<GetTagsOptions, 'sort' | 'order'> = {}, requestOptions?: RequestOptions): Promise<PaginatedTags> {
     return this.getAll({ 
       ...options, 
       sort: TagsSortParameter.CreationDate,
       order: SortOrder.Desc 
-    });
+    }, requestOptions);
   }
 
   /**
    * Retrieves tags sorted by post count (most used first)
    * 
    * @param {Omit<GetTagsOptions, 'sort' | 'order'>} [options={}] - Additional filtering and pagination options
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedTags>} A promise that resolves to paginated tags sorted by post count (highest first)
    * 
    * @example
    * const popularTags = await tagClient.getAllByPostCount({ pageSize: 20 });
    */
-  async getAllByPostCount(options: Omit<GetTagsOptions, 'sort' | 'order'> = {}): Promise<PaginatedTags> {
+  async getAllByPostCount(options: Omit<GetTagsOptions, 'sort' | 'order'> = {}, requestOptions?: RequestOptions): Promise<PaginatedTags> {
     return this.getAll({ 
       ...options, 
       sort: TagsSortParameter.PostCount,
       order: SortOrder.Desc 
-    });
+    }, requestOptions);
   }
 
   /**
@@ -533,13 +585,14 @@ export class TagClient extends BaseClient {
    * 
    * @param {number} tagId - The unique identifier of the tag
    * @param {number} userId - The user ID to add as a Subject Matter Expert
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<SubjectMatterExpertResponseModel>} A promise that resolves to the updated SME configuration
    * 
    * @example
    * await tagClient.addSubjectMatterExpertUser(123, 456);
    */
-  async addSubjectMatterExpertUser(tagId: number, userId: number): Promise<SubjectMatterExpertResponseModel> {
-    return this.addSubjectMatterExpertUsers(tagId, [userId]);
+  async addSubjectMatterExpertUser(tagId: number, userId: number, requestOptions?: RequestOptions): Promise<SubjectMatterExpertResponseModel> {
+    return this.addSubjectMatterExpertUsers(tagId, [userId], requestOptions);
   }
 
   /**
@@ -547,13 +600,14 @@ export class TagClient extends BaseClient {
    * 
    * @param {number} tagId - The unique identifier of the tag
    * @param {number} userGroupId - The user group ID to add as Subject Matter Experts
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<SubjectMatterExpertResponseModel>} A promise that resolves to the updated SME configuration
    * 
    * @example
    * await tagClient.addSubjectMatterExpertUserGroup(123, 789);
    */
-  async addSubjectMatterExpertUserGroup(tagId: number, userGroupId: number): Promise<SubjectMatterExpertResponseModel> {
-    return this.addSubjectMatterExpertUserGroups(tagId, [userGroupId]);
+  async addSubjectMatterExpertUserGroup(tagId: number, userGroupId: number, requestOptions?: RequestOptions): Promise<SubjectMatterExpertResponseModel> {
+    return this.addSubjectMatterExpertUserGroups(tagId, [userGroupId], requestOptions);
   }
 
   /**
@@ -562,27 +616,29 @@ export class TagClient extends BaseClient {
    * @param {number} tagId - The unique identifier of the tag
    * @param {number[]} [userIds=[]] - Array of user IDs to set as SMEs
    * @param {number[]} [userGroupIds=[]] - Array of user group IDs to set as SME groups
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<SubjectMatterExpertResponseModel>} A promise that resolves to the updated SME configuration
    * 
    * @example
    * const result = await tagClient.replaceAllSubjectMatterExperts(123, [456, 789], [101]);
    */
-  async replaceAllSubjectMatterExperts(tagId: number, userIds: number[] = [], userGroupIds: number[] = []): Promise<SubjectMatterExpertResponseModel> {
-    return this.setSubjectMatterExperts(tagId, { userIds, userGroupIds });
+  async replaceAllSubjectMatterExperts(tagId: number, userIds: number[] = [], userGroupIds: number[] = [], requestOptions?: RequestOptions): Promise<SubjectMatterExpertResponseModel> {
+    return this.setSubjectMatterExperts(tagId, { userIds, userGroupIds }, requestOptions);
   }
 
   /**
    * Removes all Subject Matter Experts from a tag
    * 
    * @param {number} tagId - The unique identifier of the tag
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<SubjectMatterExpertResponseModel>} A promise that resolves to the cleared SME configuration
    * 
    * @example
    * await tagClient.clearAllSubjectMatterExperts(123);
    * console.log('All SMEs cleared from tag');
    */
-  async clearAllSubjectMatterExperts(tagId: number): Promise<SubjectMatterExpertResponseModel> {
-    return this.setSubjectMatterExperts(tagId, { userIds: [], userGroupIds: [] });
+  async clearAllSubjectMatterExperts(tagId: number, requestOptions?: RequestOptions): Promise<SubjectMatterExpertResponseModel> {
+    return this.setSubjectMatterExperts(tagId, { userIds: [], userGroupIds: [] }, requestOptions);
   }
 
   /**
@@ -591,6 +647,7 @@ export class TagClient extends BaseClient {
    * @param {number} tagId - The unique identifier of the tag
    * @param {number[]} [userIds=[]] - Array of user IDs to add as SMEs
    * @param {number[]} [userGroupIds=[]] - Array of user group IDs to add as SME groups
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<{usersResult?: SubjectMatterExpertResponseModel, groupsResult?: SubjectMatterExpertResponseModel}>} A promise that resolves to the results of both operations
    * 
    * @example
@@ -602,7 +659,7 @@ export class TagClient extends BaseClient {
    *   console.log(`Added ${results.groupsResult.userGroups?.length} SME groups`);
    * }
    */
-  async addMixedSubjectMatterExperts(tagId: number, userIds: number[] = [], userGroupIds: number[] = []): Promise<{
+  async addMixedSubjectMatterExperts(tagId: number, userIds: number[] = [], userGroupIds: number[] = [], requestOptions?: RequestOptions): Promise<{
     usersResult?: SubjectMatterExpertResponseModel,
     groupsResult?: SubjectMatterExpertResponseModel
   }> {
@@ -612,11 +669,11 @@ export class TagClient extends BaseClient {
     } = {};
 
     if (userIds.length > 0) {
-      results.usersResult = await this.addSubjectMatterExpertUsers(tagId, userIds);
+      results.usersResult = await this.addSubjectMatterExpertUsers(tagId, userIds, requestOptions);
     }
 
     if (userGroupIds.length > 0) {
-      results.groupsResult = await this.addSubjectMatterExpertUserGroups(tagId, userGroupIds);
+      results.groupsResult = await this.addSubjectMatterExpertUserGroups(tagId, userGroupIds, requestOptions);
     }
 
     return results;
@@ -627,46 +684,49 @@ export class TagClient extends BaseClient {
    * 
    * @param {string} nameQuery - The name query to search for
    * @param {number} [limit] - Optional limit on the number of results (defaults to 30)
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedTags>} A promise that resolves to paginated search results sorted by name
    * 
    * @example
    * const javaResults = await tagClient.findTagsByName('java', 10);
    */
-  async findTagsByName(nameQuery: string, limit?: number): Promise<PaginatedTags> {
+  async findTagsByName(nameQuery: string, limit?: number, requestOptions?: RequestOptions): Promise<PaginatedTags> {
     return this.search(nameQuery, { 
       pageSize: limit as any || 30,
       sort: TagsSortParameter.Name,
       order: SortOrder.Asc 
-    });
+    }, requestOptions);
   }
 
   /**
    * Retrieves the most recently created tags
    * 
    * @param {number} [limit] - Optional limit on the number of results (defaults to 30)
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedTags>} A promise that resolves to paginated recent tags
    * 
    * @example
    * const recentTags = await tagClient.getRecentTags(15);
    */
-  async getRecentTags(limit?: number): Promise<PaginatedTags> {
+  async getRecentTags(limit?: number, requestOptions?: RequestOptions): Promise<PaginatedTags> {
     return this.getAllByCreationDate({ 
       pageSize: limit as any || 30 
-    });
+    }, requestOptions);
   }
 
   /**
    * Retrieves the most frequently used tags
    * 
    * @param {number} [limit] - Optional limit on the number of results (defaults to 50)
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedTags>} A promise that resolves to paginated popular tags sorted by post count
    * 
    * @example
    * const popularTags = await tagClient.getMostUsedTags(20);
    */
-  async getMostUsedTags(limit?: number): Promise<PaginatedTags> {
+  async getMostUsedTags(limit?: number, requestOptions?: RequestOptions): Promise<PaginatedTags> {
     return this.getAllByPostCount({ 
       pageSize: limit as any || 50 
-    });
+    }, requestOptions);
   }
 }
\ No newline at end of file
@@ -1,5 +1,6 @@
-import { BaseClient } from './shared';
+import { BaseClient, ClientOptions, RequestOptions, IterateOptions, PageIterator } from './shared';
 import { UserGroupsMainApi, UserGroupsTeamsApi } from '../generated/index.js';
+import { UserClient, AnalyticsRollupOptions, AnalyticsRollup } from './users.js';
 import { 
   PaginatedUserGroups,
   UserGroupResponseModel,
@@ -71,14 +72,17 @@ export interface GetUserGroupsOptions {
  * const userGroupClient = new UserGroupClient(config, 'team-123');
  */
 export class UserGroupClient extends BaseClient {
+  protected readonly clientName = 'usergroups';
   private mainApi: UserGroupsMainApi;
   private teamsApi?: UserGroupsTeamsApi;
+  private users: UserClient;
 
   /**
    * Creates a new UserGroupClient instance
    * 
    * @param {ReturnType<typeof import('../generated/configuration').createConfiguration>} config - API configuration object
    * @param {string} [teamId] - Optional team ID for team-specific operations
+   * @param {ClientOptions} [options] - Behaviour shared across the SDK instance (retries, circuit breaker, cache)
    * 
    * @example
    * const config = createConfiguration({ ... });
@@ -88,18 +92,20 @@ export class UserGroupClient extends BaseClient {
    * // For team-specific operations
    * const teamClient = new UserGroupClient(config, 'my-team-id');
    */
-  constructor(config: ReturnType<typeof import('../generated/configuration').createConfiguration>, private teamId?: string) {
-    super();
+  constructor(config: ReturnType<typeof import('../generated/configuration').createConfiguration>, private teamId?: string, options?: ClientOptions) {
+    super(options, teamId);
     this.mainApi = new UserGroupsMainApi(config);
     if (teamId) {
       this.teamsApi = new UserGroupsTeamsApi(config);
     }
+    this.users = new UserClient(config, teamId, options);
   }
 
   /**
    * Retrieves all user groups with pagination and sorting options
    * 
    * @param {GetUserGroupsOptions} [options={}] - Options for pagination and sorting
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedUserGroups>} A promise that resolves to paginated user group results
    * 
    * @throws {Error} When the API request fails or returns an error
@@ -124,15 +130,16 @@ export class UserGroupClient extends BaseClient {
    *   console.log(`${group.name}: ${group.users?.length || 0} members`);
    * });
    */
-  async getAll(options: GetUserGroupsOptions = {}): Promise<PaginatedUserGroups> {
-    return this.handleApiCall(async () => {
+  async getAll(options: GetUserGroupsOptions = {}, requestOptions?: RequestOptions): Promise<PaginatedUserGroups> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
         return await this.teamsApi.teamsTeamUserGroupsGet(
           this.teamId,
           options.page,
           options.pageSize,
           options.sort as UserGroupsSortParameter,
-          options.order as SortOrder
+          options.order as SortOrder,
+          callOptions
         );
       }
       
@@ -140,15 +147,33 @@ export class UserGroupClient extends BaseClient {
         options.page,
         options.pageSize,
         options.sort as UserGroupsSortParameter,
-        options.order as SortOrder
+        options.order as SortOrder,
+        callOptions
       );
-    }, 'getAll');
+    }, 'getAll', requestOptions);
+  }
+
+  /**
+   * Iterates over every user group, fetching pages as needed
+   * 
+   * @param {GetUserGroupsOptions} [options={}] - Sorting options; `page` sets the starting page
+   * @param {IterateOptions} [iterateOptions={}] - Parallelism, item limit and resume cursor
+   * @returns {PageIterator<UserGroupResponseModel>} An async iterable with an `all()` collector
+   * 
+   * @example
+   * for await (const group of userGroupClient.iterate({ sort: 'name' })) {
+   *   console.log(`${group.name}: ${group.users?.length} members`);
+   * }
+   */
+  iterate(options: GetUserGroupsOptions = {}, iterateOptions: IterateOptions = {}): PageIterator<UserGroupResponseModel, PaginatedUserGroups> {
+    return new PageIterator(page => this.getAll({ ...options, page }, iterateOptions.request), iterateOptions, options.page);
   }
 
   /**
    * Retrieves a specific user group by its ID
    * 
    * @param {number} userGroupId - The unique identifier of the user group
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<UserGroupResponseModel>} A promise that resolves to the complete user group details
    * 
    * @throws {Error} When the user group is not found or the API request fails
@@ -164,20 +189,21 @@ export class UserGroupClient extends BaseClient {
    *   console.log(`Member: ${user.displayName}`);
    * });
    */
-  async get(userGroupId: number): Promise<UserGroupResponseModel> {
-    return this.handleApiCall(async () => {
+  async get(userGroupId: number, requestOptions?: RequestOptions): Promise<UserGroupResponseModel> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
-        return await this.teamsApi.teamsTeamUserGroupsUserGroupIdGet(userGroupId, this.teamId);
+        return await this.teamsApi.teamsTeamUserGroupsUserGroupIdGet(userGroupId, this.teamId, callOptions);
       }
       
-      return await this.mainApi.userGroupsUserGroupIdGet(userGroupId);
-    }, 'get');
+      return await this.mainApi.userGroupsUserGroupIdGet(userGroupId, callOptions);
+    }, 'get', requestOptions);
   }
 
   /**
    * Creates a new user group
    * 
    * @param {CreateUserGroupOptions} options - The user group configuration and initial membership
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<UserGroupResponseModel>} A promise that resolves to the created user group
    * 
    * @throws {Error} When user group creation fails due to validation errors or API issues
@@ -197,8 +223,8 @@ export class UserGroupClient extends BaseClient {
    *   description: 'Recently onboarded team members'
    * });
    */
-  async create(options: CreateUserGroupOptions): Promise<UserGroupResponseModel> {
-    return this.handleApiCall(async () => {
+  async create(options: CreateUserGroupOptions, requestOptions?: RequestOptions): Promise<UserGroupResponseModel> {
+    return this.handleApiCall(async (callOptions) => {
       const request: UserGroupRequestModel = {
         name: options.name,
         description: options.description,
@@ -206,11 +232,11 @@ export class UserGroupClient extends BaseClient {
       };
 
       if (this.teamId && this.teamsApi) {
-        return await this.teamsApi.teamsTeamUserGroupsPost(this.teamId, request);
+        return await this.teamsApi.teamsTeamUserGroupsPost(this.teamId, request, callOptions);
       }
       
-      return await this.mainApi.userGroupsPost(request);
-    }, 'create');
+      return await this.mainApi.userGroupsPost(request, callOptions);
+    }, 'create', requestOptions);
   }
 
   /**
@@ -221,6 +247,7 @@ export class UserGroupClient extends BaseClient {
    * 
    * @param {number} userGroupId - The unique identifier of the user group to update
    * @param {UpdateUserGroupOptions} options - The updated user group information
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<UserGroupResponseModel>} A promise that resolves to the updated user group
    * 
    * @throws {Error} When the user group is not found, user lacks permissions, or the API request fails
@@ -231,19 +258,19 @@ export class UserGroupClient extends BaseClient {
    *   description: 'Senior team members responsible for React and Angular applications'
    * });
    */
-  async update(userGroupId: number, options: UpdateUserGroupOptions): Promise<UserGroupResponseModel> {
-    return this.handleApiCall(async () => {
+  async update(userGroupId: number, options: UpdateUserGroupOptions, requestOptions?: RequestOptions): Promise<UserGroupResponseModel> {
+    return this.handleApiCall(async (callOptions) => {
       const request: UserGroupRequestModel = {
         name: options.name,
         description: options.description
       };
 
       if (this.teamId && this.teamsApi) {
-        return await this.teamsApi.teamsTeamUserGroupsUserGroupIdPut(userGroupId, this.teamId, request);
+        return await this.teamsApi.teamsTeamUserGroupsUserGroupIdPut(userGroupId, this.teamId, request, callOptions);
       }
       
-      return await this.mainApi.userGroupsUserGroupIdPut(userGroupId, request);
-    }, 'update');
+      return await this.mainApi.userGroupsUserGroupIdPut(userGroupId, request, callOptions);
+    }, 'update', requestOptions);
   }
 
   /**
@@ -254,6 +281,7 @@ export class UserGroupClient extends BaseClient {
    * 
    * @param {number} userGroupId - The unique identifier of the user group
    * @param {number[]} userIds - Array of user IDs to add to the group
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<UserGroupResponseModel>} A promise that resolves to the updated user group
    * 
    * @throws {Error} When the user group is not found, user lacks permissions, or the API request fails
@@ -270,14 +298,14 @@ export class UserGroupClient extends BaseClient {
    *   newHire3Id
    * ]);
    */
-  async addMembers(userGroupId: number, userIds: number[]): Promise<UserGroupResponseModel> {
-    return this.handleApiCall(async () => {
+  async addMembers(userGroupId: number, userIds: number[], requestOptions?: RequestOptions): Promise<UserGroupResponseModel> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
-        return await this.teamsApi.teamsTeamUserGroupsUserGroupIdMembersPost(userGroupId, this.teamId, userIds);
+        return await this.teamsApi.teamsTeamUserGroupsUserGroupIdMembersPost(userGroupId, this.teamId, userIds, callOptions);
       }
       
-      return await this.mainApi.userGroupsUserGroupIdMembersPost(userGroupId, userIds);
-    }, 'addMembers');
+      return await this.mainApi.userGroupsUserGroupIdMembersPost(userGroupId, userIds, callOptions);
+    }, 'addMembers', requestOptions);
   }
 
   /**
@@ -285,6 +313,7 @@ export class UserGroupClient extends BaseClient {
    * 
    * @param {number} userGroupId - The unique identifier of the user group
    * @param {number} userId - The user ID to remove from the group
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<UserGroupResponseModel>} A promise that resolves to the updated user group
    * 
    * @throws {Error} When the user group is not found, user is not a member, or the API request fails
@@ -297,14 +326,14 @@ export class UserGroupClient extends BaseClient {
    * // Remove user when they change departments
    * await userGroupClient.removeMember(frontendTeamId, transferredUserId);
    */
-  async removeMember(userGroupId: number, userId: number): Promise<UserGroupResponseModel> {
-    return this.handleApiCall(async () => {
+  async removeMember(userGroupId: number, userId: number, requestOptions?: RequestOptions): Promise<UserGroupResponseModel> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
-        return await this.teamsApi.teamsTeamUserGroupsUserGroupIdMembersUserIdDelete(userGroupId, userId, this.teamId);
+        return await this.teamsApi.teamsTeamUserGroupsUserGroupIdMembersUserIdDelete(userGroupId, userId, this.teamId, callOptions);
       }
       
-      return await this.mainApi.userGroupsUserGroupIdMembersUserIdDelete(userGroupId, userId);
-    }, 'removeMember');
+      return await this.mainApi.userGroupsUserGroupIdMembersUserIdDelete(userGroupId, userId, callOptions);
+    }, 'removeMember', requestOptions);
   }
 
   /**
@@ -312,14 +341,15 @@ export class UserGroupClient extends BaseClient {
    * 
    * @param {number} userGroupId - The unique identifier of the user group
    * @param {number} userId - The user ID to add to the group
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<UserGroupResponseModel>} A promise that resolves to the updated user group
    * 
    * @example
    * const updatedGroup = await userGroupClient.addMember(123, 456);
    * console.log(`Added user to ${updatedGroup.name}`);
    */
-  async addMember(userGroupId: number, userId: number): Promise<UserGroupResponseModel> {
-    return this.addMembers(userGroupId, [userId]);
+  async addMember(userGroupId: number, userId: number, requestOptions?: RequestOptions): Promise<UserGroupResponseModel> {
+    return this.addMembers(userGroupId, [userId], requestOptions);
   }
 
   /**
@@ -330,6 +360,7 @@ export class UserGroupClient extends BaseClient {
    * 
    * @param {number} userGroupId - The unique identifier of the user group
    * @param {number[]} userIds - Array of user IDs to remove from the group
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<UserGroupResponseModel[]>} A promise that resolves to an array of updated user group states
    * 
    * @throws {Error} When the user group is not found, users are not members, or API requests fail
@@ -342,11 +373,11 @@ export class UserGroupClient extends BaseClient {
    * // Remove departing team members
    * await userGroupClient.removeMembers(teamGroupId, departingUserIds);
    */
-  async removeMembers(userGroupId: number, userIds: number[]): Promise<UserGroupResponseModel[]> {
+  async removeMembers(userGroupId: number, userIds: number[], requestOptions?: RequestOptions): Promise<UserGroupResponseModel[]> {
     const results: UserGroupResponseModel[] = [];
     
     for (const userId of userIds) {
-      const result = await this.removeMember(userGroupId, userId);
+      const result = await this.removeMember(userGroupId, userId, requestOptions);
       results.push(result);
     }
     
@@ -357,6 +388,7 @@ export class UserGroupClient extends BaseClient {
    * Retrieves user groups sorted alphabetically by name
    * 
    * @param {Omit<GetUserGroupsOptions, 'sort' | 'order'>} [options={}] - Additional pagination options
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedUserGroups>} A promise that resolves to paginated user groups sorted by name (A-Z)
    * 
    * @example
@@ -365,18 +397,19 @@ export class UserGroupClient extends BaseClient {
    *   console.log(group.name); // Alphabetically sorted
    * });
    */
-  async getAllByName(options: Omit<GetUserGroupsOptions, 'sort' | 'order'> = {}): Promise<PaginatedUserGroups> {
+  async getAllByName(options: Omit<GetUserGroupsOptions, 'sort' | 'order'> = {}, requestOptions?: RequestOptions): Promise<PaginatedUserGroups> {
     return this.getAll({ 
       ...options, 
       sort: UserGroupsSortParameter.Name,
       order: SortOrder.Asc 
-    });
+    }, requestOptions);
   }
 
   /**
    * Retrieves user groups sorted by size (largest first)
    * 
    * @param {Omit<GetUserGroupsOptions, 'sort' | 'order'>} [options={}] - Additional pagination options
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedUserGroups>} A promise that resolves to paginated user groups sorted by member count (descending)
    * 
    * @example
@@ -385,12 +418,12 @@ export class UserGroupClient extends BaseClient {
    *   console.log(`${group.name}: ${group.users?.length || 0} members`);
    * });
    */
-  async getAllBySize(options: Omit<GetUserGroupsOptions, 'sort' | 'order'> = {}): Promise<PaginatedUserGroups> {
+  async getAllBySize(options: Omit<GetUserGroupsOptions, 'sort' | 'order'> = {}, requestOptions?: RequestOptions): Promise<PaginatedUserGroups> {
     return this.getAll({ 
       ...options, 
       sort: UserGroupsSortParameter.Size,
       order: SortOrder.Desc 
-    });
+    }, requestOptions);
   }
 
   /**
@@ -402,6 +435,7 @@ export class UserGroupClient extends BaseClient {
    * @param {number} fromGroupId - The group ID to remove the user from
    * @param {number} toGroupId - The group ID to add the user to
    * @param {number} userId - The user ID to transfer
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<{removedFrom: UserGroupResponseModel, addedTo: UserGroupResponseModel}>} A promise that resolves to the results of both operations
    * 
    * @throws {Error} When either group is not found, user lacks permissions, or operations fail
@@ -422,12 +456,12 @@ export class UserGroupClient extends BaseClient {
    *   transferredEmployeeId
    * );
    */
-  async transferMember(fromGroupId: number, toGroupId: number, userId: number): Promise<{
+  async transferMember(fromGroupId: number, toGroupId: number, userId: number, requestOptions?: RequestOptions): Promise<{
     removedFrom: UserGroupResponseModel,
     addedTo: UserGroupResponseModel
   }> {
-    const removedFrom = await this.removeMember(fromGroupId, userId);
-    const addedTo = await this.addMember(toGroupId, userId);
+    const removedFrom = await this.removeMember(fromGroupId, userId, requestOptions);
+    const addedTo = await this.addMember(toGroupId, userId, requestOptions);
     
     return { removedFrom, addedTo };
   }
@@ -438,6 +472,7 @@ export class UserGroupClient extends BaseClient {
    * @param {number} fromGroupId - The group ID to remove users from
    * @param {number} toGroupId - The group ID to add users to
    * @param {number[]} userIds - Array of user IDs to transfer
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<{removedFrom: UserGroupResponseModel[], addedTo: UserGroupResponseModel}>} A promise that resolves to the results of both operations
    * 
    * @example
@@ -448,12 +483,12 @@ export class UserGroupClient extends BaseClient {
    * );
    * console.log(`Transferred ${userIds.length} users to ${transferResult.addedTo.name}`);
    */
-  async transferMembers(fromGroupId: number, toGroupId: number, userIds: number[]): Promise<{
+  async transferMembers(fromGroupId: number, toGroupId: number, userIds: number[], requestOptions?: RequestOptions): Promise<{
     removedFrom: UserGroupResponseModel[],
     addedTo: UserGroupResponseModel
   }> {
-    const removedFrom = await this.removeMembers(fromGroupId, userIds);
-    const addedTo = await this.addMembers(toGroupId, userIds);
+    const removedFrom = await this.removeMembers(fromGroupId, userIds, requestOptions);
+    const addedTo = await this.addMembers(toGroupId, userIds, requestOptions);
     
     return { removedFrom, addedTo };
   }
@@ -466,24 +501,26 @@ export class UserGroupClient extends BaseClient {
    * 
    * @param {string} nameQuery - The name query to search for (currently unused due to API limitations)
    * @param {number} [limit] - Optional limit on the number of results (defaults to 50)
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedUserGroups>} A promise that resolves to paginated user groups
    * 
    * @example
    * const searchResults = await userGroupClient.findGroupsByName('developer', 20);
    * // Note: May require client-side filtering of results
    */
-  async findGroupsByName(nameQuery: string, limit?: number): Promise<PaginatedUserGroups> {
+  async findGroupsByName(nameQuery: string, limit?: number, requestOptions?: RequestOptions): Promise<PaginatedUserGroups> {
     // Note: The API doesn't have a search parameter, so this would need to be implemented
     // client-side or this method might not be fully functional
     return this.getAllByName({ 
       pageSize: limit as any || 50
-    });
+    }, requestOptions);
   }
 
   /**
    * Retrieves the largest user groups by member count
    * 
    * @param {number} [limit] - Optional limit on the number of results (defaults to 30)
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedUserGroups>} A promise that resolves to paginated largest groups
    * 
    * @example
@@ -492,16 +529,17 @@ export class UserGroupClient extends BaseClient {
    *   console.log(`${group.name}: ${group.users?.length} members`);
    * });
    */
-  async getLargestGroups(limit?: number): Promise<PaginatedUserGroups> {
+  async getLargestGroups(limit?: number, requestOptions?: RequestOptions): Promise<PaginatedUserGroups> {
     return this.getAllBySize({ 
       pageSize: limit as any || 30 
-    });
+    }, requestOptions);
   }
 
   /**
    * Creates multiple user groups in batch
    * 
    * @param {CreateUserGroupOptions[]} groupOptions - Array of group configurations to create
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<UserGroupResponseModel[]>} A promise that resolves to an array of created groups
    * 
    * @example
@@ -512,11 +550,11 @@ export class UserGroupClient extends BaseClient {
    * ]);
    * console.log(`Created ${newGroups.length} groups`);
    */
-  async createGroups(groupOptions: CreateUserGroupOptions[]): Promise<UserGroupResponseModel[]> {
+  async createGroups(groupOptions: CreateUserGroupOptions[], requestOptions?: RequestOptions): Promise<UserGroupResponseModel[]> {
     const results: UserGroupResponseModel[] = [];
     
     for (const options of groupOptions) {
-      const result = await this.create(options);
+      const result = await this.create(options, requestOptions);
       results.push(result);
     }
     
@@ -527,6 +565,7 @@ export class UserGroupClient extends BaseClient {
    * Updates multiple user groups in batch
    * 
    * @param {Array<{id: number, options: UpdateUserGroupOptions}>} updates - Array of update configurations
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<UserGroupResponseModel[]>} A promise that resolves to an array of updated groups
    * 
    * @example
@@ -535,11 +574,11 @@ export class UserGroupClient extends BaseClient {
    *   { id: 456, options: { name: 'Lead QA Team', description: 'Quality assurance leads' } }
    * ]);
    */
-  async updateGroups(updates: Array<{id: number, options: UpdateUserGroupOptions}>): Promise<UserGroupResponseModel[]> {
+  async updateGroups(updates: Array<{id: number, options: UpdateUserGroupOptions}>, requestOptions?: RequestOptions): Promise<UserGroupResponseModel[]> {
     const results: UserGroupResponseModel[] = [];
     
     for (const update of updates) {
-      const result = await this.update(update.id, update.options);
+      const result = await this.update(update.id, update.options, requestOptions);
       results.push(result);
     }
     
@@ -551,6 +590,7 @@ export class UserGroupClient extends BaseClient {
    * 
    * @param {number} userId - The user ID to add to multiple groups
    * @param {number[]} groupIds - Array of group IDs to add the user to
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<UserGroupResponseModel[]>} A promise that resolves to an array of updated groups
    * 
    * @example
@@ -561,11 +601,11 @@ export class UserGroupClient extends BaseClient {
    *   engineeringGroupId
    * ]);
    */
-  async addUserToGroups(userId: number, groupIds: number[]): Promise<UserGroupResponseModel[]> {
+  async addUserToGroups(userId: number, groupIds: number[], requestOptions?: RequestOptions): Promise<UserGroupResponseModel[]> {
     const results: UserGroupResponseModel[] = [];
     
     for (const groupId of groupIds) {
-      const result = await this.addMember(groupId, userId);
+      const result = await this.addMember(groupId, userId, requestOptions);
       results.push(result);
     }
     
@@ -577,6 +617,7 @@ export class UserGroupClient extends BaseClient {
    * 
    * @param {number} userId - The user ID to remove from multiple groups
    * @param {number[]} groupIds - Array of group IDs to remove the user from
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<UserGroupResponseModel[]>} A promise that resolves to an array of updated groups
    * 
    * @example
@@ -587,11 +628,11 @@ export class UserGroupClient extends BaseClient {
    *   projectAlphaGroupId
    * ]);
    */
-  async removeUserFromGroups(userId: number, groupIds: number[]): Promise<UserGroupResponseModel[]> {
+  async removeUserFromGroups(userId: number, groupIds: number[], requestOptions?: RequestOptions): Promise<UserGroupResponseModel[]> {
     const results: UserGroupResponseModel[] = [];
     
     for (const groupId of groupIds) {
-      const result = await this.removeMember(groupId, userId);
+      const result = await this.removeMember(groupId, userId, requestOptions);
       results.push(result);
     }
     
@@ -607,6 +648,7 @@ export class UserGroupClient extends BaseClient {
    * @param {number} userGroupId - The group ID to populate
    * @param {number[]} userIds - Array of user IDs to add to the group
    * @param {number} [batchSize=10] - Number of users to process per batch
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<UserGroupResponseModel[]>} A promise that resolves to an array of batch results
    * 
    * @example
@@ -618,13 +660,13 @@ export class UserGroupClient extends BaseClient {
    * );
    * console.log(`Processed ${results.length} batches`);
    */
-  async populateGroup(userGroupId: number, userIds: number[], batchSize: number = 10): Promise<UserGroupResponseModel[]> {
+  async populateGroup(userGroupId: number, userIds: number[], batchSize: number = 10, requestOptions?: RequestOptions): Promise<UserGroupResponseModel[]> {
     const results: UserGroupResponseModel[] = [];
     
     // Process users in batches to avoid overwhelming the API
     for (let i = 0; i < userIds.length; i += batchSize) {
       const batch = userIds.slice(i, i + batchSize);
-      const result = await this.addMembers(userGroupId, batch);
+      const result = await this.addMembers(userGroupId, batch, requestOptions);
       results.push(result);
     }
     
@@ -640,6 +682,7 @@ export class UserGroupClient extends BaseClient {
    * 
    * @param {number} sourceGroupId - The group ID to use as a template
    * @param {CreateUserGroupOptions} newGroupOptions - Configuration for the new group
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<{newGroup: UserGroupResponseModel, sourceGroup: UserGroupResponseModel}>} A promise that resolves to both groups
    * 
    * @example
@@ -657,15 +700,15 @@ export class UserGroupClient extends BaseClient {
    * //   await userGroupClient.addMembers(duplicationResult.newGroup.id, memberIds);
    * // }
    */
-  async duplicateGroup(sourceGroupId: number, newGroupOptions: CreateUserGroupOptions): Promise<{
+  async duplicateGroup(sourceGroupId: number, newGroupOptions: CreateUserGroupOptions, requestOptions?: RequestOptions): Promise<{
     newGroup: UserGroupResponseModel,
     sourceGroup: UserGroupResponseModel
   }> {
     // Get the source group to understand its current membership
-    const sourceGroup = await this.get(sourceGroupId);
+    const sourceGroup = await this.get(sourceGroupId, requestOptions);
     
     // Create the new group
-    const newGroup = await this.create(newGroupOptions);
+    const newGroup = await this.create(newGroupOptions, requestOptions);
     
     // If we could extract member IDs from sourceGroup, we would add them here
     // This would depend on the UserGroupResponseModel structure
@@ -673,4 +716,33 @@ export class UserGroupClient extends BaseClient {
     
     return { newGroup, sourceGroup };
   }
-}
\ No newline at end of file
+
+  /**
+   * Adds up the analytics of a user group's members per period
+   * 
+   * The group's current members are included for the whole range, including periods before
+   * they joined. See `users.getAnalyticsRollup()` for how periods and failures are handled.
+   * 
+   * @param {number} userGroupId - The unique identifier of the user group
+   * @param {AnalyticsRollupOptions} options - Range, period length and concurrency
+   * @returns {Promise<AnalyticsRollup & {group: UserGroupResponseModel}>} A promise that resolves to the group and its members' totals
+   * 
+   * @throws {NotFoundError} When the user group is not found
+   * @throws {Error} When a date is invalid, `to` is before `from` or the rollup needs more than `maxRequests` requests
+   * 
+   * @example
+   * const rollup = await userGroupClient.getAnalyticsRollup(42, { from: '2024-01-01', period: 'week' });
+   * console.log(`${rollup.group.name}: ${rollup.totals.answers} answers by ${rollup.totals.activeUsers} members`);
+   */
+  async getAnalyticsRollup(userGroupId: number, options: AnalyticsRollupOptions): Promise<AnalyticsRollup & { group: UserGroupResponseModel }> {
+    const group = await this.get(userGroupId, options.request);
+    const userIds: number[] = [];
+    (group.users || []).forEach(user => {
+      if (user.id !== undefined) {
+        userIds.push(user.id);
+      }
+    });
+    const rollup = await this.users.getAnalyticsRollup(userIds, options);
+    return { ...rollup, group };
+  }
+}
@@ -1,8 +1,9 @@
-import { BaseClient } from './shared';
-import { UsersMainApi, UsersTeamsApi } from '../generated/index.js';
+import { BaseClient, ClientOptions, RequestOptions, IterateOptions, PageIterator, EntityLoader, sendRequest } from './shared';
+import { UsersMainApi, UsersTeamsApi, HttpMethod } from '../generated/index.js';
 import { 
   PaginatedUsers,
   PaginatedManageUsers,
+  ManageUserResponseModel,
   UserDetailsResponseModel,
   UserResponseModel,
   TagSummaryResponseModel,
@@ -47,6 +48,133 @@ export interface ManageUsersOptions {
   lastAccessDateTo?: Date;
 }
 
+/**
+ * Activity and engagement of a user over a period
+ * Not part of the generated models; mirrors `UserAnalyticsResponseModel` in `swagger.json`.
+ * @typedef {Object} UserAnalyticsResponseModel
+ * @property {number} [userId] - The user's unique identifier
+ * @property {number} [totalQuestions] - Questions asked by the user
+ * @property {number} [totalAnswers] - Answers provided by the user
+ * @property {number} [totalComments] - Comments made by the user
+ * @property {number} [totalUpvotesReceived] - Upvotes received on the user's content
+ * @property {number} [totalDownvotesReceived] - Downvotes received on the user's content
+ * @property {number} [acceptedAnswers] - The user's answers that were accepted
+ * @property {number} [averageQuestionScore] - Average score of the user's questions
+ * @property {number} [averageAnswerScore] - Average score of the user's answers
+ * @property {Date} [periodStart] - Start of the period
+ * @property {Date} [periodEnd] - End of the period
+ */
+export interface UserAnalyticsResponseModel {
+  userId?: number;
+  totalQuestions?: number;
+  totalAnswers?: number;
+  totalComments?: number;
+  totalUpvotesReceived?: number;
+  totalDownvotesReceived?: number;
+  acceptedAnswers?: number;
+  averageQuestionScore?: number;
+  averageAnswerScore?: number;
+  periodStart?: Date | null;
+  periodEnd?: Date | null;
+}
+
+/**
+ * Options for retrieving a user's analytics
+ * @typedef {Object} GetUserAnalyticsOptions
+ * @property {Date|string} [from] - Start of the period; defaults to the start of the user's activity
+ * @property {Date|string} [to] - End of the period; defaults to now
+ */
+export interface GetUserAnalyticsOptions {
+  from?: Date | string;
+  to?: Date | string;
+}
+
+/**
+ * Length of the periods a rollup is split into; periods follow UTC calendar days, ISO weeks (from Monday) and months
+ */
+export type AnalyticsGranularity = 'day' | 'week' | 'month' | 'all';
+
+/**
+ * Options for rolling up the analytics of several users
+ * @typedef {Object} AnalyticsRollupOptions
+ * @property {Date|string} from - Start of the first period
+ * @property {Date|string} [to] - End of the last period; defaults to now
+ * @property {AnalyticsGranularity} [period='month'] - Length of each period, or 'all' for a single period
+ * @property {number} [concurrency=4] - Maximum number of analytics requests run in parallel
+ * @property {number} [maxRequests=1000] - Refuse rollups needing more requests (users × periods), e.g. a daily rollup of many users over years; `Infinity` lifts the limit
+ * @property {RequestOptions} [request] - Per-call options applied to every request
+ */
+export interface AnalyticsRollupOptions {
+  from: Date | string;
+  to?: Date | string;
+  period?: AnalyticsGranularity;
+  concurrency?: number;
+  maxRequests?: number;
+  request?: RequestOptions;
+}
+
+/**
+ * Activity of several users added together
+ * @typedef {Object} AnalyticsTotals
+ * @property {number} questions - Questions asked
+ * @property {number} answers - Answers provided
+ * @property {number} comments - Comments made
+ * @property {number} upvotesReceived - Upvotes received
+ * @property {number} downvotesReceived - Downvotes received
+ * @property {number} acceptedAnswers - Answers that were accepted
+ * @property {number} averageQuestionScore - Average score of the questions, weighted by each user's question count
+ * @property {number} averageAnswerScore - Average score of the answers, weighted by each user's answer count
+ * @property {number} activeUsers - Users who asked, answered or commented at least once
+ */
+export interface AnalyticsTotals {
+  questions: number;
+  answers: number;
+  comments: number;
+  upvotesReceived: number;
+  downvotesReceived: number;
+  acceptedAnswers: number;
+  averageQuestionScore: number;
+  averageAnswerScore: number;
+  activeUsers: number;
+}
+
+/**
+ * Totals for one period of a rollup
+ * @typedef {Object} AnalyticsPeriodTotals
+ * @property {Date} start - Start of the period
+ * @property {Date} end - End of the period, inclusive
+ * @property {UserAnalyticsResponseModel[]} users - Analytics of each user for the period, in the order of the user IDs
+ */
+export interface AnalyticsPeriodTotals extends AnalyticsTotals {
+  start: Date;
+  end: Date;
+  users: Array<UserAnalyticsResponseModel>;
+}
+
+/**
+ * Analytics of several users, added together per period
+ * @typedef {Object} AnalyticsRollup
+ * @property {Date} from - Start of the first period
+ * @property {Date} to - End of the last period
+ * @property {AnalyticsGranularity} period - Length of each period
+ * @property {number[]} userIds - Users included, without duplicates
+ * @property {AnalyticsPeriodTotals[]} periods - Totals per period, oldest first
+ * @property {AnalyticsTotals} totals - Totals over the whole range
+ * @property {Array<{userId: number, start: Date, error: Error}>} failures - Analytics that could not be retrieved and are missing from the totals
+ */
+export interface AnalyticsRollup {
+  from: Date;
+  to: Date;
+  period: AnalyticsGranularity;
+  userIds: number[];
+  periods: Array<AnalyticsPeriodTotals>;
+  totals: AnalyticsTotals;
+  failures: Array<{ userId: number; start: Date; error: Error }>;
+}
+
+const DEFAULT_ROLLUP_CONCURRENCY = 4;
+const DEFAULT_ROLLUP_MAX_REQUESTS = 1000;
+
 /**
  * Client for managing users and user information in Stack Overflow for Teams
  * 
@@ -68,6 +196,7 @@ export interface ManageUsersOptions {
  * const userClient = new UserClient(config, 'team-123');
  */
 export class UserClient extends BaseClient {
+  protected readonly clientName = 'users';
   private mainApi: UsersMainApi;
   private teamsApi?: UsersTeamsApi;
 
@@ -76,6 +205,7 @@ export class UserClient extends BaseClient {
    * 
    * @param {ReturnType<typeof import('../generated/configuration').createConfiguration>} config - API configuration object
    * @param {string} [teamId] - Optional team ID for team-specific operations
+   * @param {ClientOptions} [options] - Behaviour shared across the SDK instance (retries, circuit breaker, cache)
    * 
    * @example
    * const config = createConfiguration({ ... });
@@ -85,8 +215,8 @@ export class UserClient extends BaseClient {
    * // For team-specific operations
    * const teamClient = new UserClient(config, 'my-team-id');
    */
-  constructor(config: ReturnType<typeof import('../generated/configuration').createConfiguration>, private teamId?: string) {
-    super();
+  constructor(private config: ReturnType<typeof import('../generated/configuration').createConfiguration>, private teamId?: string, options?: ClientOptions) {
+    super(options, teamId);
     this.mainApi = new UsersMainApi(config);
     if (teamId) {
       this.teamsApi = new UsersTeamsApi(config);
@@ -97,6 +227,7 @@ export class UserClient extends BaseClient {
    * Retrieves all users with pagination and sorting options
    * 
    * @param {GetUsersOptions} [options={}] - Options for pagination and sorting
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedUsers>} A promise that resolves to paginated user results
    * 
    * @throws {Error} When the API request fails or returns an error
@@ -121,15 +252,16 @@ export class UserClient extends BaseClient {
    *   console.log(`${user.name}: ${user.reputation} reputation (${user.role})`);
    * });
    */
-  async getAll(options: GetUsersOptions = {}): Promise<PaginatedUsers> {
-    return this.handleApiCall(async () => {
+  async getAll(options: GetUsersOptions = {}, requestOptions?: RequestOptions): Promise<PaginatedUsers> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
         return await this.teamsApi.teamsTeamUsersGet(
           this.teamId,
           options.page,
           options.pageSize,
           options.sort as UsersSortParameter,
-          options.order as SortOrder
+          options.order as SortOrder,
+          callOptions
         );
       }
       
@@ -137,15 +269,33 @@ export class UserClient extends BaseClient {
         options.page,
         options.pageSize,
         options.sort as UsersSortParameter,
-        options.order as SortOrder
+        options.order as SortOrder,
+        callOptions
       );
-    }, 'getAll');
+    }, 'getAll', requestOptions, this.cacheRead('users.getAll', options));
+  }
+
+  /**
+   * Iterates over every user, fetching pages as needed
+   * 
+   * @param {GetUsersOptions} [options={}] - Sorting options; `page` sets the starting page
+   * @param {IterateOptions} [iterateOptions={}] - Parallelism, item limit and resume cursor
+   * @returns {PageIterator<UserResponseModel>} An async iterable with an `all()` collector
+   * 
+   * @example
+   * for await (const user of userClient.iterate({ sort: 'reputation', order: 'desc' })) {
+   *   console.log(`${user.name}: ${user.reputation}`);
+   * }
+   */
+  iterate(options: GetUsersOptions = {}, iterateOptions: IterateOptions = {}): PageIterator<UserResponseModel, PaginatedUsers> {
+    return new PageIterator(page => this.getAll({ ...options, page }, iterateOptions.request), iterateOptions, options.page);
   }
 
   /**
    * Retrieves a specific user by their ID
    * 
    * @param {number} userId - The unique identifier of the user
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<UserDetailsResponseModel>} A promise that resolves to detailed user information
    * 
    * @throws {Error} When the user is not found or the API request fails
@@ -165,19 +315,20 @@ export class UserClient extends BaseClient {
    *   console.log(`Member of: ${community.name}`);
    * });
    */
-  async get(userId: number): Promise<UserDetailsResponseModel> {
-    return this.handleApiCall(async () => {
+  async get(userId: number, requestOptions?: RequestOptions): Promise<UserDetailsResponseModel> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
-        return await this.teamsApi.teamsTeamUsersUserIdGet(userId, this.teamId);
+        return await this.teamsApi.teamsTeamUsersUserIdGet(userId, this.teamId, callOptions);
       }
       
-      return await this.mainApi.usersUserIdGet(userId);
-    }, 'get');
+      return await this.mainApi.usersUserIdGet(userId, callOptions);
+    }, 'get', requestOptions, this.cacheRead('users.get', userId));
   }
 
   /**
    * Retrieves the current authenticated user's information
    * 
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<UserDetailsResponseModel>} A promise that resolves to the current user's detailed information
    * 
    * @throws {Error} When the user is not authenticated or the API request fails
@@ -189,20 +340,21 @@ export class UserClient extends BaseClient {
    * console.log(`Your role: ${currentUser.role}`);
    * console.log(`Your email: ${currentUser.email}`); // Always visible for current user
    */
-  async getCurrentUser(): Promise<UserDetailsResponseModel> {
-    return this.handleApiCall(async () => {
+  async getCurrentUser(requestOptions?: RequestOptions): Promise<UserDetailsResponseModel> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
-        return await this.teamsApi.teamsTeamUsersMeGet(this.teamId);
+        return await this.teamsApi.teamsTeamUsersMeGet(this.teamId, callOptions);
       }
       
-      return await this.mainApi.usersMeGet();
-    }, 'getCurrentUser');
+      return await this.mainApi.usersMeGet(callOptions);
+    }, 'getCurrentUser', requestOptions, this.cacheRead('users.getCurrentUser'));
   }
 
   /**
    * Retrieves a user by their email address
    * 
    * @param {string} email - The email address to search for
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<UserDetailsResponseModel>} A promise that resolves to the user with the specified email
    * 
    * @throws {Error} When no user is found with the email or the API request fails
@@ -219,20 +371,21 @@ export class UserClient extends BaseClient {
    *   console.log('User not found with that email address');
    * }
    */
-  async getByEmail(email: string): Promise<UserDetailsResponseModel> {
-    return this.handleApiCall(async () => {
+  async getByEmail(email: string, requestOptions?: RequestOptions): Promise<UserDetailsResponseModel> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
-        return await this.teamsApi.teamsTeamUsersByEmailEmailGet(email, this.teamId);
+        return await this.teamsApi.teamsTeamUsersByEmailEmailGet(email, this.teamId, callOptions);
       }
       
-      return await this.mainApi.usersByEmailEmailGet(email);
-    }, 'getByEmail');
+      return await this.mainApi.usersByEmailEmailGet(email, callOptions);
+    }, 'getByEmail', requestOptions, this.cacheRead('users.getByEmail', email));
   }
 
   /**
    * Retrieves users by their external ID (SCIM/SAML identifier)
    * 
    * @param {string} externalId - The external ID to search for
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<Array<UserResponseModel>>} A promise that resolves to an array of users with the specified external ID
    * 
    * @throws {Error} When no users are found with the external ID or the API request fails
@@ -247,14 +400,14 @@ export class UserClient extends BaseClient {
    * // Typically used for SAML/SCIM integration
    * const samlUsers = await userClient.getByExternalId('external-system-user-456');
    */
-  async getByExternalId(externalId: string): Promise<Array<UserResponseModel>> {
-    return this.handleApiCall(async () => {
+  async getByExternalId(externalId: string, requestOptions?: RequestOptions): Promise<Array<UserResponseModel>> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
-        return await this.teamsApi.teamsTeamUsersByExternalIdExternalIdGet(externalId, this.teamId);
+        return await this.teamsApi.teamsTeamUsersByExternalIdExternalIdGet(externalId, this.teamId, callOptions);
       }
       
-      return await this.mainApi.usersByExternalIdExternalIdGet(externalId);
-    }, 'getByExternalId');
+      return await this.mainApi.usersByExternalIdExternalIdGet(externalId, callOptions);
+    }, 'getByExternalId', requestOptions);
   }
 
   /**
@@ -264,6 +417,7 @@ export class UserClient extends BaseClient {
    * filtering by activation status and last access dates. Only available on the main API.
    * 
    * @param {ManageUsersOptions} [options={}] - Advanced filtering, pagination and sorting options
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedManageUsers>} A promise that resolves to paginated management user results
    * 
    * @throws {Error} When the API request fails or returns an error
@@ -290,8 +444,8 @@ export class UserClient extends BaseClient {
    *   order: 'asc'
    * });
    */
-  async manage(options: ManageUsersOptions = {}): Promise<PaginatedManageUsers> {
-    return this.handleApiCall(async () => {
+  async manage(options: ManageUsersOptions = {}, requestOptions?: RequestOptions): Promise<PaginatedManageUsers> {
+    return this.handleApiCall(async (callOptions) => {
       // Note: Management endpoint is only available on Main API
       return await this.mainApi.usersManageGet(
         options.page,
@@ -300,15 +454,31 @@ export class UserClient extends BaseClient {
         options.order,
         options.isDeactivated,
         options.lastAccessDateFrom,
-        options.lastAccessDateTo
+        options.lastAccessDateTo,
+        callOptions
       );
-    }, 'manage');
+    }, 'manage', requestOptions);
+  }
+
+  /**
+   * Iterates over every user from the management endpoint, fetching pages as needed
+   * 
+   * @param {ManageUsersOptions} [options={}] - Filtering and sorting options; `page` sets the starting page
+   * @param {IterateOptions} [iterateOptions={}] - Parallelism, item limit and resume cursor
+   * @returns {PageIterator<ManageUserResponseModel>} An async iterable with an `all()` collector
+   * 
+   * @example
+   * const deactivated = await userClient.iterateManaged({ isDeactivated: true }).all();
+   */
+  iterateManaged(options: ManageUsersOptions = {}, iterateOptions: IterateOptions = {}): PageIterator<ManageUserResponseModel, PaginatedManageUsers> {
+    return new PageIterator(page => this.manage({ ...options, page }, iterateOptions.request), iterateOptions, options.page);
   }
 
   /**
    * Retrieves the tags that a specific user is watching
    * 
    * @param {number} userId - The unique identifier of the user
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<TagSummaryResponseModel>} A promise that resolves to the user's watched tags
    * 
    * @throws {Error} When the user is not found or the API request fails
@@ -318,19 +488,137 @@ export class UserClient extends BaseClient {
    * console.log(`User is watching tags related to their interests`);
    * // Note: The structure of TagSummaryResponseModel would determine how to access individual tags
    */
-  async getWatchedTags(userId: number): Promise<TagSummaryResponseModel> {
-    return this.handleApiCall(async () => {
+  async getWatchedTags(userId: number, requestOptions?: RequestOptions): Promise<TagSummaryResponseModel> {
+    return this.handleApiCall(async (callOptions) => {
       if (this.teamId && this.teamsApi) {
-        return await this.teamsApi.teamsTeamUsersUserIdWatchedTagsGet(userId, this.teamId);
+        return await this.teamsApi.teamsTeamUsersUserIdWatchedTagsGet(userId, this.teamId, callOptions);
       }
       
-      return await this.mainApi.usersUserIdWatchedTagsGet(userId);
-    }, 'getWatchedTags');
+      return await this.mainApi.usersUserIdWatchedTagsGet(userId, callOptions);
+    }, 'getWatchedTags', requestOptions, this.cacheRead('users.getWatchedTags', userId));
+  }
+
+  /**
+   * Retrieves a user's activity and engagement over a period
+   * 
+   * @param {number} userId - The unique identifier of the user
+   * @param {GetUserAnalyticsOptions} [options={}] - Start and end of the period
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
+   * @returns {Promise<UserAnalyticsResponseModel>} A promise that resolves to the user's analytics
+   * 
+   * @throws {NotFoundError} When the user is not found
+   * @throws {Error} When a date is invalid or the API request fails
+   * 
+   * @example
+   * const analytics = await userClient.getAnalytics(123, { from: '2024-01-01', to: '2024-03-31' });
+   * console.log(`${analytics.totalAnswers} answers, ${analytics.acceptedAnswers} accepted`);
+   */
+  async getAnalytics(userId: number, options: GetUserAnalyticsOptions = {}, requestOptions?: RequestOptions): Promise<UserAnalyticsResponseModel> {
+    const dateFrom = options.from === undefined ? undefined : toDate(options.from, 'from').toISOString();
+    const dateTo = options.to === undefined ? undefined : toDate(options.to, 'to').toISOString();
+    const path = this.teamId
+      ? `/teams/${encodeURIComponent(this.teamId)}/users/${encodeURIComponent(String(userId))}/analytics`
+      : `/users/${encodeURIComponent(String(userId))}/analytics`;
+
+    const analytics = await this.handleApiCall(async (callOptions) => {
+      // The generated UsersMainApi lacks this endpoint
+      return await sendRequest<any>(this.config, HttpMethod.GET, path, { dateFrom, dateTo }, callOptions);
+    }, 'getAnalytics', requestOptions, this.cacheRead('users.getAnalytics', userId, dateFrom, dateTo));
+
+    return {
+      ...analytics,
+      periodStart: analytics.periodStart ? new Date(analytics.periodStart) : analytics.periodStart,
+      periodEnd: analytics.periodEnd ? new Date(analytics.periodEnd) : analytics.periodEnd
+    };
+  }
+
+  /**
+   * Adds up the analytics of several users per period, e.g. to follow a team's engagement month by month
+   * 
+   * The range is split into periods and each user's analytics are requested for each period,
+   * so a rollup sends one request per user and period, with bounded concurrency; rollups
+   * needing more than `maxRequests` requests are refused before any is sent. Analytics
+   * that cannot be retrieved, e.g. for a deleted user, are reported in `failures` and left
+   * out of the totals.
+   * 
+   * @param {number[]} userIds - Users to include; duplicates are counted once
+   * @param {AnalyticsRollupOptions} options - Range, period length and concurrency
+   * @returns {Promise<AnalyticsRollup>} A promise that resolves to the totals per period and over the whole range
+   * 
+   * @throws {Error} When a date is invalid, `to` is before `from` or the rollup needs more than `maxRequests` requests
+   * 
+   * @example
+   * const rollup = await userClient.getAnalyticsRollup([101, 102, 103], { from: '2024-01-01', period: 'month' });
+   * rollup.periods.forEach(period => {
+   *   console.log(`${period.start.toISOString().slice(0, 7)}: ${period.answers} answers by ${period.activeUsers} users`);
+   * });
+   */
+  async getAnalyticsRollup(userIds: number[], options: AnalyticsRollupOptions): Promise<AnalyticsRollup> {
+    const from = toDate(options.from, 'from');
+    const to = options.to === undefined ? new Date() : toDate(options.to, 'to');
+    if (to.getTime() < from.getTime()) {
+      throw new Error(`'to' (${to.toISOString()}) is before 'from' (${from.toISOString()})`);
+    }
+    const period = options.period || 'month';
+    const ids = userIds.filter((id, index) => userIds.indexOf(id) === index);
+    const ranges = splitPeriods(from, to, period);
+    const maxRequests = options.maxRequests ?? DEFAULT_ROLLUP_MAX_REQUESTS;
+    if (ids.length * ranges.length > maxRequests) {
+      throw new Error(
+        `An analytics rollup of ${ids.length} users over ${ranges.length} periods needs ${ids.length * ranges.length} requests, ` +
+        `more than maxRequests (${maxRequests}): use a longer period, a shorter range or raise maxRequests`
+      );
+    }
+
+    const lookups: Array<{ userId: number; range: { start: Date; end: Date } }> = [];
+    ranges.forEach(range => ids.forEach(userId => lookups.push({ userId, range })));
+    const loader = new EntityLoader(
+      (index: number) => {
+        const { userId, range } = lookups[index]!;
+        return this.getAnalytics(userId, { from: range.start, to: range.end }, options.request);
+      },
+      { concurrency: options.concurrency || DEFAULT_ROLLUP_CONCURRENCY }
+    );
+    const results = await loader.loadMany(lookups.map((_, index) => index));
+
+    const failures: AnalyticsRollup['failures'] = [];
+    const periods = ranges.map((range, rangeIndex): AnalyticsPeriodTotals => {
+      const users: UserAnalyticsResponseModel[] = [];
+      ids.forEach((userId, userIndex) => {
+        const result = results[rangeIndex * ids.length + userIndex];
+        if (result instanceof Error) {
+          failures.push({ userId, start: range.start, error: result });
+        } else if (result) {
+          users.push(result);
+        }
+      });
+      return { start: range.start, end: range.end, ...addUp(users), users };
+    });
+
+    const activeIds: number[] = [];
+    periods.forEach(totals => totals.users.forEach(user => {
+      if (isActive(user) && user.userId !== undefined && activeIds.indexOf(user.userId) === -1) {
+        activeIds.push(user.userId);
+      }
+    }));
+    const allUsers: UserAnalyticsResponseModel[] = [];
+    periods.forEach(totals => allUsers.push(...totals.users));
+
+    return {
+      from,
+      to,
+      period,
+      userIds: ids,
+      periods,
+      totals: { ...addUp(allUsers), activeUsers: activeIds.length },
+      failures
+    };
   }
 
   /**
    * Retrieves the tags that the current authenticated user is watching
    * 
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<TagSummaryResponseModel>} A promise that resolves to the current user's watched tags
    * 
    * @throws {Error} When the current user ID is not available or the API request fails
@@ -339,19 +627,20 @@ export class UserClient extends BaseClient {
    * const myWatchedTags = await userClient.getCurrentUserWatchedTags();
    * console.log('Your watched tags have been retrieved');
    */
-  async getCurrentUserWatchedTags(): Promise<TagSummaryResponseModel> {
+  async getCurrentUserWatchedTags(requestOptions?: RequestOptions): Promise<TagSummaryResponseModel> {
     // Get current user first, then get their watched tags
-    const currentUser = await this.getCurrentUser();
+    const currentUser = await this.getCurrentUser(requestOptions);
     if (!currentUser.id) {
       throw new Error('Current user ID not available');
     }
-    return this.getWatchedTags(currentUser.id);
+    return this.getWatchedTags(currentUser.id, requestOptions);
   }
 
   /**
    * Retrieves users sorted by reputation (highest first)
    * 
    * @param {Omit<GetUsersOptions, 'sort' | 'order'>} [options={}] - Additional pagination options
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedUsers>} A promise that resolves to paginated users sorted by reputation (descending)
    * 
    * @example
@@ -360,35 +649,37 @@ export class UserClient extends BaseClient {
    *   console.log(`${user.name}: ${user.reputation} reputation`);
    * });
    */
-  async getAllByReputation(options: Omit<GetUsersOptions, 'sort' | 'order'> = {}): Promise<PaginatedUsers> {
+  async getAllByReputation(options: Omit<GetUsersOptions, 'sort' | 'order'> = {}, requestOptions?: RequestOptions): Promise<PaginatedUsers> {
     return this.getAll({ 
       ...options, 
       sort: UsersSortParameter.Reputation,
       order: SortOrder.Desc 
-    });
+    }, requestOptions);
   }
 
   /**
    * Retrieves users sorted by last access date (most recent first)
    * 
    * @param {Omit<ManageUsersOptions, 'sort' | 'order'>} [options={}] - Additional filtering and pagination options
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedManageUsers>} A promise that resolves to paginated users sorted by last access (newest first)
    * 
    * @example
    * const recentlyActive = await userClient.manageByLastAccessDate({ pageSize: 30 });
    */
-  async manageByLastAccessDate(options: Omit<ManageUsersOptions, 'sort' | 'order'> = {}): Promise<PaginatedManageUsers> {
+  async manageByLastAccessDate(options: Omit<ManageUsersOptions, 'sort' | 'order'> = {}, requestOptions?: RequestOptions): Promise<PaginatedManageUsers> {
     return this.manage({ 
       ...options, 
       sort: ManageUsersSortParameter.LastAccessDate,
       order: SortOrder.Desc 
-    });
+    }, requestOptions);
   }
 
   /**
    * Retrieves active (non-deactivated) users
    * 
    * @param {Omit<ManageUsersOptions, 'isDeactivated'>} [options={}] - Additional filtering and pagination options
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedManageUsers>} A promise that resolves to paginated active users
    * 
    * @example
@@ -397,14 +688,15 @@ export class UserClient extends BaseClient {
    *   order: 'asc'
    * });
    */
-  async getActiveUsers(options: Omit<ManageUsersOptions, 'isDeactivated'> = {}): Promise<PaginatedManageUsers> {
-    return this.manage({ ...options, isDeactivated: false });
+  async getActiveUsers(options: Omit<ManageUsersOptions, 'isDeactivated'> = {}, requestOptions?: RequestOptions): Promise<PaginatedManageUsers> {
+    return this.manage({ ...options, isDeactivated: false }, requestOptions);
   }
 
   /**
    * Retrieves deactivated users
    * 
    * @param {Omit<ManageUsersOptions, 'isDeactivated'>} [options={}] - Additional filtering and pagination options
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedManageUsers>} A promise that resolves to paginated deactivated users
    * 
    * @example
@@ -413,8 +705,8 @@ export class UserClient extends BaseClient {
    *   order: 'desc'
    * });
    */
-  async getDeactivatedUsers(options: Omit<ManageUsersOptions, 'isDeactivated'> = {}): Promise<PaginatedManageUsers> {
-    return this.manage({ ...options, isDeactivated: true });
+  async getDeactivatedUsers(options: Omit<ManageUsersOptions, 'isDeactivated'> = {}, requestOptions?: RequestOptions): Promise<PaginatedManageUsers> {
+    return this.manage({ ...options, isDeactivated: true }, requestOptions);
   }
 
   /**
@@ -423,6 +715,7 @@ export class UserClient extends BaseClient {
    * @param {Date} from - Start date for the access range (inclusive)
    * @param {Date} to - End date for the access range (inclusive)
    * @param {Omit<ManageUsersOptions, 'lastAccessDateFrom' | 'lastAccessDateTo'>} [options={}] - Additional filtering and pagination options
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedManageUsers>} A promise that resolves to paginated users who accessed within the range
    * 
    * @example
@@ -431,12 +724,12 @@ export class UserClient extends BaseClient {
    *   new Date('2024-01-07')
    * );
    */
-  async getUsersByLastAccessRange(from: Date, to: Date, options: Omit<ManageUsersOptions, 'lastAccessDateFrom' | 'lastAccessDateTo'> = {}): Promise<PaginatedManageUsers> {
+  async getUsersByLastAccessRange(from: Date, to: Date, options: Omit<ManageUsersOptions, 'lastAccessDateFrom' | 'lastAccessDateTo'> = {}, requestOptions?: RequestOptions): Promise<PaginatedManageUsers> {
     return this.manage({ 
       ...options, 
       lastAccessDateFrom: from,
       lastAccessDateTo: to 
-    });
+    }, requestOptions);
   }
 
   /**
@@ -444,6 +737,7 @@ export class UserClient extends BaseClient {
    * 
    * @param {number} daysSinceLastAccess - Number of days since last access
    * @param {Omit<ManageUsersOptions, 'lastAccessDateFrom' | 'lastAccessDateTo'>} [options={}] - Additional filtering and pagination options
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedManageUsers>} A promise that resolves to paginated inactive users
    * 
    * @example
@@ -457,14 +751,14 @@ export class UserClient extends BaseClient {
    *   order: 'asc'
    * });
    */
-  async getInactiveUsers(daysSinceLastAccess: number, options: Omit<ManageUsersOptions, 'lastAccessDateFrom' | 'lastAccessDateTo'> = {}): Promise<PaginatedManageUsers> {
+  async getInactiveUsers(daysSinceLastAccess: number, options: Omit<ManageUsersOptions, 'lastAccessDateFrom' | 'lastAccessDateTo'> = {}, requestOptions?: RequestOptions): Promise<PaginatedManageUsers> {
     const cutoffDate = new Date();
     cutoffDate.setDate(cutoffDate.getDate() - daysSinceLastAccess);
     
     return this.manage({ 
       ...options, 
       lastAccessDateTo: cutoffDate 
-    });
+    }, requestOptions);
   }
 
   /**
@@ -472,28 +766,61 @@ export class UserClient extends BaseClient {
    * 
    * @param {number} daysSinceLastAccess - Number of days to look back
    * @param {Omit<ManageUsersOptions, 'lastAccessDateFrom' | 'lastAccessDateTo'>} [options={}] - Additional filtering and pagination options
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedManageUsers>} A promise that resolves to paginated recently active users
    * 
    * @example
    * // Get users active in the last 7 days
    * const recentlyActive = await userClient.getRecentlyActiveUsers(7);
    */
-  async getRecentlyActiveUsers(daysSinceLastAccess: number, options: Omit<ManageUsersOptions, 'lastAccessDateFrom' | 'lastAccessDateTo'> = {}): Promise<PaginatedManageUsers> {
+  async getRecentlyActiveUsers(daysSinceLastAccess: number, options: Omit<ManageUsersOptions, 'lastAccessDateFrom' | 'lastAccessDateTo'> = {}, requestOptions?: RequestOptions): Promise<PaginatedManageUsers> {
     const cutoffDate = new Date();
     cutoffDate.setDate(cutoffDate.getDate() - daysSinceLastAccess);
     
     return this.manage({ 
       ...options, 
       lastAccessDateFrom: cutoffDate 
-    });
+    }, requestOptions);
+  }
+
+  /**
+   * Loads a user by ID through the shared user loader
+   * 
+   * Lookups made in the same tick are batched, and concurrent lookups of the same user
+   * (from any client of the SDK instance) share a single request.
+   * 
+   * @param {number} userId - The unique identifier of the user
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout); the lookup is then not shared
+   * @returns {Promise<UserDetailsResponseModel>} A promise that resolves to detailed user information
+   * 
+   * @example
+   * // Both calls resolve from one request
+   * const [author, editor] = await Promise.all([userClient.load(123), userClient.load(123)]);
+   */
+  load(userId: number, requestOptions?: RequestOptions): Promise<UserDetailsResponseModel> {
+    return this.userLoader(requestOptions).load(userId);
+  }
+
+  /**
+   * Loads several users by ID through the shared user loader, keeping the order of `userIds`
+   * 
+   * @param {number[]} userIds - Array of user IDs to retrieve
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout); the lookups are then not shared
+   * @returns {Promise<Array<UserDetailsResponseModel | Error>>} Users, or an `Error` for each lookup that failed
+   */
+  loadMany(userIds: number[], requestOptions?: RequestOptions): Promise<Array<UserDetailsResponseModel | Error>> {
+    return this.userLoader(requestOptions).loadMany(userIds);
   }
 
   /**
    * Retrieves multiple users by their IDs in batch
    * 
-   * This method handles errors gracefully, continuing to fetch other users even if some fail.
+   * This method handles errors gracefully, continuing to fetch other users even if some fail;
+   * it rejects only when the call is aborted or times out.
+   * Lookups run in parallel with bounded concurrency and duplicate IDs are fetched once.
    * 
    * @param {number[]} userIds - Array of user IDs to retrieve
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<UserDetailsResponseModel[]>} A promise that resolves to an array of user details
    * 
    * @example
@@ -508,18 +835,19 @@ export class UserClient extends BaseClient {
    *   console.log(`Team member: ${member.name} (${member.role})`);
    * });
    */
-  async getMultipleUsers(userIds: number[]): Promise<UserDetailsResponseModel[]> {
+  async getMultipleUsers(userIds: number[], requestOptions?: RequestOptions): Promise<UserDetailsResponseModel[]> {
     const results: UserDetailsResponseModel[] = [];
+    const users = await this.loadMany(userIds, requestOptions);
+    this.throwIfCancelled(users);
     
-    for (const userId of userIds) {
-      try {
-        const user = await this.get(userId);
-        results.push(user);
-      } catch (error) {
+    users.forEach((user, index) => {
+      if (user instanceof Error) {
         // Continue with other users if one fails
-        console.warn(`Failed to fetch user ${userId}:`, error);
+        this.logger.warn(`Failed to fetch user ${userIds[index]}:`, user);
+      } else {
+        results.push(user);
       }
-    }
+    });
     
     return results;
   }
@@ -527,9 +855,12 @@ export class UserClient extends BaseClient {
   /**
    * Retrieves multiple users by their email addresses in batch
    * 
-   * This method handles errors gracefully, continuing to fetch other users even if some fail.
+   * This method handles errors gracefully, continuing to fetch other users even if some fail;
+   * it rejects only when the call is aborted or times out.
+   * Lookups run in parallel with bounded concurrency and duplicate emails are fetched once.
    * 
    * @param {string[]} emails - Array of email addresses to retrieve users for
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<UserDetailsResponseModel[]>} A promise that resolves to an array of user details
    * 
    * @example
@@ -539,18 +870,19 @@ export class UserClient extends BaseClient {
    *   'bob@company.com'
    * ]);
    */
-  async getMultipleUsersByEmails(emails: string[]): Promise<UserDetailsResponseModel[]> {
+  async getMultipleUsersByEmails(emails: string[], requestOptions?: RequestOptions): Promise<UserDetailsResponseModel[]> {
     const results: UserDetailsResponseModel[] = [];
+    const users = await this.loader('users.getByEmail', (email: string) => this.getByEmail(email, requestOptions), requestOptions).loadMany(emails);
+    this.throwIfCancelled(users);
     
-    for (const email of emails) {
-      try {
-        const user = await this.getByEmail(email);
-        results.push(user);
-      } catch (error) {
+    users.forEach((user, index) => {
+      if (user instanceof Error) {
         // Continue with other users if one fails
-        console.warn(`Failed to fetch user with email ${email}:`, error);
+        this.logger.warn(`Failed to fetch user with email ${emails[index]}:`, user);
+      } else {
+        results.push(user);
       }
-    }
+    });
     
     return results;
   }
@@ -559,6 +891,7 @@ export class UserClient extends BaseClient {
    * Retrieves the top users by reputation
    * 
    * @param {number} [limit] - Optional limit on the number of results (defaults to 50)
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedUsers>} A promise that resolves to paginated top users by reputation
    * 
    * @example
@@ -567,10 +900,10 @@ export class UserClient extends BaseClient {
    *   console.log(`Top contributor: ${user.name} - ${user.reputation} reputation`);
    * });
    */
-  async getTopUsers(limit?: number): Promise<PaginatedUsers> {
+  async getTopUsers(limit?: number, requestOptions?: RequestOptions): Promise<PaginatedUsers> {
     return this.getAllByReputation({ 
       pageSize: limit as any || 50 
-    });
+    }, requestOptions);
   }
 
   /**
@@ -578,6 +911,7 @@ export class UserClient extends BaseClient {
    * 
    * @param {Date} from - Start date for the period
    * @param {Date} to - End date for the period
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<PaginatedManageUsers>} A promise that resolves to paginated deactivated users in the period
    * 
    * @example
@@ -586,14 +920,14 @@ export class UserClient extends BaseClient {
    *   new Date('2024-01-31')
    * );
    */
-  async getDeactivatedUsersInPeriod(from: Date, to: Date): Promise<PaginatedManageUsers> {
+  async getDeactivatedUsersInPeriod(from: Date, to: Date, requestOptions?: RequestOptions): Promise<PaginatedManageUsers> {
     return this.manage({
       isDeactivated: true,
       lastAccessDateFrom: from,
       lastAccessDateTo: to,
       sort: ManageUsersSortParameter.LastAccessDate,
       order: SortOrder.Desc
-    });
+    }, requestOptions);
   }
 
   /**
@@ -603,6 +937,7 @@ export class UserClient extends BaseClient {
    * deactivated users, providing a comprehensive view of users needing attention.
    * 
    * @param {number} [inactiveDays=90] - Number of days to consider for inactivity (defaults to 90)
+   * @param {RequestOptions} [requestOptions] - Per-call options (retry, cache, cancellation and timeout)
    * @returns {Promise<{inactive: PaginatedManageUsers, deactivated: PaginatedManageUsers}>} A promise that resolves to both inactive and deactivated users
    * 
    * @example
@@ -617,7 +952,7 @@ export class UserClient extends BaseClient {
    * const deactivatedCount = attention.deactivated.totalCount || 0;
    * console.log(`Admin report: ${inactiveCount} inactive, ${deactivatedCount} deactivated users`);
    */
-  async getUsersNeedingAttention(inactiveDays: number = 90): Promise<{
+  async getUsersNeedingAttention(inactiveDays: number = 90, requestOptions?: RequestOptions): Promise<{
     inactive: PaginatedManageUsers,
     deactivated: PaginatedManageUsers
   }> {
@@ -630,13 +965,82 @@ export class UserClient extends BaseClient {
         lastAccessDateTo: cutoffDate,
         sort: ManageUsersSortParameter.LastAccessDate,
         order: SortOrder.Asc
-      }),
+      }, requestOptions),
       this.getDeactivatedUsers({
         sort: ManageUsersSortParameter.LastAccessDate,
         order: SortOrder.Desc
-      })
+      }, requestOptions)
     ]);
 
     return { inactive, deactivated };
   }
-}
\ No newline at end of file
+
+  /**
+   * Loader for users by ID, shared unless the call brings its own request options
+   */
+  private userLoader(requestOptions?: RequestOptions) {
+    return this.loader('users.get', (userId: number) => this.get(userId, requestOptions), requestOptions);
+  }
+}
+
+function toDate(value: Date | string, name: string): Date {
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`'${name}' is not a valid date: ${value}`);
+  }
+  return date;
+}
+
+/**
+ * Start of the UTC day, ISO week or month following the one `date` falls in
+ */
+function nextPeriodStart(date: Date, period: AnalyticsGranularity): Date {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  const day = date.getUTCDate();
+  switch (period) {
+    case 'day':
+      return new Date(Date.UTC(year, month, day + 1));
+    case 'week':
+      return new Date(Date.UTC(year, month, day + 7 - (date.getUTCDay() + 6) % 7));
+    default:
+      return new Date(Date.UTC(year, month + 1, 1));
+  }
+}
+
+/**
+ * Split a range into consecutive periods; both ends of each period are inclusive, as for the API's date filters
+ */
+function splitPeriods(from: Date, to: Date, period: AnalyticsGranularity): Array<{ start: Date; end: Date }> {
+  if (period === 'all') {
+    return [{ start: from, end: to }];
+  }
+  const ranges: Array<{ start: Date; end: Date }> = [];
+  for (let start = from; start.getTime() <= to.getTime(); start = nextPeriodStart(start, period)) {
+    const next = nextPeriodStart(start, period);
+    ranges.push({ start, end: new Date(Math.min(next.getTime() - 1, to.getTime())) });
+  }
+  return ranges;
+}
+
+function isActive(user: UserAnalyticsResponseModel): boolean {
+  return !!(user.totalQuestions || user.totalAnswers || user.totalComments);
+}
+
+function addUp(users: UserAnalyticsResponseModel[]): AnalyticsTotals {
+  const sum = (value: (user: UserAnalyticsResponseModel) => number | undefined) =>
+    users.reduce((total, user) => total + (value(user) || 0), 0);
+  const questions = sum(user => user.totalQuestions);
+  const answers = sum(user => user.totalAnswers);
+  return {
+    questions,
+    answers,
+    comments: sum(user => user.totalComments),
+    upvotesReceived: sum(user => user.totalUpvotesReceived),
+    downvotesReceived: sum(user => user.totalDownvotesReceived),
+    acceptedAnswers: sum(user => user.acceptedAnswers),
+    averageQuestionScore: questions ? sum(user => (user.averageQuestionScore || 0) * (user.totalQuestions || 0)) / questions : 0,
+    averageAnswerScore: answers ? sum(user => (user.averageAnswerScore || 0) * (user.totalAnswers || 0)) / answers : 0,
+    activeUsers: users.filter(isActive).length
+  };
+}
@@ -0,0 +1,5 @@
+import { registerBundledSpec } from './responseValidator.js';
+import type { OpenApiDocument } from './responseValidator.js';
+
+// Loaded on first validation; only the Node.js entry point imports this module, keeping the document out of browser bundles
+registerBundledSpec(() => import('../source/swagger.json').then(module => ((module as any).default || module) as OpenApiDocument));
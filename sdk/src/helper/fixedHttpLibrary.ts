@@ -1,7 +1,24 @@
 import { HttpLibrary, RequestContext, ResponseContext } from '../generated/http/http';
 import { from, Observable } from '../generated/rxjsStub';
+import { RateLimitScheduler } from './rateLimiter';
 import "whatwg-fetch";
 
+/**
+ * Options for the fixed fetch HTTP library
+ */
+export interface FixedHttpLibraryOptions {
+    /** Scheduler consulted before every request and fed with the throttle headers of every response */
+    scheduler?: RateLimitScheduler;
+}
+
+/**
+ * Content type for a response body that arrived without one: JSON when it looks like JSON, plain text otherwise
+ */
+export function inferContentType(text: string): string {
+    const trimmed = text.trim();
+    return trimmed.startsWith('{') || trimmed.startsWith('[') ? 'application/json' : 'text/plain';
+}
+
 /**
  * Fixed HTTP Library for Stack Overflow API
  * 
@@ -11,16 +28,31 @@ import "whatwg-fetch";
  * Stack Overflow APIs often return valid JSON or plain text responses without Content-Type headers,
  * which causes the auto-generated SDK's ObjectSerializer to fail. This library
  * intercepts responses and adds the appropriate Content-Type header based on content detection.
+ *
+ * When a `RateLimitScheduler` is supplied, requests wait for throttle budget before being sent.
  */
 export class FixedIsomorphicFetchHttpLibrary implements HttpLibrary {
+    private scheduler?: RateLimitScheduler;
+
+    constructor(options: FixedHttpLibraryOptions = {}) {
+        this.scheduler = options.scheduler;
+    }
+
     public send(request: RequestContext): Observable<ResponseContext> {
         let method = request.getHttpMethod().toString();
         let body = request.getBody();
+        const scheduler = this.scheduler;
         
-        const resultPromise = fetch(request.getUrl(), {
+        const headers = { ...request.getHeaders() };
+        if (typeof FormData !== 'undefined' && body instanceof FormData) {
+            // The generated multipart content type lacks the boundary; fetch adds the complete one
+            Object.keys(headers).filter(name => name.toLowerCase() === 'content-type').forEach(name => delete headers[name]);
+        }
+
+        const sendRequest = () => fetch(request.getUrl(), {
             method: method,
             body: body as any,
-            headers: request.getHeaders(),
+            headers: headers,
             signal: request.getSignal(),
             credentials: "same-origin"
         }).then(async (resp: any) => {
@@ -28,6 +60,8 @@ export class FixedIsomorphicFetchHttpLibrary implements HttpLibrary {
             resp.headers.forEach((value: string, name: string) => {
               headers[name] = value;
             });
+
+            scheduler?.update(resp.status, headers);
             
             // CORE FIX: Add Content-Type header if missing
             const hasContentType = Object.keys(headers).some(
@@ -37,15 +71,7 @@ export class FixedIsomorphicFetchHttpLibrary implements HttpLibrary {
             if (!hasContentType) {
                 // Clone response to peek at content without consuming it
                 const clonedResp = resp.clone();
-                const text = await clonedResp.text();
-                const trimmed = text.trim();
-                
-                // Detect content type based on content
-                if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
-                    headers['content-type'] = 'application/json';
-                } else {
-                    headers['content-type'] = 'text/plain';
-                }
+                headers['content-type'] = inferContentType(await clonedResp.text());
             }
             
             const body = {
@@ -55,6 +81,20 @@ export class FixedIsomorphicFetchHttpLibrary implements HttpLibrary {
             
             return new ResponseContext(resp.status, headers, body);
         });
+
+        // Hold the request until the scheduler grants a slot, and free it once the response arrives
+        const resultPromise = !scheduler ? sendRequest() : scheduler.acquire(request.getSignal()).then(() =>
+            sendRequest().then(
+                (response: ResponseContext) => {
+                    scheduler.release();
+                    return response;
+                },
+                (error: any) => {
+                    scheduler.release();
+                    throw error;
+                }
+            )
+        );
         return from<Promise<ResponseContext>>(resultPromise);
     }
 }
@@ -0,0 +1,381 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { HttpLibrary, RequestBody, RequestContext, ResponseBody, ResponseContext } from '../generated/http/http';
+import { from, Observable } from '../generated/rxjsStub';
+import { FixedIsomorphicFetchHttpLibrary } from './fixedHttpLibrary';
+
+/**
+ * Request half of a recorded interaction
+ */
+export interface RecordedRequest {
+    method: string;
+    /** Full request URL */
+    url: string;
+    headers: Record<string, string>;
+    /** Request body as text; form data is described rather than stored */
+    body?: string;
+}
+
+/**
+ * Response half of a recorded interaction
+ */
+export interface RecordedResponse {
+    status: number;
+    headers: Record<string, string>;
+    body: string;
+    /** 'base64' for binary bodies such as images */
+    bodyEncoding?: 'utf8' | 'base64';
+}
+
+export interface HttpInteraction {
+    request: RecordedRequest;
+    response: RecordedResponse;
+}
+
+/**
+ * Contents of a fixture file
+ */
+export interface HttpFixtureFile {
+    version: 1;
+    interactions: HttpInteraction[];
+}
+
+/**
+ * What to scrub from recordings before they are written
+ */
+export interface RedactionOptions {
+    /** Header names whose values are replaced (defaults to Authorization, Cookie, Set-Cookie and X-API-Key) */
+    headers?: string[];
+    /** Replace email addresses in URLs, bodies and headers with a placeholder derived from each address, e.g. `redacted-3f2a9c1b@example.com` (defaults to true) */
+    emails?: boolean;
+    /** Additional replacement applied to URLs and bodies */
+    redactText?: (text: string) => string;
+}
+
+/** Request properties compared when looking up a recorded response */
+export type MatchField = 'method' | 'path' | 'query' | 'body';
+
+/**
+ * Request matching: the fields to compare, or a predicate deciding whether a recording matches
+ */
+export type RequestMatcher = MatchField[] | ((recorded: RecordedRequest, actual: RecordedRequest) => boolean);
+
+export interface RecordingHttpLibraryOptions {
+    /** Fixture file the interactions are written to */
+    fixturePath: string;
+    /** Library sending the real requests (defaults to `FixedIsomorphicFetchHttpLibrary`) */
+    httpApi?: HttpLibrary;
+    /** Keep the interactions already in the file instead of starting afresh (defaults to false) */
+    append?: boolean;
+    redact?: RedactionOptions;
+}
+
+export interface ReplayHttpLibraryOptions {
+    /** Fixture file to serve responses from */
+    fixturePath?: string;
+    /** Interactions to serve, instead of or in addition to the fixture file */
+    interactions?: HttpInteraction[];
+    /** Request properties that must be equal (defaults to method, path, query and body) */
+    match?: RequestMatcher;
+    /** Redaction used when recording, applied to live requests so they compare equal to the recordings */
+    redact?: RedactionOptions;
+    /** Serve the last matching response again once every match has been used (defaults to true) */
+    allowRepeats?: boolean;
+}
+
+const DEFAULT_REDACTED_HEADERS = ['authorization', 'cookie', 'set-cookie', 'x-api-key'];
+const DEFAULT_MATCH: MatchField[] = ['method', 'path', 'query', 'body'];
+const REDACTED = '[REDACTED]';
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+(?:@|%40)[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g;
+
+/**
+ * No recorded response matches a request made during replay
+ */
+export class FixtureNotFoundError extends Error {
+    constructor(message: string, public readonly request: RecordedRequest) {
+        super(message);
+        this.name = 'FixtureNotFoundError';
+        // Restore the prototype chain lost when extending Error under an ES5 target, so instanceof works
+        Object.setPrototypeOf(this, new.target.prototype);
+    }
+}
+
+/**
+ * Placeholder standing for one address, so requests for different addresses keep matching different recordings
+ */
+function redactEmail(email: string): string {
+    const separator = email.indexOf('@') !== -1 ? '@' : '%40';
+    const digest = crypto.createHash('sha256').update(email.replace('%40', '@').toLowerCase()).digest('hex').slice(0, 8);
+    return `redacted-${digest}${separator}example.com`;
+}
+
+function redactText(text: string, options: RedactionOptions): string {
+    let result = options.emails === false ? text : text.replace(EMAIL_PATTERN, redactEmail);
+    if (options.redactText) {
+        result = options.redactText(result);
+    }
+    return result;
+}
+
+function redactHeaders(headers: Record<string, string>, options: RedactionOptions): Record<string, string> {
+    const secret = (options.headers || DEFAULT_REDACTED_HEADERS).map(name => name.toLowerCase());
+    const result: Record<string, string> = {};
+    Object.keys(headers).forEach(name => {
+        const value = headers[name] as string;
+        result[name] = secret.indexOf(name.toLowerCase()) !== -1 ? REDACTED : redactText(value, options);
+    });
+    return result;
+}
+
+function describeBody(body: RequestBody): string | undefined {
+    if (body === undefined || body === null) {
+        return undefined;
+    }
+    if (typeof body === 'string') {
+        return body;
+    }
+    if (typeof URLSearchParams !== 'undefined' && body instanceof URLSearchParams) {
+        return body.toString();
+    }
+    if (typeof FormData !== 'undefined' && body instanceof FormData) {
+        // File contents are left out; the description is stable enough to match on
+        const parts: string[] = [];
+        body.forEach((value, name) => {
+            parts.push(typeof value === 'string' ? `${name}=${value}` : `${name}=<${value.type || 'file'}, ${value.size} bytes>`);
+        });
+        return `multipart: ${parts.join('; ')}`;
+    }
+    return String(body);
+}
+
+/**
+ * Snapshot of a request in recorded form, with redaction applied
+ */
+function captureRequest(request: RequestContext, options: RedactionOptions): RecordedRequest {
+    const body = describeBody(request.getBody());
+    return {
+        method: request.getHttpMethod().toString(),
+        url: redactText(request.getUrl(), options),
+        headers: redactHeaders(request.getHeaders(), options),
+        body: body === undefined ? undefined : redactText(body, options),
+    };
+}
+
+function isTextContent(contentType: string | undefined): boolean {
+    return !contentType || /^text\/|json|xml|javascript|x-www-form-urlencoded/i.test(contentType);
+}
+
+function responseBody(recorded: RecordedResponse): ResponseBody {
+    const bytes = recorded.bodyEncoding === 'base64' ? Buffer.from(recorded.body, 'base64') : Buffer.from(recorded.body, 'utf8');
+    return {
+        text: () => Promise.resolve(bytes.toString('utf8')),
+        binary: () => Promise.resolve(new Blob([Uint8Array.from(bytes)], { type: recorded.headers['content-type'] || '' })),
+    };
+}
+
+function toResponse(recorded: RecordedResponse): ResponseContext {
+    return new ResponseContext(recorded.status, { ...recorded.headers }, responseBody(recorded));
+}
+
+function readFixtureFile(fixturePath: string): HttpInteraction[] {
+    const parsed = JSON.parse(fs.readFileSync(fixturePath, 'utf8')) as HttpFixtureFile;
+    if (!parsed || !Array.isArray(parsed.interactions)) {
+        throw new Error(`${fixturePath} is not an HTTP fixture file`);
+    }
+    return parsed.interactions;
+}
+
+/**
+ * Query parameters in a canonical order, so that parameter order does not affect matching
+ */
+function canonicalQuery(url: URL): string {
+    const pairs: string[] = [];
+    url.searchParams.forEach((value, name) => pairs.push(`${encodeURIComponent(name)}=${encodeURIComponent(value)}`));
+    return pairs.sort().join('&');
+}
+
+/**
+ * JSON bodies compare by value regardless of key order; anything else compares as text
+ */
+function canonicalBody(body: string | undefined): string {
+    if (body === undefined || body === '') {
+        return '';
+    }
+    const sortKeys = (value: any): any => {
+        if (Array.isArray(value)) {
+            return value.map(sortKeys);
+        }
+        if (value && typeof value === 'object') {
+            const sorted: Record<string, any> = {};
+            Object.keys(value).sort().forEach(key => {
+                sorted[key] = sortKeys(value[key]);
+            });
+            return sorted;
+        }
+        return value;
+    };
+    try {
+        return JSON.stringify(sortKeys(JSON.parse(body)));
+    } catch {
+        return body;
+    }
+}
+
+function fieldsMatch(fields: MatchField[], recorded: RecordedRequest, actual: RecordedRequest): boolean {
+    const recordedUrl = new URL(recorded.url);
+    const actualUrl = new URL(actual.url);
+    return fields.every(field => {
+        switch (field) {
+            case 'method':
+                return recorded.method.toUpperCase() === actual.method.toUpperCase();
+            case 'path':
+                return recordedUrl.pathname.replace(/\/+$/, '') === actualUrl.pathname.replace(/\/+$/, '');
+            case 'query':
+                return canonicalQuery(recordedUrl) === canonicalQuery(actualUrl);
+            case 'body':
+                return canonicalBody(recorded.body) === canonicalBody(actual.body);
+            default:
+                return true;
+        }
+    });
+}
+
+/**
+ * HTTP library recording every request/response pair it passes through to a fixture file
+ *
+ * Requests are sent with the wrapped library and the interactions are written after each
+ * response, with credentials and email addresses redacted. Replay the file with
+ * `ReplayHttpLibrary` to run the same code offline.
+ *
+ * @example
+ * ```typescript
+ * const sdk = new StackOverflowSDK({
+ *   accessToken: process.env.SO_TOKEN,
+ *   baseUrl: 'https://[your-site].stackenterprise.co',
+ *   httpApi: new RecordingHttpLibrary({ fixturePath: 'fixtures/questions.json' })
+ * });
+ * ```
+ */
+export class RecordingHttpLibrary implements HttpLibrary {
+    private readonly httpApi: HttpLibrary;
+    private readonly redaction: RedactionOptions;
+    private readonly recorded: HttpInteraction[];
+
+    constructor(private readonly options: RecordingHttpLibraryOptions) {
+        this.httpApi = options.httpApi || new FixedIsomorphicFetchHttpLibrary();
+        this.redaction = options.redact || {};
+        this.recorded = options.append && fs.existsSync(options.fixturePath) ? readFixtureFile(options.fixturePath) : [];
+    }
+
+    /**
+     * Interactions recorded so far, including those loaded when appending
+     */
+    get interactions(): HttpInteraction[] {
+        return this.recorded.slice();
+    }
+
+    public send(request: RequestContext): Observable<ResponseContext> {
+        return from<Promise<ResponseContext>>(this.record(request));
+    }
+
+    private async record(request: RequestContext): Promise<ResponseContext> {
+        const captured = captureRequest(request, this.redaction);
+        const response = await this.httpApi.send(request).toPromise();
+
+        // The body can only be read once, so hand the caller a copy built from the recorded bytes
+        const bytes = Buffer.from(await (await response.body.binary()).arrayBuffer());
+        const contentType = Object.keys(response.headers).find(name => name.toLowerCase() === 'content-type');
+        const text = isTextContent(contentType ? response.headers[contentType] : undefined);
+        const recordedResponse: RecordedResponse = {
+            status: response.httpStatusCode,
+            headers: redactHeaders(response.headers, this.redaction),
+            body: text ? redactText(bytes.toString('utf8'), this.redaction) : bytes.toString('base64'),
+            bodyEncoding: text ? 'utf8' : 'base64',
+        };
+
+        this.recorded.push({ request: captured, response: recordedResponse });
+        this.save();
+
+        const raw: RecordedResponse = { ...recordedResponse, headers: response.headers, body: bytes.toString('base64'), bodyEncoding: 'base64' };
+        return toResponse(raw);
+    }
+
+    private save(): void {
+        const file: HttpFixtureFile = { version: 1, interactions: this.recorded };
+        fs.mkdirSync(path.dirname(path.resolve(this.options.fixturePath)), { recursive: true });
+        fs.writeFileSync(this.options.fixturePath, JSON.stringify(file, null, 2) + '\n');
+    }
+}
+
+/**
+ * HTTP library answering requests from recorded interactions, without touching the network
+ *
+ * Each request is matched against the recordings on the configured fields. Identical requests
+ * receive their recorded responses in order, so a list fetched before and after a create
+ * replays both versions. Requests without a recording fail with `FixtureNotFoundError`.
+ *
+ * @example
+ * ```typescript
+ * const sdk = new StackOverflowSDK({
+ *   accessToken: 'unused-during-replay',
+ *   baseUrl: 'https://[your-site].stackenterprise.co',
+ *   httpApi: new ReplayHttpLibrary({ fixturePath: 'fixtures/questions.json', match: ['method', 'path', 'query'] })
+ * });
+ * ```
+ */
+export class ReplayHttpLibrary implements HttpLibrary {
+    private readonly interactions: HttpInteraction[];
+    private readonly used: boolean[];
+    private readonly redaction: RedactionOptions;
+
+    constructor(private readonly options: ReplayHttpLibraryOptions) {
+        this.interactions = (options.fixturePath ? readFixtureFile(options.fixturePath) : []).concat(options.interactions || []);
+        this.used = this.interactions.map(() => false);
+        this.redaction = options.redact || {};
+    }
+
+    /**
+     * Recorded interactions that have not been served yet
+     */
+    get unusedInteractions(): HttpInteraction[] {
+        return this.interactions.filter((_interaction, index) => !this.used[index]);
+    }
+
+    /**
+     * Serve every recording again from the start
+     */
+    reset(): void {
+        this.used.forEach((_used, index) => {
+            this.used[index] = false;
+        });
+    }
+
+    public send(request: RequestContext): Observable<ResponseContext> {
+        return from<Promise<ResponseContext>>(new Promise<ResponseContext>(resolve => resolve(this.replay(request))));
+    }
+
+    private replay(request: RequestContext): ResponseContext {
+        const actual = captureRequest(request, this.redaction);
+        const matcher = this.options.match || DEFAULT_MATCH;
+        const matches = (recorded: RecordedRequest) => typeof matcher === 'function' ? matcher(recorded, actual) : fieldsMatch(matcher, recorded, actual);
+
+        let lastMatch = -1;
+        for (let index = 0; index < this.interactions.length; index++) {
+            const interaction = this.interactions[index] as HttpInteraction;
+            if (!matches(interaction.request)) {
+                continue;
+            }
+            if (!this.used[index]) {
+                this.used[index] = true;
+                return toResponse(interaction.response);
+            }
+            lastMatch = index;
+        }
+
+        if (lastMatch !== -1 && this.options.allowRepeats !== false) {
+            return toResponse((this.interactions[lastMatch] as HttpInteraction).response);
+        }
+        throw new FixtureNotFoundError(`No recorded response for ${actual.method} ${actual.url}`, actual);
+    }
+}
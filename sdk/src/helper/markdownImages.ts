@@ -0,0 +1,287 @@
+import { MAX_IMAGE_BYTES } from '../client/images.js';
+import { InvalidImageError } from '../client/shared/errors.js';
+
+/**
+ * Options for uploading images that markdown bodies reference locally
+ */
+export interface LocalImageOptions {
+    /** Directory relative image paths are resolved against; only files inside it are uploaded (defaults to the working directory) */
+    baseDir?: string;
+    /** Upload images referenced by file path or `file:` URL (defaults to `true` on Node.js, `false` elsewhere) */
+    files?: boolean;
+    /** Upload images embedded as `data:` URIs (defaults to `true`) */
+    dataUris?: boolean;
+}
+
+/**
+ * Uploads image bytes and resolves to the uploaded image, e.g. `(data, name) => sdk.images.upload(data, { fileName: name })`
+ */
+export type ImageUploadFunction = (data: Uint8Array, fileName: string) => Promise<{ url?: string }>;
+
+/**
+ * Local image found in a markdown body
+ */
+export interface LocalImageReference {
+    /** The whole `![alt](target "title")` snippet */
+    markdown: string;
+    /** Position of the snippet in the body */
+    index: number;
+    /** Link target as written, without angle brackets */
+    target: string;
+    /** `file` for paths and `file:` URLs, `data` for data URIs */
+    kind: 'file' | 'data';
+}
+
+interface FoundImage extends LocalImageReference {
+    /** Position and length of the target as written, brackets included, within the snippet */
+    targetOffset: number;
+    targetLength: number;
+}
+
+// Inline code spans, or inline images: ![alt](target "title") with an optional <bracketed> target
+const INLINE_PATTERN = /(`+)[\s\S]*?\1|(!\[(?:\\.|[^\\\]])*\]\(\s*)(<[^<>\n]*>|[^\s()<>]+)((?:\s+(?:"[^"\n]*"|'[^'\n]*'|\([^()\n]*\)))?\s*\))/g;
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})/;
+const SCHEME_PATTERN = /^[a-zA-Z][a-zA-Z\d+.-]*:/;
+const WINDOWS_PATH_PATTERN = /^[a-zA-Z]:[\\/]/;
+const DATA_URI_PATTERN = /^data:([^;,]*)((?:;[^;,]*)*?)(;base64)?,([\s\S]*)$/i;
+
+const isNode = typeof process !== 'undefined' && !!process.versions && !!process.versions.node;
+
+/**
+ * Find the inline images of a markdown body that point at local files or data URIs
+ * Images inside fenced code blocks and code spans are ignored, as are remote URLs.
+ *
+ * @param markdown - Markdown body
+ * @param options - Which kinds of reference to look for
+ */
+export function findLocalImages(markdown: string, options: LocalImageOptions = {}): LocalImageReference[] {
+    return scanImages(markdown, options).map(({ markdown, index, target, kind }) => ({ markdown, index, target, kind }));
+}
+
+function scanImages(markdown: string, options: LocalImageOptions): FoundImage[] {
+    const files = options.files ?? isNode;
+    const dataUris = options.dataUris !== false;
+    const references: FoundImage[] = [];
+
+    let offset = 0;
+    let fence: string | undefined;
+    let text = '';
+    let textStart = 0;
+
+    const scan = () => {
+        INLINE_PATTERN.lastIndex = 0;
+        let match: RegExpExecArray | null;
+        while ((match = INLINE_PATTERN.exec(text)) !== null) {
+            const rawTarget = match[3];
+            if (match[1] !== undefined || rawTarget === undefined) {
+                continue;
+            }
+            const target = rawTarget.charAt(0) === '<' ? rawTarget.slice(1, -1) : rawTarget;
+            const kind = classifyTarget(target);
+            if ((kind === 'data' && dataUris) || (kind === 'file' && files)) {
+                references.push({
+                    markdown: match[0],
+                    index: textStart + match.index,
+                    target,
+                    kind,
+                    targetOffset: match[2]!.length,
+                    targetLength: rawTarget.length
+                });
+            }
+        }
+    };
+
+    markdown.split('\n').forEach(line => {
+        const fenceMatch = FENCE_PATTERN.exec(line);
+        if (fence) {
+            if (fenceMatch && fenceMatch[1]!.charAt(0) === fence.charAt(0) && fenceMatch[1]!.length >= fence.length && !line.slice(fenceMatch[0].length).trim()) {
+                fence = undefined;
+                textStart = offset + line.length + 1;
+            }
+        } else if (fenceMatch) {
+            scan();
+            fence = fenceMatch[1];
+            text = '';
+        } else {
+            text += line + '\n';
+        }
+        offset += line.length + 1;
+    });
+    if (!fence) {
+        scan();
+    }
+
+    return references;
+}
+
+function classifyTarget(target: string): LocalImageReference['kind'] | undefined {
+    if (/^data:/i.test(target)) {
+        return 'data';
+    }
+    if (/^file:/i.test(target) || WINDOWS_PATH_PATTERN.test(target)) {
+        return 'file';
+    }
+    if (SCHEME_PATTERN.test(target) || /^(\/\/|#|\?)/.test(target) || !target) {
+        return undefined;
+    }
+    return 'file';
+}
+
+/**
+ * Uploads the local images markdown bodies reference and points the references at the uploaded copies
+ *
+ * Images are identified by a SHA-256 hash of their content, so an image referenced several times
+ * or under several names in a body is uploaded once. Nothing is remembered between bodies:
+ * each upload belongs to the caller and token of the body it was made for.
+ * Only regular files inside `baseDir` that fit the API's size limit are read.
+ *
+ * @example
+ * ```typescript
+ * const uploader = new LocalImageUploader({ baseDir: './docs' });
+ * const body = await uploader.rewrite('![diagram](./arch.png)', (data, name) => sdk.images.upload(data, { fileName: name }));
+ * // '![diagram](https://[your-site].stackenterprise.co/api/v3/images/abc.png)'
+ * ```
+ */
+export class LocalImageUploader {
+    constructor(private readonly options: LocalImageOptions = {}) {}
+
+    /**
+     * Upload the local images a body references and return the body pointing at the uploaded copies
+     *
+     * @param markdown - Markdown body
+     * @param upload - Uploads image bytes, e.g. through `sdk.images.upload()`
+     * @returns The rewritten body, or the body unchanged when it references no local images
+     * @throws InvalidImageError when a file is larger than the API accepts
+     */
+    async rewrite(markdown: string, upload: ImageUploadFunction): Promise<string> {
+        const references = scanImages(markdown, this.options);
+        if (references.length === 0) {
+            return markdown;
+        }
+
+        const uploads = new Map<string, Promise<string>>();
+        const urls = await Promise.all(references.map(async reference => {
+            const image = await this.read(reference);
+            if (!image) {
+                return undefined;
+            }
+            const { data, fileName } = image;
+            const key = await sha256(data);
+            let uploaded = uploads.get(key);
+            if (!uploaded) {
+                uploaded = upload(data, fileName).then(image => {
+                    if (!image.url) {
+                        throw new Error(`Uploading image '${fileName}' returned no URL`);
+                    }
+                    return image.url;
+                });
+                uploads.set(key, uploaded);
+            }
+            return uploaded;
+        }));
+
+        // Replace from the end so earlier positions stay valid
+        let result = markdown;
+        for (let i = references.length - 1; i >= 0; i--) {
+            const reference = references[i]!;
+            const url = urls[i];
+            if (url === undefined) {
+                continue;
+            }
+            const targetStart = reference.index + reference.targetOffset;
+            result = result.slice(0, targetStart) + url + result.slice(targetStart + reference.targetLength);
+        }
+        return result;
+    }
+
+    /**
+     * Image bytes of a reference, or undefined for a root-relative path that is no file inside `baseDir`, e.g. '/images/logo.png' on the site
+     */
+    private async read(reference: LocalImageReference): Promise<{ data: Uint8Array; fileName: string } | undefined> {
+        if (reference.kind === 'data') {
+            return decodeDataUri(reference.target);
+        }
+
+        const fs = await import('fs');
+        const path = await import('path');
+        const baseDir = path.resolve(this.options.baseDir || process.cwd());
+        const rootRelative = reference.target.charAt(0) === '/';
+        let filePath: string;
+        if (/^file:/i.test(reference.target)) {
+            const url = await import('url');
+            filePath = url.fileURLToPath(reference.target);
+        } else {
+            filePath = path.resolve(baseDir, safeDecodeURI(reference.target));
+        }
+
+        const stats = await fs.promises.stat(filePath).catch(error => {
+            if (rootRelative) {
+                return undefined;
+            }
+            throw error;
+        });
+        if (!stats || !stats.isFile()) {
+            if (rootRelative) {
+                return undefined;
+            }
+            throw new Error(`Image '${reference.target}' is not a file`);
+        }
+
+        // Compare real paths, so symbolic links cannot point outside baseDir
+        const realBaseDir = await fs.promises.realpath(baseDir).catch(() => baseDir);
+        const relative = path.relative(realBaseDir, await fs.promises.realpath(filePath));
+        if (!relative || relative === '..' || relative.indexOf('..' + path.sep) === 0 || path.isAbsolute(relative)) {
+            if (rootRelative) {
+                return undefined;
+            }
+            throw new Error(`Image '${reference.target}' is outside ${realBaseDir}; only images inside baseDir are uploaded`);
+        }
+        if (stats.size > MAX_IMAGE_BYTES) {
+            throw new InvalidImageError(
+                `The image '${reference.target}' is ${stats.size} bytes; images must be ${MAX_IMAGE_BYTES / (1024 * 1024)} MiB or smaller`,
+                'images.upload',
+                'too_large',
+                stats.size
+            );
+        }
+        return { data: new Uint8Array(await fs.promises.readFile(filePath)), fileName: path.basename(filePath) };
+    }
+}
+
+function safeDecodeURI(target: string): string {
+    try {
+        return decodeURI(target);
+    } catch (error) {
+        return target;
+    }
+}
+
+function decodeDataUri(uri: string): { data: Uint8Array; fileName: string } {
+    const match = DATA_URI_PATTERN.exec(uri);
+    if (!match) {
+        throw new Error('Malformed data URI in markdown image');
+    }
+    const contentType = (match[1] || '').toLowerCase();
+    const payload = match[4] || '';
+    const extension = /^image\/([a-z]+)/.exec(contentType)?.[1]?.replace('jpeg', 'jpg') || 'img';
+    let data: Uint8Array;
+    if (match[3]) {
+        const base64 = payload.replace(/\s+/g, '');
+        data = typeof Buffer !== 'undefined'
+            ? new Uint8Array(Buffer.from(base64, 'base64'))
+            : Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+    } else {
+        data = new TextEncoder().encode(decodeURIComponent(payload));
+    }
+    return { data, fileName: `image.${extension}` };
+}
+
+async function sha256(data: Uint8Array): Promise<string> {
+    const subtle = typeof crypto !== 'undefined' ? crypto.subtle : undefined;
+    if (subtle) {
+        const digest = new Uint8Array(await subtle.digest('SHA-256', data));
+        return Array.prototype.map.call(digest, (byte: number) => ('0' + byte.toString(16)).slice(-2)).join('');
+    }
+    const nodeCrypto = await import('crypto');
+    return nodeCrypto.createHash('sha256').update(data).digest('hex');
+}
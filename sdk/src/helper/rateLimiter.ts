@@ -0,0 +1,304 @@
+import { HttpLibrary, RequestContext, ResponseContext } from '../generated/http/http';
+import { from, Observable } from '../generated/rxjsStub';
+
+/**
+ * Options for the client-side rate-limit scheduler
+ */
+export interface RateLimitOptions {
+    /** Maximum number of requests in flight at once across every client of an SDK instance (defaults to 10) */
+    maxConcurrent?: number;
+    /** Burst calls to keep in reserve before holding requests back (defaults to 1) */
+    burstReserve?: number;
+    /** Token bucket calls to keep in reserve before holding requests back (defaults to 1) */
+    tokenBucketReserve?: number;
+}
+
+/**
+ * Snapshot of the rate-limit budget as last reported by the API, adjusted for requests sent since
+ */
+export interface RateLimitStatus {
+    /** Calls left in the current burst window (`x-burst-throttle-calls-left`) */
+    burstCallsLeft?: number;
+    /** Seconds until the burst window is full again (`x-burst-throttle-seconds-until-full`) */
+    burstSecondsUntilFull?: number;
+    /** Tokens left in the bucket (`x-token-bucket-calls-left`) */
+    tokenBucketCallsLeft?: number;
+    /** Seconds until the token bucket is full again (`x-token-bucket-seconds-until-full`) */
+    tokenBucketSecondsUntilFull?: number;
+    /** Seconds until the next batch of tokens is added (`x-token-bucket-seconds-until-next-refill`) */
+    tokenBucketSecondsUntilNextRefill?: number;
+    /** Requests currently being sent */
+    inFlight: number;
+    /** Requests waiting for budget or a concurrency slot */
+    queued: number;
+    /** When the API last reported throttle headers */
+    updatedAt?: Date;
+}
+
+interface QueuedRequest {
+    resolve: () => void;
+    reject: (reason: any) => void;
+    signal?: AbortSignal;
+    onAbort?: () => void;
+}
+
+const DEFAULT_MAX_CONCURRENT = 10;
+
+function readNumberHeader(headers: Record<string, string>, name: string): number | undefined {
+    const value = headers[name] ?? headers[name.toLowerCase()];
+    if (value === undefined || value === '') {
+        return undefined;
+    }
+    const parsed = Number(value);
+    return isNaN(parsed) ? undefined : parsed;
+}
+
+/**
+ * Shared request scheduler driven by the API's throttle headers
+ *
+ * Every outgoing request waits for a slot from `acquire()`. The scheduler keeps track of the
+ * burst and token bucket budgets reported by the last response, decrements them locally as
+ * requests are sent, and delays requests until the relevant window refills when a budget runs out.
+ * A global concurrency cap applies on top of that.
+ *
+ * @example
+ * ```typescript
+ * const scheduler = new RateLimitScheduler({ maxConcurrent: 5 });
+ * const httpApi = new FixedIsomorphicFetchHttpLibrary({ scheduler });
+ * ```
+ */
+export class RateLimitScheduler {
+    private readonly maxConcurrent: number;
+    private readonly burstReserve: number;
+    private readonly tokenBucketReserve: number;
+
+    private queue: QueuedRequest[] = [];
+    private inFlight = 0;
+    private timer?: ReturnType<typeof setTimeout>;
+
+    private burstCallsLeft?: number;
+    private burstFullAt?: number;
+    private tokenBucketCallsLeft?: number;
+    private tokenBucketFullAt?: number;
+    private tokenBucketRefillAt?: number;
+    private blockedUntil?: number;
+    private updatedAt?: number;
+
+    constructor(options: RateLimitOptions = {}) {
+        this.maxConcurrent = Math.max(1, options.maxConcurrent ?? DEFAULT_MAX_CONCURRENT);
+        this.burstReserve = Math.max(0, options.burstReserve ?? 1);
+        this.tokenBucketReserve = Math.max(0, options.tokenBucketReserve ?? 1);
+    }
+
+    /**
+     * Wait until a request may be sent
+     * Resolves once budget and a concurrency slot are available; call `release()` when the request completes
+     *
+     * @param signal - Optional abort signal; aborting while queued rejects with the signal's reason
+     */
+    acquire(signal?: AbortSignal): Promise<void> {
+        return new Promise<void>((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(signal.reason ?? new Error('The operation was aborted'));
+                return;
+            }
+
+            const entry: QueuedRequest = { resolve, reject, signal };
+
+            if (signal) {
+                entry.onAbort = () => {
+                    const index = this.queue.indexOf(entry);
+                    if (index !== -1) {
+                        this.queue.splice(index, 1);
+                        reject(signal.reason ?? new Error('The operation was aborted'));
+                    }
+                };
+                signal.addEventListener('abort', entry.onAbort);
+            }
+
+            this.queue.push(entry);
+            this.drain();
+        });
+    }
+
+    /**
+     * Free the concurrency slot taken by `acquire()`
+     */
+    release(): void {
+        this.inFlight = Math.max(0, this.inFlight - 1);
+        this.drain();
+    }
+
+    /**
+     * Update the known budget from a response's status and headers
+     */
+    update(statusCode: number, headers: Record<string, string>): void {
+        const now = Date.now();
+        // Other requests still in flight were sent after the server computed these values
+        const pending = Math.max(0, this.inFlight - 1);
+
+        const burstLeft = readNumberHeader(headers, 'x-burst-throttle-calls-left');
+        const burstSeconds = readNumberHeader(headers, 'x-burst-throttle-seconds-until-full');
+        const tokensLeft = readNumberHeader(headers, 'x-token-bucket-calls-left');
+        const tokensSecondsUntilFull = readNumberHeader(headers, 'x-token-bucket-seconds-until-full');
+        const tokensSecondsUntilRefill = readNumberHeader(headers, 'x-token-bucket-seconds-until-next-refill');
+
+        if (burstLeft !== undefined) {
+            this.burstCallsLeft = Math.max(0, burstLeft - pending);
+            this.updatedAt = now;
+        }
+        if (burstSeconds !== undefined) {
+            this.burstFullAt = now + burstSeconds * 1000;
+        }
+        if (tokensLeft !== undefined) {
+            this.tokenBucketCallsLeft = Math.max(0, tokensLeft - pending);
+            this.updatedAt = now;
+        }
+        if (tokensSecondsUntilFull !== undefined) {
+            this.tokenBucketFullAt = now + tokensSecondsUntilFull * 1000;
+        }
+        if (tokensSecondsUntilRefill !== undefined) {
+            this.tokenBucketRefillAt = now + tokensSecondsUntilRefill * 1000;
+        }
+
+        if (statusCode === 429) {
+            const retryAfter = readNumberHeader(headers, 'retry-after');
+            const waitSeconds = retryAfter ?? burstSeconds ?? tokensSecondsUntilRefill ?? 1;
+            this.blockedUntil = Math.max(this.blockedUntil ?? 0, now + waitSeconds * 1000);
+        }
+
+        this.drain();
+    }
+
+    /**
+     * Current budget as known to the scheduler
+     */
+    getStatus(): RateLimitStatus {
+        const now = Date.now();
+        this.expireWindows(now);
+
+        const secondsUntil = (timestamp?: number) =>
+            timestamp === undefined ? undefined : Math.max(0, Math.ceil((timestamp - now) / 1000));
+
+        return {
+            burstCallsLeft: this.burstCallsLeft,
+            burstSecondsUntilFull: secondsUntil(this.burstFullAt),
+            tokenBucketCallsLeft: this.tokenBucketCallsLeft,
+            tokenBucketSecondsUntilFull: secondsUntil(this.tokenBucketFullAt),
+            tokenBucketSecondsUntilNextRefill: secondsUntil(this.tokenBucketRefillAt),
+            inFlight: this.inFlight,
+            queued: this.queue.length,
+            updatedAt: this.updatedAt !== undefined ? new Date(this.updatedAt) : undefined,
+        };
+    }
+
+    /**
+     * Forget budgets whose windows have elapsed; the next response reports fresh values
+     */
+    private expireWindows(now: number): void {
+        if (this.burstFullAt !== undefined && now >= this.burstFullAt) {
+            this.burstCallsLeft = undefined;
+            this.burstFullAt = undefined;
+        }
+        if (this.tokenBucketRefillAt !== undefined && now >= this.tokenBucketRefillAt) {
+            this.tokenBucketCallsLeft = undefined;
+            this.tokenBucketRefillAt = undefined;
+        }
+        if (this.tokenBucketFullAt !== undefined && now >= this.tokenBucketFullAt) {
+            this.tokenBucketFullAt = undefined;
+        }
+        if (this.blockedUntil !== undefined && now >= this.blockedUntil) {
+            this.blockedUntil = undefined;
+        }
+    }
+
+    /**
+     * Milliseconds to wait before the next request may be sent, or undefined if it may go now
+     */
+    private delayBeforeNext(now: number): number | undefined {
+        this.expireWindows(now);
+
+        const waits: number[] = [];
+
+        if (this.blockedUntil !== undefined) {
+            waits.push(this.blockedUntil - now);
+        }
+        if (this.burstCallsLeft !== undefined && this.burstCallsLeft <= this.burstReserve && this.burstFullAt !== undefined) {
+            waits.push(this.burstFullAt - now);
+        }
+        if (this.tokenBucketCallsLeft !== undefined && this.tokenBucketCallsLeft <= this.tokenBucketReserve && this.tokenBucketRefillAt !== undefined) {
+            waits.push(this.tokenBucketRefillAt - now);
+        }
+
+        return waits.length > 0 ? Math.max(...waits) : undefined;
+    }
+
+    private drain(): void {
+        if (this.timer !== undefined) {
+            clearTimeout(this.timer);
+            this.timer = undefined;
+        }
+
+        while (this.queue.length > 0 && this.inFlight < this.maxConcurrent) {
+            const wait = this.delayBeforeNext(Date.now());
+            if (wait !== undefined && wait > 0) {
+                this.timer = setTimeout(() => {
+                    this.timer = undefined;
+                    this.drain();
+                }, wait);
+                return;
+            }
+
+            const entry = this.queue.shift()!;
+            if (entry.signal && entry.onAbort) {
+                entry.signal.removeEventListener('abort', entry.onAbort);
+            }
+
+            this.inFlight++;
+            if (this.burstCallsLeft !== undefined) {
+                this.burstCallsLeft = Math.max(0, this.burstCallsLeft - 1);
+            }
+            if (this.tokenBucketCallsLeft !== undefined) {
+                this.tokenBucketCallsLeft = Math.max(0, this.tokenBucketCallsLeft - 1);
+            }
+
+            entry.resolve();
+        }
+    }
+}
+
+/**
+ * HTTP library holding every request of another library until the scheduler grants a slot
+ *
+ * The SDK wraps the configured `httpApi` in this so that custom transports share the throttle
+ * budget with the default one.
+ *
+ * @example
+ * ```typescript
+ * const scheduler = new RateLimitScheduler();
+ * const httpApi = new ScheduledHttpLibrary(new NodeHttpLibrary({ userAgent: 'my-app/1.0' }), scheduler);
+ * ```
+ */
+export class ScheduledHttpLibrary implements HttpLibrary {
+    constructor(private readonly httpApi: HttpLibrary, private readonly scheduler: RateLimitScheduler) {}
+
+    public send(request: RequestContext): Observable<ResponseContext> {
+        const scheduler = this.scheduler;
+        const resultPromise = scheduler.acquire(request.getSignal()).then(() =>
+            this.httpApi.send(request).toPromise().then(
+                (response: ResponseContext) => {
+                    scheduler.update(response.httpStatusCode, response.headers);
+                    scheduler.release();
+                    return response;
+                },
+                (error: any) => {
+                    scheduler.release();
+                    throw error;
+                }
+            )
+        );
+        return from<Promise<ResponseContext>>(resultPromise);
+    }
+}
+
+export default RateLimitScheduler;
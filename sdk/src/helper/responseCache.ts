@@ -0,0 +1,254 @@
+import { HttpLibrary, HttpMethod, RequestContext, ResponseContext, ResponseBody } from '../generated/http/http';
+import { from, Observable } from '../generated/rxjsStub';
+
+/**
+ * Raw HTTP response as kept in a cache store
+ * Entries are plain JSON-serializable objects so they can live in external stores.
+ */
+export interface CachedResponse {
+    /** Full request URL the response belongs to */
+    url: string;
+    /** Fingerprint of the credentials the response was fetched with */
+    identity: string;
+    /** Response headers (lower-case names) */
+    headers: Record<string, string>;
+    /** Undecoded response body */
+    body: string;
+    /** Epoch milliseconds after which the entry must be revalidated */
+    expiresAt: number;
+}
+
+/**
+ * Storage backend for cached responses
+ * Methods may return promises so that shared stores such as Redis can be plugged in.
+ */
+export interface CacheStore {
+    get(key: string): CachedResponse | undefined | Promise<CachedResponse | undefined>;
+    set(key: string, value: CachedResponse): void | Promise<void>;
+    delete(key: string): void | Promise<void>;
+    keys(): string[] | Promise<string[]>;
+    clear(): void | Promise<void>;
+}
+
+/**
+ * Options for the response cache
+ */
+export interface CacheOptions {
+    /** Where entries are kept (defaults to a `MemoryCacheStore`) */
+    store?: CacheStore;
+    /** Time-to-live for cached operations in milliseconds (defaults to 60000) */
+    ttlMs?: number;
+    /** Per-operation TTL overrides keyed by operation name such as `'tags.getAll'`; `false` or `0` disables caching for it */
+    operations?: Record<string, number | false>;
+}
+
+/**
+ * How a single call interacts with the cache, as declared by the client method
+ */
+export interface CacheDirective {
+    /** Operation name used for TTL lookup, e.g. `'questions.get'` */
+    operation?: string;
+    /** Key to read and store the response under; only set for cacheable reads */
+    key?: string;
+    /** Keys (or prefixes ending with `*`) to evict once a mutation succeeds */
+    invalidates?: string[];
+    /** Skip the cache lookup but still store the fresh response */
+    refresh?: boolean;
+}
+
+const DEFAULT_TTL_MS = 60000;
+const DEFAULT_MAX_ENTRIES = 500;
+
+/**
+ * In-memory cache store with least-recently-used eviction
+ */
+export class MemoryCacheStore implements CacheStore {
+    private entries = new Map<string, CachedResponse>();
+    private readonly maxEntries: number;
+
+    /**
+     * @param maxEntries - Entries kept before the least recently used ones are dropped (defaults to 500)
+     */
+    constructor(maxEntries: number = DEFAULT_MAX_ENTRIES) {
+        this.maxEntries = Math.max(1, maxEntries);
+    }
+
+    get(key: string): CachedResponse | undefined {
+        const entry = this.entries.get(key);
+        if (entry) {
+            // Re-insert to mark as most recently used
+            this.entries.delete(key);
+            this.entries.set(key, entry);
+        }
+        return entry;
+    }
+
+    set(key: string, value: CachedResponse): void {
+        this.entries.delete(key);
+        this.entries.set(key, value);
+
+        while (this.entries.size > this.maxEntries) {
+            const oldest = this.entries.keys().next().value;
+            if (oldest === undefined) {
+                break;
+            }
+            this.entries.delete(oldest);
+        }
+    }
+
+    delete(key: string): void {
+        this.entries.delete(key);
+    }
+
+    keys(): string[] {
+        const keys: string[] = [];
+        this.entries.forEach((_value, key) => keys.push(key));
+        return keys;
+    }
+
+    clear(): void {
+        this.entries.clear();
+    }
+}
+
+/**
+ * Cheap non-cryptographic fingerprint so credentials never end up in the store
+ */
+function fingerprint(value: string): string {
+    let h1 = 0x811c9dc5;
+    let h2 = 0x01000193;
+    for (let i = 0; i < value.length; i++) {
+        const c = value.charCodeAt(i);
+        h1 = Math.imul(h1 ^ c, 16777619) >>> 0;
+        h2 = Math.imul(h2 ^ c, 2246822519) >>> 0;
+    }
+    return ('0000000' + h1.toString(16)).slice(-8) + ('0000000' + h2.toString(16)).slice(-8);
+}
+
+function textBody(text: string): ResponseBody {
+    return {
+        text: () => Promise.resolve(text),
+        binary: () => Promise.resolve(new Blob([text])),
+    };
+}
+
+function toResponse(entry: CachedResponse): ResponseContext {
+    return new ResponseContext(200, { ...entry.headers }, textBody(entry.body));
+}
+
+/**
+ * Response cache for read endpoints, shared by every client of an SDK instance
+ *
+ * Successful GET responses are stored as raw HTTP bodies under keys built from the client
+ * scope (main site or team), the operation name and its arguments. Fresh entries are served
+ * without a request; expired entries that carry an `ETag` are revalidated with `If-None-Match`.
+ * Entries are kept per access token and only reused for the same URL and credentials.
+ *
+ * @example
+ * ```typescript
+ * const sdk = new StackOverflowSDK({
+ *   accessToken: 'your-token',
+ *   baseUrl: 'https://[your-site].stackenterprise.co',
+ *   cache: { ttlMs: 30000, operations: { 'tags.getAll': 300000 } }
+ * });
+ *
+ * await sdk.cache?.invalidate('main|tags.*');
+ * ```
+ */
+export class ResponseCache {
+    private readonly store: CacheStore;
+    private readonly ttlMs: number;
+    private readonly operations: Record<string, number | false>;
+
+    constructor(private readonly httpApi: HttpLibrary, options: CacheOptions = {}) {
+        this.store = options.store || new MemoryCacheStore();
+        this.ttlMs = options.ttlMs ?? DEFAULT_TTL_MS;
+        this.operations = options.operations || {};
+    }
+
+    /**
+     * Time-to-live for an operation, or 0 when it is not cached
+     */
+    ttlFor(operation: string): number {
+        const ttl = operation in this.operations ? this.operations[operation] : this.ttlMs;
+        return ttl ? Math.max(0, ttl) : 0;
+    }
+
+    /**
+     * Evict entries by exact key, or by prefix when the pattern ends with `*`
+     *
+     * Keys look like `main|questions.get(123)` or `team:my-team|tags.getAll({"page":2})`; an exact key
+     * evicts the entries of every access token.
+     */
+    async invalidate(pattern: string): Promise<void> {
+        const keys = await this.store.keys();
+        const matches = pattern.endsWith('*')
+            ? (key: string) => key.startsWith(pattern.slice(0, -1))
+            : (key: string) => key === pattern || key.startsWith(`${pattern}#`);
+        await Promise.all(keys.filter(matches).map(key => this.store.delete(key)));
+    }
+
+    /**
+     * Remove every cached entry
+     */
+    async clear(): Promise<void> {
+        await this.store.clear();
+    }
+
+    /**
+     * HTTP library applying the given directive to a single call
+     */
+    forCall(directive: CacheDirective): HttpLibrary {
+        return {
+            send: (request: RequestContext): Observable<ResponseContext> => from<Promise<ResponseContext>>(this.send(request, directive)),
+        };
+    }
+
+    private async send(request: RequestContext, directive: CacheDirective): Promise<ResponseContext> {
+        const ttl = directive.operation ? this.ttlFor(directive.operation) : 0;
+        const cacheable = !!directive.key && ttl > 0 && request.getHttpMethod() === HttpMethod.GET;
+
+        if (!cacheable) {
+            const response = await this.httpApi.send(request).toPromise();
+            if (directive.invalidates && response.httpStatusCode >= 200 && response.httpStatusCode < 300) {
+                await Promise.all(directive.invalidates.map(pattern => this.invalidate(pattern)));
+            }
+            return response;
+        }
+
+        const url = request.getUrl();
+        const identity = fingerprint(request.getHeaders()['Authorization'] || '');
+        // Each access token gets its own entry, so users sharing the cache do not evict each other's responses
+        const key = `${directive.key as string}#${identity}`;
+        const stored = await this.store.get(key);
+        const entry = stored && stored.url === url && stored.identity === identity ? stored : undefined;
+
+        if (entry && !directive.refresh && Date.now() < entry.expiresAt) {
+            return toResponse(entry);
+        }
+
+        const etag = entry?.headers['etag'];
+        if (etag) {
+            request.setHeaderParam('If-None-Match', etag);
+        }
+
+        const response = await this.httpApi.send(request).toPromise();
+
+        if (response.httpStatusCode === 304 && entry) {
+            const refreshed = { ...entry, expiresAt: Date.now() + ttl };
+            await this.store.set(key, refreshed);
+            return toResponse(refreshed);
+        }
+
+        if (response.httpStatusCode !== 200 || /no-store/i.test(response.headers['cache-control'] || '')) {
+            return response;
+        }
+
+        // The body can only be read once, so hand the caller a copy built from the stored text
+        const body = await response.body.text();
+        await this.store.set(key, { url, identity, headers: response.headers, body, expiresAt: Date.now() + ttl });
+        return new ResponseContext(response.httpStatusCode, response.headers, textBody(body));
+    }
+}
+
+export default ResponseCache;
@@ -0,0 +1,369 @@
+/**
+ * Subset of an OpenAPI 3.0 schema object understood by the response validator
+ */
+export interface SchemaObject {
+    $ref?: string;
+    type?: string;
+    format?: string;
+    nullable?: boolean;
+    enum?: unknown[];
+    properties?: { [name: string]: SchemaObject };
+    /** Properties that must be present */
+    required?: string[];
+    additionalProperties?: boolean | SchemaObject;
+    items?: SchemaObject;
+    allOf?: SchemaObject[];
+    oneOf?: SchemaObject[];
+    anyOf?: SchemaObject[];
+}
+
+/**
+ * Subset of an OpenAPI 3.0 document understood by the response validator
+ */
+export interface OpenApiDocument {
+    paths: {
+        [path: string]: {
+            [method: string]: {
+                responses?: {
+                    [status: string]: {
+                        content?: { [mediaType: string]: { schema?: SchemaObject } };
+                    };
+                };
+            };
+        };
+    };
+    components?: {
+        schemas?: { [name: string]: SchemaObject };
+    };
+}
+
+/**
+ * Options for validating API responses against the OpenAPI schemas
+ */
+export interface StrictResponseOptions {
+    /** `'error'` rejects the call with `SchemaMismatchError`, `'warn'` logs the mismatch and returns the response (defaults to `'error'`) */
+    mode?: 'error' | 'warn';
+    /** Version of your Stack Overflow instance, reported with every mismatch, e.g. `'2024.3'` */
+    serverVersion?: string;
+    /** Accept responses that leave out properties the schema lists as `required` (defaults to false) */
+    allowMissing?: boolean;
+    /** Accept properties the schema does not declare, e.g. fields added by newer servers (defaults to true) */
+    allowAdditional?: boolean;
+    /** OpenAPI document to validate against (defaults to the `swagger.json` the SDK was generated from; required in the browser build, which leaves it out) */
+    spec?: OpenApiDocument;
+}
+
+/**
+ * A single place where a response differs from its schema
+ */
+export interface SchemaViolation {
+    /** JSON path of the offending value, e.g. `$.items[3].owner.reputation` */
+    path: string;
+    /** What the schema allows, e.g. `integer`, `one of asc, desc` or `no property` */
+    expected: string;
+    /** What the response contained, e.g. `null`, `string "12"` or `missing` */
+    actual: string;
+    /** Component schema declaring the value, e.g. `UserSummaryResponseModel` */
+    schema?: string;
+}
+
+/**
+ * Outcome of validating one response that did not match its schema
+ */
+export interface ResponseValidationResult {
+    /** Method and path template of the endpoint, e.g. `GET /questions/{questionId}` */
+    endpoint: string;
+    /** Component schema of the response body, when it is a named schema */
+    schema?: string;
+    /** Every mismatch found, in document order */
+    violations: SchemaViolation[];
+}
+
+interface CompiledRoute {
+    template: string;
+    pattern: RegExp;
+    segments: number;
+    literals: number;
+}
+
+const JSON_MEDIA_TYPES = ['application/json', 'text/json'];
+const REF_PREFIX = '#/components/schemas/';
+
+let bundledSpecLoader: (() => Promise<OpenApiDocument>) | undefined;
+let bundledSpec: Promise<OpenApiDocument> | undefined;
+
+/**
+ * Make the `swagger.json` the SDK was generated from the default document
+ * Called by `./bundledSpec.js`, which the Node.js entry point loads, so browser bundles never include the document.
+ */
+export function registerBundledSpec(load: () => Promise<OpenApiDocument>): void {
+    bundledSpecLoader = load;
+}
+
+/**
+ * The OpenAPI document the SDK was generated from, loaded on first use
+ */
+function loadBundledSpec(): Promise<OpenApiDocument> {
+    if (!bundledSpec) {
+        bundledSpec = bundledSpecLoader!();
+    }
+    return bundledSpec;
+}
+
+function compileRoute(template: string): CompiledRoute {
+    const parts = template.split('/').filter(Boolean);
+    const source = parts
+        .map(part => /^\{[^}]+\}$/.test(part) ? '[^/]+' : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('/');
+    return {
+        template,
+        // Anything may precede the template, such as the `/api/v3` base path
+        pattern: new RegExp(`(?:^|/)${source}/?$`),
+        segments: parts.length,
+        literals: parts.filter(part => part.charAt(0) !== '{').length,
+    };
+}
+
+function propertyPath(path: string, name: string): string {
+    return /^[A-Za-z_$][\w$]*$/.test(name) ? `${path}.${name}` : `${path}[${JSON.stringify(name)}]`;
+}
+
+function describeValue(value: unknown): string {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (typeof value === 'string') {
+        return `string ${JSON.stringify(value.length > 40 ? `${value.slice(0, 40)}...` : value)}`;
+    }
+    if (typeof value === 'number' || typeof value === 'boolean') {
+        return `${typeof value} ${value}`;
+    }
+    return typeof value;
+}
+
+function describeSchema(schema: SchemaObject): string {
+    if (schema.$ref) {
+        return schema.$ref.slice(REF_PREFIX.length);
+    }
+    if (schema.enum) {
+        return `one of ${schema.enum.join(', ')}`;
+    }
+    return schema.format ? `${schema.type || 'value'} (${schema.format})` : schema.type || 'value';
+}
+
+/**
+ * Validates response bodies against the component schemas of the OpenAPI document
+ *
+ * Responses are matched to an endpoint by method and URL path; the base path in front of the
+ * path template (e.g. `/api/v3`) is ignored. Only successful JSON responses are checked.
+ *
+ * @example
+ * ```typescript
+ * const validator = new ResponseValidator({ serverVersion: '2024.3' });
+ * const result = await validator.validate('GET', 'https://acme.stackenterprise.co/api/v3/questions/1', 200, body);
+ * result?.violations.forEach(v => console.warn(`${v.path}: expected ${v.expected}, got ${v.actual}`));
+ * ```
+ */
+export class ResponseValidator {
+    private readonly options: StrictResponseOptions;
+    private routes?: CompiledRoute[];
+    private document?: OpenApiDocument;
+
+    /**
+     * @throws Error when no `spec` is given and the bundled document is not available, e.g. in the browser build
+     */
+    constructor(options: StrictResponseOptions = {}) {
+        if (!options.spec && !bundledSpecLoader) {
+            throw new Error('The browser build does not include the OpenAPI document: pass it as strictResponses.spec');
+        }
+        this.options = options;
+    }
+
+    get mode(): 'error' | 'warn' {
+        return this.options.mode || 'error';
+    }
+
+    get serverVersion(): string | undefined {
+        return this.options.serverVersion;
+    }
+
+    /**
+     * Validate a parsed response body
+     *
+     * @returns The mismatches found, or undefined when the body matches or no schema describes the response
+     */
+    async validate(method: string, url: string, status: number, body: unknown): Promise<ResponseValidationResult | undefined> {
+        if (status < 200 || status >= 300) {
+            return undefined;
+        }
+
+        const document = this.document || (this.document = this.options.spec || await loadBundledSpec());
+        const route = this.findRoute(document, new URL(url, 'http://localhost').pathname);
+        const operation = route ? document.paths[route.template]?.[method.toLowerCase()] : undefined;
+        const response = operation?.responses?.[String(status)] || operation?.responses?.['default'];
+        const mediaType = JSON_MEDIA_TYPES.filter(type => response?.content?.[type]?.schema)[0];
+        const schema = mediaType ? response?.content?.[mediaType]?.schema : undefined;
+        if (!route || !schema) {
+            return undefined;
+        }
+
+        const violations: SchemaViolation[] = [];
+        this.check(document, schema, body, '$', undefined, violations);
+        if (violations.length === 0) {
+            return undefined;
+        }
+        return {
+            endpoint: `${method.toUpperCase()} ${route.template}`,
+            schema: schema.$ref ? schema.$ref.slice(REF_PREFIX.length) : undefined,
+            violations,
+        };
+    }
+
+    /**
+     * Summary of a validation result for error messages and logs
+     *
+     * @param operation - Operation that received the response, e.g. 'questions.get'
+     */
+    describe(result: ResponseValidationResult, operation: string): string {
+        const first = result.violations[0] as SchemaViolation;
+        const more = result.violations.length > 1 ? ` (and ${result.violations.length - 1} more)` : '';
+        const declaredBy = first.schema ? ` in ${first.schema}` : '';
+        const server = this.serverVersion ? ` [server ${this.serverVersion}]` : '';
+        return `Response of ${operation} (${result.endpoint}) does not match the API schema: ${first.path}${declaredBy} expected ${first.expected} but got ${first.actual}${more}${server}`;
+    }
+
+    /**
+     * Most specific path template matching the URL path: longest first, then the one with the most literal segments
+     */
+    private findRoute(document: OpenApiDocument, pathname: string): CompiledRoute | undefined {
+        if (!this.routes) {
+            this.routes = Object.keys(document.paths)
+                .map(compileRoute)
+                .sort((a, b) => b.segments - a.segments || b.literals - a.literals);
+        }
+        const path = pathname.replace(/\/+$/, '');
+        return this.routes.filter(route => route.pattern.test(path))[0];
+    }
+
+    private check(document: OpenApiDocument, schema: SchemaObject, value: unknown, path: string, schemaName: string | undefined, violations: SchemaViolation[]): void {
+        if (value === null) {
+            if (!this.isNullable(document, schema)) {
+                violations.push({ path, expected: describeSchema(schema), actual: 'null', schema: schemaName });
+            }
+            return;
+        }
+
+        if (schema.$ref) {
+            const name = schema.$ref.slice(REF_PREFIX.length);
+            const target = document.components?.schemas?.[name];
+            if (target) {
+                this.check(document, target, value, path, name, violations);
+            }
+            return;
+        }
+
+        if (schema.allOf) {
+            schema.allOf.forEach(part => this.check(document, part, value, path, schemaName, violations));
+        }
+
+        const alternatives = schema.oneOf || schema.anyOf;
+        if (alternatives) {
+            const matches = alternatives.some(alternative => {
+                const attempt: SchemaViolation[] = [];
+                this.check(document, alternative, value, path, schemaName, attempt);
+                return attempt.length === 0;
+            });
+            if (!matches) {
+                violations.push({ path, expected: `one of ${alternatives.map(describeSchema).join(', ')}`, actual: describeValue(value), schema: schemaName });
+            }
+            return;
+        }
+
+        if (schema.enum && schema.enum.indexOf(value) === -1) {
+            violations.push({ path, expected: describeSchema(schema), actual: describeValue(value), schema: schemaName });
+            return;
+        }
+
+        if (!schema.type || this.hasType(schema, value)) {
+            if (Array.isArray(value) && schema.items) {
+                const items = schema.items;
+                value.forEach((item, index) => this.check(document, items, item, `${path}[${index}]`, schemaName, violations));
+            } else if (typeof value === 'object' && !Array.isArray(value)) {
+                this.checkProperties(document, schema, value as Record<string, unknown>, path, schemaName, violations);
+            }
+            return;
+        }
+
+        violations.push({ path, expected: describeSchema(schema), actual: describeValue(value), schema: schemaName });
+    }
+
+    private checkProperties(document: OpenApiDocument, schema: SchemaObject, value: Record<string, unknown>, path: string, schemaName: string | undefined, violations: SchemaViolation[]): void {
+        const properties = schema.properties || {};
+        const required = schema.required || [];
+        Object.keys(properties).forEach(name => {
+            const propertySchema = properties[name] as SchemaObject;
+            if (!Object.prototype.hasOwnProperty.call(value, name)) {
+                // Properties the schema does not require may be left out
+                if (required.indexOf(name) !== -1 && !this.options.allowMissing) {
+                    violations.push({ path: propertyPath(path, name), expected: describeSchema(propertySchema), actual: 'missing', schema: schemaName });
+                }
+                return;
+            }
+            this.check(document, propertySchema, value[name], propertyPath(path, name), schemaName, violations);
+        });
+
+        if (schema.additionalProperties === false && this.options.allowAdditional === false) {
+            Object.keys(value)
+                .filter(name => !Object.prototype.hasOwnProperty.call(properties, name))
+                .forEach(name => violations.push({ path: propertyPath(path, name), expected: 'no property', actual: describeValue(value[name]), schema: schemaName }));
+        }
+    }
+
+    private hasType(schema: SchemaObject, value: unknown): boolean {
+        switch (schema.type) {
+            case 'integer':
+                return typeof value === 'number' && isFinite(value) && Math.floor(value) === value;
+            case 'number':
+                return typeof value === 'number' && isFinite(value);
+            case 'string':
+                return typeof value === 'string' && (schema.format !== 'date-time' || !isNaN(Date.parse(value)));
+            case 'boolean':
+                return typeof value === 'boolean';
+            case 'array':
+                return Array.isArray(value);
+            case 'object':
+                return typeof value === 'object' && !Array.isArray(value);
+            default:
+                return true;
+        }
+    }
+
+    private isNullable(document: OpenApiDocument, schema: SchemaObject): boolean {
+        if (schema.nullable) {
+            return true;
+        }
+        if (!schema.type && !schema.$ref && !schema.enum && !schema.allOf && !schema.oneOf && !schema.anyOf) {
+            // An empty schema accepts any value
+            return true;
+        }
+        if (schema.allOf) {
+            return schema.allOf.every(part => this.isNullable(document, part));
+        }
+        const alternatives = schema.oneOf || schema.anyOf;
+        if (alternatives) {
+            return alternatives.some(alternative => this.isNullable(document, alternative));
+        }
+        if (schema.$ref) {
+            const target = document.components?.schemas?.[schema.$ref.slice(REF_PREFIX.length)];
+            // OpenAPI 3.0 ignores `nullable` next to `$ref`, so the spec cannot mark references to models
+            // nullable, yet the API sends null for unset ones such as `lastEditor` or `bounty`
+            return !!target && (target.type === 'object' || this.isNullable(document, target));
+        }
+        return false;
+    }
+}
+
+export default ResponseValidator;
@@ -1,90 +1,59 @@
-// Main SDK classes and configurations
-export {
-    StackOverflowSDK,
-    TeamContext,
-    SDKConfig,
-    AuthSDKConfig
-} from './client/index.js';
+// Everything that also runs in browsers
+export * from './browser.js';
 
-// Client classes
-export {
-    AnswerClient,
-    QuestionClient,
-    ArticleClient,
-    CollectionClient,
-    CommentClient,
-    SearchClient,
-    CommunityClient,
-    UserClient,
-    TagClient,
-    UserGroupClient
-} from './client/index.js';
+// The OpenAPI document strictResponses validates against by default
+import './helper/bundledSpec.js';
 
-// Auth clients and types
+// Server-side auth clients and token storage (Node.js only)
 export {
     BackendAuthClient,
-    FrontendAuthClient
-} from './client/index.js';
+    LoopbackAuthClient,
+    FileTokenStore,
+    AuthRoutes
+} from './auth/index.js';
 
 export type {
-    AuthConfig,
-    TokenResponse,
-    PKCETokens
-} from './client/index.js';
+    StoredTokenEntry,
+    LoopbackAuthConfig,
+    LoopbackLoginOptions,
+    FileTokenStoreOptions,
+    AuthRoutesOptions,
+    AuthCookieOptions,
+    AuthRouteRequest,
+    AuthRouteResponse,
+    RequestWithHeaders,
+    FastifyInstanceLike,
+    FastifyRequestLike,
+    FastifyReplyLike
+} from './auth/index.js';
+
+// Node.js HTTP library
+export {
+    NodeHttpLibrary
+} from './helper/nodeHttpLibrary.js';
 
-// Generated API models and types
 export type {
-    AnswerRequestModel,
-    AnswerResponseModel,
-    AnswerSearchResultModel,
-    AnswerSummaryResponseModel,
-    QuestionRequestModel,
-    QuestionResponseModel,
-    QuestionSearchResultModel,
-    QuestionSummaryResponseModel,
-    ArticleResponseModel,
-    ArticleRequestModel,
-    CommentResponseModel,
-    UserResponseModel,
-    UserDetailsResponseModel,
-    UserSummaryResponseModel,
-    UserGroupRequestModel,
-    UserGroupResponseModel,
-    CollectionRequestModel,
-    CollectionContentSummaryResponseModel,
-    CollectionsResponseModel,
-    CollectionsSummaryResponseModel,
-    SearchResultModel,
-    CommunityMemberResponseModel,
-    CommunityResponseModel,
-    CommunitySummaryResponseModel,
-    TagSummaryResponseModel,
-    TagResponseModel,
-} from './generated/index.js';
-
-// Configuration utilities
-export { 
-    createConfiguration,
-    ConfigurationParameters,
-    ConfigurationOptions
-} from './generated/configuration.js';
+    NodeHttpLibraryOptions
+} from './helper/nodeHttpLibrary.js';
 
-// Auth configuration
+// Recorded HTTP fixtures
 export {
-    AuthMethodsConfiguration,
-    AuthMethods
-} from './generated/auth/auth.js';
+    RecordingHttpLibrary,
+    ReplayHttpLibrary,
+    FixtureNotFoundError
+} from './helper/httpFixtures.js';
 
-// Server configuration
-export {
-    ServerConfiguration,
-    server1
-} from './generated/servers.js';
-
-// HTTP library
-export {
-    FixedIsomorphicFetchHttpLibrary
-} from './client/index.js';
+export type {
+    RecordingHttpLibraryOptions,
+    ReplayHttpLibraryOptions,
+    RedactionOptions,
+    RequestMatcher,
+    MatchField,
+    HttpInteraction,
+    HttpFixtureFile,
+    RecordedRequest,
+    RecordedResponse
+} from './helper/httpFixtures.js';
 
 // Default export
-export { default } from './client/index.js';
\ No newline at end of file
+export { default } from './browser.js';
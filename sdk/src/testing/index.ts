@@ -0,0 +1,37 @@
+// Fake Stack Overflow for Teams server for tests
+export {
+    FakeTeamsServer
+} from './server.js';
+
+export type {
+    FakeTeamsServerOptions,
+    FakeTokenGrant,
+    FakeThrottleOptions,
+    FakeRequest,
+    FakeResponse
+} from './server.js';
+
+// In-memory data
+export {
+    FakeTeamsStore,
+    FakeSite,
+    seedStore
+} from './store.js';
+
+export type {
+    FakeUserRecord,
+    FakeTagRecord,
+    FakeQuestionRecord,
+    FakeAnswerRecord,
+    FakeArticleRecord,
+    FakeCommentRecord,
+    FakeUserGroupRecord,
+    FakeCommunityRecord,
+    FakeCollectionRecord,
+    FakeFlagRecord,
+    FakeImageRecord
+} from './store.js';
+
+export {
+    MAX_IMAGE_BYTES
+} from './routes.js';
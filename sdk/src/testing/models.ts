@@ -0,0 +1,317 @@
+import {
+  FakeAnswerRecord,
+  FakeArticleRecord,
+  FakeCollectionRecord,
+  FakeCommentRecord,
+  FakeCommunityRecord,
+  FakeQuestionRecord,
+  FakeSite,
+  FakeTagRecord,
+  FakeTeamsStore,
+  FakeUserGroupRecord,
+  FakeUserRecord,
+} from './store.js';
+
+/**
+ * Turns store records into the JSON shapes described by the API's response models
+ * Field names follow `src/source/swagger.json`; dates are ISO 8601 strings and bodies are stored as Markdown.
+ */
+export class ModelMapper {
+  /**
+   * @param store - Store the records belong to
+   * @param site - Site being served
+   * @param siteUrl - Public URL of the site, used for `webUrl` fields
+   * @param viewerId - Id of the authenticated user, for the `userHas*` flags
+   */
+  constructor(
+    private readonly store: FakeTeamsStore,
+    private readonly site: FakeSite,
+    private readonly siteUrl: string,
+    private readonly viewerId: number
+  ) {}
+
+  /**
+   * Summary of a user, or `null` when there is none, as the API sends for unset fields like `lastEditor`
+   */
+  userSummary(id: number | undefined): any {
+    const user = id === undefined ? undefined : this.store.user(id);
+    if (!user) {
+      return null;
+    }
+    return {
+      id: user.id,
+      accountId: user.accountId,
+      name: user.name,
+      avatarUrl: `${this.siteUrl}/avatars/${user.id}.png`,
+      webUrl: `${this.siteUrl}/users/${user.id}`,
+      reputation: user.reputation,
+      role: user.role,
+    };
+  }
+
+  user(user: FakeUserRecord): any {
+    return {
+      ...this.userSummary(user.id),
+      externalId: user.externalId ?? null,
+      department: user.department ?? null,
+      jobTitle: user.jobTitle ?? null,
+      email: user.email,
+    };
+  }
+
+  userDetails(user: FakeUserRecord): any {
+    const communities = this.site.communities.filter(c => c.members.some(m => m.userId === user.id));
+    return { ...this.user(user), communities: communities.map(c => this.communitySummary(c)) };
+  }
+
+  manageUser(user: FakeUserRecord): any {
+    return {
+      ...this.userSummary(user.id),
+      email: user.email,
+      isDeactivated: user.isDeactivated,
+      creationDate: user.creationDate.toISOString(),
+      lastModifiedDate: user.lastModifiedDate ? user.lastModifiedDate.toISOString() : null,
+      lastAccessDate: user.lastAccessDate.toISOString(),
+    };
+  }
+
+  tagSummary(tag: FakeTagRecord): any {
+    const smeCount = tag.smeUserIds.length + tag.smeUserGroupIds.length;
+    return {
+      id: tag.id,
+      name: tag.name,
+      description: tag.description,
+      postCount: this.site.postCount(tag.name),
+      subjectMatterExpertCount: smeCount || null,
+      watcherCount: this.tagWatchers(tag).length,
+      creationDate: tag.creationDate.toISOString(),
+      hasSynonyms: tag.hasSynonyms,
+      webUrl: `${this.siteUrl}/questions/tagged/${encodeURIComponent(tag.name)}`,
+    };
+  }
+
+  tag(tag: FakeTagRecord): any {
+    return { ...this.tagSummary(tag), subjectMatterExperts: this.subjectMatterExperts(tag) };
+  }
+
+  tagWatchers(tag: FakeTagRecord): FakeUserRecord[] {
+    return this.site.slug === undefined ? this.store.users.filter(u => u.watchedTagIds.indexOf(tag.id) !== -1) : [];
+  }
+
+  subjectMatterExperts(tag: FakeTagRecord): any {
+    return {
+      users: tag.smeUserIds.map(id => this.userSummary(id)).filter(Boolean),
+      userGroups: this.site.userGroups.filter(g => tag.smeUserGroupIds.indexOf(g.id) !== -1).map(g => this.userGroup(g)),
+    };
+  }
+
+  tagsByName(names: string[]): any[] {
+    return names.map(name => this.site.ensureTag(name)).map(tag => this.tagSummary(tag));
+  }
+
+  questionSummary(question: FakeQuestionRecord): any {
+    const answers = this.site.answers.filter(a => a.questionId === question.id && !a.isDeleted);
+    return {
+      id: question.id,
+      title: question.title,
+      body: renderHtml(question.body),
+      tags: this.tagsByName(question.tags),
+      owner: this.userSummary(question.ownerId),
+      lastEditor: this.userSummary(question.lastEditorId),
+      creationDate: question.creationDate.toISOString(),
+      lastActivityDate: question.lastActivityDate.toISOString(),
+      score: question.upvoterIds.length - question.downvoterIds.length,
+      isAnswered: answers.some(a => a.isAccepted || a.upvoterIds.length > a.downvoterIds.length),
+      answerCount: answers.length,
+      viewCount: question.viewCount,
+      webUrl: `${this.siteUrl}/questions/${question.id}`,
+      shareUrl: `${this.siteUrl}/q/${question.id}`,
+      isDeleted: question.isDeleted,
+      isObsolete: question.isObsolete,
+      isClosed: question.isClosed,
+    };
+  }
+
+  question(question: FakeQuestionRecord): any {
+    return {
+      ...this.questionSummary(question),
+      communities: this.site.communities.filter(c => question.communityIds.indexOf(c.id) !== -1).map(c => this.communitySummary(c)),
+      bodyMarkdown: question.body,
+      mentionedUsers: [],
+      mentionedUserGroups: [],
+      userIsFollowing: question.ownerId === this.viewerId,
+      userHasUpvoted: question.upvoterIds.indexOf(this.viewerId) !== -1,
+      userHasDownvoted: question.downvoterIds.indexOf(this.viewerId) !== -1,
+      userHasBookmarked: question.bookmarkerIds.indexOf(this.viewerId) !== -1,
+    };
+  }
+
+  answerSummary(answer: FakeAnswerRecord): any {
+    return {
+      id: answer.id,
+      questionId: answer.questionId,
+      body: renderHtml(answer.body),
+      score: answer.upvoterIds.length - answer.downvoterIds.length,
+      isAccepted: answer.isAccepted,
+      isDeleted: answer.isDeleted,
+      isBookmarked: false,
+      isFollowed: answer.ownerId === this.viewerId,
+      creationDate: answer.creationDate.toISOString(),
+      lockedDate: null,
+      lastEditDate: answer.lastEditDate ? answer.lastEditDate.toISOString() : null,
+      lastActivityDate: answer.lastActivityDate.toISOString(),
+      deletionDate: null,
+      owner: this.userSummary(answer.ownerId),
+      lastEditor: this.userSummary(answer.lastEditorId),
+      lastActivityUser: this.userSummary(answer.lastEditorId ?? answer.ownerId),
+      commentCount: this.comments('answer', answer.id).length,
+      webUrl: `${this.siteUrl}/questions/${answer.questionId}#answer-${answer.id}`,
+      shareLink: `${this.siteUrl}/a/${answer.id}`,
+      userCanFollow: true,
+      canBeFollowed: true,
+      isSubjectMatterExpert: false,
+    };
+  }
+
+  answer(answer: FakeAnswerRecord): any {
+    return { ...this.answerSummary(answer), bodyMarkdown: answer.body };
+  }
+
+  articleSummary(article: FakeArticleRecord): any {
+    return {
+      id: article.id,
+      type: article.type,
+      title: article.title,
+      body: renderHtml(article.body),
+      tags: this.tagsByName(article.tags),
+      owner: this.userSummary(article.ownerId),
+      lastEditor: this.userSummary(article.lastEditorId),
+      creationDate: article.creationDate.toISOString(),
+      lastActivityDate: article.lastActivityDate.toISOString(),
+      score: article.upvoterIds.length - article.downvoterIds.length,
+      viewCount: article.viewCount,
+      webUrl: `${this.siteUrl}/articles/${article.id}`,
+      shareUrl: `${this.siteUrl}/articles/${article.id}`,
+      isDeleted: article.isDeleted,
+      isObsolete: false,
+      isClosed: false,
+    };
+  }
+
+  article(article: FakeArticleRecord): any {
+    return {
+      ...this.articleSummary(article),
+      communities: [],
+      bodyMarkdown: article.body,
+      userIsFollowing: article.ownerId === this.viewerId,
+      userHasUpvoted: article.upvoterIds.indexOf(this.viewerId) !== -1,
+      userHasDownvoted: article.downvoterIds.indexOf(this.viewerId) !== -1,
+      userCanEdit: article.ownerId === this.viewerId || article.editableBy === 'everyone' || article.editorUserIds.indexOf(this.viewerId) !== -1,
+      permissions: {
+        editableBy: article.editableBy,
+        editorUsers: article.editorUserIds.map(id => this.userSummary(id)).filter(Boolean),
+        editorUserGroups: this.site.userGroups.filter(g => article.editorUserGroupIds.indexOf(g.id) !== -1).map(g => this.userGroup(g)),
+      },
+    };
+  }
+
+  comments(postType: FakeCommentRecord['postType'], postId: number): FakeCommentRecord[] {
+    return this.site.comments.filter(c => c.postType === postType && c.postId === postId);
+  }
+
+  comment(comment: FakeCommentRecord): any {
+    const owner = this.store.user(comment.ownerId);
+    return {
+      id: comment.id,
+      score: comment.score,
+      body: comment.body,
+      ownerUserId: owner ? owner.id : null,
+      ownerDisplayName: owner ? owner.name : 'deleted user',
+      creationDate: comment.creationDate.toISOString(),
+    };
+  }
+
+  userGroup(group: FakeUserGroupRecord): any {
+    return {
+      id: group.id,
+      name: group.name,
+      description: group.description,
+      users: group.userIds.map(id => this.userSummary(id)).filter(Boolean),
+    };
+  }
+
+  communitySummary(community: FakeCommunityRecord): any {
+    return {
+      id: community.id,
+      name: community.name,
+      description: community.description,
+      memberCount: community.members.length,
+      tags: this.tagsByName(community.tags),
+    };
+  }
+
+  community(community: FakeCommunityRecord): any {
+    return {
+      ...this.communitySummary(community),
+      members: community.members.map(member => {
+        const user = this.store.user(member.userId);
+        return {
+          id: member.userId,
+          name: user ? user.name : '',
+          memberSince: member.memberSince.toISOString(),
+          isSme: this.site.tags.some(t => community.tags.indexOf(t.name) !== -1 && t.smeUserIds.indexOf(member.userId) !== -1),
+        };
+      }),
+    };
+  }
+
+  collectionSummary(collection: FakeCollectionRecord): any {
+    const tagNames: string[] = [];
+    collection.contentIds.forEach(id => {
+      const post = this.site.questions.find(q => q.id === id) || this.site.articles.find(a => a.id === id);
+      (post ? post.tags : []).forEach(name => {
+        if (tagNames.indexOf(name) === -1) {
+          tagNames.push(name);
+        }
+      });
+    });
+
+    return {
+      id: collection.id,
+      title: collection.title,
+      description: collection.description,
+      owner: this.userSummary(collection.ownerId),
+      creationDate: collection.creationDate.toISOString(),
+      isDeleted: collection.isDeleted,
+      tags: this.tagsByName(tagNames),
+    };
+  }
+
+  collection(collection: FakeCollectionRecord): any {
+    return {
+      ...this.collectionSummary(collection),
+      content: collection.contentIds.map(id => {
+        const question = this.site.questions.find(q => q.id === id);
+        if (question) {
+          return { id, type: 'question', title: question.title };
+        }
+        const article = this.site.articles.find(a => a.id === id);
+        return { id, type: article ? 'article' : 'unknown', title: article ? article.title : '' };
+      }),
+      editorUsers: collection.editorUserIds.map(id => this.userSummary(id)).filter(Boolean),
+      editorUserGroups: this.site.userGroups.filter(g => collection.editorUserGroupIds.indexOf(g.id) !== -1).map(g => this.userGroup(g)),
+    };
+  }
+}
+
+/**
+ * Minimal Markdown rendering: escaped text split into paragraphs
+ */
+export function renderHtml(markdown: string): string {
+  return markdown
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .map(paragraph => `<p>${paragraph.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')}</p>`)
+    .join('\n');
+}
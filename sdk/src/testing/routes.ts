@@ -0,0 +1,1398 @@
+import { ModelMapper } from './models.js';
+import {
+  FakeAnswerRecord,
+  FakeArticleRecord,
+  FakeCollectionRecord,
+  FakeCommunityRecord,
+  FakeFlagRecord,
+  FakeQuestionRecord,
+  FakeSite,
+  FakeTagRecord,
+  FakeTeamsStore,
+  FakeUserGroupRecord,
+  FakeUserRecord,
+} from './store.js';
+
+/** Largest image accepted by `POST /images/upload` */
+export const MAX_IMAGE_BYTES = 2 * 1024 * 1024;
+
+const PAGE_SIZES = [15, 30, 50, 100];
+const ARTICLE_TYPES = ['knowledgeArticle', 'announcement', 'policy', 'howToGuide'];
+const EDITABLE_BY = ['ownerOnly', 'specificEditors', 'everyone'];
+
+/**
+ * Error response of a route, sent as `ProblemDetails`
+ */
+export class HttpProblem extends Error {
+  constructor(readonly status: number, readonly title: string, readonly detail?: string) {
+    super(detail || title);
+    this.name = 'HttpProblem';
+    // Restore the prototype chain lost when extending Error under an ES5 target, so instanceof works
+    Object.setPrototypeOf(this, new.target.prototype);
+  }
+}
+
+export interface RouteResult {
+  status: number;
+  /** JSON value, or raw bytes/text when `contentType` is set */
+  body?: unknown;
+  contentType?: string;
+}
+
+/**
+ * Everything a route handler needs to serve one request
+ */
+export interface RouteContext {
+  store: FakeTeamsStore;
+  site: FakeSite;
+  /** Team slug for `/teams/{team}/...` requests */
+  team?: string;
+  viewer: FakeUserRecord;
+  params: Record<string, string>;
+  query: URLSearchParams;
+  /** Parsed JSON body */
+  body: any;
+  rawBody: Uint8Array;
+  headers: Record<string, string>;
+  models: ModelMapper;
+  /** API root of the site being served, e.g. `http://127.0.0.1:4000/api/v3/teams/acme` */
+  apiUrl: string;
+  /** Time of the request by the server's clock */
+  now: Date;
+}
+
+type RouteHandler = (ctx: RouteContext) => RouteResult;
+
+interface Route {
+  method: string;
+  pattern: RegExp;
+  keys: string[];
+  /** Only served by the main site, not under `/teams/{team}` */
+  mainOnly: boolean;
+  handler: RouteHandler;
+}
+
+const routes: Route[] = [];
+
+function route(method: string, path: string, handler: RouteHandler, mainOnly = false): void {
+  const keys: string[] = [];
+  const source = path.replace(/\{(\w+)\}/g, (_match, key: string) => {
+    keys.push(key);
+    return '([^/]+)';
+  });
+  routes.push({ method, pattern: new RegExp(`^${source}$`), keys, mainOnly, handler });
+}
+
+/**
+ * Find the route serving `method` and `path` (relative to the site's API root)
+ * Returns `'method'` when the path exists but not for that method.
+ */
+export function matchRoute(
+  method: string,
+  path: string,
+  isTeam: boolean
+): { handler: RouteHandler; params: Record<string, string> } | 'method' | undefined {
+  let pathMatched = false;
+  for (const candidate of routes) {
+    const match = candidate.pattern.exec(path);
+    if (!match) {
+      continue;
+    }
+    if (candidate.mainOnly && isTeam) {
+      // Main-only paths must not fall through to a parameterised team route such as /users/{userId}
+      return undefined;
+    }
+    pathMatched = true;
+    if (candidate.method !== method) {
+      continue;
+    }
+    const params: Record<string, string> = {};
+    candidate.keys.forEach((key, index) => {
+      params[key] = decodeURIComponent(match[index + 1] || '');
+    });
+    return { handler: candidate.handler, params };
+  }
+  return pathMatched ? 'method' : undefined;
+}
+
+// Responses and request helpers
+
+const ok = (body: unknown): RouteResult => ({ status: 200, body });
+const created = (body: unknown): RouteResult => ({ status: 201, body });
+const noContent = (): RouteResult => ({ status: 204 });
+
+function intParam(value: string | null | undefined, name: string): number {
+  const parsed = Number(value);
+  if (value === null || value === undefined || value === '' || !Number.isInteger(parsed)) {
+    throw new HttpProblem(400, 'Bad Request', `'${name}' must be an integer.`);
+  }
+  return parsed;
+}
+
+function optionalInt(query: URLSearchParams, name: string): number | undefined {
+  return query.has(name) ? intParam(query.get(name), name) : undefined;
+}
+
+function intList(query: URLSearchParams, name: string): number[] {
+  return query.getAll(name).map(value => intParam(value, name));
+}
+
+function optionalBool(query: URLSearchParams, name: string): boolean | undefined {
+  const value = query.get(name);
+  if (value === null || value === '') {
+    return undefined;
+  }
+  if (value !== 'true' && value !== 'false') {
+    throw new HttpProblem(400, 'Bad Request', `'${name}' must be true or false.`);
+  }
+  return value === 'true';
+}
+
+function optionalDate(query: URLSearchParams, name: string): Date | undefined {
+  const value = query.get(name);
+  if (value === null || value === '') {
+    return undefined;
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new HttpProblem(400, 'Bad Request', `'${name}' must be a date.`);
+  }
+  return date;
+}
+
+function inRange(date: Date, from?: Date, to?: Date): boolean {
+  return (!from || date >= from) && (!to || date <= to);
+}
+
+function requireString(body: any, field: string): string {
+  const value = body ? body[field] : undefined;
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw new HttpProblem(400, 'Bad Request', `'${field}' is required.`);
+  }
+  return value;
+}
+
+function requireTags(body: any): string[] {
+  const tags = body ? body.tags : undefined;
+  if (!Array.isArray(tags) || tags.length === 0 || tags.some(tag => typeof tag !== 'string' || tag.trim() === '')) {
+    throw new HttpProblem(400, 'Bad Request', "'tags' must contain at least one tag.");
+  }
+  if (tags.length > 5) {
+    throw new HttpProblem(400, 'Bad Request', 'A post can have at most 5 tags.');
+  }
+  return tags.map((tag: string) => tag.trim().toLowerCase());
+}
+
+function idArray(value: unknown, field: string): number[] {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  if (!Array.isArray(value) || value.some(id => !Number.isInteger(id))) {
+    throw new HttpProblem(400, 'Bad Request', `'${field}' must be an array of integers.`);
+  }
+  return value as number[];
+}
+
+function notFound(what: string): HttpProblem {
+  return new HttpProblem(404, 'Not Found', `${what} not found.`);
+}
+
+function isModerator(user: FakeUserRecord): boolean {
+  return user.role === 'Moderator' || user.role === 'Admin';
+}
+
+function requireModerator(ctx: RouteContext): void {
+  if (!isModerator(ctx.viewer)) {
+    throw new HttpProblem(403, 'Forbidden', 'Only moderators can perform this action.');
+  }
+}
+
+function requireOwnerOrModerator(ctx: RouteContext, ownerId: number): void {
+  if (ctx.viewer.id !== ownerId && !isModerator(ctx.viewer)) {
+    throw new HttpProblem(403, 'Forbidden', 'You do not have permission to modify this item.');
+  }
+}
+
+function existingUserIds(ctx: RouteContext, ids: number[], status = 400): number[] {
+  const unknown = ids.filter(id => !ctx.store.user(id));
+  if (unknown.length > 0) {
+    throw new HttpProblem(status, status === 422 ? 'Unprocessable Entity' : 'Bad Request', `Unknown user id(s): ${unknown.join(', ')}.`);
+  }
+  return ids;
+}
+
+function existingGroupIds(ctx: RouteContext, ids: number[], status = 400): number[] {
+  const unknown = ids.filter(id => !ctx.site.userGroups.some(g => g.id === id));
+  if (unknown.length > 0) {
+    throw new HttpProblem(status, status === 422 ? 'Unprocessable Entity' : 'Bad Request', `Unknown user group id(s): ${unknown.join(', ')}.`);
+  }
+  return ids;
+}
+
+function addUnique(list: number[], ids: number[]): void {
+  ids.forEach(id => {
+    if (list.indexOf(id) === -1) {
+      list.push(id);
+    }
+  });
+}
+
+function remove(list: number[], id: number): void {
+  const index = list.indexOf(id);
+  if (index !== -1) {
+    list.splice(index, 1);
+  }
+}
+
+type Comparator<T> = (a: T, b: T) => number;
+
+const byNumber = <T>(value: (item: T) => number): Comparator<T> => (a, b) => value(a) - value(b);
+const byDate = <T>(value: (item: T) => Date): Comparator<T> => (a, b) => value(a).getTime() - value(b).getTime();
+const byText = <T>(value: (item: T) => string): Comparator<T> => (a, b) => value(a).localeCompare(value(b));
+
+interface PageOptions<T> {
+  sorts: Record<string, Comparator<T>>;
+  defaultSort: string;
+  /** Order applied when the request has none (defaults to 'desc') */
+  defaultOrder?: 'asc' | 'desc';
+  /** Whether the response includes `order`; search results do not */
+  ordered?: boolean;
+}
+
+/**
+ * Sort and slice `items` according to the `page`, `pageSize`, `sort` and `order` query parameters
+ */
+function paginate<T>(ctx: RouteContext, items: T[], map: (item: T) => unknown, options: PageOptions<T>): RouteResult {
+  const page = optionalInt(ctx.query, 'page') ?? 1;
+  const pageSize = optionalInt(ctx.query, 'pageSize') ?? 30;
+  if (page < 1) {
+    throw new HttpProblem(400, 'Bad Request', "'page' must be 1 or greater.");
+  }
+  if (PAGE_SIZES.indexOf(pageSize) === -1) {
+    throw new HttpProblem(400, 'Bad Request', `'pageSize' must be one of ${PAGE_SIZES.join(', ')}.`);
+  }
+
+  const sort = ctx.query.get('sort') || options.defaultSort;
+  const comparator = options.sorts[sort];
+  if (!comparator) {
+    throw new HttpProblem(400, 'Bad Request', `'sort' must be one of ${Object.keys(options.sorts).join(', ')}.`);
+  }
+  const order = ctx.query.get('order') || options.defaultOrder || 'desc';
+  if (order !== 'asc' && order !== 'desc') {
+    throw new HttpProblem(400, 'Bad Request', "'order' must be asc or desc.");
+  }
+
+  const direction = order === 'asc' ? 1 : -1;
+  const sorted = items.slice().sort((a, b) => direction * comparator(a, b));
+  const start = (page - 1) * pageSize;
+  const result: Record<string, unknown> = {
+    totalCount: sorted.length,
+    pageSize,
+    page,
+    totalPages: Math.ceil(sorted.length / pageSize),
+    sort,
+  };
+  if (options.ordered !== false) {
+    result['order'] = order;
+  }
+  result['items'] = sorted.slice(start, start + pageSize).map(map);
+  return ok(result);
+}
+
+// Lookups
+
+function findQuestion(ctx: RouteContext, param = 'questionId'): FakeQuestionRecord {
+  const id = intParam(ctx.params[param], param);
+  const question = ctx.site.questions.find(q => q.id === id && !q.isDeleted);
+  if (!question) {
+    throw notFound(`Question ${id}`);
+  }
+  return question;
+}
+
+function findAnswer(ctx: RouteContext): FakeAnswerRecord {
+  const question = findQuestion(ctx);
+  const id = intParam(ctx.params['answerId'], 'answerId');
+  const answer = ctx.site.answers.find(a => a.id === id && a.questionId === question.id && !a.isDeleted);
+  if (!answer) {
+    throw notFound(`Answer ${id}`);
+  }
+  return answer;
+}
+
+function findArticle(ctx: RouteContext): FakeArticleRecord {
+  const id = intParam(ctx.params['articleId'], 'articleId');
+  const article = ctx.site.articles.find(a => a.id === id && !a.isDeleted);
+  if (!article) {
+    throw notFound(`Article ${id}`);
+  }
+  return article;
+}
+
+function findTag(ctx: RouteContext): FakeTagRecord {
+  const id = intParam(ctx.params['tagId'], 'tagId');
+  const tag = ctx.site.tags.find(t => t.id === id);
+  if (!tag) {
+    throw notFound(`Tag ${id}`);
+  }
+  return tag;
+}
+
+function findUser(ctx: RouteContext): FakeUserRecord {
+  const id = intParam(ctx.params['userId'], 'userId');
+  const user = ctx.store.user(id);
+  if (!user) {
+    throw notFound(`User ${id}`);
+  }
+  return user;
+}
+
+function findUserGroup(ctx: RouteContext): FakeUserGroupRecord {
+  const id = intParam(ctx.params['userGroupId'], 'userGroupId');
+  const group = ctx.site.userGroups.find(g => g.id === id);
+  if (!group) {
+    throw notFound(`User group ${id}`);
+  }
+  return group;
+}
+
+function findCommunity(ctx: RouteContext): FakeCommunityRecord {
+  const id = intParam(ctx.params['communityId'], 'communityId');
+  const community = ctx.site.communities.find(c => c.id === id);
+  if (!community) {
+    throw notFound(`Community ${id}`);
+  }
+  return community;
+}
+
+function findCollection(ctx: RouteContext): FakeCollectionRecord {
+  const id = intParam(ctx.params['collectionId'], 'collectionId');
+  const collection = ctx.site.collections.find(c => c.id === id && !c.isDeleted);
+  if (!collection) {
+    throw notFound(`Collection ${id}`);
+  }
+  return collection;
+}
+
+// Shared behaviour of votable posts
+
+type Post = FakeQuestionRecord | FakeAnswerRecord | FakeArticleRecord;
+
+function vote(ctx: RouteContext, post: Post, direction: 'up' | 'down', undo: boolean): void {
+  if (post.ownerId === ctx.viewer.id) {
+    throw new HttpProblem(403, 'Forbidden', 'You cannot vote on your own post.');
+  }
+  remove(post.upvoterIds, ctx.viewer.id);
+  remove(post.downvoterIds, ctx.viewer.id);
+  if (!undo) {
+    (direction === 'up' ? post.upvoterIds : post.downvoterIds).push(ctx.viewer.id);
+  }
+}
+
+function touch(ctx: RouteContext, post: Post): void {
+  const now = ctx.now;
+  post.lastEditorId = ctx.viewer.id;
+  post.lastEditDate = now;
+  post.lastActivityDate = now;
+}
+
+function canEditArticle(ctx: RouteContext, article: FakeArticleRecord): boolean {
+  if (article.ownerId === ctx.viewer.id || isModerator(ctx.viewer) || article.editableBy === 'everyone') {
+    return true;
+  }
+  return article.editableBy === 'specificEditors' && (
+    article.editorUserIds.indexOf(ctx.viewer.id) !== -1 ||
+    ctx.site.userGroups.some(g => article.editorUserGroupIds.indexOf(g.id) !== -1 && g.userIds.indexOf(ctx.viewer.id) !== -1)
+  );
+}
+
+function canEditCollection(ctx: RouteContext, collection: FakeCollectionRecord): boolean {
+  return collection.ownerId === ctx.viewer.id || isModerator(ctx.viewer) ||
+    collection.editorUserIds.indexOf(ctx.viewer.id) !== -1 ||
+    ctx.site.userGroups.some(g => collection.editorUserGroupIds.indexOf(g.id) !== -1 && g.userIds.indexOf(ctx.viewer.id) !== -1);
+}
+
+const questionSorts: Record<string, Comparator<FakeQuestionRecord>> = {
+  activity: byDate(q => q.lastActivityDate),
+  creation: byDate(q => q.creationDate),
+  score: byNumber(q => q.upvoterIds.length - q.downvoterIds.length),
+};
+
+const linkedSorts: Record<string, Comparator<FakeQuestionRecord>> = {
+  ...questionSorts,
+  hot: (a, b) => questionSorts['score']!(a, b) || questionSorts['activity']!(a, b),
+};
+
+// Flags
+
+interface FlagOption {
+  optionId: number;
+  title: string;
+  description: string;
+  requiresComment?: boolean;
+  requiresQuestionId?: boolean;
+  subOptions?: FlagOption[];
+  questionOnly?: boolean;
+  answerOnly?: boolean;
+}
+
+const FLAG_OPTIONS: FlagOption[] = [
+  { optionId: 1, title: 'spam', description: 'Exists only to promote a product or service.' },
+  { optionId: 2, title: 'rude or abusive', description: 'A reasonable person would find this content inappropriate for respectful discourse.' },
+  { optionId: 3, title: 'a duplicate', description: 'This question has been asked before and already has an answer.', requiresQuestionId: true, questionOnly: true },
+  {
+    optionId: 4,
+    title: 'needs improvement',
+    description: 'This post needs work before it is useful.',
+    questionOnly: true,
+    subOptions: [
+      { optionId: 5, title: 'needs details or clarity', description: 'This question should include more details and clarify the problem.' },
+      { optionId: 6, title: 'needs more focus', description: 'This question currently includes multiple questions in one.' },
+    ],
+  },
+  { optionId: 7, title: 'not an answer', description: 'This was posted as an answer, but it does not attempt to answer the question.', answerOnly: true },
+  { optionId: 8, title: 'in need of moderator intervention', description: 'A problem not listed above that requires action by a moderator.', requiresComment: true },
+];
+
+function flagOptions(postType: FakeFlagRecord['postType']): FlagOption[] {
+  return FLAG_OPTIONS.filter(option => postType === 'question' ? !option.answerOnly : !option.questionOnly);
+}
+
+function flagOptionModels(ctx: RouteContext, postType: FakeFlagRecord['postType'], postId: number): unknown[] {
+  const raised = ctx.site.flags.filter(f => f.postType === postType && f.postId === postId && f.userId === ctx.viewer.id);
+  const toModel = (option: FlagOption): unknown => ({
+    optionId: option.optionId,
+    dialogTitle: `I am flagging to report this ${postType} as...`,
+    title: option.title,
+    description: option.description,
+    requiresComment: !!option.requiresComment,
+    requiresSite: false,
+    requiresQuestionId: !!option.requiresQuestionId,
+    isRetraction: raised.some(f => f.optionId === option.optionId),
+    subOptions: option.subOptions ? option.subOptions.map(toModel) : null,
+  });
+  return flagOptions(postType).map(toModel);
+}
+
+function raiseFlag(ctx: RouteContext, postType: FakeFlagRecord['postType'], postId: number): RouteResult {
+  const optionId = ctx.body ? ctx.body.optionId : undefined;
+  if (!Number.isInteger(optionId)) {
+    throw new HttpProblem(400, 'Bad Request', "'optionId' is required.");
+  }
+
+  let option: FlagOption | undefined;
+  flagOptions(postType).forEach(candidate => {
+    option = option || (candidate.optionId === optionId ? candidate : (candidate.subOptions || []).find(sub => sub.optionId === optionId));
+  });
+  if (!option || option.subOptions) {
+    throw new HttpProblem(400, 'Bad Request', `Flag option ${optionId} cannot be raised on this ${postType}.`);
+  }
+  const comment: string | undefined = typeof ctx.body.comment === 'string' && ctx.body.comment.trim() ? ctx.body.comment : undefined;
+  if (option.requiresComment && !comment) {
+    throw new HttpProblem(400, 'Bad Request', `Flag option '${option.title}' requires a comment.`);
+  }
+  const relatedQuestionId = ctx.body.relatedQuestionId;
+  if (option.requiresQuestionId) {
+    if (!Number.isInteger(relatedQuestionId)) {
+      throw new HttpProblem(400, 'Bad Request', `Flag option '${option.title}' requires 'relatedQuestionId'.`);
+    }
+    if (relatedQuestionId === postId || !ctx.site.questions.some(q => q.id === relatedQuestionId && !q.isDeleted)) {
+      throw new HttpProblem(400, 'Bad Request', `Question ${relatedQuestionId} cannot be used as the duplicate target.`);
+    }
+  }
+  if (ctx.site.flags.some(f => f.postType === postType && f.postId === postId && f.userId === ctx.viewer.id && f.optionId === optionId)) {
+    throw new HttpProblem(400, 'Bad Request', 'You have already raised this flag.');
+  }
+
+  ctx.site.flags.push({
+    id: ctx.site.newId(),
+    postType,
+    postId,
+    userId: ctx.viewer.id,
+    optionId,
+    comment,
+    relatedQuestionId: option.requiresQuestionId ? relatedQuestionId : undefined,
+    creationDate: ctx.now,
+  });
+  return ok(undefined);
+}
+
+// Questions
+
+route('GET', '/questions', ctx => {
+  const isAnswered = optionalBool(ctx.query, 'isAnswered');
+  const hasAcceptedAnswer = optionalBool(ctx.query, 'hasAcceptedAnswer');
+  const questionIds = intList(ctx.query, 'questionId');
+  const tagNames = intList(ctx.query, 'tagId').map(id => {
+    const tag = ctx.site.tags.find(t => t.id === id);
+    return tag ? tag.name : '';
+  });
+  const authorId = optionalInt(ctx.query, 'authorId');
+  const from = optionalDate(ctx.query, 'from');
+  const to = optionalDate(ctx.query, 'to');
+
+  const questions = ctx.site.questions.filter(q => {
+    if (q.isDeleted || (questionIds.length > 0 && questionIds.indexOf(q.id) === -1)) {
+      return false;
+    }
+    if (tagNames.length > 0 && !tagNames.some(name => q.tags.indexOf(name) !== -1)) {
+      return false;
+    }
+    if ((authorId !== undefined && q.ownerId !== authorId) || !inRange(q.creationDate, from, to)) {
+      return false;
+    }
+    const summary = ctx.models.questionSummary(q);
+    const accepted = ctx.site.answers.some(a => a.questionId === q.id && a.isAccepted && !a.isDeleted);
+    return (isAnswered === undefined || summary.isAnswered === isAnswered) &&
+      (hasAcceptedAnswer === undefined || accepted === hasAcceptedAnswer);
+  });
+  return paginate(ctx, questions, q => ctx.models.questionSummary(q), { sorts: questionSorts, defaultSort: 'activity' });
+});
+
+route('POST', '/questions', ctx => {
+  const now = ctx.now;
+  const question: FakeQuestionRecord = {
+    id: ctx.site.newId(),
+    title: requireString(ctx.body, 'title'),
+    body: requireString(ctx.body, 'body'),
+    tags: requireTags(ctx.body),
+    ownerId: ctx.viewer.id,
+    creationDate: now,
+    lastActivityDate: now,
+    upvoterIds: [],
+    downvoterIds: [],
+    bookmarkerIds: [],
+    linkedQuestionIds: [],
+    communityIds: [],
+    viewCount: 0,
+    isDeleted: false,
+    isClosed: false,
+    isObsolete: false,
+  };
+  question.tags.forEach(name => ctx.site.ensureTag(name, ctx.now));
+  ctx.site.questions.push(question);
+  return created(ctx.models.question(question));
+});
+
+route('GET', '/questions/{questionId}', ctx => {
+  const question = findQuestion(ctx);
+  question.viewCount++;
+  return ok(ctx.models.question(question));
+});
+
+route('PUT', '/questions/{questionId}', ctx => {
+  const question = findQuestion(ctx);
+  requireOwnerOrModerator(ctx, question.ownerId);
+  question.title = requireString(ctx.body, 'title');
+  question.body = requireString(ctx.body, 'body');
+  question.tags = requireTags(ctx.body);
+  question.tags.forEach(name => ctx.site.ensureTag(name, ctx.now));
+  touch(ctx, question);
+  return ok(ctx.models.question(question));
+});
+
+route('DELETE', '/questions/{questionId}', ctx => {
+  const question = findQuestion(ctx);
+  requireOwnerOrModerator(ctx, question.ownerId);
+  question.isDeleted = true;
+  return noContent();
+});
+
+route('GET', '/questions/{questionId}/linked', ctx => {
+  const question = findQuestion(ctx);
+  const linked = ctx.site.questions.filter(q => !q.isDeleted && (
+    question.linkedQuestionIds.indexOf(q.id) !== -1 || q.linkedQuestionIds.indexOf(question.id) !== -1
+  ));
+  return paginate(ctx, linked, q => ctx.models.questionSummary(q), { sorts: linkedSorts, defaultSort: 'hot' });
+});
+
+route('GET', '/questions/{questionId}/related', ctx => {
+  const question = findQuestion(ctx);
+  const related = ctx.site.questions.filter(q => !q.isDeleted && q.id !== question.id && q.tags.some(tag => question.tags.indexOf(tag) !== -1));
+  return paginate(ctx, related, q => ctx.models.questionSummary(q), { sorts: linkedSorts, defaultSort: 'hot' });
+});
+
+route('GET', '/questions/{questionId}/flags/options', ctx => ok(flagOptionModels(ctx, 'question', findQuestion(ctx).id)));
+route('POST', '/questions/{questionId}/flags', ctx => raiseFlag(ctx, 'question', findQuestion(ctx).id));
+
+[['upvote', 'up'], ['downvote', 'down']].forEach(([path, direction]) => {
+  route('POST', `/questions/{questionId}/${path}`, ctx => {
+    const question = findQuestion(ctx);
+    vote(ctx, question, direction as 'up' | 'down', false);
+    return ok(ctx.models.question(question));
+  });
+  route('DELETE', `/questions/{questionId}/${path}`, ctx => {
+    const question = findQuestion(ctx);
+    vote(ctx, question, direction as 'up' | 'down', true);
+    return ok(ctx.models.question(question));
+  });
+});
+
+route('POST', '/questions/{questionId}/bookmark', ctx => {
+  const question = findQuestion(ctx);
+  addUnique(question.bookmarkerIds, [ctx.viewer.id]);
+  return created(ctx.models.question(question));
+});
+
+route('DELETE', '/questions/{questionId}/bookmark', ctx => {
+  const question = findQuestion(ctx);
+  remove(question.bookmarkerIds, ctx.viewer.id);
+  return ok(ctx.models.question(question));
+});
+
+// Answers
+
+route('GET', '/questions/{questionId}/answers', ctx => {
+  const question = findQuestion(ctx);
+  const answers = ctx.site.answers.filter(a => a.questionId === question.id && !a.isDeleted);
+  return paginate(ctx, answers, a => ctx.models.answerSummary(a), {
+    sorts: {
+      score: byNumber(a => a.upvoterIds.length - a.downvoterIds.length),
+      modified: byDate(a => a.lastEditDate || a.creationDate),
+      creation: byDate(a => a.creationDate),
+    },
+    defaultSort: 'score',
+  });
+});
+
+route('POST', '/questions/{questionId}/answers', ctx => {
+  const question = findQuestion(ctx);
+  const now = ctx.now;
+  const answer: FakeAnswerRecord = {
+    id: ctx.site.newId(),
+    questionId: question.id,
+    body: requireString(ctx.body, 'body'),
+    ownerId: ctx.viewer.id,
+    creationDate: now,
+    lastActivityDate: now,
+    upvoterIds: [],
+    downvoterIds: [],
+    isAccepted: false,
+    isDeleted: false,
+  };
+  ctx.site.answers.push(answer);
+  question.lastActivityDate = now;
+  return created(ctx.models.answer(answer));
+});
+
+route('GET', '/questions/{questionId}/answers/{answerId}', ctx => ok(ctx.models.answer(findAnswer(ctx))));
+
+route('PUT', '/questions/{questionId}/answers/{answerId}', ctx => {
+  const answer = findAnswer(ctx);
+  requireOwnerOrModerator(ctx, answer.ownerId);
+  answer.body = requireString(ctx.body, 'body');
+  touch(ctx, answer);
+  return ok(ctx.models.answer(answer));
+});
+
+route('DELETE', '/questions/{questionId}/answers/{answerId}', ctx => {
+  const answer = findAnswer(ctx);
+  requireOwnerOrModerator(ctx, answer.ownerId);
+  answer.isDeleted = true;
+  answer.isAccepted = false;
+  return noContent();
+});
+
+route('GET', '/questions/{questionId}/answers/{answerId}/flags/options', ctx => ok(flagOptionModels(ctx, 'answer', findAnswer(ctx).id)));
+route('POST', '/questions/{questionId}/answers/{answerId}/flags', ctx => raiseFlag(ctx, 'answer', findAnswer(ctx).id));
+
+[['upvote', 'up'], ['downvote', 'down']].forEach(([path, direction]) => {
+  route('POST', `/questions/{questionId}/answers/{answerId}/${path}`, ctx => {
+    const answer = findAnswer(ctx);
+    vote(ctx, answer, direction as 'up' | 'down', false);
+    return ok(ctx.models.answerSummary(answer));
+  });
+  route('DELETE', `/questions/{questionId}/answers/{answerId}/${path}`, ctx => {
+    const answer = findAnswer(ctx);
+    vote(ctx, answer, direction as 'up' | 'down', true);
+    return ok(ctx.models.answerSummary(answer));
+  });
+});
+
+route('POST', '/questions/{questionId}/answers/{answerId}/accept', ctx => {
+  const question = findQuestion(ctx);
+  const answer = findAnswer(ctx);
+  requireOwnerOrModerator(ctx, question.ownerId);
+  ctx.site.answers.filter(a => a.questionId === question.id).forEach(a => {
+    a.isAccepted = a.id === answer.id;
+  });
+  return ok(ctx.models.answerSummary(answer));
+});
+
+route('DELETE', '/questions/{questionId}/answers/{answerId}/accept', ctx => {
+  const question = findQuestion(ctx);
+  const answer = findAnswer(ctx);
+  requireOwnerOrModerator(ctx, question.ownerId);
+  answer.isAccepted = false;
+  return ok(ctx.models.answerSummary(answer));
+});
+
+// Articles
+
+function articleFields(ctx: RouteContext, article: FakeArticleRecord): void {
+  article.title = requireString(ctx.body, 'title');
+  article.body = requireString(ctx.body, 'body');
+  article.tags = requireTags(ctx.body);
+  article.tags.forEach(name => ctx.site.ensureTag(name, ctx.now));
+
+  const type = ctx.body.type ?? article.type;
+  if (ARTICLE_TYPES.indexOf(type) === -1) {
+    throw new HttpProblem(400, 'Bad Request', `'type' must be one of ${ARTICLE_TYPES.join(', ')}.`);
+  }
+  article.type = type;
+
+  const permissions = ctx.body.permissions;
+  if (permissions) {
+    const editableBy = permissions.editableBy ?? article.editableBy;
+    if (EDITABLE_BY.indexOf(editableBy) === -1) {
+      throw new HttpProblem(400, 'Bad Request', `'permissions.editableBy' must be one of ${EDITABLE_BY.join(', ')}.`);
+    }
+    article.editableBy = editableBy;
+    article.editorUserIds = existingUserIds(ctx, idArray(permissions.editorUserIds, 'permissions.editorUserIds'));
+    article.editorUserGroupIds = existingGroupIds(ctx, idArray(permissions.editorUserGroupIds, 'permissions.editorUserGroupIds'));
+  }
+}
+
+route('GET', '/articles', ctx => {
+  const tagNames = intList(ctx.query, 'tagId').map(id => {
+    const tag = ctx.site.tags.find(t => t.id === id);
+    return tag ? tag.name : '';
+  });
+  const authorId = optionalInt(ctx.query, 'authorId');
+  const from = optionalDate(ctx.query, 'from');
+  const to = optionalDate(ctx.query, 'to');
+
+  const articles = ctx.site.articles.filter(a => !a.isDeleted &&
+    (tagNames.length === 0 || tagNames.some(name => a.tags.indexOf(name) !== -1)) &&
+    (authorId === undefined || a.ownerId === authorId) &&
+    inRange(a.creationDate, from, to));
+  return paginate(ctx, articles, a => ctx.models.articleSummary(a), {
+    sorts: {
+      activity: byDate(a => a.lastActivityDate),
+      creation: byDate(a => a.creationDate),
+      score: byNumber(a => a.upvoterIds.length - a.downvoterIds.length),
+    },
+    defaultSort: 'activity',
+  });
+});
+
+route('POST', '/articles', ctx => {
+  const now = ctx.now;
+  const article: FakeArticleRecord = {
+    id: ctx.site.newId(),
+    type: 'knowledgeArticle',
+    title: '',
+    body: '',
+    tags: [],
+    ownerId: ctx.viewer.id,
+    creationDate: now,
+    lastActivityDate: now,
+    upvoterIds: [],
+    downvoterIds: [],
+    viewCount: 0,
+    editableBy: 'ownerOnly',
+    editorUserIds: [],
+    editorUserGroupIds: [],
+    linkedQuestionIds: [],
+    isDeleted: false,
+  };
+  articleFields(ctx, article);
+  ctx.site.articles.push(article);
+  return created(ctx.models.article(article));
+});
+
+route('GET', '/articles/{articleId}', ctx => {
+  const article = findArticle(ctx);
+  article.viewCount++;
+  return ok(ctx.models.article(article));
+});
+
+route('PUT', '/articles/{articleId}', ctx => {
+  const article = findArticle(ctx);
+  if (!canEditArticle(ctx, article)) {
+    throw new HttpProblem(403, 'Forbidden', 'You do not have permission to edit this article.');
+  }
+  articleFields(ctx, article);
+  touch(ctx, article);
+  return ok(ctx.models.article(article));
+});
+
+route('DELETE', '/articles/{articleId}', ctx => {
+  const article = findArticle(ctx);
+  requireOwnerOrModerator(ctx, article.ownerId);
+  article.isDeleted = true;
+  return noContent();
+});
+
+route('GET', '/articles/{articleId}/linked-questions', ctx => {
+  const article = findArticle(ctx);
+  const linked = ctx.site.questions.filter(q => !q.isDeleted && article.linkedQuestionIds.indexOf(q.id) !== -1);
+  return paginate(ctx, linked, q => ctx.models.questionSummary(q), { sorts: linkedSorts, defaultSort: 'hot' });
+});
+
+route('POST', '/articles/{articleId}/upvote', ctx => {
+  const article = findArticle(ctx);
+  vote(ctx, article, 'up', false);
+  return ok(ctx.models.article(article));
+});
+
+route('DELETE', '/articles/{articleId}/upvote', ctx => {
+  const article = findArticle(ctx);
+  vote(ctx, article, 'up', true);
+  return ok(ctx.models.article(article));
+});
+
+// Comments
+
+route('GET', '/questions/{questionId}/comments', ctx =>
+  ok(ctx.models.comments('question', findQuestion(ctx).id).map(c => ctx.models.comment(c))));
+route('GET', '/questions/{questionId}/answers/{answerId}/comments', ctx =>
+  ok(ctx.models.comments('answer', findAnswer(ctx).id).map(c => ctx.models.comment(c))));
+route('GET', '/articles/{articleId}/comments', ctx =>
+  ok(ctx.models.comments('article', findArticle(ctx).id).map(c => ctx.models.comment(c))));
+
+// Tags and subject matter experts
+
+route('GET', '/tags', ctx => {
+  const partialName = (ctx.query.get('partialName') || '').toLowerCase();
+  const hasSmes = optionalBool(ctx.query, 'hasSmes');
+  const hasSynonyms = optionalBool(ctx.query, 'hasSynonyms');
+  const tags = ctx.site.tags.filter(t => t.name.indexOf(partialName) !== -1 &&
+    (hasSmes === undefined || (t.smeUserIds.length + t.smeUserGroupIds.length > 0) === hasSmes) &&
+    (hasSynonyms === undefined || t.hasSynonyms === hasSynonyms));
+  return paginate(ctx, tags, t => ctx.models.tagSummary(t), {
+    sorts: {
+      name: byText(t => t.name),
+      postCount: byNumber(t => ctx.site.postCount(t.name)),
+      creationDate: byDate(t => t.creationDate),
+    },
+    defaultSort: 'postCount',
+  });
+});
+
+route('GET', '/tags/{tagId}', ctx => ok(ctx.models.tag(findTag(ctx))));
+route('GET', '/tags/{tagId}/subject-matter-experts', ctx => ok(ctx.models.subjectMatterExperts(findTag(ctx))));
+route('GET', '/tags/{tagId}/tag-watchers', ctx => ok({ users: ctx.models.tagWatchers(findTag(ctx)).map(u => ctx.models.userSummary(u.id)) }));
+
+route('PUT', '/tags/{tagId}/subject-matter-experts', ctx => {
+  const tag = findTag(ctx);
+  requireModerator(ctx);
+  tag.smeUserIds = existingUserIds(ctx, idArray(ctx.body && ctx.body.userIds, 'userIds'), 422);
+  tag.smeUserGroupIds = existingGroupIds(ctx, idArray(ctx.body && ctx.body.userGroupIds, 'userGroupIds'), 422);
+  return ok(ctx.models.subjectMatterExperts(tag));
+});
+
+route('POST', '/tags/{tagId}/subject-matter-experts/users', ctx => {
+  const tag = findTag(ctx);
+  requireModerator(ctx);
+  addUnique(tag.smeUserIds, existingUserIds(ctx, idArray(ctx.body, 'userIds'), 422));
+  return ok(ctx.models.subjectMatterExperts(tag));
+});
+
+route('POST', '/tags/{tagId}/subject-matter-experts/user-groups', ctx => {
+  const tag = findTag(ctx);
+  requireModerator(ctx);
+  addUnique(tag.smeUserGroupIds, existingGroupIds(ctx, idArray(ctx.body, 'userGroupIds'), 422));
+  return ok(ctx.models.subjectMatterExperts(tag));
+});
+
+route('DELETE', '/tags/{tagId}/subject-matter-experts/users/{userId}', ctx => {
+  const tag = findTag(ctx);
+  requireModerator(ctx);
+  const userId = intParam(ctx.params['userId'], 'userId');
+  if (tag.smeUserIds.indexOf(userId) === -1) {
+    throw new HttpProblem(422, 'Unprocessable Entity', `User ${userId} is not a subject matter expert for this tag.`);
+  }
+  remove(tag.smeUserIds, userId);
+  return noContent();
+});
+
+route('DELETE', '/tags/{tagId}/subject-matter-experts/user-groups/{userGroupId}', ctx => {
+  const tag = findTag(ctx);
+  requireModerator(ctx);
+  const groupId = intParam(ctx.params['userGroupId'], 'userGroupId');
+  if (tag.smeUserGroupIds.indexOf(groupId) === -1) {
+    throw new HttpProblem(422, 'Unprocessable Entity', `User group ${groupId} is not a subject matter expert for this tag.`);
+  }
+  remove(tag.smeUserGroupIds, groupId);
+  return noContent();
+});
+
+// Users
+
+route('GET', '/users/me', ctx => ok(ctx.models.userDetails(ctx.viewer)));
+
+route('GET', '/users', ctx =>
+  paginate(ctx, ctx.store.users, u => ctx.models.user(u), { sorts: { reputation: byNumber(u => u.reputation) }, defaultSort: 'reputation' }));
+
+route('GET', '/users/manage', ctx => {
+  requireModerator(ctx);
+  const isDeactivated = optionalBool(ctx.query, 'isDeactivated');
+  const from = optionalDate(ctx.query, 'lastAccessDateFrom');
+  const to = optionalDate(ctx.query, 'lastAccessDateTo');
+  const users = ctx.store.users.filter(u => (isDeactivated === undefined || u.isDeactivated === isDeactivated) && inRange(u.lastAccessDate, from, to));
+  return paginate(ctx, users, u => ctx.models.manageUser(u), {
+    sorts: {
+      id: byNumber(u => u.id),
+      name: byText(u => u.name),
+      email: byText(u => u.email),
+      lastAccessDate: byDate(u => u.lastAccessDate),
+    },
+    defaultSort: 'id',
+    defaultOrder: 'asc',
+  });
+}, true);
+
+route('GET', '/users/by-email/{email}', ctx => {
+  const email = ctx.params['email']!.toLowerCase();
+  const user = ctx.store.users.find(u => u.email.toLowerCase() === email);
+  if (!user) {
+    throw notFound(`User with email ${email}`);
+  }
+  return ok(ctx.models.userDetails(user));
+});
+
+route('GET', '/users/by-external-id/{externalId}', ctx =>
+  ok(ctx.store.users.filter(u => u.externalId === ctx.params['externalId']).map(u => ctx.models.user(u))));
+
+route('GET', '/users/{userId}', ctx => ok(ctx.models.userDetails(findUser(ctx))));
+
+route('GET', '/users/{userId}/watched-tags', ctx => {
+  const user = findUser(ctx);
+  // The API documents a single tag rather than a list; report the first one the user watches
+  const tag = ctx.site.tags.find(t => user.watchedTagIds.indexOf(t.id) !== -1);
+  if (!tag) {
+    throw notFound(`Watched tags for user ${user.id}`);
+  }
+  return ok(ctx.models.tagSummary(tag));
+});
+
+route('GET', '/users/{userId}/analytics', ctx => {
+  const user = findUser(ctx);
+  const from = optionalDate(ctx.query, 'dateFrom');
+  const to = optionalDate(ctx.query, 'dateTo');
+  if (from && to && from > to) {
+    throw new HttpProblem(400, 'Bad Request', "'dateFrom' must be before 'dateTo'.");
+  }
+
+  const questions = ctx.site.questions.filter(q => q.ownerId === user.id && !q.isDeleted && inRange(q.creationDate, from, to));
+  const answers = ctx.site.answers.filter(a => a.ownerId === user.id && !a.isDeleted && inRange(a.creationDate, from, to));
+  const comments = ctx.site.comments.filter(c => c.ownerId === user.id && inRange(c.creationDate, from, to));
+  const posts: Post[] = (questions as Post[]).concat(answers);
+  const score = (post: Post) => post.upvoterIds.length - post.downvoterIds.length;
+  const average = (items: Post[]) => items.length ? items.reduce((sum, post) => sum + score(post), 0) / items.length : 0;
+
+  return ok({
+    userId: user.id,
+    totalQuestions: questions.length,
+    totalAnswers: answers.length,
+    totalComments: comments.length,
+    totalUpvotesReceived: posts.reduce((sum, post) => sum + post.upvoterIds.length, 0),
+    totalDownvotesReceived: posts.reduce((sum, post) => sum + post.downvoterIds.length, 0),
+    acceptedAnswers: answers.filter(a => a.isAccepted).length,
+    averageQuestionScore: average(questions),
+    averageAnswerScore: average(answers),
+    periodStart: from ? from.toISOString() : null,
+    periodEnd: (to || ctx.now).toISOString(),
+  });
+});
+
+// User groups
+
+function userGroupFields(ctx: RouteContext, group: FakeUserGroupRecord): void {
+  group.name = requireString(ctx.body, 'name');
+  group.description = typeof ctx.body.description === 'string' ? ctx.body.description : group.description;
+  if (ctx.body.userIds !== undefined) {
+    group.userIds = existingUserIds(ctx, idArray(ctx.body.userIds, 'userIds'));
+  }
+  if (ctx.site.userGroups.some(g => g.id !== group.id && g.name.toLowerCase() === group.name.toLowerCase())) {
+    throw new HttpProblem(400, 'Bad Request', `A user group named '${group.name}' already exists.`);
+  }
+}
+
+route('GET', '/user-groups', ctx => paginate(ctx, ctx.site.userGroups, g => ctx.models.userGroup(g), {
+  sorts: { name: byText(g => g.name), size: byNumber(g => g.userIds.length) },
+  defaultSort: 'name',
+  defaultOrder: 'asc',
+}));
+
+route('POST', '/user-groups', ctx => {
+  requireModerator(ctx);
+  const group: FakeUserGroupRecord = { id: ctx.site.newId(), name: '', description: '', userIds: [] };
+  userGroupFields(ctx, group);
+  ctx.site.userGroups.push(group);
+  return created(ctx.models.userGroup(group));
+});
+
+route('GET', '/user-groups/{userGroupId}', ctx => ok(ctx.models.userGroup(findUserGroup(ctx))));
+
+route('PUT', '/user-groups/{userGroupId}', ctx => {
+  const group = findUserGroup(ctx);
+  requireModerator(ctx);
+  userGroupFields(ctx, group);
+  return ok(ctx.models.userGroup(group));
+});
+
+route('POST', '/user-groups/{userGroupId}/members', ctx => {
+  const group = findUserGroup(ctx);
+  requireModerator(ctx);
+  addUnique(group.userIds, existingUserIds(ctx, idArray(ctx.body, 'userIds')));
+  return ok(ctx.models.userGroup(group));
+});
+
+route('DELETE', '/user-groups/{userGroupId}/members/{userId}', ctx => {
+  const group = findUserGroup(ctx);
+  requireModerator(ctx);
+  const userId = intParam(ctx.params['userId'], 'userId');
+  if (group.userIds.indexOf(userId) === -1) {
+    throw notFound(`Member ${userId}`);
+  }
+  remove(group.userIds, userId);
+  return ok(ctx.models.userGroup(group));
+});
+
+// Search
+
+interface SearchHit {
+  relevance: number;
+  creationDate: Date;
+  lastActivityDate: Date;
+  score: number;
+  model: unknown;
+}
+
+route('GET', '/search', ctx => {
+  const text = (ctx.query.get('query') || '').toLowerCase();
+  const tagFilters: string[] = [];
+  const terms = text.replace(/\[([^\]]+)\]/g, (_match, tag: string) => {
+    tagFilters.push(tag.trim());
+    return ' ';
+  }).split(/\s+/).filter(Boolean);
+
+  const relevance = (title: string, body: string, tags: string[]): number => {
+    if (tagFilters.some(tag => tags.indexOf(tag) === -1)) {
+      return 0;
+    }
+    const lowerTitle = title.toLowerCase();
+    const lowerBody = body.toLowerCase();
+    if (terms.some(term => lowerTitle.indexOf(term) === -1 && lowerBody.indexOf(term) === -1)) {
+      return 0;
+    }
+    return 1 + terms.reduce((sum, term) => sum + (lowerTitle.indexOf(term) !== -1 ? 2 : 0) + (lowerBody.indexOf(term) !== -1 ? 1 : 0), 0);
+  };
+  const snippet = (body: string) => body.length > 200 ? `${body.substring(0, 200)}...` : body;
+  const base = (post: Post, title: string, tags: string[], webUrl: string) => ({
+    title,
+    snippet: snippet(post.body),
+    tags: ctx.models.tagsByName(tags),
+    owner: ctx.models.userSummary(post.ownerId),
+    creationDate: post.creationDate.toISOString(),
+    score: post.upvoterIds.length - post.downvoterIds.length,
+    webUrl,
+  });
+
+  const hits: SearchHit[] = [];
+  const add = (post: Post, rank: number, model: unknown) => {
+    if (rank > 0) {
+      hits.push({ relevance: rank, creationDate: post.creationDate, lastActivityDate: post.lastActivityDate, score: post.upvoterIds.length - post.downvoterIds.length, model });
+    }
+  };
+
+  ctx.site.questions.filter(q => !q.isDeleted).forEach(q => {
+    const summary = ctx.models.questionSummary(q);
+    add(q, relevance(q.title, q.body, q.tags), {
+      type: 'question',
+      questionId: q.id,
+      answerCount: summary.answerCount,
+      hasAcceptedAnswer: ctx.site.answers.some(a => a.questionId === q.id && a.isAccepted && !a.isDeleted),
+      viewCount: q.viewCount,
+      ...base(q, q.title, q.tags, summary.webUrl),
+    });
+  });
+  ctx.site.answers.filter(a => !a.isDeleted).forEach(a => {
+    const question = ctx.site.questions.find(q => q.id === a.questionId && !q.isDeleted);
+    if (question) {
+      add(a, relevance(question.title, a.body, question.tags), {
+        type: 'answer',
+        answerId: a.id,
+        parentQuestionId: question.id,
+        isAccepted: a.isAccepted,
+        ...base(a, question.title, question.tags, ctx.models.answerSummary(a).webUrl),
+      });
+    }
+  });
+  ctx.site.articles.filter(a => !a.isDeleted).forEach(a => {
+    add(a, relevance(a.title, a.body, a.tags), {
+      type: 'article',
+      articleId: a.id,
+      viewCount: a.viewCount,
+      articleType: a.type,
+      readTimeInMinutes: Math.max(1, Math.round(a.body.split(/\s+/).length / 200)),
+      ...base(a, a.title, a.tags, ctx.models.articleSummary(a).webUrl),
+    });
+  });
+
+  return paginate(ctx, hits, hit => hit.model, {
+    sorts: {
+      relevance: byNumber(hit => hit.relevance),
+      newest: byDate(hit => hit.creationDate),
+      active: byDate(hit => hit.lastActivityDate),
+      score: byNumber(hit => hit.score),
+    },
+    defaultSort: 'relevance',
+    ordered: false,
+  });
+});
+
+// Communities
+
+function memberIds(ctx: RouteContext): number[] {
+  const ids = idArray(ctx.body ? ctx.body.memberUserIds : undefined, 'memberUserIds');
+  if (ids.length === 0) {
+    throw new HttpProblem(400, 'Bad Request', "'memberUserIds' must contain at least one user id.");
+  }
+  return existingUserIds(ctx, ids);
+}
+
+function join(community: FakeCommunityRecord, userIds: number[], memberSince: Date): void {
+  userIds.forEach(userId => {
+    if (!community.members.some(m => m.userId === userId)) {
+      community.members.push({ userId, memberSince });
+    }
+  });
+}
+
+function leave(community: FakeCommunityRecord, userIds: number[]): void {
+  community.members = community.members.filter(m => userIds.indexOf(m.userId) === -1);
+}
+
+route('GET', '/communities', ctx => paginate(ctx, ctx.site.communities, c => ctx.models.communitySummary(c), {
+  sorts: { name: byText(c => c.name), size: byNumber(c => c.members.length) },
+  defaultSort: 'name',
+  defaultOrder: 'asc',
+}), true);
+
+route('GET', '/communities/{communityId}', ctx => ok(ctx.models.community(findCommunity(ctx))), true);
+
+route('POST', '/communities/{communityId}/join', ctx => {
+  const community = findCommunity(ctx);
+  join(community, [ctx.viewer.id], ctx.now);
+  return ok(ctx.models.community(community));
+}, true);
+
+route('POST', '/communities/{communityId}/join/bulk', ctx => {
+  const community = findCommunity(ctx);
+  requireModerator(ctx);
+  join(community, memberIds(ctx), ctx.now);
+  return ok(ctx.models.community(community));
+}, true);
+
+route('POST', '/communities/{communityId}/leave', ctx => {
+  const community = findCommunity(ctx);
+  leave(community, [ctx.viewer.id]);
+  return ok(ctx.models.community(community));
+}, true);
+
+route('POST', '/communities/{communityId}/leave/bulk', ctx => {
+  const community = findCommunity(ctx);
+  requireModerator(ctx);
+  leave(community, memberIds(ctx));
+  return ok(ctx.models.community(community));
+}, true);
+
+// Collections
+
+function collectionFields(ctx: RouteContext, collection: FakeCollectionRecord): void {
+  collection.title = requireString(ctx.body, 'title');
+  if (typeof ctx.body.description === 'string') {
+    collection.description = ctx.body.description;
+  }
+  if (ctx.body.editorUserIds !== undefined) {
+    collection.editorUserIds = existingUserIds(ctx, idArray(ctx.body.editorUserIds, 'editorUserIds'));
+  }
+  if (ctx.body.editorUserGroupIds !== undefined) {
+    collection.editorUserGroupIds = existingGroupIds(ctx, idArray(ctx.body.editorUserGroupIds, 'editorUserGroupIds'));
+  }
+  if (ctx.body.contentIds !== undefined) {
+    const contentIds = idArray(ctx.body.contentIds, 'contentIds');
+    const missing = contentIds.filter(id => !ctx.site.hasContent(id));
+    if (missing.length > 0) {
+      throw new HttpProblem(400, 'Bad Request', `Unknown question or article id(s): ${missing.join(', ')}.`);
+    }
+    collection.contentIds = contentIds;
+  }
+  collection.lastEditDate = ctx.now;
+}
+
+route('GET', '/collections', ctx => {
+  const authorIds = intList(ctx.query, 'authorIds');
+  const partialTitle = (ctx.query.get('partialTitle') || '').toLowerCase();
+  const permissions = ctx.query.get('permissions') || 'all';
+  if (['all', 'owned', 'editable'].indexOf(permissions) === -1) {
+    throw new HttpProblem(400, 'Bad Request', "'permissions' must be one of all, owned, editable.");
+  }
+  const from = optionalDate(ctx.query, 'from');
+  const to = optionalDate(ctx.query, 'to');
+
+  const collections = ctx.site.collections.filter(c => !c.isDeleted &&
+    (authorIds.length === 0 || authorIds.indexOf(c.ownerId) !== -1) &&
+    c.title.toLowerCase().indexOf(partialTitle) !== -1 &&
+    (permissions !== 'owned' || c.ownerId === ctx.viewer.id) &&
+    (permissions !== 'editable' || canEditCollection(ctx, c)) &&
+    inRange(c.creationDate, from, to));
+  return paginate(ctx, collections, c => ctx.models.collectionSummary(c), {
+    sorts: { creation: byDate(c => c.creationDate), lastEdit: byDate(c => c.lastEditDate) },
+    defaultSort: 'creation',
+  });
+});
+
+route('POST', '/collections', ctx => {
+  const now = ctx.now;
+  const collection: FakeCollectionRecord = {
+    id: ctx.site.newId(),
+    title: '',
+    description: '',
+    ownerId: ctx.viewer.id,
+    creationDate: now,
+    lastEditDate: now,
+    editorUserIds: [],
+    editorUserGroupIds: [],
+    contentIds: [],
+    isDeleted: false,
+  };
+  collectionFields(ctx, collection);
+  ctx.site.collections.push(collection);
+  return created(ctx.models.collection(collection));
+});
+
+route('GET', '/collections/{collectionId}', ctx => ok(ctx.models.collection(findCollection(ctx))));
+
+route('PUT', '/collections/{collectionId}', ctx => {
+  const collection = findCollection(ctx);
+  if (!canEditCollection(ctx, collection)) {
+    throw new HttpProblem(403, 'Forbidden', 'You do not have permission to edit this collection.');
+  }
+  collectionFields(ctx, collection);
+  if (ctx.body.ownerId !== undefined && ctx.body.ownerId !== null) {
+    requireOwnerOrModerator(ctx, collection.ownerId);
+    collection.ownerId = existingUserIds(ctx, idArray([ctx.body.ownerId], 'ownerId'))[0]!;
+  }
+  return ok(ctx.models.collection(collection));
+});
+
+route('DELETE', '/collections/{collectionId}', ctx => {
+  const collection = findCollection(ctx);
+  requireOwnerOrModerator(ctx, collection.ownerId);
+  collection.isDeleted = true;
+  return noContent();
+});
+
+// Images
+
+const IMAGE_SIGNATURES: Array<{ contentType: string; extension: string; test: (data: Uint8Array) => boolean }> = [
+  { contentType: 'image/jpeg', extension: 'jpg', test: d => d[0] === 0xff && d[1] === 0xd8 && d[2] === 0xff },
+  { contentType: 'image/png', extension: 'png', test: d => d[0] === 0x89 && d[1] === 0x50 && d[2] === 0x4e && d[3] === 0x47 },
+  { contentType: 'image/gif', extension: 'gif', test: d => d[0] === 0x47 && d[1] === 0x49 && d[2] === 0x46 && d[3] === 0x38 },
+  { contentType: 'image/bmp', extension: 'bmp', test: d => d[0] === 0x42 && d[1] === 0x4d },
+  {
+    contentType: 'image/webp',
+    extension: 'webp',
+    test: d => String.fromCharCode(d[0]!, d[1]!, d[2]!, d[3]!) === 'RIFF' && String.fromCharCode(d[8]!, d[9]!, d[10]!, d[11]!) === 'WEBP',
+  },
+];
+
+function indexOfBytes(data: Uint8Array, pattern: Uint8Array, from: number): number {
+  outer: for (let i = from; i <= data.length - pattern.length; i++) {
+    for (let j = 0; j < pattern.length; j++) {
+      if (data[i + j] !== pattern[j]) {
+        continue outer;
+      }
+    }
+    return i;
+  }
+  return -1;
+}
+
+/**
+ * Contents of the `file` part of a multipart/form-data body
+ */
+function multipartFile(data: Uint8Array, contentType: string): Uint8Array | undefined {
+  const boundaryMatch = /boundary="?([^";]+)"?/i.exec(contentType);
+  if (!boundaryMatch) {
+    return undefined;
+  }
+  const encode = (text: string) => Uint8Array.from(text.split('').map(c => c.charCodeAt(0)));
+  const delimiter = encode(`--${boundaryMatch[1]}`);
+  const headerEnd = encode('\r\n\r\n');
+
+  let start = indexOfBytes(data, delimiter, 0);
+  while (start !== -1) {
+    const headersStart = start + delimiter.length + 2;
+    const bodyStart = indexOfBytes(data, headerEnd, headersStart);
+    if (bodyStart === -1) {
+      return undefined;
+    }
+    const headers = String.fromCharCode.apply(null, Array.prototype.slice.call(data.subarray(headersStart, bodyStart)));
+    const next = indexOfBytes(data, delimiter, bodyStart);
+    if (next === -1) {
+      return undefined;
+    }
+    if (/name="?file"?/i.test(headers)) {
+      // The part ends with the CRLF preceding the next delimiter
+      return data.subarray(bodyStart + headerEnd.length, next - 2);
+    }
+    start = next;
+  }
+  return undefined;
+}
+
+route('POST', '/images/upload', ctx => {
+  const contentType = (ctx.headers['content-type'] || '').toLowerCase();
+  let data: Uint8Array | undefined;
+  if (contentType.indexOf('multipart/form-data') === 0) {
+    data = multipartFile(ctx.rawBody, contentType);
+    if (!data) {
+      throw new HttpProblem(400, 'Bad Request', "The request must include a 'file' part.");
+    }
+  } else if (/^(image|img)\//.test(contentType)) {
+    data = ctx.rawBody;
+  } else {
+    return { status: 415 };
+  }
+
+  if (data.length === 0) {
+    throw new HttpProblem(400, 'Bad Request', 'The uploaded file is empty.');
+  }
+  if (data.length > MAX_IMAGE_BYTES) {
+    throw new HttpProblem(400, 'Bad Request', `Images must be ${MAX_IMAGE_BYTES / (1024 * 1024)} MiB or smaller.`);
+  }
+  const signature = IMAGE_SIGNATURES.find(candidate => candidate.test(data!));
+  if (!signature) {
+    throw new HttpProblem(400, 'Bad Request', 'Only JPEG, PNG, GIF, BMP and WebP images are supported.');
+  }
+
+  const id = `${ctx.site.newId().toString(36)}.${signature.extension}`;
+  ctx.site.images.push({ id, contentType: signature.contentType, data: Uint8Array.from(data) });
+  return ok({ id, url: `${ctx.apiUrl}/images/${id}` });
+});
+
+route('GET', '/images/{imageId}', ctx => {
+  const image = ctx.site.images.find(i => i.id === ctx.params['imageId']);
+  if (!image) {
+    return { status: 404 };
+  }
+  return { status: 200, body: image.data, contentType: image.contentType };
+});
+
+// Stacky
+
+const STACKY = [
+  '    _____',
+  '   |     |',
+  '   | o o |   Stacky says hi',
+  '   |  -  |   from the fake Teams server',
+  '   |_____|',
+  '   _|_|_|_',
+].join('\n');
+
+route('GET', '/stacky', () => ({ status: 200, body: STACKY, contentType: 'text/plain; charset=utf-8' }), true);
@@ -0,0 +1,406 @@
+import http from 'http';
+import { ModelMapper } from './models.js';
+import { HttpProblem, matchRoute, RouteResult } from './routes.js';
+import { FakeTeamsStore, seedStore } from './store.js';
+
+/**
+ * What an access token accepted by the fake server grants
+ */
+export interface FakeTokenGrant {
+  /** User the token authenticates as */
+  userId: number;
+  /** OAuth scopes (defaults to `['write_access', 'access_team']`) */
+  scopes?: string[];
+  /** Teams the token may access; all teams when omitted */
+  teams?: string[];
+  /** Requests made after this moment are rejected as expired */
+  expiresAt?: Date;
+}
+
+/**
+ * Simulated API throttling, reported through the same headers as the real API
+ */
+export interface FakeThrottleOptions {
+  /** Calls allowed per burst window (defaults to 50) */
+  burstLimit?: number;
+  /** Length of the burst window in seconds (defaults to 2) */
+  burstWindowSeconds?: number;
+  /** Capacity of the token bucket (defaults to 5000) */
+  tokenBucketSize?: number;
+  /** Tokens added per refill (defaults to 100) */
+  refillAmount?: number;
+  /** Seconds between refills (defaults to 60) */
+  refillSeconds?: number;
+}
+
+export interface FakeTeamsServerOptions {
+  /** Accepted access tokens (defaults to `{ 'fake-token': { userId: 1 } }`, user 1 being an admin) */
+  tokens?: Record<string, FakeTokenGrant>;
+  /** Slug of the team served under `/teams/{team}` (defaults to 'fake-team') */
+  team?: string;
+  /** Fill the store with sample users and content (defaults to true) */
+  seed?: boolean;
+  /** Throttling settings, or false to disable the throttle headers and 429 responses */
+  throttle?: FakeThrottleOptions | false;
+  /** Clock used for throttling, token expiry and the dates of seeded and created content (defaults to `Date.now`) */
+  now?: () => number;
+}
+
+/**
+ * Request handed to {@link FakeTeamsServer.dispatch}
+ */
+export interface FakeRequest {
+  method: string;
+  /** Path and query, e.g. `/api/v3/teams/fake-team/questions?page=2`; the `/api/v3` prefix is optional */
+  url: string;
+  headers?: Record<string, string | string[] | undefined>;
+  body?: Uint8Array | string;
+}
+
+/**
+ * Response produced by {@link FakeTeamsServer.dispatch}
+ */
+export interface FakeResponse {
+  status: number;
+  headers: Record<string, string>;
+  body: Uint8Array;
+}
+
+interface ThrottleState {
+  burstCalls: number;
+  burstWindowStart: number;
+  tokens: number;
+  lastRefill: number;
+}
+
+const DEFAULT_TOKEN = 'fake-token';
+const DEFAULT_SCOPES = ['write_access', 'access_team'];
+
+const STATUS_TITLES: Record<number, string> = {
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'Not Found',
+  405: 'Method Not Allowed',
+  429: 'Too Many Requests',
+  500: 'Internal Server Error',
+};
+
+function utf8(text: string): Uint8Array {
+  return Uint8Array.from(Buffer.from(text, 'utf8'));
+}
+
+/**
+ * In-memory stand-in for a Stack Overflow for Teams API v3 instance
+ *
+ * Serves the routes of the public API from an in-memory store, on both the main site and
+ * `/teams/{team}`, with pagination, sorting, `ProblemDetails` errors and throttle headers.
+ * Use it in-process through `dispatch()` or on localhost through `listen()`.
+ *
+ * @example
+ * ```typescript
+ * const server = new FakeTeamsServer();
+ * const url = await server.listen();
+ *
+ * const sdk = new StackOverflowSDK({ baseUrl: url, accessToken: 'fake-token' });
+ * const questions = await sdk.questions.getAll();
+ * const teamQuestions = await sdk.forTeam('fake-team').questions.getAll();
+ *
+ * await server.close();
+ * ```
+ */
+export class FakeTeamsServer {
+  /** Data served by the fake; mutate it to arrange test scenarios */
+  readonly store: FakeTeamsStore;
+  /** Slug of the seeded team */
+  readonly team: string;
+  private readonly tokens: Record<string, FakeTokenGrant>;
+  private readonly throttle: Required<FakeThrottleOptions> | false;
+  private readonly now: () => number;
+  private readonly throttleStates = new Map<string, ThrottleState>();
+  private server?: http.Server;
+  private origin = 'http://localhost';
+
+  constructor(options: FakeTeamsServerOptions = {}) {
+    this.team = options.team ?? 'fake-team';
+    this.tokens = { ...(options.tokens ?? { [DEFAULT_TOKEN]: { userId: 1 } }) };
+    this.now = options.now ?? Date.now;
+    this.store = new FakeTeamsStore(this.now);
+    this.throttle = options.throttle === false ? false : {
+      burstLimit: 50,
+      burstWindowSeconds: 2,
+      tokenBucketSize: 5000,
+      refillAmount: 100,
+      refillSeconds: 60,
+      ...options.throttle,
+    };
+
+    if (options.seed === false) {
+      this.store.addTeam(this.team);
+    } else {
+      seedStore(this.store, this.team);
+    }
+  }
+
+  /**
+   * Base URL to hand to `StackOverflowSDK` once the server is listening
+   */
+  get url(): string {
+    if (!this.server) {
+      throw new Error('FakeTeamsServer is not listening; call listen() first');
+    }
+    return this.origin;
+  }
+
+  /**
+   * Accept an additional access token, or replace the grant of an existing one
+   */
+  addToken(token: string, grant: FakeTokenGrant): void {
+    this.tokens[token] = grant;
+  }
+
+  /**
+   * Stop accepting an access token
+   */
+  revokeToken(token: string): void {
+    delete this.tokens[token];
+    this.throttleStates.delete(token);
+  }
+
+  /**
+   * Start serving on localhost
+   * @param port - Port to listen on; a free port is chosen when omitted
+   * @returns The server's base URL
+   */
+  listen(port = 0): Promise<string> {
+    if (this.server) {
+      return Promise.resolve(this.origin);
+    }
+
+    const server = http.createServer((req, res) => this.handle(req, res));
+    return new Promise<string>((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, '127.0.0.1', () => {
+        server.removeListener('error', reject);
+        const address = server.address();
+        this.server = server;
+        this.origin = `http://127.0.0.1:${typeof address === 'object' && address ? address.port : port}`;
+        resolve(this.origin);
+      });
+    });
+  }
+
+  /**
+   * Stop serving; in-memory state is kept
+   */
+  close(): Promise<void> {
+    const server = this.server;
+    this.server = undefined;
+    if (!server) {
+      return Promise.resolve();
+    }
+    return new Promise<void>((resolve, reject) => {
+      server.close(error => (error ? reject(error) : resolve()));
+      if (typeof (server as any).closeAllConnections === 'function') {
+        (server as any).closeAllConnections();
+      }
+    });
+  }
+
+  /**
+   * `node:http` request listener, for mounting the fake on an existing server
+   */
+  handle(req: http.IncomingMessage, res: http.ServerResponse): void {
+    const chunks: Buffer[] = [];
+    req.on('data', (chunk: Buffer) => chunks.push(chunk));
+    req.on('end', () => {
+      const response = this.dispatch({
+        method: req.method || 'GET',
+        url: req.url || '/',
+        headers: req.headers,
+        body: Buffer.concat(chunks),
+      });
+      res.writeHead(response.status, response.headers);
+      res.end(Buffer.from(response.body));
+    });
+  }
+
+  /**
+   * Serve a single request without going through the network
+   */
+  dispatch(request: FakeRequest): FakeResponse {
+    const headers: Record<string, string> = {};
+    Object.keys(request.headers || {}).forEach(name => {
+      const value = (request.headers || {})[name];
+      if (value !== undefined) {
+        headers[name.toLowerCase()] = Array.isArray(value) ? value.join(', ') : value;
+      }
+    });
+    const rawBody = typeof request.body === 'string' ? utf8(request.body) : request.body || new Uint8Array(0);
+
+    const url = new URL(request.url, this.origin);
+    const path = url.pathname.replace(/\/+$/, '').replace(/^\/api\/v3(?=\/|$)/, '');
+    const teamMatch = /^\/teams\/([^/]+)(\/.*)?$/.exec(path);
+    const team = teamMatch ? decodeURIComponent(teamMatch[1]!) : undefined;
+    const routePath = teamMatch ? teamMatch[2] || '/' : path || '/';
+    const method = request.method.toUpperCase();
+
+    const token = (/^Bearer\s+(.+)$/i.exec(headers['authorization'] || '') || [])[1] || headers['x-api-key'];
+    const grant = token ? this.tokens[token] : undefined;
+    const viewer = grant ? this.store.user(grant.userId) : undefined;
+    if (!token || !grant || !viewer || viewer.isDeactivated) {
+      return this.problem(401, 'Invalid access token');
+    }
+    if (grant.expiresAt && grant.expiresAt.getTime() <= this.now()) {
+      return this.problem(401, 'Access token expired');
+    }
+
+    const throttleHeaders = this.consumeThrottle(token);
+    if (throttleHeaders && throttleHeaders['retry-after']) {
+      return this.problem(429, 'Too many requests; slow down', throttleHeaders);
+    }
+
+    const site = this.store.site(team);
+    if (!site) {
+      return this.problem(404, `Team '${team}' not found`, throttleHeaders);
+    }
+
+    const scopes = grant.scopes ?? DEFAULT_SCOPES;
+    if (team !== undefined && (scopes.indexOf('access_team') === -1 || (grant.teams && grant.teams.indexOf(team) === -1))) {
+      return this.problem(403, `This access token cannot access team '${team}'`, throttleHeaders);
+    }
+
+    const match = matchRoute(method, routePath, team !== undefined);
+    if (match === undefined) {
+      return this.problem(404, `No route for ${routePath}`, throttleHeaders);
+    }
+    if (match === 'method') {
+      return this.problem(405, `${method} is not supported for ${routePath}`, throttleHeaders);
+    }
+    if (method !== 'GET' && scopes.indexOf('write_access') === -1) {
+      return this.problem(403, 'This access token does not have the write_access scope', throttleHeaders);
+    }
+
+    let body: any;
+    const contentType = headers['content-type'] || '';
+    if (rawBody.length > 0 && /json/i.test(contentType)) {
+      try {
+        body = JSON.parse(Buffer.from(rawBody).toString('utf8'));
+      } catch {
+        return this.problem(400, 'The request body is not valid JSON', throttleHeaders);
+      }
+    }
+
+    const siteRoot = team === undefined ? this.origin : `${this.origin}/c/${encodeURIComponent(team)}`;
+    const apiUrl = `${this.origin}/api/v3${team === undefined ? '' : `/teams/${encodeURIComponent(team)}`}`;
+    try {
+      const result = match.handler({
+        store: this.store,
+        site,
+        team,
+        viewer,
+        params: match.params,
+        query: url.searchParams,
+        body,
+        rawBody,
+        headers,
+        models: new ModelMapper(this.store, site, siteRoot, viewer.id),
+        apiUrl,
+        now: new Date(this.now()),
+      });
+      return this.respond(result, throttleHeaders);
+    } catch (error) {
+      if (error instanceof HttpProblem) {
+        return this.problem(error.status, error.detail || error.title, throttleHeaders);
+      }
+      return this.problem(500, error instanceof Error ? error.message : String(error), throttleHeaders);
+    }
+  }
+
+  private respond(result: RouteResult, extraHeaders?: Record<string, string>): FakeResponse {
+    const headers: Record<string, string> = { ...extraHeaders };
+    let body = new Uint8Array(0);
+
+    if (result.body instanceof Uint8Array) {
+      body = result.body;
+      headers['content-type'] = result.contentType || 'application/octet-stream';
+    } else if (result.contentType) {
+      body = utf8(String(result.body ?? ''));
+      headers['content-type'] = result.contentType;
+    } else if (result.body !== undefined) {
+      body = utf8(JSON.stringify(result.body));
+      headers['content-type'] = 'application/json; charset=utf-8';
+    }
+
+    headers['content-length'] = String(body.length);
+    return { status: result.status, headers, body };
+  }
+
+  private problem(status: number, detail: string, extraHeaders?: Record<string, string>): FakeResponse {
+    const title = STATUS_TITLES[status] || 'Error';
+    const response = this.respond({
+      status,
+      body: {
+        type: `https://httpstatuses.io/${status}`,
+        title,
+        status,
+        detail,
+        instance: null,
+      },
+    }, extraHeaders);
+    response.headers['content-type'] = 'application/problem+json; charset=utf-8';
+    return response;
+  }
+
+  /**
+   * Charge one call to the token's burst window and token bucket
+   * @returns Throttle headers, including `retry-after` when the call is rejected
+   */
+  private consumeThrottle(token: string): Record<string, string> | undefined {
+    const settings = this.throttle;
+    if (!settings) {
+      return undefined;
+    }
+
+    const now = this.now();
+    let state = this.throttleStates.get(token);
+    if (!state) {
+      state = { burstCalls: 0, burstWindowStart: now, tokens: settings.tokenBucketSize, lastRefill: now };
+      this.throttleStates.set(token, state);
+    }
+
+    const windowMs = settings.burstWindowSeconds * 1000;
+    if (now - state.burstWindowStart >= windowMs) {
+      state.burstCalls = 0;
+      state.burstWindowStart = now;
+    }
+    const refillMs = settings.refillSeconds * 1000;
+    const refills = Math.floor((now - state.lastRefill) / refillMs);
+    if (refills > 0) {
+      state.tokens = Math.min(settings.tokenBucketSize, state.tokens + refills * settings.refillAmount);
+      state.lastRefill += refills * refillMs;
+    }
+
+    const burstExhausted = state.burstCalls >= settings.burstLimit;
+    const bucketExhausted = state.tokens <= 0;
+    if (!burstExhausted && !bucketExhausted) {
+      state.burstCalls++;
+      state.tokens--;
+    }
+
+    const secondsUntilBurstReset = Math.max(0, Math.ceil((state.burstWindowStart + windowMs - now) / 1000));
+    const secondsUntilNextRefill = Math.max(0, Math.ceil((state.lastRefill + refillMs - now) / 1000));
+    const refillsToFull = Math.ceil((settings.tokenBucketSize - state.tokens) / settings.refillAmount);
+    const headers: Record<string, string> = {
+      'x-burst-throttle-calls-left': String(settings.burstLimit - state.burstCalls),
+      'x-burst-throttle-seconds-until-full': String(state.burstCalls > 0 ? secondsUntilBurstReset : 0),
+      'x-token-bucket-calls-left': String(state.tokens),
+      'x-token-bucket-seconds-until-full': String(refillsToFull > 0 ? secondsUntilNextRefill + (refillsToFull - 1) * settings.refillSeconds : 0),
+      'x-token-bucket-seconds-until-next-refill': String(secondsUntilNextRefill),
+    };
+    if (burstExhausted || bucketExhausted) {
+      headers['retry-after'] = String(Math.max(1, bucketExhausted ? secondsUntilNextRefill : secondsUntilBurstReset));
+    }
+    return headers;
+  }
+}
@@ -0,0 +1,417 @@
+/**
+ * In-memory data behind the fake Teams server
+ *
+ * Records are kept in their raw form and turned into API response models by the route handlers.
+ * Users are shared by every site; content lives in one `FakeSite` per site (the main site and
+ * each team).
+ */
+
+export interface FakeUserRecord {
+  id: number;
+  accountId: number;
+  name: string;
+  email: string;
+  externalId?: string;
+  department?: string;
+  jobTitle?: string;
+  /** 'Registered', 'Moderator' or 'Admin' */
+  role: string;
+  reputation: number;
+  isDeactivated: boolean;
+  creationDate: Date;
+  lastAccessDate: Date;
+  lastModifiedDate?: Date;
+  watchedTagIds: number[];
+}
+
+export interface FakeTagRecord {
+  id: number;
+  name: string;
+  description: string;
+  creationDate: Date;
+  hasSynonyms: boolean;
+  smeUserIds: number[];
+  smeUserGroupIds: number[];
+}
+
+interface VotablePost {
+  id: number;
+  /** Markdown source */
+  body: string;
+  ownerId: number;
+  lastEditorId?: number;
+  creationDate: Date;
+  lastActivityDate: Date;
+  lastEditDate?: Date;
+  upvoterIds: number[];
+  downvoterIds: number[];
+  isDeleted: boolean;
+}
+
+export interface FakeQuestionRecord extends VotablePost {
+  title: string;
+  tags: string[];
+  viewCount: number;
+  isClosed: boolean;
+  isObsolete: boolean;
+  bookmarkerIds: number[];
+  linkedQuestionIds: number[];
+  communityIds: number[];
+}
+
+export interface FakeAnswerRecord extends VotablePost {
+  questionId: number;
+  isAccepted: boolean;
+}
+
+export interface FakeArticleRecord extends VotablePost {
+  type: string;
+  title: string;
+  tags: string[];
+  viewCount: number;
+  editableBy: string;
+  editorUserIds: number[];
+  editorUserGroupIds: number[];
+  linkedQuestionIds: number[];
+}
+
+export interface FakeCommentRecord {
+  id: number;
+  postType: 'question' | 'answer' | 'article';
+  postId: number;
+  body: string;
+  ownerId: number;
+  score: number;
+  creationDate: Date;
+}
+
+export interface FakeUserGroupRecord {
+  id: number;
+  name: string;
+  description: string;
+  userIds: number[];
+}
+
+export interface FakeCommunityRecord {
+  id: number;
+  name: string;
+  description: string;
+  tags: string[];
+  members: Array<{ userId: number; memberSince: Date }>;
+}
+
+export interface FakeCollectionRecord {
+  id: number;
+  title: string;
+  description: string;
+  ownerId: number;
+  creationDate: Date;
+  lastEditDate: Date;
+  editorUserIds: number[];
+  editorUserGroupIds: number[];
+  contentIds: number[];
+  isDeleted: boolean;
+}
+
+export interface FakeFlagRecord {
+  id: number;
+  postType: 'question' | 'answer';
+  postId: number;
+  userId: number;
+  optionId: number;
+  comment?: string;
+  relatedQuestionId?: number;
+  creationDate: Date;
+}
+
+export interface FakeImageRecord {
+  id: string;
+  contentType: string;
+  data: Uint8Array;
+}
+
+/**
+ * Content of a single site: the main site or one team
+ */
+export class FakeSite {
+  tags: FakeTagRecord[] = [];
+  questions: FakeQuestionRecord[] = [];
+  answers: FakeAnswerRecord[] = [];
+  articles: FakeArticleRecord[] = [];
+  comments: FakeCommentRecord[] = [];
+  userGroups: FakeUserGroupRecord[] = [];
+  communities: FakeCommunityRecord[] = [];
+  collections: FakeCollectionRecord[] = [];
+  images: FakeImageRecord[] = [];
+  flags: FakeFlagRecord[] = [];
+  private nextId = 1;
+
+  /**
+   * @param slug - Team slug, or undefined for the main site
+   */
+  constructor(readonly slug?: string) {}
+
+  /**
+   * Next identifier; questions, answers and articles share one sequence as on the real API
+   */
+  newId(): number {
+    return this.nextId++;
+  }
+
+  /**
+   * Look up a tag by name, creating it on first use as posting with a new tag does
+   *
+   * @param now - Creation date of a new tag
+   */
+  ensureTag(name: string, now: Date = new Date()): FakeTagRecord {
+    const normalized = name.trim().toLowerCase();
+    let tag = this.tags.find(t => t.name === normalized);
+    if (!tag) {
+      tag = {
+        id: this.newId(),
+        name: normalized,
+        description: '',
+        creationDate: now,
+        hasSynonyms: false,
+        smeUserIds: [],
+        smeUserGroupIds: [],
+      };
+      this.tags.push(tag);
+    }
+    return tag;
+  }
+
+  /**
+   * Number of live questions and articles carrying the tag
+   */
+  postCount(tagName: string): number {
+    return this.questions.filter(q => !q.isDeleted && q.tags.indexOf(tagName) !== -1).length
+      + this.articles.filter(a => !a.isDeleted && a.tags.indexOf(tagName) !== -1).length;
+  }
+
+  /**
+   * Whether `id` refers to a live question or article, the kinds of content collections hold
+   */
+  hasContent(id: number): boolean {
+    return this.questions.some(q => q.id === id && !q.isDeleted) || this.articles.some(a => a.id === id && !a.isDeleted);
+  }
+}
+
+/**
+ * Users and sites of a fake Teams instance
+ */
+export class FakeTeamsStore {
+  users: FakeUserRecord[] = [];
+  readonly main = new FakeSite();
+  private teams = new Map<string, FakeSite>();
+  private nextUserId = 1;
+
+  /**
+   * @param now - Clock for creation dates (defaults to `Date.now`)
+   */
+  constructor(readonly now: () => number = Date.now) {}
+
+  /**
+   * Site for a team slug, or the main site when no slug is given; undefined for unknown teams
+   */
+  site(team?: string): FakeSite | undefined {
+    return team === undefined ? this.main : this.teams.get(team);
+  }
+
+  /**
+   * Create a team, or return the existing one with that slug
+   */
+  addTeam(slug: string): FakeSite {
+    let site = this.teams.get(slug);
+    if (!site) {
+      site = new FakeSite(slug);
+      this.teams.set(slug, site);
+    }
+    return site;
+  }
+
+  addUser(user: Partial<FakeUserRecord> & { name: string }): FakeUserRecord {
+    const id = user.id ?? this.nextUserId;
+    this.nextUserId = Math.max(this.nextUserId, id + 1);
+    const now = new Date(this.now());
+    const record: FakeUserRecord = {
+      accountId: id + 1000,
+      email: `${user.name.toLowerCase().replace(/[^a-z0-9]+/g, '.')}@example.com`,
+      role: 'Registered',
+      reputation: 1,
+      isDeactivated: false,
+      creationDate: now,
+      lastAccessDate: now,
+      watchedTagIds: [],
+      ...user,
+      id,
+    };
+    this.users.push(record);
+    return record;
+  }
+
+  user(id: number): FakeUserRecord | undefined {
+    return this.users.find(u => u.id === id);
+  }
+}
+
+function daysAgo(now: number, days: number): Date {
+  return new Date(now - days * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Fill a site with a small, deterministic set of content
+ */
+function seedSite(site: FakeSite, authorIds: number[], now: number): void {
+  const [alice = 1, bob = alice, carol = bob] = authorIds;
+  const tagNames = ['typescript', 'deployment', 'kubernetes', 'onboarding', 'security'];
+  tagNames.forEach((name, index) => {
+    const tag = site.ensureTag(name, new Date(now));
+    tag.description = `Questions about ${name}`;
+    tag.creationDate = daysAgo(now, 400 - index * 10);
+  });
+  const firstTag = site.tags[0];
+  if (firstTag) {
+    firstTag.smeUserIds.push(alice);
+  }
+
+  const questionData: Array<[string, string[], number]> = [
+    ['How do I configure strict mode in TypeScript?', ['typescript'], alice],
+    ['What is our deployment checklist?', ['deployment', 'onboarding'], bob],
+    ['Why does my pod keep restarting?', ['kubernetes', 'deployment'], carol],
+    ['Where do I request VPN access?', ['onboarding', 'security'], bob],
+    ['How are secrets rotated in production?', ['security', 'deployment'], alice],
+  ];
+  questionData.forEach(([title, tags, ownerId], index) => {
+    const created = daysAgo(now, 30 - index * 5);
+    const question: FakeQuestionRecord = {
+      id: site.newId(),
+      title,
+      body: `${title}\n\nMore context in the body.`,
+      tags,
+      ownerId,
+      creationDate: created,
+      lastActivityDate: created,
+      upvoterIds: index % 2 === 0 ? [carol] : [],
+      downvoterIds: [],
+      bookmarkerIds: [],
+      linkedQuestionIds: [],
+      communityIds: [],
+      viewCount: 10 * (index + 1),
+      isDeleted: false,
+      isClosed: false,
+      isObsolete: false,
+    };
+    site.questions.push(question);
+
+    if (index < 3) {
+      const answer: FakeAnswerRecord = {
+        id: site.newId(),
+        questionId: question.id,
+        body: `Answer to: ${title}`,
+        ownerId: ownerId === alice ? bob : alice,
+        creationDate: daysAgo(now, 29 - index * 5),
+        lastActivityDate: daysAgo(now, 29 - index * 5),
+        upvoterIds: [ownerId],
+        downvoterIds: [],
+        isAccepted: index === 0,
+        isDeleted: false,
+      };
+      site.answers.push(answer);
+      site.comments.push({
+        id: site.newId(),
+        postType: 'answer',
+        postId: answer.id,
+        body: 'Thanks, that worked.',
+        ownerId,
+        score: 0,
+        creationDate: daysAgo(now, 28 - index * 5),
+      });
+    }
+    site.comments.push({
+      id: site.newId(),
+      postType: 'question',
+      postId: question.id,
+      body: 'Could you add more details?',
+      ownerId: carol,
+      score: 1,
+      creationDate: daysAgo(now, 29 - index * 5),
+    });
+  });
+
+  const [firstQuestion, secondQuestion] = site.questions;
+  if (firstQuestion && secondQuestion) {
+    firstQuestion.linkedQuestionIds.push(secondQuestion.id);
+  }
+
+  const article: FakeArticleRecord = {
+    id: site.newId(),
+    type: 'knowledgeArticle',
+    title: 'Getting started with deployments',
+    body: 'Everything you need to ship your first change.',
+    tags: ['deployment', 'onboarding'],
+    ownerId: alice,
+    creationDate: daysAgo(now, 60),
+    lastActivityDate: daysAgo(now, 10),
+    upvoterIds: [bob],
+    downvoterIds: [],
+    viewCount: 120,
+    editableBy: 'ownerOnly',
+    editorUserIds: [],
+    editorUserGroupIds: [],
+    linkedQuestionIds: secondQuestion ? [secondQuestion.id] : [],
+    isDeleted: false,
+  };
+  site.articles.push(article);
+
+  site.userGroups.push({ id: site.newId(), name: 'Platform', description: 'Platform engineering', userIds: [alice, bob] });
+  site.userGroups.push({ id: site.newId(), name: 'Security', description: 'Security team', userIds: [carol] });
+
+  site.collections.push({
+    id: site.newId(),
+    title: 'Onboarding essentials',
+    description: 'Start here',
+    ownerId: alice,
+    creationDate: daysAgo(now, 20),
+    lastEditDate: daysAgo(now, 5),
+    editorUserIds: [],
+    editorUserGroupIds: [],
+    contentIds: [article.id].concat(secondQuestion ? [secondQuestion.id] : []),
+    isDeleted: false,
+  });
+}
+
+/**
+ * Populate a store with sample users, one team and content on both sites
+ */
+export function seedStore(store: FakeTeamsStore, team: string): void {
+  const now = store.now();
+  const alice = store.addUser({ name: 'Alice Admin', role: 'Admin', reputation: 1250, department: 'Engineering', jobTitle: 'Staff Engineer', externalId: 'ext-alice' });
+  const bob = store.addUser({ name: 'Bob Builder', role: 'Moderator', reputation: 640, department: 'Engineering', externalId: 'ext-bob' });
+  const carol = store.addUser({ name: 'Carol Coder', reputation: 101, department: 'Security', lastAccessDate: daysAgo(now, 90) });
+  store.addUser({ name: 'Dave Departed', reputation: 5, isDeactivated: true, lastAccessDate: daysAgo(now, 400) });
+
+  const ids = [alice.id, bob.id, carol.id];
+  seedSite(store.main, ids, now);
+  seedSite(store.addTeam(team), ids, now);
+
+  store.main.communities.push({
+    id: store.main.newId(),
+    name: 'Platform Guild',
+    description: 'People running our infrastructure',
+    tags: ['deployment', 'kubernetes'],
+    members: [{ userId: alice.id, memberSince: daysAgo(now, 100) }, { userId: bob.id, memberSince: daysAgo(now, 50) }],
+  });
+  store.main.communities.push({
+    id: store.main.newId(),
+    name: 'Newcomers',
+    description: 'Ask anything during your first months',
+    tags: ['onboarding'],
+    members: [{ userId: carol.id, memberSince: daysAgo(now, 20) }],
+  });
+
+  const firstTag = store.main.tags[0];
+  if (firstTag) {
+    alice.watchedTagIds.push(firstTag.id);
+  }
+}
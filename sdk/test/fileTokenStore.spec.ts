@@ -0,0 +1,63 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FileTokenStore } from '../src/index.js';
+
+describe('FileTokenStore', () => {
+  let directory: string;
+  let file: string;
+
+  before(async () => {
+    directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'so-teams-sdk-'));
+    file = path.join(directory, 'nested', 'tokens.enc');
+  });
+  after(() => fs.promises.rm(directory, { recursive: true, force: true }));
+
+  it('reads back what another instance stored', async () => {
+    const writer = new FileTokenStore({ path: file, encryptionKey: 'passphrase' });
+    await writer.set('alice', { accessToken: 'token-a', expiresAt: 1700000000000, storedAt: 1690000000000, scope: 'write_access' });
+    await writer.set('bob', { accessToken: 'token-b', storedAt: 1690000000000 });
+    await writer.delete('bob');
+
+    const reader = new FileTokenStore({ path: file, encryptionKey: 'passphrase' });
+
+    assert.deepEqual(await reader.get('alice'), { accessToken: 'token-a', expiresAt: 1700000000000, storedAt: 1690000000000, scope: 'write_access' });
+    assert.equal(await reader.get('bob'), undefined);
+    assert.deepEqual(await reader.keys(), ['alice']);
+  });
+
+  it('keeps the file encrypted and private to its owner', async () => {
+    const contents = await fs.promises.readFile(file, 'utf8');
+    const mode = (await fs.promises.stat(file)).mode & 0o777;
+
+    assert.ok(!contents.includes('token-a'));
+    assert.equal(mode, 0o600);
+  });
+
+  it('refuses to read the file with a different key', async () => {
+    const store = new FileTokenStore({ path: file, encryptionKey: 'another passphrase' });
+
+    await assert.rejects(store.get('alice'), /wrong encryption key or corrupted file/);
+  });
+
+  it('treats keys named after Object.prototype members as plain keys', async () => {
+    const store = new FileTokenStore({ path: file, encryptionKey: 'passphrase' });
+    assert.equal(await store.get('constructor'), undefined);
+
+    await store.set('__proto__', { accessToken: 'token-p', storedAt: 1690000000000 });
+    const reader = new FileTokenStore({ path: file, encryptionKey: 'passphrase' });
+
+    assert.deepEqual(await reader.get('__proto__'), { accessToken: 'token-p', storedAt: 1690000000000 });
+    assert.deepEqual((await reader.keys()).sort(), ['__proto__', 'alice']);
+  });
+
+  it('serializes concurrent writes', async () => {
+    const store = new FileTokenStore({ path: file, encryptionKey: 'passphrase' });
+
+    await Promise.all(['u1', 'u2', 'u3'].map(key => store.set(key, { accessToken: key, storedAt: 1690000000000 })));
+
+    assert.deepEqual((await store.keys()).sort(), ['__proto__', 'alice', 'u1', 'u2', 'u3']);
+  });
+});
@@ -0,0 +1,85 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { NotFoundError, silentLogger, StackOverflowSDK } from '../src/index.js';
+import { RecordingServer, startServer } from './support.js';
+
+describe('response cache', () => {
+  let fake: RecordingServer;
+  let sdk: StackOverflowSDK;
+
+  before(async () => {
+    fake = await startServer();
+  });
+  after(() => fake.close());
+  beforeEach(() => {
+    fake.requests.length = 0;
+    sdk = new StackOverflowSDK({ baseUrl: fake.url, accessToken: 'fake-token', logger: silentLogger, rateLimit: false, cache: true });
+  });
+
+  const gets = () => fake.requests.filter(request => request.method === 'GET').length;
+
+  it('serves repeated reads from the cache', async () => {
+    const first = await sdk.questions.get(18);
+    const second = await sdk.questions.get(18);
+
+    assert.equal(gets(), 1);
+    assert.deepEqual(second, first);
+  });
+
+  it('evicts the entries a successful mutation changes', async () => {
+    const original = await sdk.questions.get(18);
+    await sdk.questions.getAll();
+
+    await sdk.questions.upvote(18);
+    const upvoted = await sdk.questions.get(18);
+    await sdk.questions.getAll();
+
+    assert.equal(gets(), 4);
+    assert.equal(upvoted.score, (original.score || 0) + 1);
+    await sdk.questions.removeUpvote(18);
+  });
+
+  it('keeps entries when the mutation fails', async () => {
+    await sdk.questions.getAll();
+
+    await assert.rejects(sdk.questions.upvote(999999), NotFoundError);
+    await sdk.questions.getAll();
+
+    assert.equal(gets(), 1);
+  });
+
+  it('leaves entries of other operations in place', async () => {
+    await sdk.tags.getAll();
+
+    await sdk.questions.upvote(18);
+    await sdk.tags.getAll();
+
+    assert.equal(gets(), 1);
+    await sdk.questions.removeUpvote(18);
+  });
+
+  it('evicts entries by prefix through invalidate()', async () => {
+    await sdk.questions.get(18);
+    await sdk.tags.getAll();
+
+    await sdk.cache?.invalidate('main|questions.*');
+    await sdk.questions.get(18);
+    await sdk.tags.getAll();
+
+    assert.equal(gets(), 3);
+  });
+
+  it('skips fresh entries for calls passing cache: false and stores their response', async () => {
+    const original = await sdk.questions.get(18);
+    const uncached = new StackOverflowSDK({ baseUrl: fake.url, accessToken: 'fake-token', logger: silentLogger, rateLimit: false });
+    await uncached.questions.upvote(18);
+
+    const refreshed = await sdk.questions.get(18, { cache: false });
+    const cached = await sdk.questions.get(18);
+
+    assert.equal(gets(), 2);
+    assert.equal(refreshed.score, (original.score || 0) + 1);
+    assert.equal(cached.score, refreshed.score);
+    await uncached.questions.removeUpvote(18);
+  });
+});
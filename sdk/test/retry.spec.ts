@@ -0,0 +1,149 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CircuitOpenError, NotFoundError, RetryEvent, SDKError, silentLogger, StackOverflowSDK } from '../src/index.js';
+import { delay, problem, RecordingServer, startServer } from './support.js';
+
+describe('retry policy', () => {
+  let fake: RecordingServer;
+  let events: RetryEvent[];
+
+  before(async () => {
+    fake = await startServer();
+  });
+  after(() => fake.close());
+  beforeEach(() => {
+    fake.requests.length = 0;
+    events = [];
+  });
+
+  const sdkWith = (retry: object = {}) => new StackOverflowSDK({
+    baseUrl: fake.url,
+    accessToken: 'fake-token',
+    logger: silentLogger,
+    rateLimit: false,
+    retry: { initialDelayMs: 10, backoffMultiplier: 2, jitter: false, onRetry: event => events.push(event), ...retry },
+  });
+
+  it('retries server errors with exponential backoff', async () => {
+    fake.failNext(problem(503), problem(503));
+
+    const user = await sdkWith().users.get(1);
+
+    assert.equal(user.id, 1);
+    assert.equal(fake.requests.length, 3);
+    assert.deepEqual(events.map(event => [event.attempt, event.delayMs]), [[1, 10], [2, 20]]);
+  });
+
+  it('gives up after maxAttempts', async () => {
+    fake.failNext(problem(503), problem(503), problem(503));
+
+    await assert.rejects(sdkWith({ maxAttempts: 3 }).users.get(1), (error: SDKError) => error.statusCode === 503);
+    assert.equal(fake.requests.length, 3);
+  });
+
+  it('waits for Retry-After instead of the backoff', async () => {
+    fake.failNext(problem(429, { 'retry-after': '1' }));
+    const started = Date.now();
+
+    await sdkWith().users.get(1);
+
+    assert.equal(events[0]?.delayMs, 1000);
+    assert.ok(Date.now() - started >= 900);
+  });
+
+  it('uses the backoff when respectRetryAfter is false', async () => {
+    fake.failNext(problem(429, { 'retry-after': '30' }));
+
+    await sdkWith({ respectRetryAfter: false }).users.get(1);
+
+    assert.equal(events[0]?.delayMs, 10);
+  });
+
+  it('does not retry client errors', async () => {
+    await assert.rejects(sdkWith().users.get(999999), NotFoundError);
+    assert.equal(fake.requests.length, 1);
+    assert.equal(events.length, 0);
+  });
+
+  it('retries mutations only when the call opts in', async () => {
+    const sdk = sdkWith();
+    fake.failNext(problem(503));
+    await assert.rejects(sdk.questions.upvote(18), (error: SDKError) => error.statusCode === 503);
+    assert.equal(fake.requests.length, 1);
+
+    fake.failNext(problem(503));
+    await sdk.questions.upvote(18, { retry: true });
+    assert.equal(fake.requests.length, 3);
+  });
+});
+
+describe('circuit breaker', () => {
+  let fake: RecordingServer;
+
+  before(async () => {
+    fake = await startServer();
+  });
+  after(() => fake.close());
+  beforeEach(() => {
+    fake.requests.length = 0;
+  });
+
+  const sdkWith = () => new StackOverflowSDK({
+    baseUrl: fake.url,
+    accessToken: 'fake-token',
+    logger: silentLogger,
+    rateLimit: false,
+    retry: false,
+    circuitBreaker: { failureThreshold: 2, resetTimeoutMs: 100 },
+  });
+
+  it('opens after consecutive failures and fails fast without sending', async () => {
+    const sdk = sdkWith();
+    fake.failNext(problem(500), problem(500));
+    await assert.rejects(sdk.users.get(1));
+    assert.equal(sdk.getCircuitState(), 'closed');
+    await assert.rejects(sdk.users.get(1));
+    assert.equal(sdk.getCircuitState(), 'open');
+
+    await assert.rejects(sdk.users.get(1), CircuitOpenError);
+    assert.equal(fake.requests.length, 2);
+  });
+
+  it('lets one trial request through once the reset timeout passed and closes when it succeeds', async () => {
+    const sdk = sdkWith();
+    fake.failNext(problem(500), problem(500));
+    await assert.rejects(sdk.users.get(1));
+    await assert.rejects(sdk.users.get(1));
+
+    await delay(120);
+    assert.equal(sdk.getCircuitState(), 'half-open');
+    const [trial, concurrent] = await Promise.allSettled([sdk.users.get(1), sdk.users.get(2)]);
+
+    assert.equal(trial.status, 'fulfilled');
+    assert.ok(concurrent.status === 'rejected' && concurrent.reason instanceof CircuitOpenError);
+    assert.equal(sdk.getCircuitState(), 'closed');
+    assert.equal(fake.requests.length, 3);
+  });
+
+  it('opens again when the trial request fails', async () => {
+    const sdk = sdkWith();
+    fake.failNext(problem(500), problem(500), problem(500));
+    await assert.rejects(sdk.users.get(1));
+    await assert.rejects(sdk.users.get(1));
+
+    await delay(120);
+    await assert.rejects(sdk.users.get(1), (error: SDKError) => error.statusCode === 500);
+    assert.equal(sdk.getCircuitState(), 'open');
+  });
+
+  it('treats client errors as a sign the server is up', async () => {
+    const sdk = sdkWith();
+    fake.failNext(problem(500));
+    await assert.rejects(sdk.users.get(1));
+    await assert.rejects(sdk.users.get(999999), NotFoundError);
+    fake.failNext(problem(500));
+    await assert.rejects(sdk.users.get(1));
+
+    assert.equal(sdk.getCircuitState(), 'closed');
+  });
+});
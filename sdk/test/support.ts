@@ -0,0 +1,56 @@
+import { FakeRequest, FakeResponse, FakeTeamsServer, FakeTeamsServerOptions } from '../src/testing/index.js';
+
+/**
+ * Fake server listening on localhost, recording every request it receives
+ * Responses queued with `failNext()` are answered before the request reaches the fake.
+ */
+export interface RecordingServer {
+  server: FakeTeamsServer;
+  url: string;
+  requests: FakeRequest[];
+  failNext(...responses: FakeResponse[]): void;
+  close(): Promise<void>;
+}
+
+export async function startServer(options: FakeTeamsServerOptions = {}): Promise<RecordingServer> {
+  const server = new FakeTeamsServer({ throttle: false, ...options });
+  const requests: FakeRequest[] = [];
+  const queued: FakeResponse[] = [];
+  const dispatch = server.dispatch.bind(server);
+  server.dispatch = (request: FakeRequest): FakeResponse => {
+    requests.push(request);
+    return queued.shift() || dispatch(request);
+  };
+  const url = await server.listen();
+  return {
+    server,
+    url,
+    requests,
+    failNext: (...responses) => queued.push(...responses),
+    close: () => server.close(),
+  };
+}
+
+/**
+ * `ProblemDetails` response with the given status and extra headers
+ */
+export function problem(status: number, headers: Record<string, string> = {}): FakeResponse {
+  const body = Buffer.from(JSON.stringify({ type: `https://httpstatuses.io/${status}`, title: 'Error', status, detail: `Injected ${status}` }), 'utf8');
+  return {
+    status,
+    headers: { 'content-type': 'application/problem+json', 'content-length': String(body.length), ...headers },
+    body: Uint8Array.from(body),
+  };
+}
+
+/**
+ * `Authorization` header of a recorded request
+ */
+export function bearerOf(request: FakeRequest | undefined): string | undefined {
+  const value = request?.headers?.['authorization'];
+  return typeof value === 'string' ? value.replace(/^Bearer\s+/i, '') : undefined;
+}
+
+export function delay(ms: number): Promise<void> {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
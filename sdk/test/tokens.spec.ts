@@ -0,0 +1,150 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { AccessToken, silentLogger, StackOverflowSDK, TokenExpiredContext, TokenExpiredError, TokenManager } from '../src/index.js';
+import { bearerOf, delay, RecordingServer, startServer } from './support.js';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('token lifecycle', () => {
+  let fake: RecordingServer;
+
+  before(async () => {
+    fake = await startServer({
+      tokens: {
+        stale: { userId: 1, expiresAt: new Date(Date.now() - HOUR) },
+        current: { userId: 1 },
+        fresh: { userId: 1 },
+      },
+    });
+  });
+  after(() => fake.close());
+  beforeEach(() => {
+    fake.requests.length = 0;
+  });
+
+  const sdkWith = (config: object) => new StackOverflowSDK({ baseUrl: fake.url, logger: silentLogger, rateLimit: false, retry: false, ...config });
+
+  it('renews a token about to expire before sending, once for concurrent calls', async () => {
+    let provided = 0;
+    const refreshed: AccessToken[] = [];
+    const sdk = sdkWith({
+      accessToken: 'current',
+      accessTokenExpiresAt: Date.now() + 1000,
+      getAccessToken: async () => {
+        provided++;
+        await delay(10);
+        return { accessToken: 'fresh', expiresAt: Date.now() + HOUR };
+      },
+      onTokenRefreshed: (token: AccessToken) => {
+        refreshed.push(token);
+      },
+    });
+
+    await Promise.all([sdk.users.get(1), sdk.users.get(2), sdk.users.get(3)]);
+
+    assert.equal(provided, 1);
+    assert.deepEqual(fake.requests.map(bearerOf), ['fresh', 'fresh', 'fresh']);
+    assert.equal(sdk.tokens?.accessToken, 'fresh');
+    assert.deepEqual(refreshed.map(token => token.accessToken), ['fresh']);
+  });
+
+  it('replays a request rejected as expired once with the token from onTokenExpired', async () => {
+    const contexts: TokenExpiredContext[] = [];
+    const sdk = sdkWith({
+      accessToken: 'stale',
+      onTokenExpired: (context: TokenExpiredContext) => {
+        contexts.push(context);
+        return 'fresh';
+      },
+    });
+
+    const user = await sdk.users.get(1);
+
+    assert.equal(user.id, 1);
+    assert.deepEqual(fake.requests.map(bearerOf), ['stale', 'fresh']);
+    assert.equal(contexts.length, 1);
+    assert.equal(contexts[0]?.reason, 'rejected');
+    assert.equal(contexts[0]?.expiredToken, 'stale');
+    assert.equal(contexts[0]?.operation, 'users.get');
+  });
+
+  it('surfaces TokenExpiredError when onTokenExpired declines, without asking again for the same token', async () => {
+    let asked = 0;
+    const sdk = sdkWith({
+      accessToken: 'stale',
+      onTokenExpired: () => {
+        asked++;
+        return undefined;
+      },
+    });
+
+    await assert.rejects(sdk.users.get(1), TokenExpiredError);
+    await assert.rejects(sdk.users.get(1), TokenExpiredError);
+
+    assert.equal(asked, 1);
+    assert.deepEqual(fake.requests.map(bearerOf), ['stale', 'stale']);
+  });
+
+  it('asks again once the declined token was replaced', async () => {
+    let asked = 0;
+    const sdk = sdkWith({
+      accessToken: 'stale',
+      onTokenExpired: () => {
+        asked++;
+        return asked === 1 ? undefined : 'fresh';
+      },
+    });
+    await assert.rejects(sdk.users.get(1), TokenExpiredError);
+
+    sdk.tokens?.setToken('stale');
+    await sdk.users.get(1);
+
+    assert.equal(asked, 2);
+    assert.equal(sdk.tokens?.accessToken, 'fresh');
+  });
+
+  it('does not send a renewed token that has already expired', async () => {
+    const sdk = sdkWith({
+      accessToken: 'current',
+      accessTokenExpiresAt: Date.now() - 1000,
+      getAccessToken: () => ({ accessToken: 'current', expiresAt: Date.now() - 1000 }),
+    });
+
+    await assert.rejects(sdk.users.get(1), TokenExpiredError);
+    assert.equal(fake.requests.length, 0);
+  });
+});
+
+describe('TokenManager', () => {
+  it('keeps sending a token whose renewal failed until it actually expires', async () => {
+    const manager = new TokenManager({
+      accessToken: 'current',
+      accessTokenExpiresAt: Date.now() + 1000,
+      getAccessToken: () => ({ accessToken: 'current', expiresAt: Date.now() + 1000 }),
+    });
+
+    assert.equal(await manager.getToken(), 'current');
+  });
+
+  it('coalesces concurrent rejections into one renewal', async () => {
+    let asked = 0;
+    const manager = new TokenManager({
+      accessToken: 'stale',
+      onTokenExpired: async () => {
+        asked++;
+        await delay(10);
+        return 'fresh';
+      },
+    });
+    const error = new Error('expired');
+
+    const replays = await Promise.all([
+      manager.renewAfterRejection('stale', 'users.get', error),
+      manager.renewAfterRejection('stale', 'tags.get', error),
+    ]);
+
+    assert.deepEqual(replays, [true, true]);
+    assert.equal(asked, 1);
+    assert.equal(await manager.getToken(), 'fresh');
+  });
+});